@@ -0,0 +1,184 @@
+import { createHash, randomBytes, randomInt } from 'node:crypto';
+import { OTP_POLICY, STAFF_ROLES, isBookingOfUser, normalizeEmail, normalizePhone } from '../src/lib/auth.js';
+import { HttpError, readBody } from './http.js';
+
+// /api/auth/* for the mock API, matching the `rest` provider in
+// src/services/authService.js. Accounts and sessions live in memory here and
+// are never served as collections. OTP codes are returned as `devCode` since
+// the mock has no SMS gateway.
+
+// Demo staff login for /admin on a dev or preview server
+const STAFF_ACCOUNT = {
+  id: 'USR-STAFF',
+  email: 'admin@motorrent.id',
+  password: 'motorrent-admin',
+  name: 'Staf MotorRent',
+  role: 'admin'
+};
+
+const hashPassword = (password, salt) => createHash('sha256').update(`${salt}:${password}`).digest('hex');
+
+const randomToken = () => randomBytes(24).toString('hex');
+
+const toUser = ({ passwordHash: _passwordHash, salt: _salt, ...user }) => user;
+
+const newAccount = (fields) => ({
+  id: `USR-${Date.now().toString(36).toUpperCase()}${randomInt(100)}`,
+  name: '',
+  email: '',
+  phone: '',
+  role: 'customer',
+  rider: {},
+  savedMotors: { recentlyViewed: [], favourites: [] },
+  createdAt: new Date().toISOString(),
+  ...fields
+});
+
+const withPassword = (password) => {
+  const salt = randomToken();
+  return { salt, passwordHash: hashPassword(password, salt) };
+};
+
+export const createAuth = (db) => {
+  const { password, ...staff } = STAFF_ACCOUNT;
+  const accounts = [newAccount({ ...staff, ...withPassword(password) })];
+  const sessions = new Map();
+  const pendingOtps = new Map();
+
+  const findAccount = (predicate) => accounts.find(predicate);
+
+  const openSession = (account) => {
+    const token = randomToken();
+    sessions.set(token, account.id);
+    return { token, user: toUser(account) };
+  };
+
+  const tokenOf = (req) => (req.headers.authorization || '').replace(/^Bearer\s+/i, '') || null;
+
+  // The signed-in account behind `Authorization: Bearer <token>`, or null
+  const accountFor = (req) => {
+    const accountId = sessions.get(tokenOf(req));
+    return (accountId && findAccount(account => account.id === accountId)) || null;
+  };
+
+  const requireAccount = (req) => {
+    if (!tokenOf(req)) throw new HttpError(401, 'Silakan masuk terlebih dahulu');
+    const account = accountFor(req);
+    if (!account) throw new HttpError(401, 'Sesi berakhir, silakan masuk kembali');
+    return account;
+  };
+
+  const actions = {
+    'POST register': async (req) => {
+      const { name = '', email, phone, password } = await readBody(req);
+      const normalizedEmail = normalizeEmail(email);
+      const normalizedPhone = phone ? normalizePhone(phone) : '';
+      if (findAccount(account => account.email === normalizedEmail)) {
+        throw new HttpError(409, 'Email sudah terdaftar, silakan masuk');
+      }
+      if (normalizedPhone && findAccount(account => account.phone === normalizedPhone)) {
+        throw new HttpError(409, 'Nomor telepon sudah terdaftar, silakan masuk dengan OTP');
+      }
+      const account = newAccount({ name: name.trim(), email: normalizedEmail, phone: normalizedPhone, ...withPassword(password) });
+      accounts.push(account);
+      return [201, openSession(account)];
+    },
+    'POST login': async (req) => {
+      const { email, password } = await readBody(req);
+      const account = findAccount(item => item.email === normalizeEmail(email));
+      if (!account?.passwordHash || account.passwordHash !== hashPassword(password, account.salt)) {
+        throw new HttpError(401, 'Email atau kata sandi salah');
+      }
+      return [200, openSession(account)];
+    },
+    'POST otp': async (req) => {
+      const phone = normalizePhone((await readBody(req)).phone);
+      const previous = pendingOtps.get(phone);
+      if (previous && Date.now() - previous.sentAt < OTP_POLICY.resendSeconds * 1000) {
+        throw new HttpError(429, `Tunggu ${OTP_POLICY.resendSeconds} detik sebelum meminta kode baru`);
+      }
+      const code = Array.from({ length: OTP_POLICY.length }, () => randomInt(10)).join('');
+      const expiresAt = new Date(Date.now() + OTP_POLICY.ttlMinutes * 60 * 1000).toISOString();
+      pendingOtps.set(phone, { code, expiresAt, sentAt: Date.now(), attempts: 0 });
+      return [200, { phone, expiresAt, devCode: code }];
+    },
+    // Signing in with an unknown number creates the account
+    'POST otp/verify': async (req) => {
+      const body = await readBody(req);
+      const phone = normalizePhone(body.phone);
+      const pending = pendingOtps.get(phone);
+      if (!pending || new Date(pending.expiresAt) <= new Date()) {
+        pendingOtps.delete(phone);
+        throw new HttpError(401, 'Kode OTP kedaluwarsa, silakan minta kode baru');
+      }
+      if (pending.code !== String(body.code).trim()) {
+        pending.attempts += 1;
+        if (pending.attempts >= OTP_POLICY.maxAttempts) pendingOtps.delete(phone);
+        throw new HttpError(401, 'Kode OTP salah');
+      }
+      pendingOtps.delete(phone);
+      let account = findAccount(item => item.phone === phone);
+      if (!account) {
+        account = newAccount({ phone });
+        accounts.push(account);
+      }
+      return [200, openSession(account)];
+    },
+    'GET me': async (req) => [200, toUser(requireAccount(req))],
+    'PATCH me': async (req) => {
+      const account = requireAccount(req);
+      // The role is managed by staff, never by the customer's own profile form
+      const { role: _role, id: _id, passwordHash: _passwordHash, salt: _salt, ...changes } = await readBody(req);
+      if (changes.email && changes.email !== account.email
+        && findAccount(item => item.email === changes.email && item.id !== account.id)) {
+        throw new HttpError(409, 'Email sudah dipakai akun lain');
+      }
+      Object.assign(account, changes, { rider: { ...account.rider, ...changes.rider } });
+      return [200, toUser(account)];
+    },
+    // The account's bookings from every device, newest first
+    'GET me/bookings': async (req) => {
+      const account = requireAccount(req);
+      const own = db.bookings.filter(booking => booking.userId === account.id);
+      return [200, own.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))];
+    },
+    // Links a booking made before signing in. Its code proves it is the
+    // customer's, and its contact details must be the account's.
+    'POST me/bookings': async (req) => {
+      const account = requireAccount(req);
+      const { code } = await readBody(req);
+      const index = db.bookings.findIndex(booking => booking.code === code);
+      if (index === -1) throw new HttpError(404, 'Booking tidak ditemukan');
+      const booking = db.bookings[index];
+      if (booking.userId && booking.userId !== account.id) {
+        throw new HttpError(409, 'Booking sudah terhubung ke akun lain');
+      }
+      if (!isBookingOfUser(booking, toUser(account))) {
+        throw new HttpError(403, 'Data kontak booking tidak cocok dengan akun ini');
+      }
+      db.bookings[index] = { ...booking, userId: account.id };
+      return [200, db.bookings[index]];
+    },
+    'POST logout': async (req) => {
+      sessions.delete(tokenOf(req));
+      return [204];
+    }
+  };
+
+  return {
+    // Answers /api/auth/<action> as [status, body]
+    handle: (req, action) => {
+      const handler = actions[`${req.method} ${action}`];
+      if (!handler) throw new HttpError(404, 'Endpoint tidak ditemukan');
+      return handler(req);
+    },
+    accountFor,
+    isStaff: (req) => STAFF_ROLES.includes(accountFor(req)?.role),
+    // 401 without a valid session, 403 for an account that is not staff
+    requireStaff: (req) => {
+      const account = requireAccount(req);
+      if (!STAFF_ROLES.includes(account.role)) throw new HttpError(403, 'Hanya staf yang dapat melakukan tindakan ini');
+      return toUser(account);
+    }
+  };
+};
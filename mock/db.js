@@ -0,0 +1,277 @@
+import { addDays, diffDays, todayKey } from '../src/lib/dates.js';
+import { createDeposit, holdDeposit } from '../src/lib/deposits.js';
+import { toBookingUnit } from '../src/lib/units.js';
+
+// Seed data for the local mock API. Every dev/preview server start gets a fresh copy.
+
+// Detail-page gallery: the full photo plus two close-up crops of it
+const galleryFor = (photo) => [
+  `https://images.unsplash.com/${photo}?w=1200&h=800&fit=crop`,
+  `https://images.unsplash.com/${photo}?w=1200&h=800&fit=crop&crop=focalpoint&fp-x=0.3&fp-y=0.5&fp-z=2`,
+  `https://images.unsplash.com/${photo}?w=1200&h=800&fit=crop&crop=focalpoint&fp-x=0.7&fp-y=0.5&fp-z=2`
+];
+
+const motorcycles = [
+  {
+    id: 1,
+    name: "Honda CB150R",
+    price: 120000,
+    rates: { daily: 120000, weekly: 720000, monthly: 2600000 },
+    image: "https://images.unsplash.com/photo-1558618666-fcd25c85cd64?w=400&h=300&fit=crop",
+    gallery: galleryFor("photo-1558618666-fcd25c85cd64"),
+    specs: ["150cc", "Manual", "ABS", "180kg"],
+    specSheet: { engine: '149,16 cc, DOHC, pendingin cairan', power: '16,6 PS @ 9.000 rpm', transmission: 'Manual 6 percepatan', brakes: 'Cakram depan & belakang, ABS', fuelCapacity: '12 liter', seatHeight: '797 mm', weight: '180 kg' },
+    rating: 4.9,
+    reviews: 128,
+    ratingBreakdown: { 5: 115, 4: 11, 3: 2, 2: 0, 1: 0 },
+    featured: true,
+    category: "sport"
+  },
+  {
+    id: 2,
+    name: "Yamaha NMAX",
+    price: 100000,
+    rates: { daily: 100000, weekly: 600000, monthly: 2200000 },
+    image: "https://images.unsplash.com/photo-1571068316344-75bc76f77890?w=400&h=300&fit=crop",
+    gallery: galleryFor("photo-1571068316344-75bc76f77890"),
+    specs: ["155cc", "Automatic", "ABS", "131kg"],
+    specSheet: { engine: '155 cc, SOHC VVA, pendingin cairan', power: '15,4 PS @ 8.000 rpm', transmission: 'Otomatis CVT', brakes: 'Cakram depan & belakang, ABS', fuelCapacity: '7,1 liter', seatHeight: '765 mm', weight: '131 kg' },
+    rating: 4.8,
+    reviews: 95,
+    ratingBreakdown: { 5: 80, 4: 12, 3: 2, 2: 1, 1: 0 },
+    featured: false,
+    category: "matic"
+  },
+  {
+    id: 3,
+    name: "Suzuki GSX-R150",
+    price: 130000,
+    rates: { daily: 130000, weekly: 780000, monthly: 2850000 },
+    image: "https://images.unsplash.com/photo-1621274403997-37aace184f49?w=400&h=300&fit=crop",
+    gallery: galleryFor("photo-1621274403997-37aace184f49"),
+    specs: ["150cc", "Manual", "ABS", "142kg"],
+    specSheet: { engine: '147,3 cc, DOHC, pendingin cairan', power: '19,2 PS @ 10.500 rpm', transmission: 'Manual 6 percepatan', brakes: 'Cakram depan & belakang, ABS', fuelCapacity: '11 liter', seatHeight: '785 mm', weight: '142 kg' },
+    rating: 4.7,
+    reviews: 87,
+    ratingBreakdown: { 5: 66, 4: 17, 3: 3, 2: 1, 1: 0 },
+    featured: true,
+    category: "sport"
+  },
+  {
+    id: 4,
+    name: "Kawasaki Ninja 250",
+    price: 150000,
+    rates: { daily: 150000, weekly: 900000, monthly: 3300000 },
+    image: "https://images.unsplash.com/photo-1558981806-ec527fa84c39?w=400&h=300&fit=crop",
+    gallery: galleryFor("photo-1558981806-ec527fa84c39"),
+    specs: ["250cc", "Manual", "ABS", "172kg"],
+    specSheet: { engine: '249 cc, 2 silinder DOHC', power: '39 PS @ 12.500 rpm', transmission: 'Manual 6 percepatan', brakes: 'Cakram depan & belakang, ABS', fuelCapacity: '14 liter', seatHeight: '795 mm', weight: '172 kg' },
+    rating: 4.9,
+    reviews: 156,
+    ratingBreakdown: { 5: 142, 4: 12, 3: 2, 2: 0, 1: 0 },
+    featured: true,
+    category: "sport",
+    depositAmount: 2000000
+  },
+  {
+    id: 5,
+    name: "Vespa Sprint",
+    price: 80000,
+    rates: { daily: 80000, weekly: 480000, monthly: 1750000 },
+    image: "https://images.unsplash.com/photo-1566891438107-5e0a1e03c7ab?w=400&h=300&fit=crop",
+    gallery: galleryFor("photo-1566891438107-5e0a1e03c7ab"),
+    specs: ["150cc", "Automatic", "CBS", "120kg"],
+    specSheet: { engine: '150 cc i-get, pendingin udara', power: '12,9 PS @ 7.750 rpm', transmission: 'Otomatis CVT', brakes: 'Cakram depan, CBS', fuelCapacity: '8 liter', seatHeight: '790 mm', weight: '120 kg' },
+    rating: 4.6,
+    reviews: 89,
+    ratingBreakdown: { 5: 60, 4: 22, 3: 5, 2: 2, 1: 0 },
+    featured: false,
+    category: "vintage"
+  },
+  {
+    id: 6,
+    name: "Honda ADV150",
+    price: 110000,
+    rates: { daily: 110000, weekly: 660000, monthly: 2400000 },
+    image: "https://images.unsplash.com/photo-1609630875171-b1321377ee65?w=400&h=300&fit=crop",
+    gallery: galleryFor("photo-1609630875171-b1321377ee65"),
+    specs: ["150cc", "Automatic", "ABS", "134kg"],
+    specSheet: { engine: '149,3 cc eSP, pendingin cairan', power: '14,5 PS @ 8.500 rpm', transmission: 'Otomatis CVT', brakes: 'Cakram depan & belakang, ABS', fuelCapacity: '8 liter', seatHeight: '795 mm', weight: '134 kg' },
+    rating: 4.7,
+    reviews: 76,
+    ratingBreakdown: { 5: 57, 4: 15, 3: 3, 2: 1, 1: 0 },
+    featured: true,
+    category: "adventure"
+  }
+];
+
+// Physical bikes per model (see src/lib/units.js). The Ninja is a single unit
+// so the calendar still shows fully booked days.
+const units = [
+  { id: 1, motorcycleId: 1, plate: 'DK 3012 AB', colour: 'Merah', odometer: 12450, status: 'active' },
+  { id: 2, motorcycleId: 1, plate: 'DK 4521 FG', colour: 'Hitam', odometer: 8930, status: 'active' },
+  { id: 3, motorcycleId: 1, plate: 'DK 5870 KL', colour: 'Putih', odometer: 21780, status: 'active' },
+  { id: 4, motorcycleId: 2, plate: 'DK 2233 CD', colour: 'Abu-abu', odometer: 15320, status: 'active' },
+  { id: 5, motorcycleId: 2, plate: 'DK 7781 EF', colour: 'Biru', odometer: 4210, status: 'active' },
+  { id: 6, motorcycleId: 3, plate: 'DK 6104 HJ', colour: 'Biru', odometer: 18760, status: 'active' },
+  { id: 7, motorcycleId: 3, plate: 'DK 9015 MN', colour: 'Merah', odometer: 30110, status: 'retired' },
+  { id: 8, motorcycleId: 4, plate: 'DK 1250 NJ', colour: 'Hijau', odometer: 9870, status: 'active' },
+  { id: 9, motorcycleId: 5, plate: 'DK 3388 VS', colour: 'Kuning', odometer: 6540, status: 'active' },
+  { id: 10, motorcycleId: 5, plate: 'DK 4499 VS', colour: 'Putih', odometer: 11200, status: 'active' },
+  { id: 11, motorcycleId: 6, plate: 'DK 8150 AV', colour: 'Merah', odometer: 14380, status: 'active' }
+];
+
+// Reservations are seeded relative to today so the calendar always shows some taken dates
+// Times are WITA; the return slots leave part of the day free for the next rental
+const seedReservations = (today) => [
+  { id: 1, motorcycleId: 1, unitId: 1, startDate: addDays(today, 2), startTime: '09:00', endDate: addDays(today, 5), endTime: '12:00' },
+  { id: 2, motorcycleId: 1, unitId: 1, startDate: addDays(today, 9), startTime: '08:00', endDate: addDays(today, 12), endTime: '08:00' },
+  { id: 3, motorcycleId: 2, unitId: 4, startDate: today, startTime: '07:00', endDate: addDays(today, 3), endTime: '10:00' },
+  { id: 4, motorcycleId: 4, unitId: 8, startDate: addDays(today, 4), startTime: '14:00', endDate: addDays(today, 11), endTime: '14:00' },
+  { id: 5, motorcycleId: 6, unitId: 11, startDate: addDays(today, 1), startTime: '06:00', endDate: addDays(today, 2), endTime: '06:00' },
+  // Service block-out, see src/lib/schedule.js
+  { id: 6, motorcycleId: 3, unitId: 6, startDate: addDays(today, 6), endDate: addDays(today, 8), type: 'service', note: 'Servis berkala' }
+];
+
+// Bookings behind the seeded reservations, so the admin area has something to manage
+const seedCustomers = [
+  { name: 'Ahmad Fauzi', email: 'ahmad@example.com', phone: '081234567801' },
+  { name: 'Siti Nurhaliza', email: 'siti@example.com', phone: '081234567802' },
+  { name: 'Budi Santoso', email: 'budi@example.com', phone: '081234567803' },
+  { name: 'Emma Wilson', email: 'emma@example.com', phone: '+61412345678' },
+  { name: 'Wayan Sudarsana', email: 'wayan@example.com', phone: '081234567805' }
+];
+
+const seedBooking = (reservation, index, status, today) => {
+  const motor = motorcycles.find(item => item.id === reservation.motorcycleId);
+  const totalDays = Math.max(1, diffDays(reservation.startDate, reservation.endDate));
+  const totalPrice = motor.price * totalDays;
+  const code = `MR-SEED-${String(index + 1).padStart(4, '0')}`;
+  const unit = units.find(item => item.id === reservation.unitId);
+  return {
+    ...seedCustomers[index % seedCustomers.length],
+    id: code,
+    code,
+    status,
+    motorcycleId: motor.id,
+    motor: { id: motor.id, name: motor.name, image: motor.image, price: motor.price, rates: motor.rates, category: motor.category },
+    reservationId: reservation.id ?? null,
+    unit: unit ? toBookingUnit(unit) : null,
+    startDate: reservation.startDate,
+    startTime: reservation.startTime,
+    endDate: reservation.endDate,
+    endTime: reservation.endTime,
+    totalDays,
+    totalPrice,
+    payment: status === 'pending' ? null : { status: 'paid', method: 'bca_va', amount: totalPrice },
+    deposit: status === 'confirmed' ? createDeposit(motor) : holdDeposit(createDeposit(motor)),
+    fees: [],
+    history: [],
+    createdAt: `${addDays(today, -3)}T10:00:00+08:00`
+  };
+};
+
+const seedBookings = (reservations, today) => {
+  const held = reservations.filter(reservation => !reservation.type);
+  return [
+    ...held.map((reservation, index) => seedBooking(
+      reservation,
+      index,
+      reservation.startDate <= today ? 'picked_up' : 'confirmed',
+      today
+    )),
+    seedBooking(
+      { motorcycleId: 3, unitId: 6, startDate: addDays(today, -7), startTime: '09:00', endDate: addDays(today, -4), endTime: '09:00' },
+      held.length,
+      'returned',
+      today
+    )
+  ];
+};
+
+// Last full service (oil, brakes, tyres) and last oil change per unit as
+// [days ago, odometer]. Unit 3 is past its oil change so it cannot be booked;
+// units 2, 5, 8 and 10 show up as nearly due (see src/lib/maintenance.js).
+const serviceHistory = [
+  [1, [120, 9000], [20, 11800]],
+  [2, [90, 6000], [55, 8200]],
+  [3, [150, 17000], [40, 19000]],
+  [4, [60, 12000], [30, 14000]],
+  [5, [100, 0], [45, 2000]],
+  [6, [100, 14000], [25, 18000]],
+  [7, [400, 26000], [400, 26000]],
+  [8, [80, 6000], [30, 7650]],
+  [9, [60, 3000], [20, 6000]],
+  [10, [176, 8000], [15, 10800]],
+  [11, [90, 10000], [35, 13000]]
+];
+
+const seedMaintenance = (today) => serviceHistory.flatMap(([unitId, [fullDaysAgo, fullOdometer], [oilDaysAgo, oilOdometer]], index) => {
+  const { motorcycleId } = units.find(unit => unit.id === unitId);
+  return [
+    { id: index * 2 + 1, unitId, motorcycleId, date: addDays(today, -fullDaysAgo), odometer: fullOdometer, types: ['oil', 'brakes', 'tyres'], note: 'Servis lengkap', by: 'Bengkel MotorRent' },
+    { id: index * 2 + 2, unitId, motorcycleId, date: addDays(today, -oilDaysAgo), odometer: oilOdometer, types: ['oil'], note: '', by: 'Bengkel MotorRent' }
+  ];
+});
+
+const seedVouchers = (today) => [
+  { id: 1, code: 'BALI10', type: 'percent', value: 10, maxDiscount: 100000, minDays: 2, expiresAt: addDays(today, 90), usageLimit: 500, usedCount: 0, active: true },
+  { id: 2, code: 'SPORT50K', type: 'fixed', value: 50000, minDays: 3, categories: ['sport'], expiresAt: addDays(today, 60), usageLimit: 100, usedCount: 0, active: true },
+  { id: 3, code: 'NMAXHEMAT', type: 'fixed', value: 25000, motorcycleIds: [2], expiresAt: addDays(today, 30), usageLimit: 50, usedCount: 0, active: true },
+  { id: 4, code: 'MINGGUAN15', type: 'percent', value: 15, minDays: 7, usageLimit: null, usedCount: 0, active: true },
+  { id: 5, code: 'MERDEKA', type: 'percent', value: 17, expiresAt: addDays(today, -1), usageLimit: 100, usedCount: 0, active: true },
+  { id: 6, code: 'HABIS', type: 'fixed', value: 20000, usageLimit: 10, usedCount: 10, active: true }
+];
+
+// Standard helmet and jacket stay free; these are the paid extras
+const addons = [
+  { id: 'helmet', name: 'Helm Tambahan', description: 'Helm half-face SNI untuk pembonceng', price: 10000, unit: 'day', maxQuantity: 2, icon: 'helmet' },
+  { id: 'raincoat', name: 'Jas Hujan', description: 'Jas hujan setelan atas-bawah', price: 5000, unit: 'day', maxQuantity: 2, icon: 'rain' },
+  { id: 'phone-mount', name: 'Phone Holder', description: 'Dudukan HP di stang untuk navigasi', price: 5000, unit: 'day', maxQuantity: 1, icon: 'phone' },
+  { id: 'surf-rack', name: 'Surf Rack', description: 'Rak papan selancar samping (khusus matic)', price: 20000, unit: 'day', maxQuantity: 1, icon: 'surf', categories: ['matic'] }
+];
+
+const locations = [
+  { id: 'kuta', name: 'MotorRent Kuta (Pusat)', address: 'Jl. Raya Kuta No.123, Badung, Bali 80361', zoneId: 'kuta' },
+  { id: 'airport', name: 'Bandara Ngurah Rai', address: 'Area Kedatangan Internasional, Tuban, Badung', zoneId: 'kuta', fee: 30000 },
+  { id: 'seminyak', name: 'MotorRent Seminyak', address: 'Jl. Kayu Aya No.45, Seminyak, Badung', zoneId: 'seminyak' },
+  { id: 'canggu', name: 'MotorRent Canggu', address: 'Jl. Batu Bolong No.88, Canggu, Badung', zoneId: 'canggu' },
+  { id: 'sanur', name: 'MotorRent Sanur', address: 'Jl. Danau Tamblingan No.60, Sanur, Denpasar', zoneId: 'sanur' },
+  { id: 'ubud', name: 'MotorRent Ubud', address: 'Jl. Monkey Forest No.21, Ubud, Gianyar', zoneId: 'ubud' }
+];
+
+// Flat fee per trip to or from a hotel in the zone
+const deliveryZones = [
+  { id: 'kuta', name: 'Kuta, Legian & Tuban', fee: 25000 },
+  { id: 'seminyak', name: 'Seminyak & Kerobokan', fee: 35000 },
+  { id: 'canggu', name: 'Canggu & Berawa', fee: 45000 },
+  { id: 'sanur', name: 'Sanur & Denpasar', fee: 40000 },
+  { id: 'nusa-dua', name: 'Nusa Dua, Jimbaran & Uluwatu', fee: 50000 },
+  { id: 'ubud', name: 'Ubud', fee: 75000 }
+];
+
+export const createDb = () => {
+  const today = todayKey();
+  const reservations = seedReservations(today);
+  const bookings = seedBookings(reservations, today);
+  // A customer's hold carries its booking code, which the customer proves to change it
+  bookings.forEach(booking => {
+    const reservation = reservations.find(item => item.id === booking.reservationId);
+    if (reservation) reservation.bookingCode = booking.code;
+  });
+  return {
+    motorcycles: structuredClone(motorcycles),
+    units: structuredClone(units),
+    maintenance: seedMaintenance(today),
+    reservations,
+    bookings,
+    vouchers: seedVouchers(today),
+    addons: structuredClone(addons),
+    locations: structuredClone(locations),
+    deliveryZones: structuredClone(deliveryZones),
+    documents: [],
+    invoices: [],
+    payments: [],
+    notifications: []
+  };
+};
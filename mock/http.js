@@ -0,0 +1,29 @@
+// Request/response helpers shared by the mock API modules
+
+export const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+// Thrown by handlers to answer with a status and message
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch {
+      reject(new HttpError(400, 'Isi permintaan bukan JSON yang valid'));
+    }
+  });
+  req.on('error', reject);
+});
@@ -0,0 +1,103 @@
+import { LESSOR } from '../src/lib/agreement.js';
+import {
+  renderNotification,
+  toWhatsAppNumber,
+  getReminderSchedule,
+  getPendingReminders,
+  withNotifications,
+  withRemindersCancelled
+} from '../src/lib/notifications.js';
+import { HttpError } from './http.js';
+
+// Outgoing email and WhatsApp for the mock API. The real backend renders the
+// same templates and hands them to SMTP and WhatsApp Business; the mock has
+// neither, so every message stays in `db.notifications` with status `queued`
+// (or `scheduled` until its `sendAt`) and is never delivered. Booking messages
+// go to the contact details stored on the booking and contact form messages to
+// LESSOR; the one address taken from a request is the sender's autoreply,
+// which carries only fixed text.
+
+const RESCHEDULE_FIELDS = ['startDate', 'startTime', 'endDate', 'endTime'];
+
+const WITHDRAWING_STATUSES = ['cancelled', 'expired'];
+
+export const createNotifications = (db) => {
+  let sequence = 0;
+
+  // One message per channel the template and the recipient allow
+  const deliver = (type, data, { email, phone }, { sendAt, bookingId } = {}) => [
+    { channel: 'email', to: email },
+    { channel: 'whatsapp', to: toWhatsAppNumber(phone) }
+  ]
+    .filter(({ channel, to }) => to && renderNotification(type, channel, data))
+    .map(({ channel, to }) => {
+      sequence += 1;
+      const message = {
+        id: `NTF-${Date.now().toString(36).toUpperCase()}-${sequence}`,
+        type,
+        channel,
+        to,
+        ...renderNotification(type, channel, data),
+        bookingId: bookingId ?? null,
+        status: sendAt ? 'scheduled' : 'queued',
+        ...(sendAt && { sendAt: sendAt.toISOString() }),
+        createdAt: new Date().toISOString()
+      };
+      db.notifications.push(message);
+      return { type, channel, id: message.id, status: message.status, ...(sendAt && { sendAt: message.sendAt }) };
+    });
+
+  const notifyBooking = (booking, messages) => withNotifications(
+    booking,
+    messages.flatMap(({ type, sendAt }) => deliver(type, booking, booking, { sendAt, bookingId: booking.id }))
+  );
+
+  // Reminders for old dates, or for a booking that will not go ahead, must not go out
+  const withdrawReminders = (booking) => {
+    const ids = getPendingReminders(booking).map(item => item.id);
+    db.notifications.forEach(message => {
+      if (ids.includes(message.id) && message.status === 'scheduled') message.status = 'cancelled';
+    });
+    return withRemindersCancelled(booking, ids);
+  };
+
+  return {
+    // Runs whenever a booking is stored, whoever wrote it (the customer's
+    // tab, staff, or a settled charge). Returns the booking to store.
+    onBookingChange: (booking, previous) => {
+      if (booking.status === 'confirmed' && previous?.status !== 'confirmed') {
+        return notifyBooking(booking, [
+          { type: 'booking_confirmed' },
+          ...(booking.payment?.status === 'paid' ? [{ type: 'payment_received' }] : []),
+          ...getReminderSchedule(booking)
+        ]);
+      }
+      if (WITHDRAWING_STATUSES.includes(booking.status) && previous?.status !== booking.status) {
+        return withdrawReminders(booking);
+      }
+      if (booking.status === 'confirmed' && RESCHEDULE_FIELDS.some(field => booking[field] !== previous[field])) {
+        const withdrawn = withdrawReminders(booking);
+        return notifyBooking(withdrawn, getReminderSchedule(withdrawn));
+      }
+      return booking;
+    },
+
+    // POST /api/notifications. Booking messages only ever go out from
+    // onBookingChange; the browser may ask for the contact form message, and
+    // only names the template and the form fields.
+    request: ({ template, data }) => {
+      if (template !== 'contact_message') throw new HttpError(400, 'Template pesan tidak dikenal');
+      const message = {
+        name: String(data?.name || '').trim(),
+        email: String(data?.email || '').trim(),
+        message: String(data?.message || '').trim()
+      };
+      if (!message.name || !/\S+@\S+\.\S+/.test(message.email) || !message.message) {
+        throw new HttpError(400, 'Nama, email dan pesan harus diisi');
+      }
+      const deliveries = deliver('contact_message', message, { email: LESSOR.email });
+      deliver('contact_received', message, { email: message.email });
+      return { deliveries };
+    }
+  };
+};
@@ -0,0 +1,44 @@
+import { randomInt } from 'node:crypto';
+import { getChargeExpiry } from '../src/lib/payments.js';
+
+// Stands in for the payment gateway (Midtrans/Xendit) behind the backend.
+// Charges get made-up payment instructions and never settle by themselves;
+// the `simulate` action settles one the way the gateway's webhook would.
+
+const randomDigits = (length) => Array.from({ length }, () => randomInt(10)).join('');
+
+const chargeInstructions = (method, chargeId) => {
+  if (method.type === 'va') {
+    return { bank: method.bank, vaNumber: `8808${randomDigits(12)}` };
+  }
+  if (method.type === 'qris') {
+    return { qrString: `00020101021226670016ID.CO.SANDBOX.WWW0118${chargeId}5303360` };
+  }
+  return { provider: method.label, checkoutUrl: null };
+};
+
+// The amount and expiry come from the stored booking, never from the request
+export const createCharge = (booking, method, now = new Date()) => {
+  const id = `PAY-${now.getTime().toString(36).toUpperCase()}-${randomDigits(4)}`;
+  return {
+    id,
+    bookingId: booking.id,
+    method: method.id,
+    amount: booking.totalPrice,
+    status: 'pending',
+    createdAt: now.toISOString(),
+    expiresAt: getChargeExpiry(booking, method, now).toISOString(),
+    instructions: chargeInstructions(method, id)
+  };
+};
+
+// Real gateways expire unpaid charges on their own
+export const expireIfDue = (charge, now = new Date()) => (
+  charge.status === 'pending' && new Date(charge.expiresAt) <= now ? { ...charge, status: 'expired' } : charge
+);
+
+export const SIMULATED_OUTCOMES = {
+  success: (charge) => ({ ...charge, status: 'paid', paidAt: new Date().toISOString() }),
+  failure: (charge) => ({ ...charge, status: 'failed', failureReason: 'Pembayaran ditolak oleh penerbit' }),
+  timeout: (charge) => ({ ...charge, status: 'expired' })
+};
@@ -0,0 +1,407 @@
+import { createDb } from './db.js';
+import { findConflicts } from '../src/lib/availability.js';
+import { findFreeUnit, getModelUnits } from '../src/lib/units.js';
+import { isUnitDue } from '../src/lib/maintenance.js';
+import { todayKey } from '../src/lib/dates.js';
+import { INVOICE_TYPES, formatInvoiceNumber } from '../src/lib/invoices.js';
+import { findPaymentMethod } from '../src/lib/payments.js';
+import { applyPaymentUpdate } from '../src/lib/bookings.js';
+import { isBlockout } from '../src/lib/schedule.js';
+import { HttpError, readBody, sendJson } from './http.js';
+import { createAuth } from './auth.js';
+import { SIMULATED_OUTCOMES, createCharge, expireIfDue } from './payments.js';
+import { createNotifications } from './notifications.js';
+
+// Vite dev/preview middleware that stands in for the REST backend.
+// Collections from ./db.js are served json-server style:
+//   GET    /api/:collection?field=value
+//   GET    /api/:collection/:id
+//   POST   /api/:collection
+//   PUT    /api/:collection/:id   (PATCH merges)
+//   DELETE /api/:collection/:id
+//   POST   /api/:collection/:id/:action   (see `actions`)
+// plus /api/auth/* (see ./auth.js) and POST /api/notifications (see
+// ./notifications.js). Staff-only requests need a staff token.
+// Requests that belong to one booking prove it with the booking code in an
+// `X-Booking-Code` header (see `accessRules`).
+
+const matchesQuery = (item, query) => {
+  for (const [field, expected] of query) {
+    if (String(item[field]) !== expected) return false;
+  }
+  return true;
+};
+
+// Per-collection write checks, mirroring what the real backend enforces.
+// Returning a message rejects the write with 409 Conflict. `previous` is the
+// stored item on PUT/PATCH.
+const validators = {
+  // A reservation without a unit is given a free one of its model, keeping
+  // the unit it already had when that is still free. Units due for service
+  // are never handed out; staff can still place a block-out on them.
+  reservations: (db, item, previous) => {
+    const others = db.reservations.filter(other => other.id !== item.id);
+    if (item.unitId != null) {
+      const sameUnit = others.filter(other => String(other.unitId) === String(item.unitId));
+      return findConflicts(sameUnit, item).length > 0 ? 'Unit sudah dipesan pada tanggal tersebut' : null;
+    }
+    const candidates = getModelUnits(db.units, item.motorcycleId).filter(unit => !isUnitDue(unit, db.maintenance, todayKey()));
+    const unit = findFreeUnit(candidates, others, item, previous?.unitId);
+    if (!unit) return 'Motor sudah dipesan pada tanggal tersebut';
+    item.unitId = unit.id;
+    return null;
+  },
+  // Numbers run per type and month without gaps; the client never picks its own
+  invoices: (db, item) => {
+    if (!INVOICE_TYPES[item.type]) return 'Jenis dokumen tidak dikenal';
+    const issuedAt = item.issuedAt ? new Date(item.issuedAt) : new Date();
+    const series = formatInvoiceNumber(item.type, 0, issuedAt).replace(/\d+$/, '');
+    const sequence = db.invoices.filter(other => other.number.startsWith(series)).length + 1;
+    item.number = formatInvoiceNumber(item.type, sequence, issuedAt);
+    return null;
+  },
+  // A new charge is made from the stored booking; the body only picks the method
+  payments: (db, item, previous) => {
+    if (previous) return null;
+    const booking = db.bookings.find(other => String(other.id) === String(item.bookingId));
+    const method = findPaymentMethod(item.method);
+    if (!booking || !method) throw new HttpError(400, 'Booking atau metode pembayaran tidak dikenal');
+    if (booking.status !== 'pending') return 'Booking sudah tidak menunggu pembayaran';
+    Object.assign(item, createCharge(booking, method));
+    return null;
+  },
+  units: (db, item) => {
+    const plate = String(item.plate || '').replace(/\s+/g, '').toUpperCase();
+    const taken = db.units.some(other =>
+      other.id !== item.id && other.plate.replace(/\s+/g, '').toUpperCase() === plate
+    );
+    return taken ? 'Nomor plat sudah terdaftar' : null;
+  },
+  vouchers: (db, item) => {
+    if (item.usageLimit != null && item.usedCount > item.usageLimit) {
+      return 'Kuota voucher sudah habis';
+    }
+    return null;
+  }
+};
+
+const validate = (db, name, item, previous) => validators[name]?.(db, item, previous) ?? null;
+
+// Who may make a request. A rule returns 'owner' when the caller must send the
+// code of the booking the stored item belongs to, 'staff' for staff only, or
+// null when anyone may. Staff pass the owner check too. `item` is the body of
+// a write, `previous` the stored item, and `action` is set for POST /:id/:action.
+
+// Handover statuses are set by staff at the counter; customers only reach
+// `confirmed` by paying and may cancel their own booking
+const STAFF_BOOKING_STATUSES = ['confirmed', 'picked_up', 'returned', 'closed'];
+
+const staffWrites = (method) => (method === 'GET' ? null : 'staff');
+
+// Files and money records of one booking. Its owner reads an item by id;
+// the lists hold every customer's, so only staff read those.
+const bookingRecordRule = (method, { id }) => {
+  if (method === 'POST') return null;
+  return method === 'GET' && id !== undefined ? 'owner' : 'staff';
+};
+
+const accessRules = {
+  motorcycles: staffWrites,
+  units: staffWrites,
+  maintenance: staffWrites,
+  // The full list holds every customer's details; one booking is read by its
+  // code. Only the payment effect or staff confirm a booking.
+  bookings: (method, { id, item, previous }) => {
+    if (method === 'GET') return id === undefined ? 'staff' : null;
+    if (method === 'DELETE') return 'staff';
+    if (!previous || item.status === previous.status) return null;
+    return STAFF_BOOKING_STATUSES.includes(item.status) ? 'staff' : null;
+  },
+  // Block-outs and moving a hold to another unit are staff actions; a
+  // customer's hold is moved or released only by that customer
+  reservations: (method, { item, previous }) => {
+    if (method === 'GET') return null;
+    if ((item && isBlockout(item)) || (previous && isBlockout(previous))) return 'staff';
+    if (previous && item?.unitId != null && String(item.unitId) !== String(previous.unitId)) return 'staff';
+    return previous?.bookingCode ? 'owner' : null;
+  },
+  // Customers change usage only through the redeem and release actions
+  vouchers: (method, { action }) => (method === 'GET' || action ? null : 'staff'),
+  documents: bookingRecordRule,
+  invoices: bookingRecordRule,
+  // A charge is settled by the gateway; its customer may only cancel it
+  payments: (method, context) => (context.action ? 'owner' : bookingRecordRule(method, context)),
+  // The outbox holds messages to every customer; the contact form is sent
+  // through POST /api/notifications before this is reached
+  notifications: () => 'staff'
+};
+
+// The booking code each collection's items belong to
+const ownerCodes = {
+  reservations: (item) => item.bookingCode,
+  documents: (item) => item.bookingCode,
+  invoices: (item) => item.bookingCode,
+  payments: (item) => item.bookingId
+};
+
+const checkAccess = ({ auth }, req, name, context) => {
+  const rule = accessRules[name]?.(req.method, context) ?? null;
+  if (rule === 'staff') auth.requireStaff(req);
+  if (rule === 'owner' && !auth.isStaff(req)) {
+    const code = ownerCodes[name](context.previous);
+    if (!code || req.headers['x-booking-code'] !== code) {
+      throw new HttpError(403, 'Kode booking tidak cocok dengan data ini');
+    }
+  }
+};
+
+// Fields a write never changes once stored, and fields never sent back.
+// A booking's payment follows its charge, so only the payment effect sets it;
+// its account is the one signed in when it was made, or one that claims it,
+// and its notifications are what the backend sent.
+// Booking codes are their owner's proof, so a hold's code and the bookings
+// that redeemed a voucher are not shown to whoever reads the calendar or
+// looks up a voucher.
+const keptFields = {
+  bookings: ['payment', 'userId', 'notifications'],
+  reservations: ['bookingCode'],
+  vouchers: ['redemptions']
+};
+
+const hiddenFields = {
+  reservations: ['bookingCode'],
+  vouchers: ['redemptions']
+};
+
+const withKeptFields = (name, item, previous) => ({
+  ...item,
+  ...Object.fromEntries((keptFields[name] || []).filter(field => field in previous).map(field => [field, previous[field]]))
+});
+
+// What a new item starts with whatever the body says; a booking is paid for
+// after it is made and belongs to the account that made it, if any
+const createdFields = {
+  bookings: (req, { auth }) => ({ status: 'pending', payment: null, userId: auth.accountFor(req)?.id ?? null, notifications: [] })
+};
+
+const toResponse = (name, item) => {
+  const hidden = hiddenFields[name];
+  if (!hidden) return item;
+  return Object.fromEntries(Object.entries(item).filter(([field]) => !hidden.includes(field)));
+};
+
+// Bookings that still hold their voucher use; cancelling or expiring gives it back
+const VOUCHER_HOLDING_STATUSES = ['pending', 'confirmed', 'picked_up', 'returned', 'closed'];
+
+// A voucher use is counted once per booking. The cap check and the increment
+// happen in one step, so two checkouts cannot both take the last use.
+const redeemVoucher = (voucher, bookingId) => {
+  const redemptions = voucher.redemptions || [];
+  if (redemptions.includes(bookingId)) return voucher;
+  if (voucher.usageLimit != null && (voucher.usedCount || 0) >= voucher.usageLimit) {
+    throw new HttpError(409, 'Kuota voucher sudah habis');
+  }
+  return { ...voucher, usedCount: (voucher.usedCount || 0) + 1, redemptions: [...redemptions, bookingId] };
+};
+
+const releaseVoucher = (voucher, bookingId) => {
+  if (!(voucher.redemptions || []).includes(bookingId)) return voucher;
+  return { ...voucher, usedCount: voucher.usedCount - 1, redemptions: voucher.redemptions.filter(id => id !== bookingId) };
+};
+
+const updateVoucherByCode = (db, code, change) => {
+  const index = db.vouchers.findIndex(voucher => voucher.code === code);
+  if (index !== -1) db.vouchers[index] = change(db.vouchers[index]);
+};
+
+// POST /api/:collection/:id/:action. Each returns the item to store.
+const actions = {
+  payments: {
+    // Voids a charge nobody paid, as the gateway would; a settled one is returned unchanged
+    cancel: (db, charge) => (charge.status === 'pending' ? { ...charge, status: 'expired' } : charge),
+    // Mock only, for the dev build's sandbox gateway: settles a pending charge
+    // as 'success', 'failure' or 'timeout'
+    simulate: (db, charge, { outcome }) => {
+      const settle = SIMULATED_OUTCOMES[outcome];
+      if (!settle) throw new HttpError(400, 'Hasil simulasi tidak dikenal');
+      return charge.status === 'pending' ? settle(charge) : charge;
+    }
+  },
+  vouchers: {
+    // Called as the customer pays for a pending booking that carries this voucher
+    redeem: (db, voucher, { bookingId }) => {
+      const booking = db.bookings.find(item => String(item.id) === String(bookingId));
+      if (!booking || booking.voucher?.code !== voucher.code) {
+        throw new HttpError(400, 'Booking tidak memakai voucher ini');
+      }
+      if (booking.status !== 'pending') throw new HttpError(409, 'Booking sudah tidak menunggu pembayaran');
+      if (voucher.active === false || (voucher.expiresAt && todayKey() > voucher.expiresAt)) {
+        throw new HttpError(409, 'Voucher sudah tidak berlaku');
+      }
+      return redeemVoucher(voucher, String(booking.id));
+    },
+    // Only for a booking whose payment did not go through; a paid booking keeps its use
+    release: (db, voucher, { bookingId }) => {
+      const booking = db.bookings.find(item => String(item.id) === String(bookingId));
+      if (booking && booking.status !== 'pending' && VOUCHER_HOLDING_STATUSES.includes(booking.status)) {
+        throw new HttpError(409, 'Voucher sudah dipakai booking yang dibayar');
+      }
+      return releaseVoucher(voucher, String(bookingId));
+    }
+  }
+};
+
+// What the backend does when a write lands, whoever made it. Each effect
+// returns the item to store.
+const createEffects = (db, notifications) => {
+  // The voucher use goes back when the booking is cancelled or expires, or
+  // when a reschedule drops a voucher the new dates no longer qualify for.
+  // Confirmations and reminders follow the booking's status and dates.
+  const onBookingChange = (booking, previous) => {
+    const held = VOUCHER_HOLDING_STATUSES.includes(booking.status) ? booking.voucher?.code : null;
+    new Set([previous?.voucher?.code, booking.voucher?.code]).forEach(code => {
+      if (code && code !== held) updateVoucherByCode(db, code, voucher => releaseVoucher(voucher, String(booking.id)));
+    });
+    return notifications.onBookingChange(booking, previous);
+  };
+
+  return {
+    bookings: onBookingChange,
+    // Stands in for the gateway webhook: the booking follows its charge, and
+    // is confirmed here once the charge is paid, so the confirmation goes out
+    // even if the customer's tab is closed
+    payments: (charge, previous) => {
+      if (charge.status === previous?.status) return charge;
+      const index = db.bookings.findIndex(booking => String(booking.id) === String(charge.bookingId));
+      if (index !== -1 && db.bookings[index].status === 'pending') {
+        db.bookings[index] = onBookingChange(applyPaymentUpdate(db.bookings[index], charge), db.bookings[index]);
+      }
+      return charge;
+    }
+  };
+};
+
+const nextId = (items) => items.reduce((max, item) => (
+  typeof item.id === 'number' ? Math.max(max, item.id) : max
+), 0) + 1;
+
+// Changes the real backend makes on its own as time passes. The mock applies
+// them to a collection whenever it is requested.
+const timedChanges = {
+  payments: expireIfDue
+};
+
+const applyTimedChanges = ({ db, effects }, name) => {
+  const change = timedChanges[name];
+  if (!change) return;
+  db[name].forEach((item, index) => {
+    const next = change(item);
+    if (next !== item) db[name][index] = effects[name]?.(next, item) ?? next;
+  });
+};
+
+const handleAction = async (api, req, res, name, id, action) => {
+  const { db, effects } = api;
+  const handler = actions[name]?.[action];
+  if (!handler) return sendJson(res, 404, { message: 'Endpoint tidak ditemukan' });
+  if (req.method !== 'POST') return sendJson(res, 405, { message: `Method ${req.method} tidak didukung` });
+  const items = db[name];
+  const index = items.findIndex(item => String(item.id) === id);
+  if (index === -1) return sendJson(res, 404, { message: 'Data tidak ditemukan' });
+  const previous = items[index];
+  checkAccess(api, req, name, { id, action, previous });
+  const updated = handler(db, previous, await readBody(req));
+  items[index] = effects[name]?.(updated, previous) ?? updated;
+  return sendJson(res, 200, toResponse(name, items[index]));
+};
+
+const handleCollection = async (api, req, res, name, id, query) => {
+  const { db, effects } = api;
+  const items = db[name];
+  if (!items) return sendJson(res, 404, { message: `Koleksi "${name}" tidak ditemukan` });
+
+  const index = id === undefined ? -1 : items.findIndex(item => String(item.id) === id);
+  if (id !== undefined && index === -1) {
+    return sendJson(res, 404, { message: 'Data tidak ditemukan' });
+  }
+
+  const previous = index === -1 ? undefined : items[index];
+
+  switch (req.method) {
+    case 'GET':
+      checkAccess(api, req, name, { id, previous });
+      return sendJson(res, 200, id === undefined
+        ? items.filter(item => matchesQuery(item, query)).map(item => toResponse(name, item))
+        : toResponse(name, previous));
+    case 'POST': {
+      if (id !== undefined) break;
+      const body = await readBody(req);
+      const item = { ...body, ...createdFields[name]?.(req, api), id: body.id ?? nextId(items) };
+      checkAccess(api, req, name, { item });
+      const conflict = validate(db, name, item);
+      if (conflict) return sendJson(res, 409, { message: conflict });
+      const stored = effects[name]?.(item) ?? item;
+      items.push(stored);
+      return sendJson(res, 201, toResponse(name, stored));
+    }
+    case 'PUT':
+    case 'PATCH': {
+      if (id === undefined) break;
+      const body = await readBody(req);
+      const base = req.method === 'PATCH' ? previous : {};
+      const item = withKeptFields(name, { ...base, ...body, id: previous.id }, previous);
+      checkAccess(api, req, name, { id, item, previous });
+      const conflict = validate(db, name, item, previous);
+      if (conflict) return sendJson(res, 409, { message: conflict });
+      items[index] = effects[name]?.(item, previous) ?? item;
+      return sendJson(res, 200, toResponse(name, items[index]));
+    }
+    case 'DELETE':
+      if (id === undefined) break;
+      checkAccess(api, req, name, { id, previous });
+      items.splice(index, 1);
+      return sendJson(res, 204);
+  }
+
+  return sendJson(res, 405, { message: `Method ${req.method} tidak didukung` });
+};
+
+export const mockApi = ({ prefix = '/api', delay = 300 } = {}) => {
+  const db = createDb();
+  const auth = createAuth(db);
+  const notifications = createNotifications(db);
+  const api = { db, auth, effects: createEffects(db, notifications) };
+
+  const middleware = async (req, res, next) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.startsWith(`${prefix}/`)) return next();
+
+    const [name, ...rest] = url.pathname.slice(prefix.length + 1).split('/').filter(Boolean);
+    await new Promise(resolve => setTimeout(resolve, delay));
+
+    try {
+      if (name === 'auth') {
+        const [status, body] = await auth.handle(req, rest.join('/'));
+        return sendJson(res, status, body);
+      }
+      if (name === 'notifications' && req.method === 'POST' && rest.length === 0) {
+        return sendJson(res, 201, notifications.request(await readBody(req)));
+      }
+      applyTimedChanges(api, name);
+      if (rest.length === 2) return await handleAction(api, req, res, name, rest[0], rest[1]);
+      await handleCollection(api, req, res, name, rest[0], url.searchParams);
+    } catch (error) {
+      sendJson(res, error instanceof HttpError ? error.status : 500, { message: error.message });
+    }
+  };
+
+  return {
+    name: 'motorrent-mock-api',
+    configureServer(server) {
+      server.middlewares.use(middleware);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(middleware);
+    }
+  };
+};
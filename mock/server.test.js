@@ -0,0 +1,507 @@
+import { createServer } from 'node:http';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mockApi } from './server.js';
+
+// Each test gets its own mock API, with a freshly seeded db, on a free port
+let server;
+let baseUrl;
+
+beforeEach(async () => {
+  let middleware;
+  mockApi({ delay: 0 }).configureServer({ middlewares: { use: (handler) => { middleware = handler; } } });
+  server = createServer((req, res) => middleware(req, res, () => {
+    res.statusCode = 404;
+    res.end();
+  }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+afterEach(() => new Promise(resolve => server.close(resolve)));
+
+const api = async (path, { method = 'GET', body, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+const hold = { motorcycleId: 2, startDate: '2030-03-04', startTime: '09:00', endDate: '2030-03-06', endTime: '09:00' };
+
+describe('request bodies', () => {
+  it('answers malformed JSON with 400', async () => {
+    const { status, body } = await api('/bookings', { method: 'POST', body: '{"name": ' });
+    expect(status).toBe(400);
+    expect(body.message).toBe('Isi permintaan bukan JSON yang valid');
+  });
+});
+
+describe('reservations', () => {
+  const createHold = async () => (await api('/reservations', { method: 'POST', body: { ...hold, bookingCode: 'MR-300304-ABCD' } })).body;
+
+  it('never shows the booking code of a hold', async () => {
+    const created = await createHold();
+    expect(created.bookingCode).toBeUndefined();
+    const { body: list } = await api('/reservations?motorcycleId=2');
+    expect(list.every(reservation => !('bookingCode' in reservation))).toBe(true);
+    expect((await api(`/reservations/${created.id}`)).body.bookingCode).toBeUndefined();
+  });
+
+  it('refuses to release a hold without its booking code', async () => {
+    const created = await createHold();
+    expect((await api(`/reservations/${created.id}`, { method: 'DELETE' })).status).toBe(403);
+    expect((await api(`/reservations/${created.id}`, { method: 'DELETE', headers: { 'X-Booking-Code': 'MR-300304-WXYZ' } })).status).toBe(403);
+    expect((await api(`/reservations/${created.id}`, { method: 'DELETE', headers: { 'X-Booking-Code': 'MR-300304-ABCD' } })).status).toBe(204);
+  });
+
+  it('moves a hold for its owner and keeps it tied to the booking', async () => {
+    const created = await createHold();
+    const moved = { ...hold, startDate: '2030-03-10', endDate: '2030-03-12' };
+    expect((await api(`/reservations/${created.id}`, { method: 'PUT', body: moved })).status).toBe(403);
+
+    const owner = { 'X-Booking-Code': 'MR-300304-ABCD' };
+    const { status, body } = await api(`/reservations/${created.id}`, { method: 'PUT', body: { ...moved, bookingCode: null }, headers: owner });
+    expect(status).toBe(200);
+    expect(body.startDate).toBe('2030-03-10');
+    // The code did not change with the body, so it still opens the hold
+    expect((await api(`/reservations/${created.id}`, { method: 'DELETE', headers: owner })).status).toBe(204);
+  });
+
+  it('ties the seeded holds to their bookings', async () => {
+    const { body: booking } = await api('/bookings/MR-SEED-0001');
+    const path = `/reservations/${booking.reservationId}`;
+    expect((await api(path, { method: 'DELETE' })).status).toBe(403);
+    expect((await api(path, { method: 'DELETE', headers: { 'X-Booking-Code': booking.code } })).status).toBe(204);
+  });
+});
+
+describe('voucher redemption', () => {
+  // HABIS (id 6) has 10 of 10 uses taken; NMAXHEMAT (id 3) has 50 left
+  const pendingBooking = async (code, voucherCode) => (await api('/bookings', {
+    method: 'POST',
+    body: {
+      id: code,
+      code,
+      status: 'pending',
+      motorcycleId: 2,
+      totalPrice: 215000,
+      createdAt: new Date().toISOString(),
+      voucher: { code: voucherCode, type: 'fixed', value: 25000, discount: 25000 }
+    }
+  })).body;
+
+  const redeem = (voucherId, bookingId) => api(`/vouchers/${voucherId}/redeem`, { method: 'POST', body: { bookingId } });
+
+  it('counts one use per booking and hides who redeemed it', async () => {
+    await pendingBooking('MR-300304-AAAA', 'NMAXHEMAT');
+    const first = await redeem(3, 'MR-300304-AAAA');
+    expect(first.status).toBe(200);
+    expect(first.body.usedCount).toBe(1);
+    expect(first.body.redemptions).toBeUndefined();
+    // Retrying the same payment does not take another use
+    expect((await redeem(3, 'MR-300304-AAAA')).body.usedCount).toBe(1);
+    const { body: [voucher] } = await api('/vouchers?code=NMAXHEMAT');
+    expect(voucher).toMatchObject({ usedCount: 1 });
+    expect(voucher.redemptions).toBeUndefined();
+  });
+
+  it('refuses a voucher whose uses have run out', async () => {
+    await pendingBooking('MR-300304-BBBB', 'HABIS');
+    const { status, body } = await redeem(6, 'MR-300304-BBBB');
+    expect(status).toBe(409);
+    expect(body.message).toBe('Kuota voucher sudah habis');
+  });
+
+  it('only redeems for a pending booking that carries the voucher', async () => {
+    expect((await redeem(3, 'MR-300304-NONE')).status).toBe(400);
+    await pendingBooking('MR-300304-CCCC', 'BALI10');
+    expect((await redeem(3, 'MR-300304-CCCC')).status).toBe(400);
+  });
+
+  it('gives the use back when the booking is cancelled', async () => {
+    const booking = await pendingBooking('MR-300304-DDDD', 'NMAXHEMAT');
+    await redeem(3, booking.id);
+    await api(`/bookings/${booking.id}`, { method: 'PUT', body: { ...booking, status: 'cancelled' } });
+    expect((await api('/vouchers/3')).body.usedCount).toBe(0);
+  });
+
+  it('gives the use back when a reschedule drops the voucher', async () => {
+    const booking = await pendingBooking('MR-300304-FFFF', 'NMAXHEMAT');
+    await redeem(3, booking.id);
+    await api(`/bookings/${booking.id}`, { method: 'PUT', body: { ...booking, voucher: null } });
+    expect((await api('/vouchers/3')).body.usedCount).toBe(0);
+  });
+
+  it('keeps the use of a paid booking on release', async () => {
+    const booking = await pendingBooking('MR-300304-EEEE', 'NMAXHEMAT');
+    await redeem(3, booking.id);
+    const { body: charge } = await api('/payments', { method: 'POST', body: { bookingId: booking.id, method: 'qris' } });
+    await api(`/payments/${charge.id}/simulate`, { method: 'POST', body: { outcome: 'success' }, headers: { 'X-Booking-Code': booking.code } });
+    expect((await api('/vouchers/3/release', { method: 'POST', body: { bookingId: booking.id } })).status).toBe(409);
+  });
+
+  it('leaves usage counters to the actions', async () => {
+    expect((await api('/vouchers/6', { method: 'PATCH', body: { usedCount: 0 } })).status).toBe(401);
+  });
+});
+
+describe('payments', () => {
+  const pendingBooking = async (code) => (await api('/bookings', {
+    method: 'POST',
+    body: { id: code, code, status: 'pending', motorcycleId: 2, totalPrice: 240000, createdAt: new Date().toISOString() }
+  })).body;
+
+  const charge = (bookingId, body = {}) => api('/payments', { method: 'POST', body: { bookingId, method: 'bca_va', ...body } });
+
+  it('charges the stored booking total whatever the request says', async () => {
+    const booking = await pendingBooking('MR-300304-PAY1');
+    const { status, body } = await charge(booking.id, { amount: 1000, status: 'paid' });
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ bookingId: booking.id, amount: 240000, status: 'pending', instructions: { bank: 'BCA' } });
+    expect(new Date(body.expiresAt) <= new Date(Date.now() + 60 * 60 * 1000)).toBe(true);
+  });
+
+  it('refuses to charge an unknown or settled booking', async () => {
+    expect((await charge('MR-300304-NONE')).status).toBe(400);
+    expect((await charge('MR-SEED-0001')).status).toBe(409);
+    const booking = await pendingBooking('MR-300304-PAY2');
+    expect((await charge(booking.id, { method: 'cash' })).status).toBe(400);
+  });
+
+  it('expires a charge once the booking hold runs out', async () => {
+    const booking = await pendingBooking('MR-300304-PAY5');
+    // Made after the hold's deadline, so the charge expires at once
+    await api(`/bookings/${booking.id}`, { method: 'PATCH', body: { createdAt: '2020-01-01T10:00:00+08:00' } });
+    const { body: created } = await charge(booking.id);
+    expect((await api(`/payments/${created.id}`, { headers: { 'X-Booking-Code': booking.code } })).body.status).toBe('expired');
+  });
+
+  it('lets only the booking owner cancel a charge', async () => {
+    const booking = await pendingBooking('MR-300304-PAY3');
+    const { body: created } = await charge(booking.id);
+    const path = `/payments/${created.id}/cancel`;
+    expect((await api(path, { method: 'POST' })).status).toBe(403);
+    const { status, body } = await api(path, { method: 'POST', headers: { 'X-Booking-Code': booking.code } });
+    expect(status).toBe(200);
+    expect(body.status).toBe('expired');
+  });
+
+  it('settles a charge only through the gateway', async () => {
+    const booking = await pendingBooking('MR-300304-PAY4');
+    const { body: created } = await charge(booking.id);
+    const owner = { 'X-Booking-Code': booking.code };
+    expect((await api(`/payments/${created.id}`, { method: 'PATCH', body: { status: 'paid' }, headers: owner })).status).toBe(401);
+
+    const simulate = (outcome) => api(`/payments/${created.id}/simulate`, { method: 'POST', body: { outcome }, headers: owner });
+    expect((await simulate('refund')).status).toBe(400);
+    expect((await simulate('success')).body).toMatchObject({ status: 'paid', paidAt: expect.any(String) });
+    // A settled charge stays settled
+    expect((await simulate('failure')).body.status).toBe('paid');
+  });
+});
+
+describe('booking confirmation', () => {
+  const createBooking = async (code, body = {}) => (await api('/bookings', {
+    method: 'POST',
+    body: { id: code, code, motorcycleId: 2, totalPrice: 240000, createdAt: new Date().toISOString(), ...body }
+  })).body;
+
+  const pay = async (booking, outcome) => {
+    const { body: charge } = await api('/payments', { method: 'POST', body: { bookingId: booking.id, method: 'gopay' } });
+    await api(`/payments/${charge.id}/simulate`, { method: 'POST', body: { outcome }, headers: { 'X-Booking-Code': booking.code } });
+    return charge;
+  };
+
+  it('starts every new booking unpaid', async () => {
+    const booking = await createBooking('MR-300304-CNF1', { status: 'confirmed', payment: { status: 'paid', amount: 240000 } });
+    expect(booking).toMatchObject({ status: 'pending', payment: null });
+  });
+
+  it('refuses a customer write that confirms the booking', async () => {
+    const booking = await createBooking('MR-300304-CNF2');
+    const paid = { ...booking, status: 'confirmed', payment: { status: 'paid', amount: 240000 } };
+    expect((await api(`/bookings/${booking.id}`, { method: 'PUT', body: paid })).status).toBe(401);
+    expect((await api(`/bookings/${booking.id}`, { method: 'PATCH', body: { status: 'confirmed' } })).status).toBe(401);
+    expect((await api(`/bookings/${booking.id}`)).body.status).toBe('pending');
+  });
+
+  it('keeps the payment the server recorded', async () => {
+    const booking = await createBooking('MR-300304-CNF3');
+    const { body } = await api(`/bookings/${booking.id}`, { method: 'PUT', body: { ...booking, payment: { status: 'paid' }, notes: 'Helm 2' } });
+    expect(body).toMatchObject({ notes: 'Helm 2', payment: null });
+  });
+
+  it('confirms the booking when its charge is paid', async () => {
+    const booking = await createBooking('MR-300304-CNF4');
+    const charge = await pay(booking, 'success');
+    const { body } = await api(`/bookings/${booking.id}`);
+    expect(body.status).toBe('confirmed');
+    expect(body.payment).toMatchObject({ chargeId: charge.id, status: 'paid', amount: 240000 });
+    // Later customer writes keep the confirmation
+    expect((await api(`/bookings/${booking.id}`, { method: 'PUT', body: { ...body, notes: 'Antar ke hotel' } })).status).toBe(200);
+  });
+
+  it('keeps the booking pending after a failed charge and expires it with a timed out one', async () => {
+    const booking = await createBooking('MR-300304-CNF5');
+    await pay(booking, 'failure');
+    expect((await api(`/bookings/${booking.id}`)).body).toMatchObject({ status: 'pending', payment: { status: 'failed' } });
+    await pay(booking, 'timeout');
+    expect((await api(`/bookings/${booking.id}`)).body).toMatchObject({ status: 'expired', payment: { status: 'expired' } });
+  });
+});
+
+describe('booking documents, invoices and payments', () => {
+  const owner = { 'X-Booking-Code': 'MR-300304-DOC1' };
+
+  const records = async () => {
+    const { body: document } = await api('/documents', {
+      method: 'POST',
+      body: { kind: 'licence', bookingCode: 'MR-300304-DOC1', mimeType: 'image/jpeg', dataUrl: 'data:image/jpeg;base64,AA==' }
+    });
+    const { body: invoice } = await api('/invoices', { method: 'POST', body: { type: 'invoice', bookingCode: 'MR-300304-DOC1' } });
+    await api('/bookings', { method: 'POST', body: { id: 'MR-300304-DOC1', code: 'MR-300304-DOC1', totalPrice: 150000, createdAt: new Date().toISOString() } });
+    const { body: payment } = await api('/payments', { method: 'POST', body: { bookingId: 'MR-300304-DOC1', method: 'qris' } });
+    return { documents: document, invoices: invoice, payments: payment };
+  };
+
+  it('does not list them to customers', async () => {
+    await records();
+    for (const name of ['documents', 'invoices', 'payments']) {
+      expect((await api(`/${name}`)).status).toBe(401);
+      expect((await api(`/${name}?bookingCode=MR-300304-DOC1`, { headers: owner })).status).toBe(401);
+    }
+  });
+
+  it('reads one only with the code of its booking', async () => {
+    const created = await records();
+    for (const [name, item] of Object.entries(created)) {
+      const path = `/${name}/${item.id}`;
+      expect((await api(path)).status).toBe(403);
+      expect((await api(path, { headers: { 'X-Booking-Code': 'MR-300304-DOC2' } })).status).toBe(403);
+      const { status, body } = await api(path, { headers: owner });
+      expect(status).toBe(200);
+      expect(body.id).toBe(item.id);
+    }
+  });
+
+  it('leaves changing them to staff', async () => {
+    const created = await records();
+    for (const [name, item] of Object.entries(created)) {
+      expect((await api(`/${name}/${item.id}`, { method: 'DELETE', headers: owner })).status).toBe(401);
+      expect((await api(`/${name}/${item.id}`, { method: 'PATCH', body: { note: 'x' }, headers: owner })).status).toBe(401);
+    }
+  });
+});
+
+describe('account bookings', () => {
+  const register = async (email, phone) => (await api('/auth/register', {
+    method: 'POST',
+    body: { name: 'Wayan', email, phone, password: 'rahasia123' }
+  })).body;
+
+  const signedIn = ({ token }) => ({ Authorization: `Bearer ${token}` });
+
+  const createBooking = (code, { headers, ...fields } = {}) => api('/bookings', {
+    method: 'POST',
+    body: { id: code, code, email: 'wayan@example.com', phone: '0812 3456 7890', createdAt: new Date().toISOString(), ...fields },
+    headers
+  });
+
+  it('ties a new booking to the signed-in account, not to the body', async () => {
+    const wayan = await register('wayan@example.com');
+    const { body: own } = await createBooking('MR-300304-ACC1', { headers: signedIn(wayan), userId: 'USR-OTHER' });
+    expect(own.userId).toBe(wayan.user.id);
+    const { body: guest } = await createBooking('MR-300304-ACC2', { userId: wayan.user.id });
+    expect(guest.userId).toBeNull();
+    // A later write cannot move it to another account
+    const { body: moved } = await api(`/bookings/${own.id}`, { method: 'PUT', body: { ...own, userId: null } });
+    expect(moved.userId).toBe(wayan.user.id);
+  });
+
+  it('lists only the account\'s own bookings, newest first', async () => {
+    const wayan = await register('wayan@example.com');
+    const made = await register('made@example.com');
+    await createBooking('MR-300304-ACC3', { headers: signedIn(wayan), createdAt: '2030-03-01T10:00:00+08:00' });
+    await createBooking('MR-300304-ACC4', { headers: signedIn(wayan), createdAt: '2030-03-02T10:00:00+08:00' });
+    await createBooking('MR-300304-ACC5', { headers: signedIn(made) });
+
+    const { body } = await api('/auth/me/bookings', { headers: signedIn(wayan) });
+    expect(body.map(booking => booking.code)).toEqual(['MR-300304-ACC4', 'MR-300304-ACC3']);
+    expect((await api('/auth/me/bookings')).status).toBe(401);
+  });
+
+  it('links an earlier booking by its code when the contact details match', async () => {
+    await createBooking('MR-300304-ACC6');
+    const claim = (session, code) => api('/auth/me/bookings', { method: 'POST', body: { code }, headers: signedIn(session) });
+
+    const stranger = await register('stranger@example.com');
+    expect((await claim(stranger, 'MR-300304-ACC6')).status).toBe(403);
+    expect((await claim(stranger, 'MR-300304-NONE')).status).toBe(404);
+
+    // Same phone number in another spelling
+    const wayan = await register('wayan.lain@example.com', '+6281234567890');
+    const { status, body } = await claim(wayan, 'MR-300304-ACC6');
+    expect(status).toBe(200);
+    expect(body.userId).toBe(wayan.user.id);
+
+    const twin = await register('wayan@example.com');
+    expect((await claim(twin, 'MR-300304-ACC6')).status).toBe(409);
+  });
+});
+
+describe('staff access', () => {
+  const login = async (email, password) => (await api('/auth/login', { method: 'POST', body: { email, password } })).body;
+
+  let staff;
+  let customer;
+
+  beforeEach(async () => {
+    staff = { Authorization: `Bearer ${(await login('admin@motorrent.id', 'motorrent-admin')).token}` };
+    const { body } = await api('/auth/register', { method: 'POST', body: { email: 'wayan@example.com', password: 'rahasia123' } });
+    customer = { Authorization: `Bearer ${body.token}` };
+  });
+
+  const asEach = async (request) => ({
+    guest: (await request({})).status,
+    customer: (await request(customer)).status,
+    staff: (await request(staff)).status
+  });
+
+  it('keeps fleet, unit and service changes to staff', async () => {
+    const result = await asEach(headers => api('/motorcycles/1', { method: 'PATCH', body: { price: 90000 }, headers }));
+    expect(result).toEqual({ guest: 401, customer: 403, staff: 200 });
+    expect((await api('/units', { method: 'POST', body: { motorcycleId: 1, plate: 'DK 9999 ZZ' }, headers: customer })).status).toBe(403);
+    expect((await api('/maintenance', { method: 'POST', body: { unitId: 1 }, headers: customer })).status).toBe(403);
+    expect((await api('/motorcycles')).status).toBe(200);
+  });
+
+  it('lists every booking only for staff and reads one by its code', async () => {
+    expect(await asEach(headers => api('/bookings', { headers }))).toEqual({ guest: 401, customer: 403, staff: 200 });
+    expect((await api('/bookings/MR-SEED-0001')).status).toBe(200);
+    expect((await api('/bookings/MR-SEED-0001', { method: 'DELETE', headers: customer })).status).toBe(403);
+  });
+
+  it('leaves handover statuses and confirming without payment to staff', async () => {
+    const { body: booking } = await api('/bookings', { method: 'POST', body: { id: 'MR-300304-STF1', code: 'MR-300304-STF1' } });
+    const path = `/bookings/${booking.id}`;
+    expect((await api(path, { method: 'PATCH', body: { status: 'confirmed' }, headers: customer })).status).toBe(403);
+    expect((await api(path, { method: 'PATCH', body: { status: 'confirmed' }, headers: staff })).status).toBe(200);
+    expect((await api(path, { method: 'PATCH', body: { status: 'picked_up' }, headers: customer })).status).toBe(403);
+    expect((await api(path, { method: 'PATCH', body: { status: 'picked_up' }, headers: staff })).status).toBe(200);
+    // Customers may still cancel
+    const { body: other } = await api('/bookings', { method: 'POST', body: { id: 'MR-300304-STF2', code: 'MR-300304-STF2' } });
+    expect((await api(`/bookings/${other.id}`, { method: 'PATCH', body: { status: 'cancelled' } })).status).toBe(200);
+  });
+
+  it('keeps block-outs and unit moves to staff and lets staff act for a customer', async () => {
+    const blockout = { type: 'service', unitId: 1, motorcycleId: 1, startDate: '2030-05-01', startTime: '09:00', endDate: '2030-05-02', endTime: '09:00' };
+    expect(await asEach(headers => api('/reservations', { method: 'POST', body: blockout, headers }))).toEqual({ guest: 401, customer: 403, staff: 201 });
+
+    const { body: booking } = await api('/bookings/MR-SEED-0001');
+    const path = `/reservations/${booking.reservationId}`;
+    const { body: reservation } = await api(path);
+    const otherUnit = (await api(`/units?motorcycleId=${reservation.motorcycleId}`)).body.find(unit => unit.id !== reservation.unitId);
+    const moved = { ...reservation, unitId: otherUnit.id };
+    const owner = { 'X-Booking-Code': booking.code };
+    expect((await api(path, { method: 'PUT', body: moved, headers: { ...owner, ...customer } })).status).toBe(403);
+    expect((await api(path, { method: 'PUT', body: moved, headers: staff })).status).toBe(200);
+    // Staff pass the booking code check
+    expect((await api(path, { method: 'DELETE', headers: staff })).status).toBe(204);
+  });
+
+  it('keeps the notification outbox to staff', async () => {
+    expect(await asEach(headers => api('/notifications', { headers }))).toEqual({ guest: 401, customer: 403, staff: 200 });
+  });
+});
+
+describe('notifications', () => {
+  const contact = { name: 'Ketut', email: 'ketut@example.com', phone: '081234567890' };
+
+  const createBooking = async (code) => (await api('/bookings', {
+    method: 'POST',
+    body: { id: code, code, motorcycleId: 2, motor: { name: 'Honda Vario 160' }, totalPrice: 240000, createdAt: new Date().toISOString(), ...hold, ...contact }
+  })).body;
+
+  const confirm = async (booking) => {
+    const { body: charge } = await api('/payments', { method: 'POST', body: { bookingId: booking.id, method: 'gopay' } });
+    await api(`/payments/${charge.id}/simulate`, { method: 'POST', body: { outcome: 'success' }, headers: { 'X-Booking-Code': booking.code } });
+    return (await api(`/bookings/${booking.id}`)).body;
+  };
+
+  const outbox = async () => {
+    const { body } = await api('/auth/login', { method: 'POST', body: { email: 'admin@motorrent.id', password: 'motorrent-admin' } });
+    return (await api('/notifications', { headers: { Authorization: `Bearer ${body.token}` } })).body;
+  };
+
+  const summary = (messages) => messages.map(({ type, channel, status }) => `${type}/${channel}/${status}`);
+
+  it('queues the confirmation and schedules reminders once the charge is paid', async () => {
+    const booking = await confirm(await createBooking('MR-300304-NTF1'));
+    expect(summary(booking.notifications)).toEqual([
+      'booking_confirmed/email/queued', 'booking_confirmed/whatsapp/queued',
+      'payment_received/email/queued', 'payment_received/whatsapp/queued',
+      'pickup_reminder/email/scheduled', 'pickup_reminder/whatsapp/scheduled',
+      'return_reminder/email/scheduled', 'return_reminder/whatsapp/scheduled'
+    ]);
+    const messages = await outbox();
+    expect(messages).toHaveLength(8);
+    expect(messages.find(message => message.channel === 'whatsapp').to).toBe('6281234567890');
+    expect(messages.find(message => message.type === 'pickup_reminder').sendAt).toBe('2030-03-03T01:00:00.000Z');
+  });
+
+  it('sends nothing for a booking that is not paid', async () => {
+    const booking = await createBooking('MR-300304-NTF2');
+    await api(`/bookings/${booking.id}`, { method: 'PUT', body: { ...booking, notes: 'Helm 2' } });
+    expect(await outbox()).toEqual([]);
+  });
+
+  it('keeps what was sent whatever the customer writes back', async () => {
+    const booking = await confirm(await createBooking('MR-300304-NTF3'));
+    const { body } = await api(`/bookings/${booking.id}`, { method: 'PUT', body: { ...booking, notifications: [] } });
+    expect(body.notifications).toEqual(booking.notifications);
+  });
+
+  it('withdraws the reminders and schedules new ones when the dates change', async () => {
+    const booking = await confirm(await createBooking('MR-300304-NTF4'));
+    const moved = { ...booking, startDate: '2030-03-10', endDate: '2030-03-12' };
+    const { body } = await api(`/bookings/${booking.id}`, { method: 'PUT', body: moved });
+
+    const reminders = body.notifications.filter(item => item.sendAt);
+    expect(reminders.filter(item => item.cancelled)).toHaveLength(4);
+    expect(reminders.filter(item => !item.cancelled).map(item => item.sendAt)).toEqual([
+      '2030-03-09T01:00:00.000Z', '2030-03-09T01:00:00.000Z', '2030-03-11T22:00:00.000Z', '2030-03-11T22:00:00.000Z'
+    ]);
+    const statuses = (await outbox()).filter(message => message.sendAt).map(message => message.status);
+    expect(statuses).toEqual(['cancelled', 'cancelled', 'cancelled', 'cancelled', 'scheduled', 'scheduled', 'scheduled', 'scheduled']);
+  });
+
+  it('withdraws the reminders of a cancelled booking', async () => {
+    const booking = await confirm(await createBooking('MR-300304-NTF5'));
+    const { body } = await api(`/bookings/${booking.id}`, { method: 'PUT', body: { ...booking, status: 'cancelled' } });
+    expect(body.notifications.filter(item => item.sendAt).every(item => item.cancelled)).toBe(true);
+    expect((await outbox()).filter(message => message.status === 'scheduled')).toEqual([]);
+  });
+
+  it('forwards the contact form to MotorRent and answers the sender', async () => {
+    const { status, body } = await api('/notifications', {
+      method: 'POST',
+      body: { template: 'contact_message', data: { name: 'Ketut', email: 'ketut@example.com', message: 'Ada Vario?' }, to: 'other@example.com' }
+    });
+    expect(status).toBe(201);
+    expect(body.deliveries).toMatchObject([{ type: 'contact_message', channel: 'email', status: 'queued' }]);
+    expect((await outbox()).map(message => [message.type, message.to])).toEqual([
+      ['contact_message', 'info@motorrent.com'],
+      ['contact_received', 'ketut@example.com']
+    ]);
+  });
+
+  it('refuses booking templates and incomplete contact forms from the browser', async () => {
+    const request = (body) => api('/notifications', { method: 'POST', body });
+    expect((await request({ template: 'booking_confirmed', data: { email: 'ketut@example.com' } })).status).toBe(400);
+    expect((await request({ template: 'contact_message', data: { name: 'Ketut', email: 'bukan-email', message: 'Halo' } })).status).toBe(400);
+    expect(await outbox()).toEqual([]);
+  });
+});
@@ -1,5 +1,64 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
-import { Menu, X, Star, MapPin, Phone, Clock, CheckCircle, ArrowRight, Facebook, Instagram, Twitter, Mail, Shield, Award, Zap, Heart } from 'lucide-react';
+import { Menu, X, Star, MapPin, Phone, Clock, CheckCircle, ArrowRight, Facebook, Instagram, Twitter, Mail, Shield, Award, Zap, Heart, ClipboardList, User, ShieldCheck } from 'lucide-react';
+import { fetchMotorcycles, fetchUnits, fetchUnit, fetchMaintenance } from './services/fleetService.js';
+import { createReservation, updateReservation, deleteReservation, fetchReservation } from './services/availabilityService.js';
+import { bookingBackend } from './services/bookingService.js';
+import { generateBookingCode, createBookingRecord, cancelBookingRecord, rescheduleBookingRecord, expireBookingRecord, assignUnitRecord, signAgreementRecord, issueInvoiceRecord } from './lib/bookings.js';
+import { paymentGateway } from './services/paymentService.js';
+import { getPaymentDeadline, findPaymentMethod } from './lib/payments.js';
+import { DEPOSIT_METHODS, getDepositTerms, createDeposit } from './lib/deposits.js';
+import { findModelConflicts, findModelNextFreeWindow, isModelDateReserved } from './lib/units.js';
+import { getBookableUnits } from './lib/maintenance.js';
+import { validateRentalDates, calculateRental, buildPriceSummary } from './lib/bookingRules.js';
+import { evaluateVoucher, toBookingVoucher } from './lib/vouchers.js';
+import { fetchVoucher, releaseVoucher } from './services/voucherService.js';
+import { getRateTiers } from './lib/pricing.js';
+import { evaluateCancellation, evaluateReschedule } from './lib/bookingPolicy.js';
+import useReservations from './hooks/useReservations.js';
+import useLocalStorage from './hooks/useLocalStorage.js';
+import { addDays, todayKey, formatDateTime } from './lib/dates.js';
+import { OPERATING_HOURS, RENTAL_TIME_POLICY, DEFAULT_RENTAL_TIME, formatRentalLength } from './lib/rentalTime.js';
+import AvailabilityCalendar from './components/AvailabilityCalendar.jsx';
+import TimeSlotSelect from './components/TimeSlotSelect.jsx';
+import PaymentPanel from './components/PaymentPanel.jsx';
+import VerificationFields from './components/VerificationFields.jsx';
+import FleetFilterBar from './components/FleetFilterBar.jsx';
+import useFleetFilters from './hooks/useFleetFilters.js';
+import { filterMotorcycles, hasActiveFilters } from './lib/fleet.js';
+import { INITIAL_VERIFICATION_VALUES, validateVerification, toBookingVerification } from './lib/verification.js';
+import MyBookings from './components/MyBookings.jsx';
+import MotorDetailPage from './components/MotorDetailPage.jsx';
+import useRouter from './hooks/useRouter.js';
+import useSavedMotors from './hooks/useSavedMotors.js';
+import { resolveMotors } from './lib/savedMotors.js';
+import FavouriteButton from './components/FavouriteButton.jsx';
+import RecentlyViewedStrip from './components/RecentlyViewedStrip.jsx';
+import CompareTray from './components/CompareTray.jsx';
+import ComparePage from './components/ComparePage.jsx';
+import { COMPARE_LIMITS, parseCompareQuery, toCompareQuery } from './lib/compare.js';
+import useAuth from './hooks/useAuth.js';
+import { toRiderDefaults, isStaff } from './lib/auth.js';
+import AccountPage from './components/AccountPage.jsx';
+import AdminPage from './components/AdminPage.jsx';
+import { buildPath } from './lib/routes.js';
+import PriceBreakdown from './components/PriceBreakdown.jsx';
+import VoucherField from './components/VoucherField.jsx';
+import AddonPicker from './components/AddonPicker.jsx';
+import useAddons from './hooks/useAddons.js';
+import { getAddonsFor, selectAddons } from './lib/addons.js';
+import LocationPicker from './components/LocationPicker.jsx';
+import useLocations from './hooks/useLocations.js';
+import { validateLocationChoice, calculateLocationCharges, toBookingLocation, describeLocation } from './lib/locations.js';
+import RentalAgreement, { AgreementDownloadButton } from './components/RentalAgreement.jsx';
+import { AGREEMENT_VERSION, renderAgreementPdf, getAgreementFileName } from './lib/agreement.js';
+import { uploadFile } from './services/documentService.js';
+import BillingFields from './components/BillingFields.jsx';
+import InvoiceActions from './components/InvoiceActions.jsx';
+import { INITIAL_BILLING_VALUES, validateBilling, toBookingBilling } from './lib/invoices.js';
+import { issueInvoiceNumber } from './services/invoiceService.js';
+import { sendContactMessage } from './services/notificationService.js';
+import { wasNotified } from './lib/notifications.js';
+import { LESSOR } from './lib/agreement.js';
 
 // Error Boundary Component
 class ErrorBoundary extends React.Component {
@@ -17,8 +76,17 @@ class ErrorBoundary extends React.Component {
     this.setState({ errorInfo });
   }
 
+  reset() {
+    this.setState({ hasError: false, error: null, errorInfo: null });
+    this.props.onReset?.();
+  }
+
   render() {
     if (this.state.hasError) {
+      if (this.props.fallback) {
+        return this.props.fallback({ error: this.state.error, reset: () => this.reset() });
+      }
+
       return (
         <div className="min-h-screen flex items-center justify-center bg-red-50 p-4">
           <div className="text-center p-8 max-w-md">
@@ -37,7 +105,7 @@ class ErrorBoundary extends React.Component {
                 Refresh Halaman
               </button>
               <button 
-                onClick={() => this.setState({ hasError: false, error: null })}
+                onClick={() => this.reset()}
                 className="w-full border border-red-600 text-red-600 px-6 py-2 rounded-lg hover:bg-red-50 transition-colors"
               >
                 Coba Lagi
@@ -75,7 +143,7 @@ const useFormValidation = (initialState, validate) => {
     setErrors(validationErrors);
   }, [values, validate]);
 
-  const handleSubmit = useCallback((callback) => (e) => {
+  const handleSubmit = useCallback((callback) => async (e) => {
     e.preventDefault();
     const validationErrors = validate(values);
     setErrors(validationErrors);
@@ -83,10 +151,24 @@ const useFormValidation = (initialState, validate) => {
 
     if (Object.keys(validationErrors).length === 0) {
       setIsSubmitting(true);
-      callback(values);
+      try {
+        await callback(values);
+      } catch (error) {
+        // Callbacks show their own errors; this only keeps the form from staying locked
+        console.error('Form submission failed:', error);
+        setIsSubmitting(false);
+      }
     }
   }, [values, validate]);
 
+  // Validates part of the form, e.g. one step of a multi-step flow; true when those fields pass
+  const validateFields = useCallback((names) => {
+    const validationErrors = validate(values);
+    setErrors(validationErrors);
+    setTouched(prev => names.reduce((acc, name) => ({ ...acc, [name]: true }), prev));
+    return names.every(name => !validationErrors[name]);
+  }, [values, validate]);
+
   const resetForm = useCallback(() => {
     setValues(initialState);
     setErrors({});
@@ -103,7 +185,9 @@ const useFormValidation = (initialState, validate) => {
     handleBlur,
     handleSubmit,
     resetForm,
-    setValues
+    validateFields,
+    setValues,
+    setIsSubmitting
   };
 };
 
@@ -130,29 +214,6 @@ const useNotifications = () => {
   return { notifications, addNotification, removeNotification };
 };
 
-const useLocalStorage = (key, initialValue) => {
-  const [storedValue, setStoredValue] = useState(() => {
-    try {
-      const item = window.localStorage.getItem(key);
-      return item ? JSON.parse(item) : initialValue;
-    } catch (error) {
-      console.error(`Error reading localStorage key "${key}":`, error);
-      return initialValue;
-    }
-  });
-
-  const setValue = useCallback((value) => {
-    try {
-      setStoredValue(value);
-      window.localStorage.setItem(key, JSON.stringify(value));
-    } catch (error) {
-      console.error(`Error setting localStorage key "${key}":`, error);
-    }
-  }, [key]);
-
-  return [storedValue, setValue];
-};
-
 // Sub Components
 const SEOHead = () => {
   useEffect(() => {
@@ -263,80 +324,456 @@ const InstallPrompt = ({ show, onInstall, onDismiss }) => {
 };
 
 // Data layers
+// Models, their physical units (see lib/units.js) and the units' service records
 const useMotorcycleData = () => {
-  return useMemo(() => [
-    {
-      id: 1,
-      name: "Honda CB150R",
-      price: 120000,
-      image: "https://images.unsplash.com/photo-1558618666-fcd25c85cd64?w=400&h=300&fit=crop",
-      specs: ["150cc", "Manual", "ABS", "180kg"],
-      rating: 4.9,
-      reviews: 128,
-      featured: true,
-      category: "sport"
-    },
-    {
-      id: 2,
-      name: "Yamaha NMAX",
-      price: 100000,
-      image: "https://images.unsplash.com/photo-1571068316344-75bc76f77890?w=400&h=300&fit=crop",
-      specs: ["155cc", "Automatic", "ABS", "131kg"],
-      rating: 4.8,
-      reviews: 95,
-      featured: false,
-      category: "matic"
-    },
-    {
-      id: 3,
-      name: "Suzuki GSX-R150",
-      price: 130000,
-      image: "https://images.unsplash.com/photo-1621274403997-37aace184f49?w=400&h=300&fit=crop",
-      specs: ["150cc", "Manual", "ABS", "142kg"],
-      rating: 4.7,
-      reviews: 87,
-      featured: true,
-      category: "sport"
-    },
-    {
-      id: 4,
-      name: "Kawasaki Ninja 250",
-      price: 150000,
-      image: "https://images.unsplash.com/photo-1558981806-ec527fa84c39?w=400&h=300&fit=crop",
-      specs: ["250cc", "Manual", "ABS", "172kg"],
-      rating: 4.9,
-      reviews: 156,
-      featured: true,
-      category: "sport"
-    },
-    {
-      id: 5,
-      name: "Vespa Sprint",
-      price: 80000,
-      image: "https://images.unsplash.com/photo-1566891438107-5e0a1e03c7ab?w=400&h=300&fit=crop",
-      specs: ["150cc", "Automatic", "CBS", "120kg"],
-      rating: 4.6,
-      reviews: 89,
-      featured: false,
-      category: "vintage"
-    },
-    {
-      id: 6,
-      name: "Honda ADV150",
-      price: 110000,
-      image: "https://images.unsplash.com/photo-1609630875171-b1321377ee65?w=400&h=300&fit=crop",
-      specs: ["150cc", "Automatic", "ABS", "134kg"],
-      rating: 4.7,
-      reviews: 76,
-      featured: true,
-      category: "adventure"
+  const [motorcycles, setMotorcycles] = useState([]);
+  const [units, setUnits] = useState([]);
+  const [maintenance, setMaintenance] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+
+    Promise.all([
+      fetchMotorcycles({ signal: controller.signal }),
+      fetchUnits({ signal: controller.signal }),
+      fetchMaintenance({ signal: controller.signal })
+    ])
+      .then(([motorcycleData, unitData, maintenanceData]) => {
+        setMotorcycles(motorcycleData);
+        setUnits(unitData);
+        setMaintenance(maintenanceData);
+      })
+      .catch(err => {
+        if (!controller.signal.aborted) setError(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [attempt]);
+
+  const retry = useCallback(() => {
+    // Clear the error in the same update so the ErrorBoundary re-renders into the spinner
+    setError(null);
+    setIsLoading(true);
+    setAttempt(prev => prev + 1);
+  }, []);
+
+  // The update functions apply changes the admin already saved to the backend, without refetching
+  return {
+    motorcycles,
+    units,
+    maintenance,
+    isLoading,
+    error,
+    retry,
+    update: setMotorcycles,
+    updateUnits: setUnits,
+    updateMaintenance: setMaintenance
+  };
+};
+
+const useBookings = () => {
+  const [bookings, setBookings] = useLocalStorage('bookings', []);
+
+  // The backend must have the booking before it can be paid, so a failed save fails the booking
+  const addBooking = useCallback(async (bookingData, { token } = {}) => {
+    const booking = await bookingBackend.save(createBookingRecord(bookingData), { token });
+    setBookings(prev => [booking, ...prev]);
+    return booking;
+  }, [setBookings]);
+
+  // The backend's copy wins, since it keeps the fields only it may set (the payment)
+  const replaceBooking = useCallback((updated) => {
+    setBookings(prev => prev.map(booking => booking.id === updated.id ? updated : booking));
+    return updated;
+  }, [setBookings]);
+
+  const saveBooking = useCallback(async (updated) => {
+    replaceBooking(updated);
+
+    try {
+      return replaceBooking(await bookingBackend.update(updated));
+    } catch (error) {
+      console.error('Error syncing booking to backend:', error);
     }
-  ], []);
+
+    return updated;
+  }, [replaceBooking]);
+
+  const releaseReservation = useCallback(async (booking) => {
+    if (booking.reservationId == null) return;
+    try {
+      await deleteReservation(booking.reservationId, { bookingCode: booking.code });
+    } catch (error) {
+      // Already gone on the server means the dates are free, which is what we want
+      if (error.status !== 404) throw error;
+    }
+  }, []);
+
+  // A confirmed booking gets the unit its reservation holds; staff can still change it before pickup
+  const assignHeldUnit = useCallback(async (booking) => {
+    if (booking.unit || booking.reservationId == null) return booking;
+    try {
+      const reservation = await fetchReservation(booking.reservationId);
+      if (reservation.unitId == null) return booking;
+      return assignUnitRecord(booking, await fetchUnit(reservation.unitId));
+    } catch (error) {
+      console.warn(`Could not assign a unit to ${booking.code}:`, error);
+      return booking;
+    }
+  }, []);
+
+  // Invoice and receipt are numbered by the backend one after the other, so the receipt follows its invoice
+  const numberInvoices = useCallback(async (booking) => {
+    const issuedAt = new Date().toISOString();
+    const invoiceNumber = await issueInvoiceNumber({ type: 'invoice', bookingCode: booking.code, issuedAt });
+    const receiptNumber = await issueInvoiceNumber({ type: 'receipt', bookingCode: booking.code, issuedAt });
+    return issueInvoiceRecord(booking, { invoiceNumber, receiptNumber, issuedAt });
+  }, []);
+
+  // The backend moves the booking on when the gateway reports the charge, so
+  // the booking is read back from it instead of being confirmed here. It also
+  // sends the confirmation and schedules the reminders.
+  const applyPayment = useCallback(async (booking, charge) => {
+    let updated = await bookingBackend.fetch(booking.id);
+    if (updated.status === 'expired') await releaseReservation(booking);
+    // The customer may pay again with another method, which takes the use again
+    if (charge.status === 'failed' && booking.voucher) {
+      await releaseVoucher(booking.voucher.code, booking.id).catch(error => {
+        console.warn(`Could not release voucher for ${booking.code}:`, error);
+      });
+    }
+    if (updated.status === 'confirmed' && booking.status !== 'confirmed') {
+      updated = await assignHeldUnit(updated);
+      try {
+        updated = await numberInvoices(updated);
+      } catch (error) {
+        // The customer can still get them later; the first download numbers them
+        console.warn(`Could not issue invoice for ${booking.code}:`, error);
+      }
+    }
+    return saveBooking(updated);
+  }, [saveBooking, releaseReservation, assignHeldUnit, numberInvoices]);
+
+  const issueInvoices = useCallback(async (booking) => {
+    if (booking.invoice) return booking;
+    return saveBooking(await numberInvoices(booking));
+  }, [saveBooking, numberInvoices]);
+
+  // Staff may have moved a booking on (picked up, cancelled, another unit) and
+  // payments may have settled or expired while the page was closed; check once per visit
+  const syncedRef = useRef(false);
+
+  const refreshFromBackend = useCallback(async (cached) => {
+    const fresh = await Promise.all(cached.map(booking => bookingBackend.fetch(booking.id).catch(error => {
+      // Not on the backend (an old copy from before it was shared) is fine: the cached copy stands
+      if (error.status !== 404) console.warn(`Could not refresh ${booking.code}:`, error);
+      return null;
+    })));
+    const found = fresh.filter(Boolean);
+    if (found.length > 0) {
+      setBookings(prev => prev.map(item => found.find(booking => booking.id === item.id) || item));
+    }
+    return cached.map((booking, index) => fresh[index] || booking);
+  }, [setBookings]);
+
+  useEffect(() => {
+    if (syncedRef.current) return;
+    syncedRef.current = true;
+
+    refreshFromBackend(bookings).then(refreshed => refreshed.filter(booking => booking.status === 'pending').forEach(async (booking) => {
+      try {
+        if (booking.payment?.chargeId) {
+          const charge = await paymentGateway.getCharge(booking.payment.chargeId, { bookingCode: booking.code });
+          if (charge.status !== booking.payment.status) await applyPayment(booking, charge);
+        } else if (new Date() >= getPaymentDeadline(booking)) {
+          await releaseReservation(booking);
+          await saveBooking(expireBookingRecord(booking));
+        }
+      } catch (error) {
+        console.warn(`Could not refresh payment for ${booking.code}:`, error);
+      }
+    }));
+  }, [bookings, refreshFromBackend, applyPayment, releaseReservation, saveBooking]);
+
+  const cancelBooking = useCallback(async (booking) => {
+    const evaluation = evaluateCancellation(booking);
+    if (!evaluation.allowed) throw new Error(evaluation.reason);
+
+    if (booking.payment?.status === 'pending') {
+      await paymentGateway.cancelCharge(booking.payment.chargeId, { bookingCode: booking.code }).catch(error => {
+        console.warn('Could not cancel payment charge:', error);
+      });
+    }
+    await releaseReservation(booking);
+
+    // The backend withdraws the reminders once the booking is stored as cancelled
+    return saveBooking(cancelBookingRecord(booking, evaluation));
+  }, [saveBooking, releaseReservation]);
+
+  // `rental` comes from calculateRental so the new total follows the same rules as BookingModal
+  const rescheduleBooking = useCallback(async (booking, { startDate, startTime, endDate, endTime, totalDays, priceBreakdown }) => {
+    const evaluation = evaluateReschedule(booking);
+    if (!evaluation.allowed) throw new Error(evaluation.reason);
+
+    // The backend keeps the held unit when it is still free and moves the hold otherwise
+    let unit = null;
+    if (booking.reservationId != null) {
+      const reservation = await updateReservation(
+        booking.reservationId,
+        { motorcycleId: booking.motorcycleId, startDate, startTime, endDate, endTime },
+        { bookingCode: booking.code }
+      );
+      if (booking.unit && reservation?.unitId != null && String(reservation.unitId) !== String(booking.unit.id)) {
+        unit = await fetchUnit(reservation.unitId);
+      }
+    }
+
+    const updated = rescheduleBookingRecord(booking, {
+      startDate,
+      startTime,
+      endDate,
+      endTime,
+      totalDays,
+      priceBreakdown,
+      fee: evaluation.fee
+    });
+    // Reminders for the old dates are withdrawn and rescheduled by the backend
+    return saveBooking(unit ? assignUnitRecord(updated, unit) : updated);
+  }, [saveBooking]);
+
+  // The PDF is generated here in the browser and only its document id is kept on the booking
+  const signAgreement = useCallback(async (booking, { signature, signerName }) => {
+    const signedAt = new Date().toISOString();
+    const fileName = getAgreementFileName(booking);
+    const document = await uploadFile({
+      kind: 'agreement',
+      fileName,
+      mimeType: 'application/pdf',
+      dataUrl: renderAgreementPdf(booking, { signature, signerName, signedAt }),
+      bookingCode: booking.code
+    });
+    return saveBooking(signAgreementRecord(booking, { version: AGREEMENT_VERSION, documentId: document.id, fileName, signerName, signedAt }));
+  }, [saveBooking]);
+
+  // Offers this device's bookings made before signing in to the account. `claim`
+  // proves each with its code; the backend turns down the ones that are not the account's.
+  const attachToAccount = useCallback(async (claim) => {
+    const unclaimed = bookings.filter(booking => !booking.userId);
+    const results = await Promise.allSettled(unclaimed.map(booking => claim(booking.code)));
+    results.filter(result => result.status === 'fulfilled').forEach(result => replaceBooking(result.value));
+  }, [bookings, replaceBooking]);
+
+  return { bookings, addBooking, applyPayment, issueInvoices, cancelBooking, rescheduleBooking, signAgreement, attachToAccount };
 };
 
-const BookingModal = ({ isOpen, onClose, motor, onConfirm }) => {
-  const [step, setStep] = useState(1);
+// The signed-in account's bookings as the backend has them, including ones made
+// on other devices; reloaded whenever this device's bookings change
+const useAccountBookings = (fetchBookings, deviceBookings) => {
+  const [accountBookings, setAccountBookings] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchBookings()
+      .then(list => {
+        if (!cancelled) setAccountBookings(list);
+      })
+      .catch(error => console.warn('Could not load account bookings:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchBookings, deviceBookings]);
+
+  return accountBookings;
+};
+
+const FleetErrorFallback = ({ error, reset }) => (
+  <div className="text-center p-8 max-w-md mx-auto bg-red-50 rounded-2xl border border-red-100">
+    <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
+      <Shield className="text-red-600" size={32} />
+    </div>
+    <h3 className="text-xl font-bold text-red-900 mb-2">Gagal Memuat Motor</h3>
+    <p className="text-red-700 mb-4">{error?.message || 'Data motor tidak dapat dimuat saat ini.'}</p>
+    <button
+      onClick={reset}
+      className="bg-red-600 text-white px-6 py-2 rounded-lg hover:bg-red-700 transition-colors font-medium"
+    >
+      Coba Lagi
+    </button>
+  </div>
+);
+
+const MotorcycleGrid = ({
+  motorcycles,
+  isLoading,
+  error,
+  onBooking,
+  onResetFilters,
+  getDetailLinkProps,
+  isFavourite,
+  onToggleFavourite,
+  compareIds,
+  onToggleCompare
+}) => {
+  // Surface fetch failures to the enclosing ErrorBoundary so it can offer a retry
+  if (error) throw error;
+  if (isLoading) return <LoadingSpinner size="medium" />;
+
+  if (motorcycles.length === 0) {
+    return (
+      <div className="text-center bg-white rounded-2xl p-12 shadow-lg border border-gray-100">
+        <p className="text-gray-600 mb-6">Tidak ada motor yang cocok dengan filter Anda.</p>
+        <button
+          onClick={onResetFilters}
+          className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold"
+        >
+          Tampilkan Semua Motor
+        </button>
+      </div>
+    );
+  }
+
+  const compareFull = compareIds.length >= COMPARE_LIMITS.max;
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+      {motorcycles.map((motor) => {
+        const compared = compareIds.some(id => String(id) === String(motor.id));
+        return (
+          <div key={motor.id} className="bg-white rounded-2xl shadow-lg overflow-hidden hover:shadow-2xl transition-all duration-300 hover:-translate-y-2 border border-gray-100">
+            {motor.featured && (
+              <div className="absolute top-4 right-4 bg-red-500 text-white px-3 py-1 rounded-full text-sm font-semibold z-10 shadow-lg">
+                Featured
+              </div>
+            )}
+            <div className="relative">
+              <a {...getDetailLinkProps(motor)} className="block relative">
+                <img
+                  src={motor.image}
+                  alt={`Motor ${motor.name} untuk disewa`}
+                  className="w-full h-48 object-cover"
+                  loading="lazy"
+                />
+                <div className="absolute inset-0 bg-black opacity-0 hover:opacity-10 transition-opacity duration-300"></div>
+              </a>
+              <FavouriteButton
+                active={isFavourite(motor.id)}
+                onToggle={() => onToggleFavourite(motor.id)}
+                motorName={motor.name}
+                className="absolute top-3 left-3"
+              />
+            </div>
+            <div className="p-6">
+              <div className="flex justify-between items-start mb-3">
+                <h3 className="text-xl font-bold text-gray-900">
+                  <a {...getDetailLinkProps(motor)} className="hover:text-blue-600 transition-colors">{motor.name}</a>
+                </h3>
+                <div className="flex items-center bg-blue-50 px-2 py-1 rounded">
+                  <Star className="fill-yellow-400 text-yellow-400 mr-1" size={16} />
+                  <span className="text-sm font-medium">{motor.rating}</span>
+                </div>
+              </div>
+            
+              <div className="flex flex-wrap gap-2 mb-4">
+                {motor.specs.map((spec, index) => (
+                  <span key={index} className="px-3 py-1 bg-blue-100 text-blue-800 text-sm rounded-full font-medium">
+                    {spec}
+                  </span>
+                ))}
+              </div>
+
+              <div className="flex justify-between items-center mb-4">
+                <div>
+                  <span className="text-2xl font-bold text-blue-600">Rp {motor.price.toLocaleString('id-ID')}</span>
+                  <span className="text-gray-500 text-sm">/hari</span>
+                </div>
+                <span className="text-sm text-gray-500">{motor.reviews} reviews</span>
+              </div>
+
+              <button 
+                onClick={() => onBooking(motor)}
+                className="w-full bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold flex items-center justify-center shadow-lg hover:shadow-xl"
+              >
+                <Heart className="mr-2" size={16} />
+                Booking Sekarang
+              </button>
+
+              <label
+                className={`mt-3 flex items-center justify-center text-sm ${
+                  !compared && compareFull ? 'text-gray-400 cursor-not-allowed' : 'text-gray-700 cursor-pointer'
+                }`}
+                title={!compared && compareFull ? `Maksimal ${COMPARE_LIMITS.max} motor` : undefined}
+              >
+                <input
+                  type="checkbox"
+                  checked={compared}
+                  disabled={!compared && compareFull}
+                  onChange={() => onToggleCompare(motor.id)}
+                  className="mr-2"
+                />
+                Bandingkan
+              </label>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const INITIAL_BOOKING_VALUES = {
+  name: '',
+  email: '',
+  phone: '',
+  startDate: '',
+  startTime: DEFAULT_RENTAL_TIME,
+  endDate: '',
+  endTime: DEFAULT_RENTAL_TIME,
+  notes: '',
+  ...INITIAL_BILLING_VALUES,
+  ...INITIAL_VERIFICATION_VALUES
+};
+
+const EMPTY_LOCATION_LEG = { type: 'outlet', locationId: '', zoneId: '', address: '' };
+
+const INITIAL_LOCATION_CHOICE = {
+  pickup: EMPTY_LOCATION_LEG,
+  dropoff: EMPTY_LOCATION_LEG,
+  sameReturn: true
+};
+
+// `initialValues` pre-fills the form when the modal opens, e.g. dates picked on a detail page
+// `riderDefaults` are a signed-in customer's saved contact and licence details
+const BookingModal = ({ isOpen, onClose, motor, initialValues, riderDefaults, onConfirm, onPaymentUpdate, onSignAgreement, onIssueInvoices }) => {
+  const [step, setStep] = useState('dates');
+  const [addonSelection, setAddonSelection] = useState({});
+  const [locationChoice, setLocationChoice] = useState(INITIAL_LOCATION_CHOICE);
+  const [showLocationErrors, setShowLocationErrors] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [createdBooking, setCreatedBooking] = useState(null);
+  // Made up front so the rider's documents are uploaded under the booking they belong to
+  const [bookingCode, setBookingCode] = useState(generateBookingCode);
+  const [depositMethod, setDepositMethod] = useState('cash');
+  const [voucher, setVoucher] = useState(null);
+  const [voucherError, setVoucherError] = useState(null);
+  const [voucherLoading, setVoucherLoading] = useState(false);
   const modalRef = useRef(null);
+  const {
+    schedules,
+    isLoading: reservationsLoading,
+    error: reservationsError,
+    refresh: refreshReservations
+  } = useReservations(isOpen ? motor?.id : null);
+  const { addons, isLoading: addonsLoading, error: addonsError, refresh: refreshAddons } = useAddons(isOpen);
+  const { locations, isLoading: locationsLoading, error: locationsError, refresh: refreshLocations } = useLocations(isOpen);
 
   const validateBooking = useCallback((data) => {
     const errors = {};
@@ -344,35 +781,133 @@ const BookingModal = ({ isOpen, onClose, motor, onConfirm }) => {
     if (!data.email.trim()) errors.email = 'Email harus diisi';
     else if (!/\S+@\S+\.\S+/.test(data.email)) errors.email = 'Email tidak valid';
     if (!data.phone.trim()) errors.phone = 'Nomor telepon harus diisi';
-    if (!data.startDate) errors.startDate = 'Tanggal mulai harus diisi';
-    if (!data.endDate) errors.endDate = 'Tanggal selesai harus diisi';
-    else if (new Date(data.endDate) <= new Date(data.startDate)) errors.endDate = 'Tanggal selesai harus setelah tanggal mulai';
-    return errors;
-  }, []);
+    return { ...errors, ...validateBilling(data), ...validateRentalDates(data, schedules), ...validateVerification(data) };
+  }, [schedules]);
 
-  const { values, errors, touched, isSubmitting, handleChange, handleBlur, handleSubmit, resetForm } = useFormValidation(
-    {
-      name: '',
-      email: '',
-      phone: '',
-      startDate: '',
-      endDate: '',
-      notes: ''
-    },
-    validateBooking
+  // Closing the modal resets to these, so a sign-in takes effect on the next booking
+  const initialBookingValues = useMemo(
+    () => ({ ...INITIAL_BOOKING_VALUES, ...riderDefaults }),
+    [riderDefaults]
   );
 
-  const totalDays = values.startDate && values.endDate ? 
-    Math.max(1, Math.ceil((new Date(values.endDate) - new Date(values.startDate)) / (1000 * 60 * 60 * 24))) : 0;
-  const totalPrice = totalDays * (motor?.price || 0);
+  const {
+    values,
+    errors,
+    touched,
+    isSubmitting,
+    handleChange,
+    handleBlur,
+    handleSubmit,
+    resetForm,
+    validateFields,
+    setValues,
+    setIsSubmitting
+  } = useFormValidation(initialBookingValues, validateBooking);
+
+  const { totalDays, overageHours, priceBreakdown } = calculateRental(motor, values);
+
+  // Re-checked on every render so changing the dates can invalidate an applied voucher
+  const voucherCheck = voucher
+    ? evaluateVoucher(voucher, { motor, totalDays, subtotal: priceBreakdown.totalPrice })
+    : null;
+  const activeVoucher = voucherCheck?.valid ? voucher : null;
+  // Add-ons that do not fit this bike are not offered, and never end up on the booking
+  const motorAddons = useMemo(() => getAddonsFor(addons, motor), [addons, motor]);
+  const selectedAddons = selectAddons(motorAddons, addonSelection);
+
+  const { pickup, dropoff, locationErrors, hasLocationErrors, locationCharges } = useMemo(() => {
+    // Outlet choices default to the first outlet (the Kuta head office)
+    const withDefaultOutlet = (leg) => leg.locationId ? leg : { ...leg, locationId: locations.outlets[0]?.id || '' };
+    const pickupLeg = withDefaultOutlet(locationChoice.pickup);
+    const dropoffLeg = locationChoice.sameReturn ? pickupLeg : withDefaultOutlet(locationChoice.dropoff);
+    const errors = {
+      pickup: validateLocationChoice(pickupLeg),
+      dropoff: locationChoice.sameReturn ? {} : validateLocationChoice(dropoffLeg)
+    };
+    const invalid = Object.keys(errors.pickup).length > 0 || Object.keys(errors.dropoff).length > 0;
+
+    return {
+      pickup: pickupLeg,
+      dropoff: dropoffLeg,
+      locationErrors: errors,
+      hasLocationErrors: invalid,
+      locationCharges: invalid ? [] : calculateLocationCharges({ pickup: pickupLeg, dropoff: dropoffLeg }, locations)
+    };
+  }, [locationChoice, locations]);
+
+  const priceSummary = buildPriceSummary({ priceBreakdown, voucher: activeVoucher, addons: selectedAddons, locationCharges });
+  const totalPrice = priceSummary.totalPrice;
+  const depositTerms = motor ? getDepositTerms(motor) : null;
+  const depositPreview = depositTerms && { amount: depositTerms.amount, method: depositMethod };
+
+  const applyVoucher = useCallback(async (code) => {
+    setVoucherLoading(true);
+    setVoucherError(null);
+    try {
+      const found = await fetchVoucher(code);
+      const check = evaluateVoucher(found, { motor, totalDays, subtotal: priceBreakdown.totalPrice });
+      if (check.valid) {
+        setVoucher(found);
+      } else {
+        setVoucher(null);
+        setVoucherError(check.error);
+      }
+    } catch (error) {
+      setVoucherError(error.message);
+    } finally {
+      setVoucherLoading(false);
+    }
+  }, [motor, totalDays, priceBreakdown.totalPrice]);
+
+  const removeVoucher = useCallback(() => {
+    setVoucher(null);
+    setVoucherError(null);
+  }, []);
+
+  // Checked live (not on blur) so the dates step can gate on the chosen times
+  const rentalErrors = validateRentalDates(values, schedules);
+  const hasTimeErrors = Boolean(rentalErrors.startTime || rentalErrors.endTime);
+  const verificationErrors = validateVerification(values);
+
+  const setPhoto = useCallback((name, photo) => {
+    setValues(prev => ({ ...prev, [name]: photo }));
+  }, [setValues]);
+  const hasRange = totalDays > 0;
+  const conflicts = hasRange && schedules ? findModelConflicts(schedules, values) : [];
+  const startReserved = Boolean(values.startDate) && Boolean(schedules) && isModelDateReserved(schedules, values.startDate);
+  const nextFreeWindow = conflicts.length > 0 || startReserved
+    ? findModelNextFreeWindow(schedules, hasRange ? values : { ...values, endDate: addDays(values.startDate, 1), endTime: values.startTime })
+    : null;
+
+  const rateTiers = motor ? getRateTiers(motor) : null;
+
+  // Calendar picks only change the dates; a suggested free window also carries its times
+  const selectDates = useCallback((selection) => {
+    setValues(prev => ({ ...prev, ...selection }));
+  }, [setValues]);
 
   useEffect(() => {
     if (!isOpen) {
-      setStep(1);
+      setStep('dates');
+      setAddonSelection({});
+      setLocationChoice(INITIAL_LOCATION_CHOICE);
+      setShowLocationErrors(false);
+      setSubmitError(null);
+      setCreatedBooking(null);
+      setBookingCode(generateBookingCode());
+      setDepositMethod('cash');
+      setVoucher(null);
+      setVoucherError(null);
       resetForm();
     }
   }, [isOpen, resetForm]);
 
+  useEffect(() => {
+    if (isOpen && initialValues) {
+      setValues(prev => ({ ...prev, ...initialValues }));
+    }
+  }, [isOpen, initialValues, setValues]);
+
   useEffect(() => {
     const handleEscape = (e) => {
       if (e.key === 'Escape') onClose();
@@ -389,12 +924,77 @@ const BookingModal = ({ isOpen, onClose, motor, onConfirm }) => {
     };
   }, [isOpen, onClose]);
 
-  const handleBookingSubmit = useCallback((formData) => {
-    const bookingData = { ...formData, motor, totalDays, totalPrice };
-    console.log('Booking data:', bookingData);
-    onConfirm(bookingData);
-    setStep(3);
-  }, [motor, totalDays, totalPrice, onConfirm]);
+  const handleBookingSubmit = useCallback(async (formData) => {
+    setSubmitError(null);
+    // Dates held on the server that no booking holds yet; freed again if anything below fails
+    let heldReservation = null;
+    try {
+      // Claim the dates on the server first; it rejects with 409 if someone else was faster.
+      // The hold is made under the booking's code so only this customer can change it.
+      const reservation = await createReservation({
+        motorcycleId: motor.id,
+        startDate: formData.startDate,
+        startTime: formData.startTime,
+        endDate: formData.endDate,
+        endTime: formData.endTime,
+        bookingCode
+      });
+      heldReservation = reservation;
+
+      // Raw document and billing fields (and in-memory photo previews) are replaced by their summaries
+      const customerDetails = Object.fromEntries(
+        Object.entries(formData).filter(([field]) => !(field in INITIAL_VERIFICATION_VALUES) && !(field in INITIAL_BILLING_VALUES))
+      );
+      const bookingData = {
+        ...customerDetails,
+        motor,
+        code: bookingCode,
+        totalDays,
+        totalPrice,
+        priceBreakdown,
+        voucher: activeVoucher ? toBookingVoucher(activeVoucher, priceSummary.discount) : null,
+        addons: selectedAddons,
+        pickup: toBookingLocation(pickup, locations),
+        dropoff: toBookingLocation(dropoff, locations),
+        locationCharges,
+        deposit: createDeposit(motor, depositMethod),
+        verification: toBookingVerification(formData),
+        billing: toBookingBilling(formData),
+        reservationId: reservation.id
+      };
+      const booking = await onConfirm(bookingData);
+      heldReservation = null;
+      setCreatedBooking(booking);
+      setStep('payment');
+    } catch (error) {
+      if (heldReservation) await deleteReservation(heldReservation.id, { bookingCode }).catch(() => {});
+      setIsSubmitting(false);
+      refreshReservations();
+      if (error.status === 409) {
+        setSubmitError('Maaf, tanggal tersebut baru saja dipesan pelanggan lain. Silakan pilih tanggal lain.');
+        setStep('dates');
+      } else {
+        setSubmitError(error.message);
+      }
+    }
+  }, [bookingCode, motor, totalDays, totalPrice, priceBreakdown, activeVoucher, priceSummary.discount, selectedAddons, pickup, dropoff, locations, locationCharges, depositMethod, onConfirm, setIsSubmitting, refreshReservations]);
+
+  const handlePaymentUpdate = useCallback(async (charge) => {
+    const updated = await onPaymentUpdate(createdBooking, charge);
+    setCreatedBooking(updated);
+    if (updated.status === 'confirmed') setStep('agreement');
+  }, [createdBooking, onPaymentUpdate]);
+
+  const handleSignAgreement = useCallback(async (booking, signing) => {
+    setCreatedBooking(await onSignAgreement(booking, signing));
+    setStep('confirmed');
+  }, [onSignAgreement]);
+
+  const handleIssueInvoices = useCallback(async (booking) => {
+    const issued = await onIssueInvoices(booking);
+    setCreatedBooking(issued);
+    return issued;
+  }, [onIssueInvoices]);
 
   if (!isOpen) return null;
 
@@ -417,7 +1017,13 @@ const BookingModal = ({ isOpen, onClose, motor, onConfirm }) => {
             </button>
           </div>
 
-          {step === 1 && (
+          {submitError && step !== 'confirmed' && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">
+              {submitError}
+            </div>
+          )}
+
+          {step === 'dates' && (
             <div>
               <div className="flex items-center mb-6 p-4 bg-gray-50 rounded-lg">
                 <img 
@@ -429,6 +1035,9 @@ const BookingModal = ({ isOpen, onClose, motor, onConfirm }) => {
                 <div>
                   <h4 className="font-bold text-lg text-gray-900">{motor.name}</h4>
                   <p className="text-blue-600 font-bold">Rp {motor.price.toLocaleString('id-ID')}/hari</p>
+                  <p className="text-xs text-gray-500">
+                    Rp {rateTiers.weekly.toLocaleString('id-ID')}/minggu · Rp {rateTiers.monthly.toLocaleString('id-ID')}/bulan
+                  </p>
                 </div>
               </div>
               
@@ -436,65 +1045,184 @@ const BookingModal = ({ isOpen, onClose, motor, onConfirm }) => {
                 <div>
                   <label className="block text-sm font-medium mb-2 text-gray-700">Durasi Sewa</label>
                   <div className="grid grid-cols-2 gap-4">
-                    <div>
-                      <label className="block text-xs text-gray-600 mb-1">Mulai</label>
-                      <input
-                        type="date"
-                        name="startDate"
-                        value={values.startDate}
-                        onChange={handleChange}
-                        onBlur={handleBlur}
-                        min={new Date().toISOString().split('T')[0]}
-                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                      />
-                      {touched.startDate && errors.startDate && (
-                        <p className="text-red-500 text-sm mt-1">{errors.startDate}</p>
-                      )}
-                    </div>
-                    <div>
-                      <label className="block text-xs text-gray-600 mb-1">Selesai</label>
-                      <input
-                        type="date"
-                        name="endDate"
-                        value={values.endDate}
-                        onChange={handleChange}
-                        onBlur={handleBlur}
-                        min={values.startDate || new Date().toISOString().split('T')[0]}
-                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                      />
-                      {touched.endDate && errors.endDate && (
-                        <p className="text-red-500 text-sm mt-1">{errors.endDate}</p>
-                      )}
-                    </div>
+                    {[['startDate', 'startTime', 'Mulai'], ['endDate', 'endTime', 'Selesai']].map(([dateName, timeName, label]) => (
+                      <div key={dateName} className="space-y-2">
+                        <label className="block text-xs text-gray-600 mb-1">{label}</label>
+                        <input
+                          type="date"
+                          name={dateName}
+                          value={values[dateName]}
+                          onChange={handleChange}
+                          onBlur={handleBlur}
+                          min={dateName === 'endDate' && values.startDate ? values.startDate : todayKey()}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                        <TimeSlotSelect
+                          name={timeName}
+                          value={values[timeName]}
+                          onChange={handleChange}
+                          onBlur={handleBlur}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                        {touched[dateName] && rentalErrors[dateName] && (
+                          <p className="text-red-500 text-sm mt-1">{rentalErrors[dateName]}</p>
+                        )}
+                        {(touched[dateName] || touched[timeName]) && rentalErrors[timeName] && (
+                          <p className="text-red-500 text-sm mt-1">{rentalErrors[timeName]}</p>
+                        )}
+                      </div>
+                    ))}
                   </div>
+                  <p className="text-xs text-gray-500 mt-2">
+                    Pengambilan &amp; pengembalian pukul {OPERATING_HOURS.open}–{OPERATING_HOURS.close} WITA.
+                    Terlambat hingga {RENTAL_TIME_POLICY.graceMinutes} menit tidak dikenakan biaya.
+                  </p>
                 </div>
 
-                {totalDays > 0 && (
-                  <div className="bg-blue-50 p-4 rounded-lg border border-blue-100">
-                    <div className="flex justify-between text-sm">
-                      <span className="text-gray-700">Total Hari:</span>
-                      <span className="font-semibold">{totalDays} hari</span>
-                    </div>
-                    <div className="flex justify-between font-bold text-lg mt-2 pt-2 border-t border-blue-100">
-                      <span>Total Harga:</span>
-                      <span className="text-blue-600">Rp {totalPrice.toLocaleString('id-ID')}</span>
-                    </div>
+                {reservationsLoading ? (
+                  <LoadingSpinner size="small" />
+                ) : reservationsError ? (
+                  <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg flex items-center justify-between">
+                    <span>Gagal memuat jadwal motor.</span>
+                    <button type="button" onClick={refreshReservations} className="font-semibold underline">
+                      Coba Lagi
+                    </button>
+                  </div>
+                ) : (
+                  <AvailabilityCalendar
+                    schedules={schedules}
+                    startDate={values.startDate}
+                    endDate={values.endDate}
+                    startTime={values.startTime}
+                    endTime={values.endTime}
+                    onSelect={selectDates}
+                  />
+                )}
+
+                {nextFreeWindow && (
+                  <div className="bg-amber-50 p-4 rounded-lg border border-amber-200 text-sm">
+                    <p className="text-amber-800 font-medium">
+                      Motor ini sudah dipesan pada tanggal yang Anda pilih.
+                    </p>
+                    <p className="text-amber-700 mt-1">
+                      Jadwal kosong berikutnya: {formatDateTime(nextFreeWindow.startDate, nextFreeWindow.startTime)} – {formatDateTime(nextFreeWindow.endDate, nextFreeWindow.endTime)}
+                    </p>
+                    <button
+                      type="button"
+                      onClick={() => selectDates(nextFreeWindow)}
+                      className="mt-3 text-amber-900 font-semibold underline hover:no-underline"
+                    >
+                      Gunakan tanggal ini
+                    </button>
                   </div>
                 )}
+
+                {totalDays > 0 && !nextFreeWindow && !hasTimeErrors && (
+                  <PriceBreakdown breakdown={priceBreakdown} extraLines={priceSummary.lines} total={totalPrice} deposit={depositPreview} />
+                )}
               </div>
 
               <button
-                onClick={() => setStep(2)}
-                disabled={totalDays <= 0}
+                onClick={() => setStep('location')}
+                disabled={totalDays <= 0 || Boolean(nextFreeWindow) || hasTimeErrors || reservationsLoading}
                 className="w-full bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold mt-6 disabled:bg-gray-300 disabled:cursor-not-allowed"
               >
-                Lanjutkan ke Data Diri
+                Lanjutkan ke Lokasi
               </button>
             </div>
           )}
 
-          {step === 2 && (
-            <form onSubmit={handleSubmit(handleBookingSubmit)}>
+          {step === 'location' && (
+            <div>
+              {locationsLoading ? (
+                <LoadingSpinner size="small" />
+              ) : locationsError ? (
+                <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg flex items-center justify-between">
+                  <span>Gagal memuat daftar lokasi.</span>
+                  <button type="button" onClick={refreshLocations} className="font-semibold underline">
+                    Coba Lagi
+                  </button>
+                </div>
+              ) : (
+                <LocationPicker
+                  value={{ ...locationChoice, pickup, dropoff: locationChoice.sameReturn ? locationChoice.dropoff : dropoff }}
+                  errors={showLocationErrors ? locationErrors : {}}
+                  outlets={locations.outlets}
+                  zones={locations.zones}
+                  onChange={setLocationChoice}
+                />
+              )}
+
+              <div className="mt-4">
+                <PriceBreakdown breakdown={priceBreakdown} extraLines={priceSummary.lines} total={totalPrice} deposit={depositPreview} />
+              </div>
+
+              <div className="flex gap-3 mt-6">
+                <button
+                  type="button"
+                  onClick={() => setStep('dates')}
+                  className="flex-1 border border-gray-300 text-gray-700 py-3 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+                >
+                  Kembali
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowLocationErrors(true);
+                    if (!hasLocationErrors) setStep('extras');
+                  }}
+                  disabled={locationsLoading || Boolean(locationsError)}
+                  className="flex-1 bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold disabled:bg-gray-300 disabled:cursor-not-allowed"
+                >
+                  Lanjutkan ke Perlengkapan
+                </button>
+              </div>
+            </div>
+          )}
+
+          {step === 'extras' && (
+            <div>
+              <h4 className="font-semibold text-gray-900 mb-1">Perlengkapan Tambahan</h4>
+              <p className="text-sm text-gray-500 mb-4">Helm dan jaket standar sudah termasuk gratis.</p>
+
+              {addonsLoading ? (
+                <LoadingSpinner size="small" />
+              ) : addonsError ? (
+                <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg flex items-center justify-between">
+                  <span>Gagal memuat daftar perlengkapan.</span>
+                  <button type="button" onClick={refreshAddons} className="font-semibold underline">
+                    Coba Lagi
+                  </button>
+                </div>
+              ) : (
+                <AddonPicker addons={motorAddons} selection={addonSelection} onChange={setAddonSelection} />
+              )}
+
+              <div className="mt-4">
+                <PriceBreakdown breakdown={priceBreakdown} extraLines={priceSummary.lines} total={totalPrice} deposit={depositPreview} />
+              </div>
+
+              <div className="flex gap-3 mt-6">
+                <button
+                  type="button"
+                  onClick={() => setStep('location')}
+                  className="flex-1 border border-gray-300 text-gray-700 py-3 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+                >
+                  Kembali
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setStep('details')}
+                  className="flex-1 bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold"
+                >
+                  Lanjutkan ke Data Diri
+                </button>
+              </div>
+            </div>
+          )}
+
+          {step === 'details' && (
+            <div>
               <div className="space-y-4">
                 <div>
                   <label className="block text-sm font-medium mb-2 text-gray-700">Nama Lengkap *</label>
@@ -544,6 +1272,8 @@ const BookingModal = ({ isOpen, onClose, motor, onConfirm }) => {
                   )}
                 </div>
 
+                <BillingFields values={values} errors={errors} touched={touched} onChange={handleChange} onBlur={handleBlur} />
+
                 <div>
                   <label className="block text-sm font-medium mb-2 text-gray-700">Catatan Tambahan (Opsional)</label>
                   <textarea
@@ -553,15 +1283,97 @@ const BookingModal = ({ isOpen, onClose, motor, onConfirm }) => {
                     onBlur={handleBlur}
                     rows={3}
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                    placeholder="Catatan khusus, permintaan helm, dll."
+                    placeholder="Catatan khusus untuk tim kami"
                   />
                 </div>
+
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-gray-700">Deposit Jaminan</label>
+                  <div className="grid grid-cols-2 gap-2">
+                    {Object.entries(DEPOSIT_METHODS).map(([method, { label }]) => {
+                      const unavailable = method === 'id' && !depositTerms.idAccepted;
+                      return (
+                        <button
+                          key={method}
+                          type="button"
+                          onClick={() => setDepositMethod(method)}
+                          disabled={unavailable}
+                          className={`px-3 py-2 rounded-lg border text-sm font-medium transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                            depositMethod === method ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      );
+                    })}
+                  </div>
+                  {!depositTerms.idAccepted && (
+                    <p className="text-xs text-gray-500 mt-1">Motor kategori {motor.category} hanya menerima deposit uang tunai.</p>
+                  )}
+                </div>
+
+                <VoucherField
+                  appliedCode={voucher?.code}
+                  discount={priceSummary.discount}
+                  error={voucher ? voucherCheck?.error : voucherError}
+                  isLoading={voucherLoading}
+                  onApply={applyVoucher}
+                  onRemove={removeVoucher}
+                />
+
+                <PriceBreakdown breakdown={priceBreakdown} extraLines={priceSummary.lines} total={totalPrice} deposit={depositPreview} />
               </div>
 
               <div className="flex gap-3 mt-6">
                 <button
                   type="button"
-                  onClick={() => setStep(1)}
+                  onClick={() => setStep('extras')}
+                  className="flex-1 border border-gray-300 text-gray-700 py-3 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+                >
+                  Kembali
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    if (validateFields(['name', 'email', 'phone', 'companyName', 'companyTaxId', 'companyAddress'])) setStep('verification');
+                  }}
+                  className="flex-1 bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold"
+                >
+                  Lanjutkan ke Verifikasi
+                </button>
+              </div>
+            </div>
+          )}
+
+          {step === 'verification' && (
+            <form onSubmit={handleSubmit(handleBookingSubmit)}>
+              <VerificationFields
+                values={values}
+                errors={verificationErrors}
+                touched={touched}
+                onChange={handleChange}
+                onBlur={handleBlur}
+                bookingCode={bookingCode}
+                onPhotoChange={setPhoto}
+              />
+
+              {touched.startDate && (errors.startDate || errors.startTime || errors.endDate || errors.endTime) && (
+                <div className="mt-4 p-3 bg-amber-50 border border-amber-200 text-amber-800 text-sm rounded-lg">
+                  {errors.startDate || errors.startTime || errors.endDate || errors.endTime}.{' '}
+                  <button type="button" onClick={() => setStep('dates')} className="font-semibold underline">
+                    Ubah jadwal
+                  </button>
+                </div>
+              )}
+
+              <div className="mt-4">
+                <PriceBreakdown breakdown={priceBreakdown} extraLines={priceSummary.lines} total={totalPrice} deposit={depositPreview} />
+              </div>
+
+              <div className="flex gap-3 mt-6">
+                <button
+                  type="button"
+                  onClick={() => setStep('details')}
                   className="flex-1 border border-gray-300 text-gray-700 py-3 rounded-lg hover:bg-gray-50 transition-colors font-medium"
                 >
                   Kembali
@@ -577,39 +1389,136 @@ const BookingModal = ({ isOpen, onClose, motor, onConfirm }) => {
                       Memproses...
                     </span>
                   ) : (
-                    'Konfirmasi Booking'
+                    'Lanjutkan ke Pembayaran'
                   )}
                 </button>
               </div>
             </form>
           )}
 
-          {step === 3 && (
+          {step === 'payment' && createdBooking && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Kode booking <span className="font-mono font-semibold">{createdBooking.code}</span> untuk {motor.name}.
+                Jadwal Anda kami tahan selama menunggu pembayaran.
+              </p>
+              <PaymentPanel booking={createdBooking} onUpdate={handlePaymentUpdate} />
+              {createdBooking.status === 'expired' && (
+                <button
+                  onClick={onClose}
+                  className="w-full border border-gray-300 text-gray-700 py-3 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+                >
+                  Tutup
+                </button>
+              )}
+            </div>
+          )}
+
+          {step === 'agreement' && createdBooking && (
+            <div className="space-y-4">
+              <div className="flex items-center text-green-700 bg-green-50 p-3 rounded-lg text-sm">
+                <CheckCircle size={18} className="mr-2 flex-shrink-0" />
+                Pembayaran diterima. Tanda tangani perjanjian sewa agar pengambilan motor lebih cepat.
+              </div>
+              <RentalAgreement
+                booking={createdBooking}
+                onSign={handleSignAgreement}
+                onSkip={() => setStep('confirmed')}
+              />
+            </div>
+          )}
+
+          {step === 'confirmed' && (
             <div className="text-center py-8">
               <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4">
                 <CheckCircle className="text-green-600" size={32} />
               </div>
               <h4 className="text-xl font-bold mb-2 text-gray-900">Booking Berhasil!</h4>
               <p className="text-gray-600 mb-6 leading-relaxed">
-                Terima kasih telah melakukan booking. Detail konfirmasi telah dikirim ke email Anda. 
+                Terima kasih telah melakukan booking.{' '}
+                {createdBooking && wasNotified(createdBooking, 'booking_confirmed', 'email')
+                  ? 'Detail konfirmasi telah dikirim ke email Anda.'
+                  : 'Detail konfirmasi tersedia di halaman Pesanan Saya.'}{' '}
                 Tim kami akan menghubungi dalam waktu 1x24 jam.
               </p>
               <div className="bg-gray-50 p-4 rounded-lg mb-6 text-left">
                 <div className="text-sm space-y-2">
+                  {createdBooking && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Kode Booking:</span>
+                      <span className="font-mono font-bold">{createdBooking.code}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between">
                     <span className="text-gray-600">Motor:</span>
                     <span className="font-medium">{motor.name}</span>
                   </div>
                   <div className="flex justify-between">
                     <span className="text-gray-600">Durasi:</span>
-                    <span className="font-medium">{totalDays} hari</span>
+                    <span className="font-medium">{formatRentalLength(totalDays, overageHours)}</span>
                   </div>
+                  <div className="flex justify-between gap-4">
+                    <span className="text-gray-600">Jadwal:</span>
+                    <span className="font-medium text-right">
+                      {formatDateTime(values.startDate, values.startTime)} – {formatDateTime(values.endDate, values.endTime)}
+                    </span>
+                  </div>
+                  {createdBooking?.pickup && (
+                    <div className="flex justify-between gap-4">
+                      <span className="text-gray-600">Pengambilan:</span>
+                      <span className="font-medium text-right">{describeLocation(createdBooking.pickup)}</span>
+                    </div>
+                  )}
+                  {createdBooking?.dropoff && (
+                    <div className="flex justify-between gap-4">
+                      <span className="text-gray-600">Pengembalian:</span>
+                      <span className="font-medium text-right">{describeLocation(createdBooking.dropoff)}</span>
+                    </div>
+                  )}
+                  {createdBooking?.addons?.length > 0 && (
+                    <div className="flex justify-between gap-4">
+                      <span className="text-gray-600">Perlengkapan:</span>
+                      <span className="font-medium text-right">
+                        {createdBooking.addons.map(item => `${item.name}${item.quantity > 1 ? ` ×${item.quantity}` : ''}`).join(', ')}
+                      </span>
+                    </div>
+                  )}
+                  {createdBooking?.voucher && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Voucher {createdBooking.voucher.code}:</span>
+                      <span className="font-medium text-green-600">- Rp {createdBooking.voucher.discount.toLocaleString('id-ID')}</span>
+                    </div>
+                  )}
+                  {createdBooking?.deposit && (
+                    <div className="flex justify-between gap-4">
+                      <span className="text-gray-600">Deposit saat pengambilan:</span>
+                      <span className="font-medium text-right">
+                        {createdBooking.deposit.method === 'id'
+                          ? `${DEPOSIT_METHODS.id.label} (jaminan Rp ${createdBooking.deposit.amount.toLocaleString('id-ID')})`
+                          : `Rp ${createdBooking.deposit.amount.toLocaleString('id-ID')} tunai`}
+                      </span>
+                    </div>
+                  )}
+                  {createdBooking?.payment && (
+                    <div className="flex justify-between gap-4">
+                      <span className="text-gray-600">Pembayaran:</span>
+                      <span className="font-medium text-right">{findPaymentMethod(createdBooking.payment.method)?.label}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between">
-                    <span className="text-gray-600">Total:</span>
+                    <span className="text-gray-600">Total Dibayar:</span>
                     <span className="font-bold text-green-600">Rp {totalPrice.toLocaleString('id-ID')}</span>
                   </div>
                 </div>
               </div>
+              {createdBooking?.payment?.status === 'paid' && (
+                <InvoiceActions booking={createdBooking} onIssue={handleIssueInvoices} className="mb-3 text-left" />
+              )}
+              {createdBooking?.agreement ? (
+                <AgreementDownloadButton agreement={createdBooking.agreement} bookingCode={createdBooking.code} className="mb-3" />
+              ) : (
+                <p className="text-sm text-gray-600 mb-4">Perjanjian sewa dapat ditandatangani nanti dari halaman Pesanan Saya.</p>
+              )}
               <button
                 onClick={onClose}
                 className="w-full bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold"
@@ -633,10 +1542,48 @@ const App = () => {
   const [selectedMotor, setSelectedMotor] = useState(null);
   const [installPrompt, setInstallPrompt] = useState(null);
   const [showInstallPrompt, setShowInstallPrompt] = useState(false);
-  const [recentlyViewed, setRecentlyViewed] = useLocalStorage('recentlyViewed', []);
+  const { recentIds, favouriteIds, addRecent, clearRecent, toggleFavourite, isFavourite, merge: mergeSavedMotors } = useSavedMotors();
+  const [bookingPrefill, setBookingPrefill] = useState(null);
+  const [compareIds, setCompareIds] = useState([]);
+  const { route, location, navigate, linkProps } = useRouter();
+  const pendingScrollRef = useRef(null);
+  const { bookings, addBooking, applyPayment, issueInvoices, cancelBooking, rescheduleBooking, signAgreement, attachToAccount } = useBookings();
+  const { user, token, register, loginWithPassword, requestOtp, verifyOtp, updateProfile, logout, fetchBookings, claimBooking } = useAuth();
+  const riderDefaults = useMemo(() => toRiderDefaults(user), [user]);
+  const accountBookings = useAccountBookings(fetchBookings, bookings);
 
   const { notifications, addNotification, removeNotification } = useNotifications();
-  const motorcycles = useMotorcycleData();
+  const {
+    motorcycles,
+    isLoading: motorcyclesLoading,
+    error: motorcyclesError,
+    units,
+    maintenance,
+    retry: retryMotorcycles,
+    update: updateMotorcycles,
+    updateUnits,
+    updateMaintenance
+  } = useMotorcycleData();
+  // Units due for service are not ready to rent, so they are not counted
+  const bookableUnitCount = useMemo(() => getBookableUnits(units, maintenance, todayKey()).length, [units, maintenance]);
+  const { filters: fleetFilters, setFilters: setFleetFilters, resetFilters: resetFleetFilters } = useFleetFilters();
+  const visibleMotorcycles = useMemo(
+    () => filterMotorcycles(motorcycles, fleetFilters),
+    [motorcycles, fleetFilters]
+  );
+  const recentMotorcycles = useMemo(() => resolveMotors(recentIds, motorcycles), [recentIds, motorcycles]);
+  const favouriteMotorcycles = useMemo(() => resolveMotors(favouriteIds, motorcycles), [favouriteIds, motorcycles]);
+  const compareMotorcycles = useMemo(() => resolveMotors(compareIds, motorcycles), [compareIds, motorcycles]);
+
+  // A shared filtered link should land on the fleet list rather than the hero
+  const scrollToFleetRef = useRef(hasActiveFilters(fleetFilters));
+
+  useEffect(() => {
+    if (scrollToFleetRef.current && !motorcyclesLoading) {
+      scrollToFleetRef.current = false;
+      document.getElementById('motorcycles')?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [motorcyclesLoading]);
 
   const testimonials = useMemo(() => [
     {
@@ -677,42 +1624,207 @@ const App = () => {
     validateContact
   );
 
+  const isHome = route.name === 'home';
+
   // Smooth scroll function
   const scrollToSection = useCallback((sectionId) => {
-    const element = document.getElementById(sectionId);
-    if (element) {
-      element.scrollIntoView({ behavior: 'smooth' });
-      setIsMenuOpen(false);
+    setIsMenuOpen(false);
+    // Sections only exist on the home page; go back first and scroll once rendered
+    if (!isHome) {
+      pendingScrollRef.current = sectionId;
+      navigate(buildPath('home'));
+      return;
+    }
+
+    document.getElementById(sectionId)?.scrollIntoView({ behavior: 'smooth' });
+  }, [isHome, navigate]);
+
+  // Old `/#contact` style links still land on their section
+  useEffect(() => {
+    if (isHome && location.hash) {
+      document.getElementById(decodeURIComponent(location.hash.slice(1)))?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [isHome, location.hash]);
+
+  useEffect(() => {
+    if (isHome && pendingScrollRef.current) {
+      document.getElementById(pendingScrollRef.current)?.scrollIntoView({ behavior: 'smooth' });
+      pendingScrollRef.current = null;
+    } else if (!isHome) {
+      window.scrollTo({ top: 0 });
     }
+  }, [isHome, location.pathname]);
+
+  const openMyBookings = useCallback(() => {
+    setIsMenuOpen(false);
+    navigate(buildPath('bookings'));
+  }, [navigate]);
+
+  const getDetailLinkProps = useCallback(
+    (motor) => linkProps(buildPath('motor', { id: motor.id })),
+    [linkProps]
+  );
+
+  const toggleCompare = useCallback((id) => {
+    setCompareIds(prev => {
+      if (prev.some(item => String(item) === String(id))) return prev.filter(item => String(item) !== String(id));
+      return prev.length < COMPARE_LIMITS.max ? [...prev, id] : prev;
+    });
   }, []);
 
-  // Handle booking
-  const handleBooking = useCallback((motor = null) => {
-    if (motor) {
-      setSelectedMotor(motor);
-      // Add to recently viewed
-      setRecentlyViewed(prev => {
-        const filtered = prev.filter(item => item.id !== motor.id);
-        return [motor, ...filtered].slice(0, 3);
-      });
+  const openComparison = useCallback(() => {
+    navigate(`${buildPath('compare')}${toCompareQuery(compareIds)}`);
+  }, [navigate, compareIds]);
+
+  // The compare page is driven by its URL so the link can be shared as is
+  const comparedIds = useMemo(
+    () => (route.name === 'compare' ? parseCompareQuery(location.search) : []),
+    [route.name, location.search]
+  );
+
+  const removeFromComparison = useCallback((id) => {
+    setCompareIds(prev => prev.filter(item => String(item) !== String(id)));
+    const remaining = comparedIds.filter(item => item !== String(id));
+    navigate(`${buildPath('compare')}${remaining.length ? toCompareQuery(remaining) : ''}`, { replace: true });
+  }, [navigate, comparedIds]);
+
+  // Handle booking; `prefill` carries dates already picked on the detail page
+  const handleBooking = useCallback((motor = null, prefill = null) => {
+    if (!motor) {
+      // The header buttons have no bike yet, so let the customer pick one first
+      scrollToSection('motorcycles');
+      return;
     }
+
+    setSelectedMotor(motor);
+    setBookingPrefill(prefill);
+    addRecent(motor.id);
     setBookingModalOpen(true);
-  }, [setRecentlyViewed]);
+  }, [addRecent, scrollToSection]);
 
-  const handleBookingConfirm = useCallback((bookingData) => {
-    console.log('Booking confirmed:', bookingData);
-    addNotification('Booking berhasil! Konfirmasi telah dikirim ke email Anda.', 'success');
-    
-    // Simulate API call
-    setTimeout(() => {
-      addNotification('Tim kami akan menghubungi Anda dalam 30 menit.', 'success', 3000);
-    }, 1000);
-  }, [addNotification]);
-
-  const handleContactSubmit = useCallback((formData) => {
-    console.log('Contact form submitted:', formData);
-    addNotification('Pesan terkirim! Kami akan membalas dalam 1x24 jam.', 'success');
-    contactForm.resetForm();
+  // Opening a detail page counts as viewing that bike
+  const viewedMotor = route.name === 'motor'
+    ? motorcycles.find(motor => String(motor.id) === route.params.id)
+    : null;
+
+  useEffect(() => {
+    if (viewedMotor) addRecent(viewedMotor.id);
+  }, [viewedMotor, addRecent]);
+
+  const openFavourites = useCallback(() => {
+    setIsMenuOpen(false);
+    navigate(buildPath('favourites'));
+  }, [navigate]);
+
+  const handleBookingConfirm = useCallback(async (bookingData) => {
+    return addBooking(bookingData, { token });
+  }, [addBooking, token]);
+
+  // Once per sign-in: claim this device's bookings and merge saved motorcycles both ways
+  const syncedUserRef = useRef(null);
+  const savedMotorsSynced = Boolean(user) && syncedUserRef.current === user.id;
+
+  useEffect(() => {
+    if (!user) {
+      syncedUserRef.current = null;
+      return;
+    }
+    if (syncedUserRef.current === user.id) return;
+    syncedUserRef.current = user.id;
+
+    attachToAccount(claimBooking);
+    const merged = mergeSavedMotors(user.savedMotors || {});
+    updateProfile({ savedMotors: merged }).catch(error => {
+      console.warn('Saving favourites to account failed:', error);
+    });
+  }, [user, attachToAccount, claimBooking, mergeSavedMotors, updateProfile]);
+
+  // Later favourite changes follow the account
+  useEffect(() => {
+    if (!savedMotorsSynced) return;
+    const stored = (user.savedMotors?.favourites || []).map(String);
+    if (stored.join(',') === favouriteIds.map(String).join(',')) return;
+    updateProfile({ savedMotors: { recentlyViewed: recentIds, favourites: favouriteIds } }).catch(error => {
+      console.warn('Saving favourites to account failed:', error);
+    });
+  }, [savedMotorsSynced, user, favouriteIds, recentIds, updateProfile]);
+
+  const openAccount = useCallback(() => {
+    setIsMenuOpen(false);
+    navigate(buildPath('account'));
+  }, [navigate]);
+
+  const openAdmin = useCallback(() => {
+    setIsMenuOpen(false);
+    navigate(buildPath('admin'));
+  }, [navigate]);
+
+  const handleLogout = useCallback(async () => {
+    await logout();
+    addNotification('Anda telah keluar dari akun.', 'success', 3000);
+  }, [logout, addNotification]);
+
+  const handlePaymentUpdate = useCallback(async (booking, charge) => {
+    const updated = await applyPayment(booking, charge);
+
+    if (updated.status === 'confirmed' && booking.status !== 'confirmed') {
+      addNotification(
+        wasNotified(updated, 'booking_confirmed', 'email')
+          ? `Booking ${updated.code} berhasil! Konfirmasi telah dikirim ke email Anda.`
+          : `Booking ${updated.code} berhasil! Detail booking tersedia di Pesanan Saya.`,
+        'success'
+      );
+
+      // Simulate API call
+      setTimeout(() => {
+        addNotification('Tim kami akan menghubungi Anda dalam 30 menit.', 'success', 3000);
+      }, 1000);
+    } else if (updated.status === 'expired') {
+      addNotification(`Waktu pembayaran booking ${updated.code} habis. Jadwal telah dilepas.`, 'error');
+    }
+
+    return updated;
+  }, [applyPayment, addNotification]);
+
+  const handleCancelBooking = useCallback(async (booking) => {
+    const cancelled = await cancelBooking(booking);
+    addNotification(
+      booking.status === 'pending'
+        ? `Booking ${cancelled.code} dibatalkan.`
+        : `Booking ${cancelled.code} dibatalkan. Dana kembali Rp ${cancelled.cancellation.refund.toLocaleString('id-ID')}.`,
+      'success'
+    );
+    return cancelled;
+  }, [cancelBooking, addNotification]);
+
+  const handleSignAgreement = useCallback(async (booking, signing) => {
+    const signed = await signAgreement(booking, signing);
+    addNotification(`Perjanjian sewa ${signed.code} telah ditandatangani.`, 'success', 3000);
+    return signed;
+  }, [signAgreement, addNotification]);
+
+  const handleRescheduleBooking = useCallback(async (booking, rental) => {
+    const updated = await rescheduleBooking(booking, rental);
+    addNotification(`Jadwal booking ${updated.code} berhasil diubah.`, 'success');
+    return updated;
+  }, [rescheduleBooking, addNotification]);
+
+  // The backend forwards the message to our inbox and sends the customer an autoreply.
+  // Only a delivery the mail channel accepted counts as sent; the mock API merely queues it.
+  const handleContactSubmit = useCallback(async (formData) => {
+    try {
+      const deliveries = await sendContactMessage(formData);
+      if (deliveries.length > 0 && deliveries.every(delivery => delivery.status === 'sent')) {
+        addNotification('Pesan terkirim! Kami akan membalas dalam 1x24 jam.', 'success');
+      } else {
+        addNotification(`Pesan diterima tetapi belum diteruskan ke tim kami. Untuk hal mendesak, hubungi ${LESSOR.phone}.`, 'warning', 8000);
+      }
+      contactForm.resetForm();
+    } catch {
+      addNotification(`Pesan gagal terkirim. Silakan coba lagi atau hubungi kami di ${LESSOR.phone}.`, 'error');
+    } finally {
+      contactForm.setIsSubmitting(false);
+    }
   }, [addNotification, contactForm]);
 
   // PWA Installation
@@ -813,10 +1925,10 @@ const App = () => {
           <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
             <div className="flex justify-between items-center h-16">
               <div className="flex items-center">
-                <div className="flex-shrink-0 flex items-center">
+                <a {...linkProps(buildPath('home'))} className="flex-shrink-0 flex items-center">
                   <Zap className="text-blue-600 mr-2" size={28} />
                   <h1 className="text-2xl font-bold text-blue-600">MotorRent</h1>
-                </div>
+                </a>
               </div>
               
               <nav className="hidden md:block">
@@ -836,7 +1948,51 @@ const App = () => {
                 </div>
               </nav>
 
-              <div className="hidden md:block">
+              <div className="hidden md:flex items-center gap-3">
+                {isStaff(user) && (
+                  <button
+                    onClick={openAdmin}
+                    className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors flex items-center hover:bg-blue-50 ${
+                      route.name === 'admin' ? 'text-blue-600' : 'text-gray-700 hover:text-blue-600'
+                    }`}
+                  >
+                    <ShieldCheck className="mr-2" size={16} />
+                    Admin
+                  </button>
+                )}
+                <button
+                  onClick={openAccount}
+                  className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors flex items-center hover:bg-blue-50 ${
+                    route.name === 'account' ? 'text-blue-600' : 'text-gray-700 hover:text-blue-600'
+                  }`}
+                >
+                  <User className="mr-2" size={16} />
+                  {user ? (user.name || 'Akun Saya') : 'Masuk'}
+                </button>
+                <button
+                  onClick={openFavourites}
+                  className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors flex items-center hover:bg-blue-50 ${
+                    route.name === 'favourites' ? 'text-blue-600' : 'text-gray-700 hover:text-blue-600'
+                  }`}
+                  aria-label="Favorit"
+                >
+                  <Heart className={favouriteMotorcycles.length > 0 ? 'fill-red-500 text-red-500' : ''} size={16} />
+                  {favouriteMotorcycles.length > 0 && (
+                    <span className="ml-1">{favouriteMotorcycles.length}</span>
+                  )}
+                </button>
+                <button
+                  onClick={openMyBookings}
+                  className={`relative px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center hover:bg-blue-50 ${
+                    route.name === 'bookings' ? 'text-blue-600' : 'text-gray-700 hover:text-blue-600'
+                  }`}
+                >
+                  <ClipboardList className="mr-2" size={16} />
+                  Pesanan Saya
+                  {bookings.length > 0 && (
+                    <span className="ml-2 bg-blue-600 text-white text-xs rounded-full px-2 py-0.5">{bookings.length}</span>
+                  )}
+                </button>
                 <button 
                   onClick={() => handleBooking()}
                   className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors font-semibold flex items-center shadow-lg hover:shadow-xl"
@@ -874,6 +2030,36 @@ const App = () => {
                      item === 'testimonials' ? 'Testimoni' : 'Kontak'}
                   </button>
                 ))}
+                <button
+                  onClick={openFavourites}
+                  className="flex items-center w-full text-left px-3 py-2 text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                >
+                  <Heart className="mr-2" size={18} />
+                  Favorit {favouriteMotorcycles.length > 0 && `(${favouriteMotorcycles.length})`}
+                </button>
+                {isStaff(user) && (
+                  <button
+                    onClick={openAdmin}
+                    className="flex items-center w-full text-left px-3 py-2 text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                  >
+                    <ShieldCheck className="mr-2" size={18} />
+                    Admin
+                  </button>
+                )}
+                <button
+                  onClick={openAccount}
+                  className="flex items-center w-full text-left px-3 py-2 text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                >
+                  <User className="mr-2" size={18} />
+                  {user ? (user.name || 'Akun Saya') : 'Masuk'}
+                </button>
+                <button
+                  onClick={openMyBookings}
+                  className="flex items-center w-full text-left px-3 py-2 text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                >
+                  <ClipboardList className="mr-2" size={18} />
+                  Pesanan Saya {bookings.length > 0 && `(${bookings.length})`}
+                </button>
                 <button 
                   onClick={() => handleBooking()}
                   className="w-full mt-4 bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold shadow-lg"
@@ -885,251 +2071,356 @@ const App = () => {
           )}
         </header>
 
-        {/* Hero Section */}
-        <section id="home" className="bg-gradient-to-br from-blue-600 via-blue-700 to-indigo-800 text-white relative overflow-hidden">
-          <div className="absolute inset-0 bg-black opacity-10"></div>
-          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-20 relative">
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-12 items-center">
-              <div className="animate-fade-in">
-                <div className="inline-flex items-center px-4 py-2 bg-blue-500 rounded-full text-sm mb-6">
-                  <Star className="fill-yellow-400 text-yellow-400 mr-2" size={16} />
-                  <span>Rating 4.9/5 dari 500+ pelanggan</span>
-                </div>
-                <h1 className="text-4xl md:text-6xl font-bold mb-6 leading-tight">
-                  Sewa Motor
-                  <span className="text-yellow-400"> Modern</span>
-                  <br />
-                  dengan Mudah
-                </h1>
-                <p className="text-xl mb-8 text-blue-100 leading-relaxed">
-                  Temukan motor impian Anda dengan harga terjangkau dan proses booking yang cepat dan aman. 
-                  Layanan 24/7 dengan garansi kepuasan.
-                </p>
-                <div className="flex flex-col sm:flex-row gap-4">
-                  <button 
-                    onClick={() => handleBooking()}
-                    className="bg-yellow-400 text-blue-900 px-8 py-4 rounded-lg font-semibold hover:bg-yellow-300 transition-colors flex items-center justify-center shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
-                  >
-                    Booking Sekarang
-                    <ArrowRight size={20} className="ml-2" />
-                  </button>
-                  <button 
+        {route.name === 'bookings' ? (
+          <MyBookings
+            bookings={bookings}
+            onBrowse={() => scrollToSection('motorcycles')}
+            onCancel={handleCancelBooking}
+            onReschedule={handleRescheduleBooking}
+            onPaymentUpdate={handlePaymentUpdate}
+            onSignAgreement={handleSignAgreement}
+            onIssueInvoices={issueInvoices}
+          />
+        ) : route.name === 'motor' ? (
+          <ErrorBoundary
+            onReset={retryMotorcycles}
+            fallback={(props) => (
+              <div className="py-24">
+                <FleetErrorFallback {...props} />
+              </div>
+            )}
+          >
+            <MotorDetailPage
+              motorId={route.params.id}
+              motorcycles={motorcycles}
+              isLoading={motorcyclesLoading}
+              error={motorcyclesError}
+              onBooking={handleBooking}
+              isFavourite={isFavourite}
+              onToggleFavourite={toggleFavourite}
+              onBack={() => scrollToSection('motorcycles')}
+            />
+          </ErrorBoundary>
+        ) : route.name === 'favourites' ? (
+          <section className="py-12 bg-gray-50 min-h-[70vh]">
+            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+              <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-2">Favorit Saya</h2>
+              <p className="text-gray-600 mb-8">Motor yang Anda simpan di perangkat ini.</p>
+              {!motorcyclesLoading && !motorcyclesError && favouriteMotorcycles.length === 0 ? (
+                <div className="text-center bg-white rounded-2xl p-12 shadow-lg border border-gray-100">
+                  <Heart className="mx-auto text-gray-300 mb-4" size={40} />
+                  <p className="text-gray-600 mb-6">Belum ada motor favorit. Ketuk ikon hati pada motor untuk menyimpannya.</p>
+                  <button
                     onClick={() => scrollToSection('motorcycles')}
-                    className="border-2 border-white text-white px-8 py-4 rounded-lg font-semibold hover:bg-white hover:text-blue-600 transition-colors shadow-lg hover:shadow-xl"
+                    className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold"
                   >
-                    Lihat Pilihan Motor
+                    Lihat Motor
                   </button>
                 </div>
-                <div className="flex flex-wrap gap-6 mt-8">
-                  {['Gratis Helm & Jaket', 'Asuransi Included', 'Delivery Service'].map((feature, index) => (
-                    <div key={index} className="flex items-center">
-                      <CheckCircle className="text-green-400 mr-2" size={20} />
-                      <span>{feature}</span>
-                    </div>
-                  ))}
-                </div>
-              </div>
-              <div className="relative animate-scale-in">
-                <img
-                  src="https://images.unsplash.com/photo-1571068316344-75bc76f77890?w=600&h=400&fit=crop"
-                  alt="Motor sport modern untuk disewa"
-                  className="rounded-2xl shadow-2xl w-full h-auto"
-                  loading="eager"
-                />
-                <div className="absolute -bottom-6 -left-6 bg-white text-blue-600 p-6 rounded-xl shadow-lg">
-                  <div className="flex items-center">
-                    <Star className="fill-yellow-400 text-yellow-400 mr-2" />
-                    <span className="font-bold text-lg">4.9/5</span>
-                    <span className="text-gray-600 ml-2">(500+ reviews)</span>
-                  </div>
-                </div>
-                <div className="absolute -top-6 -right-6 bg-green-500 text-white p-4 rounded-xl shadow-lg">
-                  <div className="text-center">
-                    <div className="font-bold text-2xl">50%</div>
-                    <div className="text-sm">Off Weekend</div>
-                  </div>
-                </div>
-              </div>
-            </div>
-          </div>
-        </section>
-
-        {/* Features Section */}
-        <section id="features" className="py-20 bg-white">
-          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-            <div className="text-center mb-16">
-              <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-4">
-                Kenapa Memilih MotorRent?
-              </h2>
-              <p className="text-xl text-gray-600 max-w-3xl mx-auto">
-                Kami memberikan pengalaman rental motor terbaik dengan berbagai keunggulan eksklusif
-              </p>
-            </div>
-
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-8">
-              {features.map((feature, index) => (
-                <div key={index} className="text-center p-8 rounded-2xl bg-gradient-to-br from-blue-50 to-indigo-50 hover:shadow-xl transition-all duration-300 hover:-translate-y-2 border border-blue-100">
-                  <div className="w-20 h-20 bg-blue-600 rounded-full flex items-center justify-center mx-auto mb-6 shadow-lg">
-                    <feature.icon size={32} className="text-white" />
-                  </div>
-                  <h3 className="text-xl font-semibold mb-3 text-gray-900">{feature.title}</h3>
-                  <p className="text-gray-600 leading-relaxed">{feature.description}</p>
-                </div>
-              ))}
-            </div>
-          </div>
-        </section>
-
-        {/* Motorcycles Section */}
-        <section id="motorcycles" className="py-20 bg-gray-50">
-          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-            <div className="text-center mb-16">
-              <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-4">
-                Pilihan Motor Terbaik
-              </h2>
-              <p className="text-xl text-gray-600 max-w-3xl mx-auto">
-                Temukan motor yang sesuai dengan kebutuhan dan gaya perjalanan Anda
-              </p>
+              ) : (
+                <ErrorBoundary
+                  onReset={retryMotorcycles}
+                  fallback={(props) => <FleetErrorFallback {...props} />}
+                >
+                  <MotorcycleGrid
+                    motorcycles={favouriteMotorcycles}
+                    isLoading={motorcyclesLoading}
+                    error={motorcyclesError}
+                    onBooking={handleBooking}
+                    getDetailLinkProps={getDetailLinkProps}
+                    isFavourite={isFavourite}
+                    onToggleFavourite={toggleFavourite}
+                    compareIds={compareIds}
+                    onToggleCompare={toggleCompare}
+                  />
+                </ErrorBoundary>
+              )}
             </div>
-
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
-              {motorcycles.map((motor) => (
-                <div key={motor.id} className="bg-white rounded-2xl shadow-lg overflow-hidden hover:shadow-2xl transition-all duration-300 hover:-translate-y-2 border border-gray-100">
-                  {motor.featured && (
-                    <div className="absolute top-4 right-4 bg-red-500 text-white px-3 py-1 rounded-full text-sm font-semibold z-10 shadow-lg">
-                      Featured
+          </section>
+        ) : route.name === 'compare' ? (
+          <ErrorBoundary
+            onReset={retryMotorcycles}
+            fallback={(props) => (
+              <div className="py-24">
+                <FleetErrorFallback {...props} />
+              </div>
+            )}
+          >
+            <ComparePage
+              motorIds={comparedIds}
+              motorcycles={motorcycles}
+              isLoading={motorcyclesLoading}
+              error={motorcyclesError}
+              onRemove={removeFromComparison}
+              onBooking={handleBooking}
+              onBack={() => scrollToSection('motorcycles')}
+              getDetailLinkProps={getDetailLinkProps}
+            />
+          </ErrorBoundary>
+        ) : route.name === 'account' ? (
+          <AccountPage
+            user={user}
+            bookings={accountBookings}
+            onLogin={loginWithPassword}
+            onRegister={register}
+            onRequestOtp={requestOtp}
+            onVerifyOtp={verifyOtp}
+            onUpdateProfile={updateProfile}
+            onLogout={handleLogout}
+            onOpenBookings={openMyBookings}
+          />
+        ) : route.name === 'admin' ? (
+          <AdminPage
+            user={user}
+            token={token}
+            motorcycles={motorcycles}
+            units={units}
+            maintenance={maintenance}
+            motorcyclesLoading={motorcyclesLoading}
+            motorcyclesError={motorcyclesError}
+            onFleetChange={updateMotorcycles}
+            onUnitsChange={updateUnits}
+            onMaintenanceChange={updateMaintenance}
+            onLogin={loginWithPassword}
+            onLogout={handleLogout}
+          />
+        ) : route.name === 'notFound' ? (
+          <section className="py-24 bg-gray-50 min-h-[70vh] text-center px-4">
+            <h2 className="text-3xl font-bold text-gray-900 mb-4">Halaman Tidak Ditemukan</h2>
+            <p className="text-gray-600 mb-8">Alamat yang Anda buka tidak tersedia.</p>
+            <button
+              onClick={() => scrollToSection('home')}
+              className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold"
+            >
+              Kembali ke Beranda
+            </button>
+          </section>
+        ) : (
+          <>
+            {/* Hero Section */}
+            <section id="home" className="bg-gradient-to-br from-blue-600 via-blue-700 to-indigo-800 text-white relative overflow-hidden">
+              <div className="absolute inset-0 bg-black opacity-10"></div>
+              <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-20 relative">
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-12 items-center">
+                  <div className="animate-fade-in">
+                    <div className="inline-flex items-center px-4 py-2 bg-blue-500 rounded-full text-sm mb-6">
+                      <Star className="fill-yellow-400 text-yellow-400 mr-2" size={16} />
+                      <span>Rating 4.9/5 dari 500+ pelanggan</span>
                     </div>
-                  )}
-                  <div className="relative">
+                    <h1 className="text-4xl md:text-6xl font-bold mb-6 leading-tight">
+                      Sewa Motor
+                      <span className="text-yellow-400"> Modern</span>
+                      <br />
+                      dengan Mudah
+                    </h1>
+                    <p className="text-xl mb-8 text-blue-100 leading-relaxed">
+                      Temukan motor impian Anda dengan harga terjangkau dan proses booking yang cepat dan aman. 
+                      Layanan 24/7 dengan garansi kepuasan.
+                    </p>
+                    <div className="flex flex-col sm:flex-row gap-4">
+                      <button 
+                        onClick={() => handleBooking()}
+                        className="bg-yellow-400 text-blue-900 px-8 py-4 rounded-lg font-semibold hover:bg-yellow-300 transition-colors flex items-center justify-center shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
+                      >
+                        Booking Sekarang
+                        <ArrowRight size={20} className="ml-2" />
+                      </button>
+                      <button 
+                        onClick={() => scrollToSection('motorcycles')}
+                        className="border-2 border-white text-white px-8 py-4 rounded-lg font-semibold hover:bg-white hover:text-blue-600 transition-colors shadow-lg hover:shadow-xl"
+                      >
+                        Lihat Pilihan Motor
+                      </button>
+                    </div>
+                    <div className="flex flex-wrap gap-6 mt-8">
+                      {['Gratis Helm & Jaket', 'Asuransi Included', 'Delivery Service'].map((feature, index) => (
+                        <div key={index} className="flex items-center">
+                          <CheckCircle className="text-green-400 mr-2" size={20} />
+                          <span>{feature}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="relative animate-scale-in">
                     <img
-                      src={motor.image}
-                      alt={`Motor ${motor.name} untuk disewa`}
-                      className="w-full h-48 object-cover"
-                      loading="lazy"
+                      src="https://images.unsplash.com/photo-1571068316344-75bc76f77890?w=600&h=400&fit=crop"
+                      alt="Motor sport modern untuk disewa"
+                      className="rounded-2xl shadow-2xl w-full h-auto"
+                      loading="eager"
                     />
-                    <div className="absolute inset-0 bg-black opacity-0 hover:opacity-10 transition-opacity duration-300"></div>
-                  </div>
-                  <div className="p-6">
-                    <div className="flex justify-between items-start mb-3">
-                      <h3 className="text-xl font-bold text-gray-900">{motor.name}</h3>
-                      <div className="flex items-center bg-blue-50 px-2 py-1 rounded">
-                        <Star className="fill-yellow-400 text-yellow-400 mr-1" size={16} />
-                        <span className="text-sm font-medium">{motor.rating}</span>
+                    <div className="absolute -bottom-6 -left-6 bg-white text-blue-600 p-6 rounded-xl shadow-lg">
+                      <div className="flex items-center">
+                        <Star className="fill-yellow-400 text-yellow-400 mr-2" />
+                        <span className="font-bold text-lg">4.9/5</span>
+                        <span className="text-gray-600 ml-2">(500+ reviews)</span>
                       </div>
                     </div>
-                    
-                    <div className="flex flex-wrap gap-2 mb-4">
-                      {motor.specs.map((spec, index) => (
-                        <span key={index} className="px-3 py-1 bg-blue-100 text-blue-800 text-sm rounded-full font-medium">
-                          {spec}
-                        </span>
-                      ))}
+                    <div className="absolute -top-6 -right-6 bg-green-500 text-white p-4 rounded-xl shadow-lg">
+                      <div className="text-center">
+                        <div className="font-bold text-2xl">50%</div>
+                        <div className="text-sm">Off Weekend</div>
+                      </div>
                     </div>
+                  </div>
+                </div>
+              </div>
+            </section>
+
+            {/* Features Section */}
+            <section id="features" className="py-20 bg-white">
+              <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                <div className="text-center mb-16">
+                  <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-4">
+                    Kenapa Memilih MotorRent?
+                  </h2>
+                  <p className="text-xl text-gray-600 max-w-3xl mx-auto">
+                    Kami memberikan pengalaman rental motor terbaik dengan berbagai keunggulan eksklusif
+                  </p>
+                </div>
 
-                    <div className="flex justify-between items-center mb-4">
-                      <div>
-                        <span className="text-2xl font-bold text-blue-600">Rp {motor.price.toLocaleString('id-ID')}</span>
-                        <span className="text-gray-500 text-sm">/hari</span>
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-8">
+                  {features.map((feature, index) => (
+                    <div key={index} className="text-center p-8 rounded-2xl bg-gradient-to-br from-blue-50 to-indigo-50 hover:shadow-xl transition-all duration-300 hover:-translate-y-2 border border-blue-100">
+                      <div className="w-20 h-20 bg-blue-600 rounded-full flex items-center justify-center mx-auto mb-6 shadow-lg">
+                        <feature.icon size={32} className="text-white" />
                       </div>
-                      <span className="text-sm text-gray-500">{motor.reviews} reviews</span>
+                      <h3 className="text-xl font-semibold mb-3 text-gray-900">{feature.title}</h3>
+                      <p className="text-gray-600 leading-relaxed">{feature.description}</p>
                     </div>
-
-                    <button 
-                      onClick={() => handleBooking(motor)}
-                      className="w-full bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold flex items-center justify-center shadow-lg hover:shadow-xl"
-                    >
-                      <Heart className="mr-2" size={16} />
-                      Booking Sekarang
-                    </button>
-                  </div>
+                  ))}
+                </div>
+              </div>
+            </section>
+
+            {/* Motorcycles Section */}
+            <section id="motorcycles" className="py-20 bg-gray-50">
+              <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                <div className="text-center mb-16">
+                  <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-4">
+                    Pilihan Motor Terbaik
+                  </h2>
+                  <p className="text-xl text-gray-600 max-w-3xl mx-auto">
+                    Temukan motor yang sesuai dengan kebutuhan dan gaya perjalanan Anda
+                  </p>
                 </div>
-              ))}
-            </div>
 
-            <div className="text-center mt-12">
-              <button 
-                onClick={() => scrollToSection('contact')}
-                className="border-2 border-blue-600 text-blue-600 px-8 py-3 rounded-lg hover:bg-blue-600 hover:text-white transition-colors font-semibold shadow-lg hover:shadow-xl"
-              >
-                Lihat Semua Motor
-              </button>
-            </div>
-          </div>
-        </section>
+                <RecentlyViewedStrip
+                  motorcycles={recentMotorcycles}
+                  getDetailLinkProps={getDetailLinkProps}
+                  onClear={clearRecent}
+                />
 
-        {/* Testimonials Section */}
-        <section id="testimonials" className="py-20 bg-white">
-          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-            <div className="text-center mb-16">
-              <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-4">
-                Apa Kata Pelanggan Kami?
-              </h2>
-              <p className="text-xl text-gray-600 max-w-3xl mx-auto">
-                Ribuan pelanggan telah mempercayakan perjalanan mereka kepada MotorRent
-              </p>
-            </div>
+                <FleetFilterBar
+                  filters={fleetFilters}
+                  onChange={setFleetFilters}
+                  onReset={resetFleetFilters}
+                  resultCount={visibleMotorcycles.length}
+                />
 
-            <div className="max-w-6xl mx-auto">
-              <div className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-3xl p-8 md:p-12">
-                <div className="flex flex-col md:flex-row items-center">
-                  <img
-                    src={testimonials[activeTestimonial].image}
-                    alt={testimonials[activeTestimonial].name}
-                    className="w-20 h-20 rounded-full object-cover mb-4 md:mb-0 md:mr-8 shadow-lg"
-                    loading="lazy"
+                <ErrorBoundary
+                  onReset={retryMotorcycles}
+                  fallback={(props) => <FleetErrorFallback {...props} />}
+                >
+                  <MotorcycleGrid
+                    motorcycles={visibleMotorcycles}
+                    isLoading={motorcyclesLoading}
+                    error={motorcyclesError}
+                    onBooking={handleBooking}
+                    onResetFilters={resetFleetFilters}
+                    getDetailLinkProps={getDetailLinkProps}
+                    isFavourite={isFavourite}
+                    onToggleFavourite={toggleFavourite}
+                    compareIds={compareIds}
+                    onToggleCompare={toggleCompare}
                   />
-                  <div className="text-center md:text-left flex-1">
-                    <div className="flex justify-center md:justify-start mb-4">
-                      {[...Array(5)].map((_, i) => (
-                        <Star 
-                          key={i} 
-                          className={i < testimonials[activeTestimonial].rating ? 
-                            "fill-yellow-400 text-yellow-400" : "text-gray-300"} 
-                          size={24} 
-                        />
-                      ))}
-                    </div>
-                    <blockquote className="text-xl text-gray-700 mb-6 leading-relaxed italic">
-                      "{testimonials[activeTestimonial].comment}"
-                    </blockquote>
-                    <div>
-                      <div className="font-semibold text-gray-900 text-lg">{testimonials[activeTestimonial].name}</div>
-                      <div className="text-blue-600">{testimonials[activeTestimonial].role}</div>
-                    </div>
-                  </div>
+                </ErrorBoundary>
+
+                <div className="text-center mt-12">
+                  <button 
+                    onClick={() => scrollToSection('contact')}
+                    className="border-2 border-blue-600 text-blue-600 px-8 py-3 rounded-lg hover:bg-blue-600 hover:text-white transition-colors font-semibold shadow-lg hover:shadow-xl"
+                  >
+                    Lihat Semua Motor
+                  </button>
                 </div>
               </div>
+            </section>
+
+            {/* Testimonials Section */}
+            <section id="testimonials" className="py-20 bg-white">
+              <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                <div className="text-center mb-16">
+                  <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-4">
+                    Apa Kata Pelanggan Kami?
+                  </h2>
+                  <p className="text-xl text-gray-600 max-w-3xl mx-auto">
+                    Ribuan pelanggan telah mempercayakan perjalanan mereka kepada MotorRent
+                  </p>
+                </div>
 
-              <div className="flex justify-center mt-8 space-x-3">
-                {testimonials.map((_, index) => (
-                  <button
-                    key={index}
-                    onClick={() => setActiveTestimonial(index)}
-                    className={`w-3 h-3 rounded-full transition-all ${
-                      index === activeTestimonial ? 'bg-blue-600 w-8' : 'bg-gray-300'
-                    }`}
-                    aria-label={`Lihat testimoni ${index + 1}`}
-                  />
-                ))}
-              </div>
-            </div>
+                <div className="max-w-6xl mx-auto">
+                  <div className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-3xl p-8 md:p-12">
+                    <div className="flex flex-col md:flex-row items-center">
+                      <img
+                        src={testimonials[activeTestimonial].image}
+                        alt={testimonials[activeTestimonial].name}
+                        className="w-20 h-20 rounded-full object-cover mb-4 md:mb-0 md:mr-8 shadow-lg"
+                        loading="lazy"
+                      />
+                      <div className="text-center md:text-left flex-1">
+                        <div className="flex justify-center md:justify-start mb-4">
+                          {[...Array(5)].map((_, i) => (
+                            <Star 
+                              key={i} 
+                              className={i < testimonials[activeTestimonial].rating ? 
+                                "fill-yellow-400 text-yellow-400" : "text-gray-300"} 
+                              size={24} 
+                            />
+                          ))}
+                        </div>
+                        <blockquote className="text-xl text-gray-700 mb-6 leading-relaxed italic">
+                          "{testimonials[activeTestimonial].comment}"
+                        </blockquote>
+                        <div>
+                          <div className="font-semibold text-gray-900 text-lg">{testimonials[activeTestimonial].name}</div>
+                          <div className="text-blue-600">{testimonials[activeTestimonial].role}</div>
+                        </div>
+                      </div>
+                    </div>
+                  </div>
 
-            {/* Stats */}
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-8 mt-16">
-              {[
-                { number: '500+', label: 'Pelanggan Puas' },
-                { number: '50+', label: 'Motor Tersedia' },
-                { number: '24/7', label: 'Layanan Support' },
-                { number: '4.9/5', label: 'Rating Average' }
-              ].map((stat, index) => (
-                <div key={index} className="text-center">
-                  <div className="text-3xl md:text-4xl font-bold text-blue-600 mb-2">{stat.number}</div>
-                  <div className="text-gray-600 font-medium">{stat.label}</div>
+                  <div className="flex justify-center mt-8 space-x-3">
+                    {testimonials.map((_, index) => (
+                      <button
+                        key={index}
+                        onClick={() => setActiveTestimonial(index)}
+                        className={`w-3 h-3 rounded-full transition-all ${
+                          index === activeTestimonial ? 'bg-blue-600 w-8' : 'bg-gray-300'
+                        }`}
+                        aria-label={`Lihat testimoni ${index + 1}`}
+                      />
+                    ))}
+                  </div>
                 </div>
-              ))}
-            </div>
-          </div>
-        </section>
+
+                {/* Stats */}
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-8 mt-16">
+                  {[
+                    { number: '500+', label: 'Pelanggan Puas' },
+                    { number: motorcyclesLoading ? '…' : String(bookableUnitCount), label: 'Unit Motor Siap Sewa' },
+                    { number: '24/7', label: 'Layanan Support' },
+                    { number: '4.9/5', label: 'Rating Average' }
+                  ].map((stat, index) => (
+                    <div key={index} className="text-center">
+                      <div className="text-3xl md:text-4xl font-bold text-blue-600 mb-2">{stat.number}</div>
+                      <div className="text-gray-600 font-medium">{stat.label}</div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </section>
+          </>
+        )}
 
         {/* Contact Section */}
         <section id="contact" className="py-20 bg-gray-900 text-white">
@@ -1314,12 +2605,26 @@ const App = () => {
           </div>
         </footer>
 
+        {route.name !== 'compare' && (
+          <CompareTray
+            motorcycles={compareMotorcycles}
+            onRemove={toggleCompare}
+            onClear={() => setCompareIds([])}
+            onCompare={openComparison}
+          />
+        )}
+
         {/* Booking Modal */}
         <BookingModal
           isOpen={bookingModalOpen}
           onClose={() => setBookingModalOpen(false)}
           motor={selectedMotor}
+          initialValues={bookingPrefill}
+          riderDefaults={riderDefaults}
           onConfirm={handleBookingConfirm}
+          onPaymentUpdate={handlePaymentUpdate}
+          onSignAgreement={handleSignAgreement}
+          onIssueInvoices={issueInvoices}
         />
       </div>
     </ErrorBoundary>
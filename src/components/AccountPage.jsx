@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import { LogOut, CheckCircle } from 'lucide-react';
+import AuthPanel from './AuthPanel.jsx';
+import { LICENCE_TYPES, IDENTITY_TYPES } from '../lib/verification.js';
+import { validateProfile, toProfileValues, fromProfileValues } from '../lib/auth.js';
+import { BOOKING_PHASES, getBookingPhase } from '../lib/bookings.js';
+import { formatDateTime } from '../lib/dates.js';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const ProfileField = ({ label, name, values, errors, onChange, as = 'input', children, ...props }) => {
+  const Element = as;
+  return (
+    <div>
+      <label htmlFor={`profile-${name}`} className="block text-sm font-medium mb-1 text-gray-700">{label}</label>
+      <Element
+        id={`profile-${name}`}
+        name={name}
+        value={values[name]}
+        onChange={onChange}
+        className={`${inputClassName} ${errors[name] ? 'border-red-500' : ''}`}
+        {...props}
+      >
+        {children}
+      </Element>
+      {errors[name] && <p className="text-red-500 text-sm mt-1">{errors[name]}</p>}
+    </div>
+  );
+};
+
+const ProfileForm = ({ user, onSave }) => {
+  const [values, setValues] = useState(() => toProfileValues(user));
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState(null);
+
+  const handleChange = (e) => {
+    setValues(prev => ({ ...prev, [e.target.name]: e.target.value }));
+    setStatus(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationErrors = validateProfile(values);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setStatus({ type: 'saving' });
+    try {
+      await onSave(fromProfileValues(values));
+      setStatus({ type: 'saved' });
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message });
+    }
+  };
+
+  const fieldProps = { values, errors, onChange: handleChange };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6" noValidate>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <ProfileField label="Nama Lengkap" name="name" autoComplete="name" {...fieldProps} />
+        <ProfileField label="Email" name="email" type="email" autoComplete="email" {...fieldProps} />
+        <ProfileField label="Nomor Telepon" name="phone" type="tel" autoComplete="tel" {...fieldProps} />
+      </div>
+
+      <div>
+        <h4 className="font-semibold text-gray-900 mb-1">Data Pengendara</h4>
+        <p className="text-sm text-gray-500 mb-4">
+          Diisi otomatis saat booking. Foto SIM dan KTP/paspor tetap diunggah di setiap booking.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <ProfileField label="Jenis SIM" name="licenceType" as="select" {...fieldProps}>
+            {Object.entries(LICENCE_TYPES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </ProfileField>
+          <ProfileField label="Nomor SIM" name="licenceNumber" {...fieldProps} />
+          <ProfileField label="Berlaku Hingga" name="licenceExpiry" type="date" {...fieldProps} />
+          <ProfileField label="Jenis Identitas" name="idType" as="select" {...fieldProps}>
+            {Object.entries(IDENTITY_TYPES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </ProfileField>
+          <ProfileField label="Nomor Identitas" name="idNumber" {...fieldProps} />
+          {values.idType === 'passport' && (
+            <ProfileField label="Kewarganegaraan" name="nationality" {...fieldProps} />
+          )}
+        </div>
+      </div>
+
+      {status?.type === 'error' && (
+        <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">{status.message}</div>
+      )}
+
+      <div className="flex items-center gap-4">
+        <button
+          type="submit"
+          disabled={status?.type === 'saving'}
+          className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold disabled:bg-gray-300"
+        >
+          {status?.type === 'saving' ? 'Menyimpan...' : 'Simpan Profil'}
+        </button>
+        {status?.type === 'saved' && (
+          <span className="flex items-center text-sm text-green-700">
+            <CheckCircle size={16} className="mr-1" />
+            Profil tersimpan
+          </span>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const BookingHistory = ({ bookings, onOpenBookings }) => {
+  if (bookings.length === 0) {
+    return <p className="text-gray-600 text-sm">Belum ada booking di akun ini.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {bookings.map(booking => {
+        const phase = BOOKING_PHASES[getBookingPhase(booking)];
+        return (
+          <div key={booking.id} className="flex items-center gap-4 p-3 border border-gray-100 rounded-lg">
+            <img src={booking.motor?.image} alt="" className="w-16 h-12 object-cover rounded" />
+            <div className="flex-1 min-w-0">
+              <p className="font-semibold text-gray-900 truncate">{booking.motor?.name}</p>
+              <p className="text-xs text-gray-500">
+                <span className="font-mono">{booking.code}</span> · {formatDateTime(booking.startDate, booking.startTime)}
+              </p>
+            </div>
+            <span className={`text-xs px-2 py-1 rounded-full font-medium ${phase.className}`}>{phase.label}</span>
+          </div>
+        );
+      })}
+      <button type="button" onClick={onOpenBookings} className="text-sm text-blue-600 hover:text-blue-800 font-medium">
+        Kelola di Pesanan Saya
+      </button>
+    </div>
+  );
+};
+
+// Page for /akun: sign-in when logged out, profile and booking history when logged in
+const AccountPage = ({ user, bookings, onLogin, onRegister, onRequestOtp, onVerifyOtp, onUpdateProfile, onLogout, onOpenBookings }) => (
+  <section className="py-12 bg-gray-50 min-h-[70vh]">
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+      {!user ? (
+        <>
+          <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-2 text-center">Masuk ke Akun</h2>
+          <p className="text-gray-600 mb-8 text-center">
+            Simpan data pengendara agar booking berikutnya lebih cepat, dan lihat riwayat sewa Anda.
+          </p>
+          <AuthPanel onLogin={onLogin} onRegister={onRegister} onRequestOtp={onRequestOtp} onVerifyOtp={onVerifyOtp} />
+        </>
+      ) : (
+        <>
+          <div className="flex justify-between items-start mb-8">
+            <div>
+              <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-2">Akun Saya</h2>
+              <p className="text-gray-600">{user.email || user.phone}</p>
+            </div>
+            <button
+              type="button"
+              onClick={onLogout}
+              className="flex items-center text-gray-700 hover:text-red-600 px-3 py-2 rounded-lg hover:bg-red-50 transition-colors text-sm font-medium"
+            >
+              <LogOut size={16} className="mr-2" />
+              Keluar
+            </button>
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 mb-8">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Profil</h3>
+            <ProfileForm key={user.id} user={user} onSave={onUpdateProfile} />
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Riwayat Booking</h3>
+            <BookingHistory bookings={bookings} onOpenBookings={onOpenBookings} />
+          </div>
+        </>
+      )}
+    </div>
+  </section>
+);
+
+export default AccountPage;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { HardHat, CloudRain, Smartphone, Waves, Truck, Package, Minus, Plus } from 'lucide-react';
+import { ADDON_UNIT_LABELS } from '../lib/addons.js';
+
+const ADDON_ICONS = {
+  helmet: HardHat,
+  rain: CloudRain,
+  phone: Smartphone,
+  surf: Waves,
+  delivery: Truck
+};
+
+const AddonPicker = ({ addons, selection, onChange }) => {
+  const setQuantity = (addon, quantity) => {
+    onChange({ ...selection, [addon.id]: Math.max(0, Math.min(addon.maxQuantity, quantity)) });
+  };
+
+  return (
+    <div className="space-y-3">
+      {addons.map(addon => {
+        const Icon = ADDON_ICONS[addon.icon] || Package;
+        const quantity = selection[addon.id] || 0;
+
+        return (
+          <div
+            key={addon.id}
+            className={`flex items-center p-3 rounded-lg border transition-colors ${
+              quantity > 0 ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+            }`}
+          >
+            <div className="w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center mr-3 flex-shrink-0">
+              <Icon className="text-blue-600" size={20} />
+            </div>
+            <div className="flex-1 min-w-0">
+              <p className="font-semibold text-gray-900">{addon.name}</p>
+              <p className="text-xs text-gray-500">{addon.description}</p>
+              <p className="text-sm text-blue-600 font-medium">
+                Rp {addon.price.toLocaleString('id-ID')}{ADDON_UNIT_LABELS[addon.unit]}
+              </p>
+            </div>
+            <div className="flex items-center ml-3">
+              <button
+                type="button"
+                onClick={() => setQuantity(addon, quantity - 1)}
+                disabled={quantity === 0}
+                className="w-8 h-8 rounded-full border border-gray-300 flex items-center justify-center hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+                aria-label={`Kurangi ${addon.name}`}
+              >
+                <Minus size={14} />
+              </button>
+              <span className="w-8 text-center font-semibold">{quantity}</span>
+              <button
+                type="button"
+                onClick={() => setQuantity(addon, quantity + 1)}
+                disabled={quantity >= addon.maxQuantity}
+                className="w-8 h-8 rounded-full border border-gray-300 flex items-center justify-center hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+                aria-label={`Tambah ${addon.name}`}
+              >
+                <Plus size={14} />
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AddonPicker;
@@ -0,0 +1,272 @@
+import React, { useState, useMemo } from 'react';
+import { RefreshCw, ClipboardCheck } from 'lucide-react';
+import InspectionForm from './InspectionForm.jsx';
+import InspectionComparison from './InspectionComparison.jsx';
+import { BOOKING_STATUSES, DEFAULT_BOOKING_FILTERS, filterBookings, getAllowedTransitions, canChangeUnit } from '../lib/bookings.js';
+import { getModelUnits } from '../lib/units.js';
+import { formatDateTime } from '../lib/dates.js';
+import { getInspectionStage } from '../lib/inspections.js';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+export const StatusBadge = ({ status }) => {
+  const meta = BOOKING_STATUSES[status] || { label: status, className: 'bg-gray-100 text-gray-700' };
+  return <span className={`text-xs px-2 py-1 rounded-full font-medium whitespace-nowrap ${meta.className}`}>{meta.label}</span>;
+};
+
+const BookingFilters = ({ filters, motorcycles, onChange, onReset }) => {
+  const handleChange = (e) => onChange({ ...filters, [e.target.name]: e.target.value });
+
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end mb-6">
+      <div>
+        <label htmlFor="admin-filter-from" className="block text-xs font-medium mb-1 text-gray-600">Dari</label>
+        <input id="admin-filter-from" type="date" name="from" value={filters.from} onChange={handleChange} className={inputClassName} />
+      </div>
+      <div>
+        <label htmlFor="admin-filter-to" className="block text-xs font-medium mb-1 text-gray-600">Sampai</label>
+        <input id="admin-filter-to" type="date" name="to" value={filters.to} min={filters.from || undefined} onChange={handleChange} className={inputClassName} />
+      </div>
+      <div>
+        <label htmlFor="admin-filter-motor" className="block text-xs font-medium mb-1 text-gray-600">Motor</label>
+        <select id="admin-filter-motor" name="motorcycleId" value={filters.motorcycleId} onChange={handleChange} className={inputClassName}>
+          <option value="">Semua motor</option>
+          {motorcycles.map(motor => <option key={motor.id} value={motor.id}>{motor.name}</option>)}
+        </select>
+      </div>
+      <div>
+        <label htmlFor="admin-filter-status" className="block text-xs font-medium mb-1 text-gray-600">Status</label>
+        <select id="admin-filter-status" name="status" value={filters.status} onChange={handleChange} className={inputClassName}>
+          <option value="">Semua status</option>
+          {Object.entries(BOOKING_STATUSES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+      <button type="button" onClick={onReset} className="px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50">
+        Reset filter
+      </button>
+    </div>
+  );
+};
+
+// Pickup and return open the inspection instead of changing the status directly
+const TransitionButtons = ({ booking, isBusy, onTransition, onInspect }) => {
+  const [confirming, setConfirming] = useState(null);
+  const transitions = getAllowedTransitions(booking);
+  if (transitions.length === 0) return <span className="text-xs text-gray-400">—</span>;
+
+  // Cancelling frees the dates and cannot be undone, so it asks once more
+  if (confirming) {
+    return (
+      <div className="flex items-center gap-2 text-xs">
+        <span className="text-gray-700">{confirming.label}?</span>
+        <button
+          type="button"
+          disabled={isBusy}
+          onClick={() => onTransition(booking, confirming.to).finally(() => setConfirming(null))}
+          className="px-2 py-1 rounded bg-red-600 text-white hover:bg-red-700 disabled:bg-gray-300"
+        >
+          Ya
+        </button>
+        <button type="button" onClick={() => setConfirming(null)} className="px-2 py-1 rounded border border-gray-300 hover:bg-gray-50">
+          Tidak
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {transitions.map(transition => (
+        <button
+          key={transition.to}
+          type="button"
+          disabled={isBusy}
+          onClick={() => {
+            const stage = getInspectionStage(transition.to);
+            if (stage) onInspect(booking, stage);
+            else if (transition.to === 'cancelled') setConfirming(transition);
+            else onTransition(booking, transition.to);
+          }}
+          className={`px-2 py-1 rounded text-xs font-medium disabled:bg-gray-200 disabled:text-gray-400 ${
+            transition.to === 'cancelled'
+              ? 'border border-red-200 text-red-700 hover:bg-red-50'
+              : 'bg-blue-600 text-white hover:bg-blue-700'
+          }`}
+        >
+          {transition.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// The unit can be swapped until the bike is handed over, to any unit that is
+// not due for service; the backend refuses a unit already booked for the dates
+const UnitCell = ({ booking, units, bookableUnits, isBusy, onAssign }) => {
+  if (!canChangeUnit(booking)) {
+    return <span className="font-mono text-xs whitespace-nowrap">{booking.unit?.plate || '—'}</span>;
+  }
+
+  const options = getModelUnits(units, booking.motorcycleId)
+    .filter(unit => bookableUnits.some(item => item.id === unit.id) || String(unit.id) === String(booking.unit?.id));
+
+  return (
+    <select
+      value={booking.unit?.id ?? ''}
+      disabled={isBusy}
+      onChange={e => onAssign(booking, options.find(unit => String(unit.id) === e.target.value))}
+      className="px-2 py-1 border border-gray-300 rounded text-xs font-mono"
+      aria-label={`Unit untuk ${booking.code}`}
+    >
+      {!booking.unit && <option value="">Belum ditetapkan</option>}
+      {options.map(unit => <option key={unit.id} value={unit.id}>{unit.plate}</option>)}
+    </select>
+  );
+};
+
+// Staff bookings table: filter by rental dates, bike and status, and move bookings through their lifecycle
+const AdminBookings = ({ bookings, motorcycles, units, bookableUnits, staffName, isLoading, error, onRefresh, onTransition, onAssignUnit, onInspect }) => {
+  const [filters, setFilters] = useState(DEFAULT_BOOKING_FILTERS);
+  // { booking, stage } while an inspection is being filled in, { booking } while one is being viewed
+  const [inspection, setInspection] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  const visible = useMemo(() => filterBookings(bookings, filters), [bookings, filters]);
+
+  const runFor = async (booking, action) => {
+    setBusyId(booking.id);
+    setActionError(null);
+    try {
+      await action();
+    } catch (err) {
+      setActionError(`${booking.code}: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleTransition = (booking, to) => runFor(booking, () => onTransition(booking, to));
+
+  const handleAssignUnit = (booking, unit) => runFor(booking, () => onAssignUnit(booking, unit));
+
+  const handleInspect = async (booking, result) => {
+    const saved = await onInspect(booking, result);
+    setInspection({ booking: saved });
+  };
+
+  if (inspection?.stage) {
+    return (
+      <InspectionForm
+        key={`${inspection.booking.id}-${inspection.stage}`}
+        booking={inspection.booking}
+        stage={inspection.stage}
+        unit={units.find(unit => String(unit.id) === String(inspection.booking.unit?.id))}
+        staffName={staffName}
+        onSubmit={handleInspect}
+        onCancel={() => setInspection(null)}
+      />
+    );
+  }
+
+  if (inspection) {
+    return <InspectionComparison booking={inspection.booking} onClose={() => setInspection(null)} />;
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <p className="text-sm text-gray-600">{visible.length} dari {bookings.length} pesanan</p>
+        <button
+          type="button"
+          onClick={onRefresh}
+          disabled={isLoading}
+          className="flex items-center text-sm text-blue-600 hover:text-blue-800 font-medium disabled:text-gray-400"
+        >
+          <RefreshCw size={16} className={`mr-1 ${isLoading ? 'animate-spin' : ''}`} />
+          Muat ulang
+        </button>
+      </div>
+
+      <BookingFilters filters={filters} motorcycles={motorcycles} onChange={setFilters} onReset={() => setFilters(DEFAULT_BOOKING_FILTERS)} />
+
+      {error && (
+        <div className="p-3 mb-4 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">
+          Gagal memuat pesanan: {error.message}
+        </div>
+      )}
+      {actionError && (
+        <div className="p-3 mb-4 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">{actionError}</div>
+      )}
+
+      <div className="overflow-x-auto bg-white rounded-2xl shadow border border-gray-100">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-600">
+            <tr>
+              <th className="px-4 py-3 font-medium">Kode</th>
+              <th className="px-4 py-3 font-medium">Penyewa</th>
+              <th className="px-4 py-3 font-medium">Motor</th>
+              <th className="px-4 py-3 font-medium">Unit</th>
+              <th className="px-4 py-3 font-medium">Jadwal</th>
+              <th className="px-4 py-3 font-medium text-right">Total</th>
+              <th className="px-4 py-3 font-medium">Status</th>
+              <th className="px-4 py-3 font-medium">Aksi</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {visible.map(booking => (
+              <tr key={booking.id} className="align-top">
+                <td className="px-4 py-3 font-mono text-xs whitespace-nowrap">{booking.code}</td>
+                <td className="px-4 py-3">
+                  <p className="font-medium text-gray-900">{booking.name}</p>
+                  <p className="text-xs text-gray-500">{booking.phone || booking.email}</p>
+                  {booking.agreement ? (
+                    <p className="text-xs text-green-700 mt-1">Perjanjian ditandatangani</p>
+                  ) : booking.status === 'confirmed' && (
+                    <p className="text-xs text-amber-700 mt-1">Perjanjian belum ditandatangani</p>
+                  )}
+                </td>
+                <td className="px-4 py-3">{booking.motor?.name}</td>
+                <td className="px-4 py-3">
+                  <UnitCell booking={booking} units={units} bookableUnits={bookableUnits} isBusy={busyId === booking.id} onAssign={handleAssignUnit} />
+                </td>
+                <td className="px-4 py-3 text-xs text-gray-700 whitespace-nowrap">
+                  {formatDateTime(booking.startDate, booking.startTime)}
+                  <br />
+                  {formatDateTime(booking.endDate, booking.endTime)}
+                </td>
+                <td className="px-4 py-3 text-right whitespace-nowrap">Rp {(booking.totalPrice ?? 0).toLocaleString('id-ID')}</td>
+                <td className="px-4 py-3"><StatusBadge status={booking.status} /></td>
+                <td className="px-4 py-3">
+                  <TransitionButtons
+                    booking={booking}
+                    isBusy={busyId === booking.id}
+                    onTransition={handleTransition}
+                    onInspect={(item, stage) => setInspection({ booking: item, stage })}
+                  />
+                  {booking.inspections && (
+                    <button
+                      type="button"
+                      onClick={() => setInspection({ booking })}
+                      className="flex items-center mt-2 text-xs text-blue-600 hover:text-blue-800 font-medium"
+                    >
+                      <ClipboardCheck size={14} className="mr-1" />
+                      Lihat inspeksi
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {visible.length === 0 && !isLoading && (
+              <tr>
+                <td colSpan={8} className="px-4 py-8 text-center text-gray-500">Tidak ada pesanan yang cocok dengan filter.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AdminBookings;
@@ -0,0 +1,170 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import { ClipboardList, GanttChart, Bike, KeyRound, Wrench } from 'lucide-react';
+import AdminBookings from './AdminBookings.jsx';
+import AdminFleet from './AdminFleet.jsx';
+import AdminSchedule from './AdminSchedule.jsx';
+import AdminUnits from './AdminUnits.jsx';
+import AdminMaintenance from './AdminMaintenance.jsx';
+import useAdminBookings from '../hooks/useAdminBookings.js';
+import useAdminReservations from '../hooks/useAdminReservations.js';
+import { createMotorcycle, updateMotorcycle, deleteMotorcycle, saveUnit, createServiceRecord } from '../services/adminService.js';
+import { getBookableUnits } from '../lib/maintenance.js';
+import { todayKey } from '../lib/dates.js';
+
+const TABS = {
+  bookings: { label: 'Pesanan', icon: ClipboardList },
+  schedule: { label: 'Jadwal', icon: GanttChart },
+  fleet: { label: 'Armada', icon: Bike },
+  units: { label: 'Unit', icon: KeyRound },
+  maintenance: { label: 'Servis', icon: Wrench }
+};
+
+// Staff area for /admin. `onFleetChange`, `onUnitsChange` and
+// `onMaintenanceChange` receive updaters for the shared motorcycle, unit and
+// service record lists so the public pages pick up edits straight away.
+const AdminDashboard = ({ user, token, motorcycles, units, maintenance, onFleetChange, onUnitsChange, onMaintenanceChange }) => {
+  const [tab, setTab] = useState('bookings');
+  const staffName = user.name || user.email;
+  const { bookings, isLoading, error, refresh, transition, assignUnit, inspect, reschedule } = useAdminBookings({ token, staffName });
+  const reservations = useAdminReservations({ token });
+  const { refresh: refreshReservations, assignUnit: assignReservationUnit } = reservations;
+
+  // Units due for service are not handed to customers, by staff either
+  const bookableUnits = useMemo(() => getBookableUnits(units, maintenance, todayKey()), [units, maintenance]);
+
+  const findReservation = useCallback(
+    (booking) => reservations.reservations.find(item => String(item.id) === String(booking.reservationId)),
+    [reservations.reservations]
+  );
+
+  // Confirming records the unit the reservation already holds
+  const handleTransition = useCallback((booking, to) => {
+    const heldUnitId = to === 'confirmed' && !booking.unit ? findReservation(booking)?.unitId : null;
+    const unit = units.find(item => String(item.id) === String(heldUnitId));
+    return transition(booking, to, { unit });
+  }, [units, findReservation, transition]);
+
+  // The hold moves first, so a unit that is already taken is refused before the booking changes
+  const handleAssignUnit = useCallback(async (booking, unit) => {
+    const reservation = findReservation(booking);
+    if (reservation) await assignReservationUnit(reservation, unit.id);
+    return assignUnit(booking, unit);
+  }, [findReservation, assignReservationUnit, assignUnit]);
+
+  const handleReschedule = useCallback(async (booking, range) => {
+    const saved = await reschedule(booking, range, { units });
+    refreshReservations();
+    return saved;
+  }, [reschedule, units, refreshReservations]);
+
+  const handleSaveUnit = useCallback(async (unit) => {
+    const saved = await saveUnit(unit, { token });
+    onUnitsChange(prev => (prev.some(item => item.id === saved.id)
+      ? prev.map(item => (item.id === saved.id ? saved : item))
+      : [...prev, saved]));
+  }, [token, onUnitsChange]);
+
+  // The inspection's odometer reading keeps the unit's mileage, and so its service intervals, current
+  const handleInspect = useCallback(async (booking, inspection) => {
+    const saved = await inspect(booking, inspection);
+    const unit = units.find(item => String(item.id) === String(booking.unit?.id));
+    if (unit && inspection.odometer > (unit.odometer ?? 0)) await handleSaveUnit({ ...unit, odometer: inspection.odometer });
+    return saved;
+  }, [inspect, units, handleSaveUnit]);
+
+  // A service read off a higher odometer than the unit's also brings the unit up to date
+  const handleRecordService = useCallback(async (record, unit) => {
+    const saved = await createServiceRecord(record, { token });
+    onMaintenanceChange(prev => [...prev, saved]);
+    if (record.odometer > (unit.odometer ?? 0)) await handleSaveUnit({ ...unit, odometer: record.odometer });
+  }, [token, onMaintenanceChange, handleSaveUnit]);
+
+  const handleCreate = useCallback(async (motor) => {
+    const created = await createMotorcycle(motor, { token });
+    onFleetChange(prev => [...prev, created]);
+  }, [token, onFleetChange]);
+
+  const handleUpdate = useCallback(async (motor) => {
+    const updated = await updateMotorcycle(motor, { token });
+    onFleetChange(prev => prev.map(item => (item.id === updated.id ? updated : item)));
+  }, [token, onFleetChange]);
+
+  const handleDelete = useCallback(async (motor) => {
+    await deleteMotorcycle(motor.id, { token });
+    onFleetChange(prev => prev.filter(item => item.id !== motor.id));
+  }, [token, onFleetChange]);
+
+  return (
+    <div>
+      <div className="flex gap-2 mb-6 border-b border-gray-200">
+        {Object.entries(TABS).map(([id, { label, icon }]) => {
+          const Icon = icon;
+          return (
+            <button
+              key={id}
+              type="button"
+              onClick={() => setTab(id)}
+              aria-pressed={tab === id}
+              className={`flex items-center px-4 py-2 -mb-px border-b-2 text-sm font-medium transition-colors ${
+                tab === id ? 'border-blue-600 text-blue-700' : 'border-transparent text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              <Icon size={16} className="mr-2" />
+              {label}
+            </button>
+          );
+        })}
+      </div>
+
+      {tab === 'schedule' ? (
+        <AdminSchedule
+          motorcycles={motorcycles}
+          units={units}
+          bookings={bookings}
+          reservations={reservations.reservations}
+          isLoading={isLoading || reservations.isLoading}
+          error={error || reservations.error}
+          onReschedule={handleReschedule}
+          onSaveBlockout={reservations.saveServiceBlock}
+          onRemoveBlockout={reservations.removeServiceBlock}
+        />
+      ) : tab === 'bookings' ? (
+        <AdminBookings
+          bookings={bookings}
+          motorcycles={motorcycles}
+          units={units}
+          bookableUnits={bookableUnits}
+          staffName={staffName}
+          isLoading={isLoading}
+          error={error}
+          onRefresh={refresh}
+          onTransition={handleTransition}
+          onAssignUnit={handleAssignUnit}
+          onInspect={handleInspect}
+        />
+      ) : tab === 'units' ? (
+        <AdminUnits
+          motorcycles={motorcycles}
+          units={units}
+          bookings={bookings}
+          reservations={reservations.reservations}
+          maintenance={maintenance}
+          onSave={handleSaveUnit}
+        />
+      ) : tab === 'maintenance' ? (
+        <AdminMaintenance
+          motorcycles={motorcycles}
+          units={units}
+          maintenance={maintenance}
+          reservations={reservations.reservations}
+          staffName={staffName}
+          onRecord={handleRecordService}
+        />
+      ) : (
+        <AdminFleet motorcycles={motorcycles} onCreate={handleCreate} onUpdate={handleUpdate} onDelete={handleDelete} />
+      )}
+    </div>
+  );
+};
+
+export default AdminDashboard;
@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { Plus, Pencil, Trash2, Star } from 'lucide-react';
+import { FLEET_CATEGORIES } from '../lib/fleet.js';
+import { toMotorcycleForm, validateMotorcycleForm, fromMotorcycleForm } from '../lib/motorcycleForm.js';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const FormField = ({ label, name, values, errors, onChange, as = 'input', hint, children, ...props }) => {
+  const Element = as;
+  return (
+    <div>
+      <label htmlFor={`motor-${name}`} className="block text-sm font-medium mb-1 text-gray-700">{label}</label>
+      <Element
+        id={`motor-${name}`}
+        name={name}
+        value={values[name]}
+        onChange={onChange}
+        className={`${inputClassName} ${errors[name] ? 'border-red-500' : ''}`}
+        {...props}
+      >
+        {children}
+      </Element>
+      {errors[name] ? (
+        <p className="text-red-500 text-sm mt-1">{errors[name]}</p>
+      ) : (
+        hint && <p className="text-gray-500 text-xs mt-1">{hint}</p>
+      )}
+    </div>
+  );
+};
+
+// Add/edit form; `motor` is null for a new bike
+const AdminMotorcycleForm = ({ motor, onSave, onCancel }) => {
+  const [values, setValues] = useState(() => toMotorcycleForm(motor));
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setValues(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationErrors = validateMotorcycleForm(values);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setIsSaving(true);
+    setSaveError(null);
+    try {
+      await onSave(fromMotorcycleForm(values, motor));
+    } catch (err) {
+      setSaveError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  const fieldProps = { values, errors, onChange: handleChange };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow border border-gray-100 p-6 space-y-4" noValidate>
+      <h3 className="text-lg font-semibold text-gray-900">{motor ? `Ubah ${motor.name}` : 'Tambah Motor'}</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <FormField label="Nama Motor" name="name" {...fieldProps} />
+        <FormField label="Kategori" name="category" as="select" {...fieldProps}>
+          {Object.entries(FLEET_CATEGORIES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </FormField>
+        <FormField label="Harga per Hari (Rp)" name="price" inputMode="numeric" {...fieldProps} />
+        <FormField label="Deposit (Rp)" name="depositAmount" inputMode="numeric" hint="Kosongkan untuk deposit standar kategori" {...fieldProps} />
+        <FormField label="Tarif Mingguan (Rp)" name="weeklyRate" inputMode="numeric" hint="Kosongkan untuk diskon otomatis" {...fieldProps} />
+        <FormField label="Tarif Bulanan (Rp)" name="monthlyRate" inputMode="numeric" hint="Kosongkan untuk diskon otomatis" {...fieldProps} />
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-[1fr_auto] gap-4 items-start">
+        <FormField label="URL Foto Utama" name="image" type="url" {...fieldProps} />
+        {values.image && !errors.image && (
+          <img src={values.image} alt="Pratinjau" className="w-32 h-24 object-cover rounded-lg border border-gray-200" />
+        )}
+      </div>
+      <FormField label="Galeri" name="gallery" as="textarea" rows={3} hint="Satu URL foto per baris" {...fieldProps} />
+      <FormField label="Spesifikasi" name="specs" hint="Pisahkan dengan koma, mis. 150cc, Automatic, ABS" {...fieldProps} />
+      <label className="flex items-center text-sm text-gray-700">
+        <input type="checkbox" name="featured" checked={values.featured} onChange={handleChange} className="mr-2" />
+        Tampilkan sebagai unggulan
+      </label>
+
+      {saveError && <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">{saveError}</div>}
+
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors font-semibold disabled:bg-gray-300"
+        >
+          {isSaving ? 'Menyimpan...' : 'Simpan'}
+        </button>
+        <button type="button" onClick={onCancel} className="px-6 py-2 rounded-lg border border-gray-300 hover:bg-gray-50">
+          Batal
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const MotorRow = ({ motor, onEdit, onDelete }) => {
+  const [confirming, setConfirming] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    setError(null);
+    try {
+      await onDelete(motor);
+    } catch (err) {
+      setError(err.message);
+      setIsDeleting(false);
+      setConfirming(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-4 p-4 bg-white rounded-xl border border-gray-100 shadow-sm">
+      <img src={motor.image} alt="" className="w-20 h-14 object-cover rounded" />
+      <div className="flex-1 min-w-0">
+        <p className="font-semibold text-gray-900 truncate flex items-center">
+          {motor.name}
+          {motor.featured && <Star size={14} className="ml-2 text-yellow-500 fill-current" aria-label="Unggulan" />}
+        </p>
+        <p className="text-xs text-gray-500">
+          {FLEET_CATEGORIES[motor.category] || motor.category} · Rp {motor.price.toLocaleString('id-ID')}/hari
+        </p>
+        {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+      </div>
+      {confirming ? (
+        <div className="flex items-center gap-2 text-sm">
+          <span className="text-gray-700">Hapus motor ini?</span>
+          <button
+            type="button"
+            onClick={handleDelete}
+            disabled={isDeleting}
+            className="px-3 py-1 rounded bg-red-600 text-white hover:bg-red-700 disabled:bg-gray-300"
+          >
+            Hapus
+          </button>
+          <button type="button" onClick={() => setConfirming(false)} className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50">
+            Batal
+          </button>
+        </div>
+      ) : (
+        <div className="flex gap-1">
+          <button type="button" onClick={() => onEdit(motor)} className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg" aria-label={`Ubah ${motor.name}`}>
+            <Pencil size={16} />
+          </button>
+          <button type="button" onClick={() => setConfirming(true)} className="p-2 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded-lg" aria-label={`Hapus ${motor.name}`}>
+            <Trash2 size={16} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Fleet list with add, edit and delete. Saves go to the backend first; the
+// public list is updated from what it returns.
+const AdminFleet = ({ motorcycles, onCreate, onUpdate, onDelete }) => {
+  // `undefined` while no form is open, `null` for a new bike
+  const [editing, setEditing] = useState(undefined);
+
+  const handleSave = async (motor) => {
+    await (editing ? onUpdate(motor) : onCreate(motor));
+    setEditing(undefined);
+  };
+
+  if (editing !== undefined) {
+    return <AdminMotorcycleForm key={editing?.id ?? 'new'} motor={editing} onSave={handleSave} onCancel={() => setEditing(undefined)} />;
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <p className="text-sm text-gray-600">{motorcycles.length} motor</p>
+        <button
+          type="button"
+          onClick={() => setEditing(null)}
+          className="flex items-center bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm font-semibold"
+        >
+          <Plus size={16} className="mr-1" />
+          Tambah Motor
+        </button>
+      </div>
+      <div className="space-y-3">
+        {motorcycles.map(motor => <MotorRow key={motor.id} motor={motor} onEdit={setEditing} onDelete={onDelete} />)}
+      </div>
+    </div>
+  );
+};
+
+export default AdminFleet;
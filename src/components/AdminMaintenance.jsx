@@ -0,0 +1,238 @@
+import React, { useState, useMemo } from 'react';
+import { Wrench } from 'lucide-react';
+import { formatDate, todayKey } from '../lib/dates.js';
+import { findConflicts } from '../lib/availability.js';
+import { formatUnit, getModelUnits, isUnitInService } from '../lib/units.js';
+import {
+  SERVICE_TYPES,
+  SERVICE_STATES,
+  EMPTY_SERVICE_FORM,
+  buildDueList,
+  formatServiceDue,
+  validateServiceForm,
+  fromServiceForm
+} from '../lib/maintenance.js';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const HISTORY_LIMIT = 15;
+
+export const ServiceStateBadge = ({ state }) => {
+  const meta = SERVICE_STATES[state];
+  return <span className={`text-xs px-2 py-1 rounded-full font-medium whitespace-nowrap ${meta.className}`}>{meta.label}</span>;
+};
+
+const formatTypes = (types) => types.map(type => SERVICE_TYPES[type]?.label || type).join(', ');
+
+// `unitId` preselects a unit, e.g. from the due list
+const ServiceForm = ({ motorcycles, units, unitId, onSubmit }) => {
+  const [values, setValues] = useState(() => {
+    const unit = units.find(item => String(item.id) === String(unitId));
+    return { ...EMPTY_SERVICE_FORM, unitId: unit ? String(unit.id) : '', date: todayKey(), odometer: unit ? String(unit.odometer ?? '') : '' };
+  });
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const unit = units.find(item => String(item.id) === values.unitId);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    if (name === 'unitId') {
+      const picked = units.find(item => String(item.id) === value);
+      setValues(prev => ({ ...prev, unitId: value, odometer: picked ? String(picked.odometer ?? '') : '' }));
+      return;
+    }
+    setValues(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleType = (type) => setValues(prev => ({
+    ...prev,
+    types: prev.types.includes(type) ? prev.types.filter(item => item !== type) : [...prev.types, type]
+  }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationErrors = validateServiceForm(values, unit, todayKey());
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setIsSaving(true);
+    setSaveError(null);
+    try {
+      await onSubmit(values, unit);
+      setValues({ ...EMPTY_SERVICE_FORM, date: todayKey() });
+    } catch (err) {
+      setSaveError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow border border-gray-100 p-6 space-y-4" noValidate>
+      <h4 className="font-semibold text-gray-900 flex items-center">
+        <Wrench size={16} className="mr-2" />
+        Catat Servis
+      </h4>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="service-unitId" className="block text-sm font-medium mb-1 text-gray-700">Unit</label>
+          <select id="service-unitId" name="unitId" value={values.unitId} onChange={handleChange} className={`${inputClassName} ${errors.unitId ? 'border-red-500' : ''}`}>
+            <option value="">Pilih unit</option>
+            {motorcycles.map(motor => (
+              <optgroup key={motor.id} label={motor.name}>
+                {getModelUnits(units, motor.id).filter(isUnitInService).map(item => (
+                  <option key={item.id} value={item.id}>{formatUnit(item)}</option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+          {errors.unitId && <p className="text-red-500 text-sm mt-1">{errors.unitId}</p>}
+        </div>
+        <div>
+          <label htmlFor="service-date" className="block text-sm font-medium mb-1 text-gray-700">Tanggal</label>
+          <input id="service-date" type="date" name="date" max={todayKey()} value={values.date} onChange={handleChange} className={`${inputClassName} ${errors.date ? 'border-red-500' : ''}`} />
+          {errors.date && <p className="text-red-500 text-sm mt-1">{errors.date}</p>}
+        </div>
+        <div>
+          <label htmlFor="service-odometer" className="block text-sm font-medium mb-1 text-gray-700">Odometer (km)</label>
+          <input id="service-odometer" name="odometer" inputMode="numeric" value={values.odometer} onChange={handleChange} className={`${inputClassName} ${errors.odometer ? 'border-red-500' : ''}`} />
+          {errors.odometer && <p className="text-red-500 text-sm mt-1">{errors.odometer}</p>}
+        </div>
+      </div>
+      <fieldset>
+        <legend className="block text-sm font-medium mb-2 text-gray-700">Pekerjaan</legend>
+        <div className="flex flex-wrap gap-4">
+          {Object.entries(SERVICE_TYPES).map(([type, { label, everyKm, everyDays }]) => (
+            <label key={type} className="flex items-center text-sm text-gray-700">
+              <input type="checkbox" checked={values.types.includes(type)} onChange={() => toggleType(type)} className="mr-2" />
+              {label}
+              <span className="text-xs text-gray-500 ml-1">(tiap {everyKm.toLocaleString('id-ID')} km / {everyDays} hari)</span>
+            </label>
+          ))}
+        </div>
+        {errors.types && <p className="text-red-500 text-sm mt-1">{errors.types}</p>}
+      </fieldset>
+      <input name="note" value={values.note} onChange={handleChange} placeholder="Catatan (mis. kampas rem depan diganti)" className={inputClassName} />
+
+      {saveError && <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">{saveError}</div>}
+
+      <button
+        type="submit"
+        disabled={isSaving}
+        className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors font-semibold disabled:bg-gray-300"
+      >
+        {isSaving ? 'Menyimpan...' : 'Simpan'}
+      </button>
+    </form>
+  );
+};
+
+// Units that are due or nearly due for service, the service form and recent
+// workshop visits. A due unit is not offered to customers until its service
+// is recorded here; bookings it already holds should be moved to another unit.
+const AdminMaintenance = ({ motorcycles, units, maintenance, reservations, staffName, onRecord }) => {
+  const [formUnitId, setFormUnitId] = useState(null);
+  const today = todayKey();
+
+  const dueList = useMemo(() => buildDueList(units, maintenance, today), [units, maintenance, today]);
+  const history = useMemo(
+    () => [...maintenance].sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id).slice(0, HISTORY_LIMIT),
+    [maintenance]
+  );
+
+  const motorName = (unit) => motorcycles.find(motor => String(motor.id) === String(unit.motorcycleId))?.name;
+  const unitById = (id) => units.find(unit => String(unit.id) === String(id));
+
+  // Holds from today on that would have to move if the unit goes to the workshop now
+  const upcomingOn = (unit) => findConflicts(
+    reservations.filter(reservation => String(reservation.unitId) === String(unit.id) && reservation.type == null),
+    { startDate: today, endDate: '9999-12-31' }
+  ).length;
+
+  const handleSubmit = (values, unit) => onRecord(fromServiceForm(values, unit, { by: staffName }), unit);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h4 className="font-semibold text-gray-900 mb-3">Jadwal Servis</h4>
+        {dueList.length === 0 ? (
+          <p className="text-sm text-gray-600">Semua unit aktif dalam kondisi prima.</p>
+        ) : (
+          <div className="overflow-x-auto bg-white rounded-2xl shadow border border-gray-100">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 text-left text-gray-600">
+                <tr>
+                  <th className="px-4 py-3 font-medium">Unit</th>
+                  <th className="px-4 py-3 font-medium">Status</th>
+                  {Object.entries(SERVICE_TYPES).map(([type, { label }]) => (
+                    <th key={type} className="px-4 py-3 font-medium">{label}</th>
+                  ))}
+                  <th className="px-4 py-3 font-medium">Pesanan</th>
+                  <th className="px-4 py-3 font-medium" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {dueList.map(({ unit, items, state }) => {
+                  const upcoming = upcomingOn(unit);
+                  return (
+                    <tr key={unit.id} className="align-top">
+                      <td className="px-4 py-3">
+                        <p className="font-medium text-gray-900">{motorName(unit)}</p>
+                        <p className="text-xs text-gray-500 font-mono">{unit.plate}</p>
+                        <p className="text-xs text-gray-500">{(unit.odometer ?? 0).toLocaleString('id-ID')} km</p>
+                      </td>
+                      <td className="px-4 py-3"><ServiceStateBadge state={state} /></td>
+                      {items.map(item => (
+                        <td key={item.type} className={`px-4 py-3 text-xs whitespace-nowrap ${item.state === 'due' ? 'text-red-700 font-medium' : item.state === 'soon' ? 'text-amber-700' : 'text-gray-600'}`}>
+                          {formatServiceDue(item)}
+                        </td>
+                      ))}
+                      <td className={`px-4 py-3 text-xs ${upcoming > 0 && state === 'due' ? 'text-red-700' : 'text-gray-600'}`}>
+                        {upcoming > 0 ? `${upcoming} reservasi` : '—'}
+                      </td>
+                      <td className="px-4 py-3">
+                        <button
+                          type="button"
+                          onClick={() => setFormUnitId(unit.id)}
+                          className="px-2 py-1 rounded text-xs font-medium bg-blue-600 text-white hover:bg-blue-700 whitespace-nowrap"
+                        >
+                          Catat servis
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <ServiceForm key={formUnitId ?? 'new'} motorcycles={motorcycles} units={units} unitId={formUnitId} onSubmit={handleSubmit} />
+
+      <div>
+        <h4 className="font-semibold text-gray-900 mb-3">Riwayat Servis Terakhir</h4>
+        <ul className="bg-white rounded-2xl shadow border border-gray-100 divide-y divide-gray-100 text-sm">
+          {history.map(record => {
+            const unit = unitById(record.unitId);
+            return (
+              <li key={record.id} className="px-4 py-3 flex flex-wrap gap-x-4 gap-y-1">
+                <span className="text-gray-600 whitespace-nowrap">{formatDate(record.date)}</span>
+                <span className="font-medium text-gray-900">{unit ? `${motorName(unit)} · ${unit.plate}` : `Unit #${record.unitId}`}</span>
+                <span className="text-gray-700">{formatTypes(record.types)}</span>
+                <span className="text-gray-500">{record.odometer.toLocaleString('id-ID')} km</span>
+                {record.note && <span className="text-gray-500">{record.note}</span>}
+                {record.by && <span className="text-xs text-gray-400 ml-auto">{record.by}</span>}
+              </li>
+            );
+          })}
+          {history.length === 0 && <li className="px-4 py-6 text-center text-gray-500">Belum ada catatan servis.</li>}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default AdminMaintenance;
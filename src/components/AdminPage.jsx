@@ -0,0 +1,73 @@
+import React from 'react';
+import { ShieldCheck, LogOut } from 'lucide-react';
+import AuthPanel from './AuthPanel.jsx';
+import AdminDashboard from './AdminDashboard.jsx';
+import { isStaff } from '../lib/auth.js';
+
+// Page for /admin: staff sign-in, an access notice for customers, or the dashboard
+const AdminPage = ({ user, token, motorcycles, units, maintenance, motorcyclesLoading, motorcyclesError, onFleetChange, onUnitsChange, onMaintenanceChange, onLogin, onLogout }) => (
+  <section className="py-12 bg-gray-50 min-h-[70vh]">
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+      {!user ? (
+        <>
+          <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-2 text-center">Admin MotorRent</h2>
+          <p className="text-gray-600 mb-8 text-center">Masuk dengan akun staf untuk mengelola armada dan pesanan.</p>
+          {/* Staff accounts are created by an admin, so only email sign-in is offered here */}
+          <AuthPanel onLogin={onLogin} />
+        </>
+      ) : !isStaff(user) ? (
+        <div className="text-center bg-white rounded-2xl p-12 shadow-lg border border-gray-100 max-w-lg mx-auto">
+          <ShieldCheck className="mx-auto text-gray-300 mb-4" size={40} />
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Akses Ditolak</h2>
+          <p className="text-gray-600 mb-6">
+            Akun {user.email || user.phone} bukan akun staf. Keluar dan masuk kembali dengan akun staf.
+          </p>
+          <button
+            type="button"
+            onClick={onLogout}
+            className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold"
+          >
+            Keluar
+          </button>
+        </div>
+      ) : (
+        <>
+          <div className="flex justify-between items-start mb-8">
+            <div>
+              <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-2">Dashboard Admin</h2>
+              <p className="text-gray-600">Masuk sebagai {user.name || user.email}</p>
+            </div>
+            <button
+              type="button"
+              onClick={onLogout}
+              className="flex items-center text-gray-700 hover:text-red-600 px-3 py-2 rounded-lg hover:bg-red-50 transition-colors text-sm font-medium"
+            >
+              <LogOut size={16} className="mr-2" />
+              Keluar
+            </button>
+          </div>
+          {motorcyclesError ? (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">
+              Gagal memuat armada: {motorcyclesError.message}
+            </div>
+          ) : motorcyclesLoading ? (
+            <p className="text-gray-600">Memuat armada...</p>
+          ) : (
+            <AdminDashboard
+              user={user}
+              token={token}
+              motorcycles={motorcycles}
+              units={units}
+              maintenance={maintenance}
+              onFleetChange={onFleetChange}
+              onUnitsChange={onUnitsChange}
+              onMaintenanceChange={onMaintenanceChange}
+            />
+          )}
+        </>
+      )}
+    </div>
+  </section>
+);
+
+export default AdminPage;
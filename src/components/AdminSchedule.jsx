@@ -0,0 +1,279 @@
+import React, { useState, useMemo } from 'react';
+import { ChevronLeft, ChevronRight, Wrench, Trash2 } from 'lucide-react';
+import FleetTimeline from './FleetTimeline.jsx';
+import { StatusBadge } from './AdminBookings.jsx';
+import { addDays, todayKey, formatDate, formatDateTime } from '../lib/dates.js';
+import { findConflicts } from '../lib/availability.js';
+import { formatRentalLength } from '../lib/rentalTime.js';
+import { formatUnit, getModelUnits, isUnitInService } from '../lib/units.js';
+import {
+  TIMELINE_DAYS,
+  toScheduleItems,
+  buildTimelineRows,
+  getScheduleActions,
+  shiftScheduleItem,
+  findScheduleConflicts
+} from '../lib/schedule.js';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const describeItem = (item) => {
+  if (item.kind === 'booking') return `booking ${item.booking.code}`;
+  if (item.kind === 'blockout') return 'jadwal servis';
+  return 'reservasi lain';
+};
+
+const EMPTY_BLOCKOUT = { unitId: '', from: '', to: '', note: '' };
+
+// Service block-outs cover whole days, `to` included
+const BlockoutForm = ({ motorcycles, units, onSubmit }) => {
+  const [values, setValues] = useState(EMPTY_BLOCKOUT);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleChange = (e) => setValues(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const unit = units.find(item => String(item.id) === values.unitId);
+    if (!unit || !values.from || !values.to) {
+      setError('Pilih unit dan tanggal servis');
+      return;
+    }
+    if (values.to < values.from) {
+      setError('Tanggal selesai harus setelah tanggal mulai');
+      return;
+    }
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onSubmit({
+        motorcycleId: unit.motorcycleId,
+        unitId: unit.id,
+        startDate: values.from,
+        endDate: addDays(values.to, 1),
+        note: values.note.trim()
+      });
+      setValues(EMPTY_BLOCKOUT);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow border border-gray-100 p-4" noValidate>
+      <h4 className="font-semibold text-gray-900 mb-3 flex items-center">
+        <Wrench size={16} className="mr-2" />
+        Blokir untuk Servis
+      </h4>
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+        <select name="unitId" value={values.unitId} onChange={handleChange} className={inputClassName} aria-label="Unit">
+          <option value="">Pilih unit</option>
+          {motorcycles.map(motor => (
+            <optgroup key={motor.id} label={motor.name}>
+              {getModelUnits(units, motor.id).filter(isUnitInService).map(unit => (
+                <option key={unit.id} value={unit.id}>{formatUnit(unit)}</option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+        <input type="date" name="from" value={values.from} onChange={handleChange} className={inputClassName} aria-label="Mulai servis" />
+        <input type="date" name="to" value={values.to} min={values.from || undefined} onChange={handleChange} className={inputClassName} aria-label="Selesai servis" />
+        <input name="note" value={values.note} onChange={handleChange} placeholder="Catatan (mis. ganti oli)" className={inputClassName} />
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm font-semibold disabled:bg-gray-300"
+        >
+          {isSaving ? 'Menyimpan...' : 'Blokir'}
+        </button>
+      </div>
+      {error && <p className="text-red-600 text-sm mt-2">{error}</p>}
+    </form>
+  );
+};
+
+const NudgeButton = ({ children, ...props }) => (
+  <button
+    type="button"
+    className="px-2 py-1 text-xs rounded border border-gray-300 hover:bg-gray-50 disabled:text-gray-300 disabled:hover:bg-transparent"
+    {...props}
+  >
+    {children}
+  </button>
+);
+
+// Details for the selected bar, with day-by-day buttons as an alternative to dragging
+const SelectedItem = ({ item, isBusy, onChange, onRemoveBlockout }) => {
+  const actions = getScheduleActions(item);
+
+  return (
+    <div className="bg-white rounded-2xl shadow border border-gray-100 p-4 flex flex-wrap gap-4 justify-between items-start">
+      <div className="text-sm">
+        {item.kind === 'booking' ? (
+          <>
+            <p className="font-semibold text-gray-900 flex items-center gap-2">
+              <span className="font-mono">{item.booking.code}</span>
+              <StatusBadge status={item.booking.status} />
+            </p>
+            <p className="text-gray-700">{item.booking.name} · {item.booking.phone || item.booking.email}</p>
+            <p className="text-gray-500">
+              {item.booking.motor?.name} ({item.booking.unit?.plate || 'unit belum ditetapkan'}) · {formatRentalLength(item.booking.totalDays, item.booking.priceBreakdown?.overageHours)}
+              {' '}· Rp {(item.booking.totalPrice ?? 0).toLocaleString('id-ID')}
+            </p>
+          </>
+        ) : (
+          <p className="font-semibold text-gray-900">
+            {item.kind === 'blockout' ? `Servis${item.reservation.note ? `: ${item.reservation.note}` : ''}` : 'Reservasi tanpa data booking'}
+          </p>
+        )}
+        <p className="text-gray-500">
+          {formatDateTime(item.startDate, item.startTime)} – {formatDateTime(item.endDate, item.endTime)}
+        </p>
+      </div>
+      <div className="flex flex-wrap gap-2 items-center">
+        {actions.move && (
+          <>
+            <NudgeButton disabled={isBusy} onClick={() => onChange(item, { move: -1 })} aria-label="Geser satu hari lebih awal">
+              <ChevronLeft size={14} className="inline" /> Geser
+            </NudgeButton>
+            <NudgeButton disabled={isBusy} onClick={() => onChange(item, { move: 1 })} aria-label="Geser satu hari lebih lambat">
+              Geser <ChevronRight size={14} className="inline" />
+            </NudgeButton>
+          </>
+        )}
+        {actions.extend && (
+          <>
+            <NudgeButton disabled={isBusy} onClick={() => onChange(item, { extend: -1 })}>−1 hari</NudgeButton>
+            <NudgeButton disabled={isBusy} onClick={() => onChange(item, { extend: 1 })}>+1 hari</NudgeButton>
+          </>
+        )}
+        {item.kind === 'blockout' && (
+          <button
+            type="button"
+            disabled={isBusy}
+            onClick={() => onRemoveBlockout(item)}
+            className="flex items-center px-2 py-1 text-xs rounded border border-red-200 text-red-700 hover:bg-red-50"
+          >
+            <Trash2 size={14} className="mr-1" />
+            Hapus blokir
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Operator timeline for the admin area. Every change is checked against the
+// other bars on the bike here first, and again by the backend when it is saved.
+const AdminSchedule = ({ motorcycles, units, bookings, reservations, isLoading, error, onReschedule, onSaveBlockout, onRemoveBlockout }) => {
+  const [from, setFrom] = useState(() => addDays(todayKey(), -1));
+  const [selectedId, setSelectedId] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  const items = useMemo(() => toScheduleItems({ bookings, reservations }), [bookings, reservations]);
+  const rows = useMemo(() => buildTimelineRows(motorcycles, units, items), [motorcycles, units, items]);
+  const selected = items.find(item => item.id === selectedId) || null;
+
+  // Which units are out, in the workshop or free at some point today
+  const todaySummary = useMemo(() => {
+    const today = { startDate: todayKey(), endDate: addDays(todayKey(), 1) };
+    return rows.reduce((summary, row) => {
+      const busy = findConflicts(row.items, today);
+      if (busy.some(item => item.kind === 'blockout')) summary.service += 1;
+      else if (busy.length > 0) summary.out += 1;
+      else summary.free += 1;
+      return summary;
+    }, { out: 0, service: 0, free: 0 });
+  }, [rows]);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setActionError(null);
+    try {
+      await action();
+    } catch (err) {
+      setActionError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleChange = (item, change) => run(async () => {
+    const range = shiftScheduleItem(item, change);
+    if (!range) throw new Error('Jadwal tidak boleh kurang dari waktu pengambilan');
+    const conflicts = findScheduleConflicts(items, item, range);
+    if (conflicts.length > 0) throw new Error(`Bentrok dengan ${describeItem(conflicts[0])}`);
+
+    if (item.kind === 'booking') await onReschedule(item.booking, range);
+    else await onSaveBlockout({ ...item.reservation, ...range });
+  });
+
+  const handleCreateBlockout = async (blockout) => {
+    const conflicts = findScheduleConflicts(items, { id: null, motorcycleId: blockout.motorcycleId, unitId: blockout.unitId }, blockout);
+    if (conflicts.length > 0) throw new Error(`Bentrok dengan ${describeItem(conflicts[0])}`);
+    await onSaveBlockout(blockout);
+  };
+
+  const handleRemoveBlockout = (item) => run(async () => {
+    await onRemoveBlockout(item.reservation.id);
+    setSelectedId(null);
+  });
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <p className="text-sm text-gray-600">
+          Hari ini: <span className="font-semibold text-green-700">{todaySummary.out} disewa</span>
+          {' '}· <span className="font-semibold text-red-700">{todaySummary.service} servis</span>
+          {' '}· <span className="font-semibold text-gray-900">{todaySummary.free} tersedia</span>
+        </p>
+        <div className="flex items-center gap-2 text-sm">
+          <button type="button" onClick={() => setFrom(prev => addDays(prev, -7))} className="p-2 rounded-lg border border-gray-300 hover:bg-gray-50" aria-label="Minggu sebelumnya">
+            <ChevronLeft size={16} />
+          </button>
+          <button type="button" onClick={() => setFrom(addDays(todayKey(), -1))} className="px-3 py-2 rounded-lg border border-gray-300 hover:bg-gray-50">
+            Hari ini
+          </button>
+          <button type="button" onClick={() => setFrom(prev => addDays(prev, 7))} className="p-2 rounded-lg border border-gray-300 hover:bg-gray-50" aria-label="Minggu berikutnya">
+            <ChevronRight size={16} />
+          </button>
+          <span className="text-gray-600 ml-2">
+            {formatDate(from)} – {formatDate(addDays(from, TIMELINE_DAYS - 1))}
+          </span>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">Gagal memuat jadwal: {error.message}</div>
+      )}
+      {actionError && (
+        <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">{actionError}</div>
+      )}
+
+      {isLoading ? (
+        <p className="text-gray-600">Memuat jadwal...</p>
+      ) : (
+        <FleetTimeline
+          rows={rows}
+          from={from}
+          selectedId={selectedId}
+          onSelect={item => setSelectedId(item.id)}
+          onChange={handleChange}
+          getConflicts={(item, range) => findScheduleConflicts(items, item, range)}
+        />
+      )}
+
+      {selected && (
+        <SelectedItem item={selected} isBusy={isBusy} onChange={handleChange} onRemoveBlockout={handleRemoveBlockout} />
+      )}
+
+      <BlockoutForm motorcycles={motorcycles} units={units} onSubmit={handleCreateBlockout} />
+    </div>
+  );
+};
+
+export default AdminSchedule;
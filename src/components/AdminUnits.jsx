@@ -0,0 +1,262 @@
+import React, { useState, useMemo } from 'react';
+import { Plus, Pencil, History } from 'lucide-react';
+import { StatusBadge } from './AdminBookings.jsx';
+import { ServiceStateBadge } from './AdminMaintenance.jsx';
+import { formatDateTime, todayKey } from '../lib/dates.js';
+import { UNIT_STATUSES, getModelUnits, isUnitInService } from '../lib/units.js';
+import { toUnitForm, validateUnitForm, fromUnitForm } from '../lib/unitForm.js';
+import { toScheduleItems } from '../lib/schedule.js';
+import { getServiceState } from '../lib/maintenance.js';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const UnitStatusBadge = ({ status }) => {
+  const meta = UNIT_STATUSES[status] || { label: status, className: 'bg-gray-100 text-gray-700' };
+  return <span className={`text-xs px-2 py-1 rounded-full font-medium whitespace-nowrap ${meta.className}`}>{meta.label}</span>;
+};
+
+const Field = ({ label, name, error, children }) => (
+  <div>
+    <label htmlFor={`unit-${name}`} className="block text-sm font-medium mb-1 text-gray-700">{label}</label>
+    {children}
+    {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+  </div>
+);
+
+// Add/edit form; `unit` is null for a new unit of `motorcycleId`
+const AdminUnitForm = ({ unit, motorcycleId, motorcycles, units, onSave, onCancel }) => {
+  const [values, setValues] = useState(() => toUnitForm(unit, motorcycleId));
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const handleChange = (e) => setValues(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationErrors = validateUnitForm(values, units, unit);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setIsSaving(true);
+    setSaveError(null);
+    try {
+      await onSave(fromUnitForm(values, unit));
+    } catch (err) {
+      setSaveError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  const fieldClassName = (name) => `${inputClassName} ${errors[name] ? 'border-red-500' : ''}`;
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow border border-gray-100 p-6 space-y-4" noValidate>
+      <h3 className="text-lg font-semibold text-gray-900">{unit ? `Ubah Unit ${unit.plate}` : 'Tambah Unit'}</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Field label="Model" name="motorcycleId" error={errors.motorcycleId}>
+          <select
+            id="unit-motorcycleId"
+            name="motorcycleId"
+            value={values.motorcycleId}
+            onChange={handleChange}
+            disabled={Boolean(unit)}
+            className={fieldClassName('motorcycleId')}
+          >
+            <option value="">Pilih model</option>
+            {motorcycles.map(motor => <option key={motor.id} value={motor.id}>{motor.name}</option>)}
+          </select>
+        </Field>
+        <Field label="Nomor Plat" name="plate" error={errors.plate}>
+          <input id="unit-plate" name="plate" value={values.plate} onChange={handleChange} placeholder="DK 1234 AB" className={fieldClassName('plate')} />
+        </Field>
+        <Field label="Warna" name="colour" error={errors.colour}>
+          <input id="unit-colour" name="colour" value={values.colour} onChange={handleChange} className={fieldClassName('colour')} />
+        </Field>
+        <Field label="Odometer (km)" name="odometer" error={errors.odometer}>
+          <input id="unit-odometer" name="odometer" inputMode="numeric" value={values.odometer} onChange={handleChange} className={fieldClassName('odometer')} />
+        </Field>
+        <Field label="Status" name="status" error={errors.status}>
+          <select id="unit-status" name="status" value={values.status} onChange={handleChange} className={fieldClassName('status')}>
+            {Object.entries(UNIT_STATUSES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </Field>
+      </div>
+      {!unit && (
+        <p className="text-xs text-gray-500">Unit baru bisa disewa setelah servis terakhirnya dicatat di tab Servis.</p>
+      )}
+      {unit && values.status !== 'active' && (
+        <p className="text-xs text-gray-500">Unit yang tidak dipakai tidak lagi ditawarkan, tetapi pesanan yang sudah ada tetap tercatat.</p>
+      )}
+
+      {saveError && <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">{saveError}</div>}
+
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors font-semibold disabled:bg-gray-300"
+        >
+          {isSaving ? 'Menyimpan...' : 'Simpan'}
+        </button>
+        <button type="button" onClick={onCancel} className="px-6 py-2 rounded-lg border border-gray-300 hover:bg-gray-50">
+          Batal
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Rentals and service block-outs the unit has had, newest first
+const UnitHistory = ({ items }) => {
+  if (items.length === 0) return <p className="text-xs text-gray-500 px-4 pb-4">Belum ada riwayat untuk unit ini.</p>;
+
+  return (
+    <ul className="px-4 pb-4 space-y-2 text-xs">
+      {items.map(item => (
+        <li key={item.id} className="flex flex-wrap items-center gap-2 text-gray-700">
+          <span className="whitespace-nowrap">
+            {formatDateTime(item.startDate, item.startTime)} – {formatDateTime(item.endDate, item.endTime)}
+          </span>
+          {item.kind === 'booking' ? (
+            <>
+              <span className="font-mono">{item.booking.code}</span>
+              <span>{item.booking.name}</span>
+              <StatusBadge status={item.booking.status} />
+            </>
+          ) : item.kind === 'blockout' ? (
+            <span className="text-red-700">Servis{item.reservation.note ? `: ${item.reservation.note}` : ''}</span>
+          ) : (
+            <span className="text-gray-500">Reservasi tanpa data booking</span>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const UnitRow = ({ unit, history, serviceState, onEdit }) => {
+  const [showHistory, setShowHistory] = useState(false);
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-100 shadow-sm">
+      <div className="flex items-center gap-4 p-4">
+        <div className="flex-1 min-w-0">
+          <p className="font-semibold text-gray-900 font-mono">{unit.plate}</p>
+          <p className="text-xs text-gray-500">
+            {unit.colour} · {(unit.odometer ?? 0).toLocaleString('id-ID')} km · {history.length} riwayat
+          </p>
+        </div>
+        {isUnitInService(unit) && serviceState !== 'ok' && <ServiceStateBadge state={serviceState} />}
+        <UnitStatusBadge status={unit.status} />
+        <div className="flex gap-1">
+          <button
+            type="button"
+            onClick={() => setShowHistory(prev => !prev)}
+            aria-expanded={showHistory}
+            className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg"
+            aria-label={`Riwayat ${unit.plate}`}
+          >
+            <History size={16} />
+          </button>
+          <button type="button" onClick={() => onEdit(unit)} className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg" aria-label={`Ubah ${unit.plate}`}>
+            <Pencil size={16} />
+          </button>
+        </div>
+      </div>
+      {showHistory && <UnitHistory items={history} />}
+    </div>
+  );
+};
+
+// Physical units per model with their plate, colour and odometer. Retiring a
+// unit takes it out of availability without losing its history.
+const AdminUnits = ({ motorcycles, units, bookings, reservations, maintenance, onSave }) => {
+  // `undefined` while no form is open, otherwise the unit (null for a new one) and its model
+  const [editing, setEditing] = useState(undefined);
+
+  const historyByUnit = useMemo(() => {
+    const byUnit = new Map();
+    toScheduleItems({ bookings, reservations })
+      .filter(item => item.unitId != null)
+      .sort((a, b) => b.startDate.localeCompare(a.startDate))
+      .forEach(item => {
+        const key = String(item.unitId);
+        byUnit.set(key, [...(byUnit.get(key) || []), item]);
+      });
+    return byUnit;
+  }, [bookings, reservations]);
+
+  const handleSave = async (unit) => {
+    await onSave(unit);
+    setEditing(undefined);
+  };
+
+  if (editing !== undefined) {
+    return (
+      <AdminUnitForm
+        key={editing.unit?.id ?? 'new'}
+        unit={editing.unit}
+        motorcycleId={editing.motorcycleId}
+        motorcycles={motorcycles}
+        units={units}
+        onSave={handleSave}
+        onCancel={() => setEditing(undefined)}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="flex justify-between items-center">
+        <p className="text-sm text-gray-600">
+          {units.filter(isUnitInService).length} unit aktif dari {units.length} unit
+        </p>
+        <button
+          type="button"
+          onClick={() => setEditing({ unit: null, motorcycleId: '' })}
+          className="flex items-center bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm font-semibold"
+        >
+          <Plus size={16} className="mr-1" />
+          Tambah Unit
+        </button>
+      </div>
+      {motorcycles.map(motor => {
+        const modelUnits = getModelUnits(units, motor.id);
+        return (
+          <div key={motor.id}>
+            <div className="flex justify-between items-center mb-3">
+              <h4 className="font-semibold text-gray-900">
+                {motor.name} <span className="text-sm font-normal text-gray-500">· {modelUnits.filter(isUnitInService).length} aktif</span>
+              </h4>
+              <button
+                type="button"
+                onClick={() => setEditing({ unit: null, motorcycleId: motor.id })}
+                className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+              >
+                + Unit
+              </button>
+            </div>
+            {modelUnits.length === 0 ? (
+              <p className="text-sm text-amber-700">Belum ada unit — model ini tidak bisa dipesan.</p>
+            ) : (
+              <div className="space-y-2">
+                {modelUnits.map(unit => (
+                  <UnitRow
+                    key={unit.id}
+                    unit={unit}
+                    history={historyByUnit.get(String(unit.id)) || []}
+                    serviceState={getServiceState(unit, maintenance, todayKey())}
+                    onEdit={item => setEditing({ unit: item, motorcycleId: item.motorcycleId })}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AdminUnits;
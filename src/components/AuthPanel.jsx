@@ -0,0 +1,235 @@
+import React, { useState } from 'react';
+import { Mail, Smartphone } from 'lucide-react';
+import { OTP_POLICY, validateLogin, validateRegistration, validateOtpRequest, validateOtpCode } from '../lib/auth.js';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const Field = ({ label, name, error, ...props }) => (
+  <div>
+    <label htmlFor={`auth-${name}`} className="block text-sm font-medium mb-1 text-gray-700">{label}</label>
+    <input id={`auth-${name}`} name={name} className={`${inputClassName} ${error ? 'border-red-500' : ''}`} {...props} />
+    {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+  </div>
+);
+
+const SubmitButton = ({ isLoading, children }) => (
+  <button
+    type="submit"
+    disabled={isLoading}
+    className="w-full bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold disabled:bg-gray-300 disabled:cursor-not-allowed"
+  >
+    {isLoading ? 'Memproses...' : children}
+  </button>
+);
+
+// Runs an auth action with the panel's shared loading and error state
+const useAuthAction = () => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      return await action();
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return { isLoading, error, run };
+};
+
+const EmailForm = ({ onLogin, onRegister }) => {
+  const [mode, setMode] = useState('login');
+  const [values, setValues] = useState({ name: '', email: '', phone: '', password: '' });
+  const [errors, setErrors] = useState({});
+  const { isLoading, error, run } = useAuthAction();
+
+  const handleChange = (e) => setValues(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validationErrors = mode === 'login' ? validateLogin(values) : validateRegistration(values);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+    run(() => (mode === 'login' ? onLogin(values) : onRegister(values)));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+      {mode === 'register' && (
+        <Field label="Nama Lengkap" name="name" value={values.name} onChange={handleChange} error={errors.name} autoComplete="name" />
+      )}
+      <Field label="Email" name="email" type="email" value={values.email} onChange={handleChange} error={errors.email} autoComplete="email" />
+      {mode === 'register' && (
+        <Field
+          label="Nomor Telepon (opsional)"
+          name="phone"
+          type="tel"
+          value={values.phone}
+          onChange={handleChange}
+          error={errors.phone}
+          autoComplete="tel"
+          placeholder="08xx-xxxx-xxxx"
+        />
+      )}
+      <Field
+        label="Kata Sandi"
+        name="password"
+        type="password"
+        value={values.password}
+        onChange={handleChange}
+        error={errors.password}
+        autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+      />
+      {error && <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">{error}</div>}
+      <SubmitButton isLoading={isLoading}>{mode === 'login' ? 'Masuk' : 'Daftar'}</SubmitButton>
+      {onRegister && (
+        <p className="text-sm text-center text-gray-600">
+          {mode === 'login' ? 'Belum punya akun? ' : 'Sudah punya akun? '}
+          <button
+            type="button"
+            onClick={() => {
+              setMode(mode === 'login' ? 'register' : 'login');
+              setErrors({});
+            }}
+            className="text-blue-600 hover:text-blue-800 font-medium"
+          >
+            {mode === 'login' ? 'Daftar' : 'Masuk'}
+          </button>
+        </p>
+      )}
+    </form>
+  );
+};
+
+const OtpForm = ({ onRequestOtp, onVerifyOtp }) => {
+  const [values, setValues] = useState({ phone: '', code: '' });
+  const [errors, setErrors] = useState({});
+  const [sent, setSent] = useState(null);
+  const { isLoading, error, run } = useAuthAction();
+
+  const handleChange = (e) => setValues(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const requestCode = async (e) => {
+    e.preventDefault();
+    const validationErrors = validateOtpRequest(values);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+    const result = await run(() => onRequestOtp({ phone: values.phone }));
+    if (result) setSent(result);
+  };
+
+  const verifyCode = (e) => {
+    e.preventDefault();
+    const validationErrors = validateOtpCode(values);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+    run(() => onVerifyOtp({ phone: sent.phone, code: values.code }));
+  };
+
+  if (!sent) {
+    return (
+      <form onSubmit={requestCode} className="space-y-4" noValidate>
+        <Field
+          label="Nomor Telepon"
+          name="phone"
+          type="tel"
+          value={values.phone}
+          onChange={handleChange}
+          error={errors.phone}
+          autoComplete="tel"
+          placeholder="08xx-xxxx-xxxx"
+        />
+        {error && <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">{error}</div>}
+        <SubmitButton isLoading={isLoading}>Kirim Kode OTP</SubmitButton>
+        <p className="text-xs text-gray-500 text-center">Nomor baru otomatis dibuatkan akun.</p>
+      </form>
+    );
+  }
+
+  return (
+    <form onSubmit={verifyCode} className="space-y-4" noValidate>
+      <p className="text-sm text-gray-600">
+        Kode {OTP_POLICY.length} digit telah dikirim ke <span className="font-semibold">{sent.phone}</span>.
+        Berlaku {OTP_POLICY.ttlMinutes} menit.
+      </p>
+      {sent.devCode && (
+        <p className="text-xs p-2 border border-dashed border-amber-300 bg-amber-50 text-amber-800 rounded">
+          Mode pengembangan — kode OTP: <span className="font-mono font-semibold">{sent.devCode}</span>
+        </p>
+      )}
+      <Field
+        label="Kode OTP"
+        name="code"
+        inputMode="numeric"
+        maxLength={OTP_POLICY.length}
+        value={values.code}
+        onChange={handleChange}
+        error={errors.code}
+        autoComplete="one-time-code"
+      />
+      {error && <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">{error}</div>}
+      <SubmitButton isLoading={isLoading}>Verifikasi</SubmitButton>
+      <button
+        type="button"
+        onClick={() => {
+          setSent(null);
+          setValues(prev => ({ ...prev, code: '' }));
+        }}
+        className="w-full text-sm text-blue-600 hover:text-blue-800 font-medium"
+      >
+        Ganti nomor
+      </button>
+    </form>
+  );
+};
+
+const METHODS = {
+  email: { label: 'Email', icon: Mail },
+  phone: { label: 'Nomor HP', icon: Smartphone }
+};
+
+// Sign-in and sign-up; each handler resolves once the session is started.
+// Leaving out onRegister or the OTP handlers hides those options.
+const AuthPanel = ({ onLogin, onRegister, onRequestOtp, onVerifyOtp }) => {
+  const [method, setMethod] = useState('email');
+  const hasOtp = Boolean(onRequestOtp && onVerifyOtp);
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 max-w-md mx-auto">
+      {hasOtp && (
+        <div className="grid grid-cols-2 gap-2 mb-6">
+          {Object.entries(METHODS).map(([id, { label, icon }]) => {
+            const Icon = icon;
+            return (
+              <button
+                key={id}
+                type="button"
+                onClick={() => setMethod(id)}
+                aria-pressed={method === id}
+                className={`flex items-center justify-center py-2 rounded-lg text-sm font-medium transition-colors ${
+                  method === id ? 'bg-blue-600 text-white shadow' : 'bg-blue-50 text-blue-800 hover:bg-blue-100'
+                }`}
+              >
+                <Icon size={16} className="mr-2" />
+                {label}
+              </button>
+            );
+          })}
+        </div>
+      )}
+      {method === 'email' || !hasOtp ? (
+        <EmailForm onLogin={onLogin} onRegister={onRegister} />
+      ) : (
+        <OtpForm onRequestOtp={onRequestOtp} onVerifyOtp={onVerifyOtp} />
+      )}
+    </div>
+  );
+};
+
+export default AuthPanel;
@@ -0,0 +1,131 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { toDateKey, parseDateKey, todayKey } from '../lib/dates.js';
+import { isModelDateReserved, isModelRangeAvailable, findModelConflicts } from '../lib/units.js';
+import { OPERATING_HOURS } from '../lib/rentalTime.js';
+
+const WEEKDAYS = ['Sen', 'Sel', 'Rab', 'Kam', 'Jum', 'Sab', 'Min'];
+
+const buildMonth = (year, month) => {
+  const first = new Date(year, month, 1);
+  const offset = (first.getDay() + 6) % 7;
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const cells = Array(offset).fill(null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    cells.push(toDateKey(new Date(year, month, day)));
+  }
+  return cells;
+};
+
+// `schedules` are the model's per-unit reservations (lib/units.js); a day is
+// taken once every unit is, and nothing is while they are still null. `startTime`/`endTime` are the chosen WITA times;
+// they decide whether a day the bike is only partly booked can still be used
+// for pickup or return.
+const AvailabilityCalendar = ({ schedules, startDate, endDate, startTime, endTime, minDate = todayKey(), onSelect }) => {
+  const [visibleMonth, setVisibleMonth] = useState(() => {
+    const base = parseDateKey(startDate || minDate);
+    return { year: base.getFullYear(), month: base.getMonth() };
+  });
+
+  const cells = useMemo(() => buildMonth(visibleMonth.year, visibleMonth.month), [visibleMonth]);
+  const selectable = Boolean(onSelect);
+
+  const changeMonth = useCallback((delta) => {
+    setVisibleMonth(({ year, month }) => {
+      const next = new Date(year, month + delta, 1);
+      return { year: next.getFullYear(), month: next.getMonth() };
+    });
+  }, []);
+
+  // First click picks the start, the second the return day. A return day is
+  // only accepted if nothing is reserved in between.
+  const handleDayClick = useCallback((day) => {
+    if (!startDate || endDate || day <= startDate) {
+      onSelect({ startDate: day, endDate: '' });
+    } else if (!schedules || isModelRangeAvailable(schedules, { startDate, startTime, endDate: day, endTime })) {
+      onSelect({ startDate, endDate: day });
+    } else {
+      onSelect({ startDate: day, endDate: '' });
+    }
+  }, [startDate, endDate, startTime, endTime, schedules, onSelect]);
+
+  const monthLabel = new Date(visibleMonth.year, visibleMonth.month, 1)
+    .toLocaleDateString('id-ID', { month: 'long', year: 'numeric' });
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3">
+      <div className="flex items-center justify-between mb-2">
+        <button
+          type="button"
+          onClick={() => changeMonth(-1)}
+          className="p-1 rounded hover:bg-gray-100 text-gray-600"
+          aria-label="Bulan sebelumnya"
+        >
+          <ChevronLeft size={18} />
+        </button>
+        <span className="text-sm font-semibold text-gray-900 capitalize">{monthLabel}</span>
+        <button
+          type="button"
+          onClick={() => changeMonth(1)}
+          className="p-1 rounded hover:bg-gray-100 text-gray-600"
+          aria-label="Bulan berikutnya"
+        >
+          <ChevronRight size={18} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-7 gap-1 text-center text-xs">
+        {WEEKDAYS.map(day => (
+          <div key={day} className="text-gray-500 font-medium py-1">{day}</div>
+        ))}
+        {cells.map((day, index) => {
+          if (!day) return <div key={`empty-${index}`} />;
+
+          // A reserved day can still be the return day if the booking ends right as the next one starts
+          const canReturnHere = Boolean(startDate) && !endDate && day > startDate
+            && (!schedules || isModelRangeAvailable(schedules, { startDate, startTime, endDate: day, endTime }));
+          const reserved = Boolean(schedules) && isModelDateReserved(schedules, day) && !canReturnHere;
+          const partlyReserved = !reserved && Boolean(schedules) && findModelConflicts(schedules, {
+            startDate: day, startTime: OPERATING_HOURS.open, endDate: day, endTime: OPERATING_HOURS.close
+          }).length > 0;
+          const past = day < minDate;
+          const isEdge = day === startDate || day === endDate;
+          const inRange = startDate && endDate && day > startDate && day < endDate;
+
+          return (
+            <button
+              key={day}
+              type="button"
+              disabled={!selectable || reserved || past}
+              onClick={() => handleDayClick(day)}
+              title={reserved ? 'Sudah dipesan' : partlyReserved ? 'Sebagian jam sudah dipesan' : undefined}
+              className={`py-1.5 rounded transition-colors ${
+                isEdge
+                  ? 'bg-blue-600 text-white font-semibold'
+                  : inRange
+                  ? 'bg-blue-100 text-blue-800'
+                  : reserved
+                  ? 'bg-gray-200 text-gray-400 line-through cursor-not-allowed'
+                  : past
+                  ? 'text-gray-300 cursor-not-allowed'
+                  : partlyReserved
+                  ? 'bg-amber-50 text-amber-800 hover:bg-blue-50'
+                  : 'text-gray-700 hover:bg-blue-50'
+              }`}
+            >
+              {parseDateKey(day).getDate()}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex gap-4 mt-2 text-xs text-gray-500">
+        <span className="flex items-center"><span className="w-3 h-3 bg-gray-200 rounded mr-1" />Sudah dipesan</span>
+        <span className="flex items-center"><span className="w-3 h-3 bg-amber-100 rounded mr-1" />Sebagian</span>
+        <span className="flex items-center"><span className="w-3 h-3 bg-blue-600 rounded mr-1" />Pilihan Anda</span>
+      </div>
+    </div>
+  );
+};
+
+export default AvailabilityCalendar;
@@ -0,0 +1,62 @@
+import React from 'react';
+
+// Side view of a scooter with numbered damage marks. Tapping the drawing adds
+// a mark through onAdd({ x, y }) in percent; `baseMarks` (the pickup marks
+// during a return) are drawn faded and cannot be selected.
+const BikeDiagram = ({ marks, baseMarks = [], selectedId, onAdd, onSelect, label = 'Diagram motor' }) => {
+  const handleClick = (e) => {
+    if (!onAdd || e.target.closest('[data-mark]')) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    onAdd({ x: ((e.clientX - rect.left) / rect.width) * 100, y: ((e.clientY - rect.top) / rect.height) * 100 });
+  };
+
+  return (
+    <svg
+      viewBox="0 0 400 240"
+      role="img"
+      aria-label={label}
+      onClick={handleClick}
+      className={`w-full bg-gray-50 rounded-xl border border-gray-200 ${onAdd ? 'cursor-crosshair' : ''}`}
+    >
+      <g fill="none" stroke="#9ca3af" strokeWidth="4" strokeLinecap="round" strokeLinejoin="round">
+        <circle cx="90" cy="170" r="42" />
+        <circle cx="90" cy="170" r="14" />
+        <circle cx="310" cy="170" r="42" />
+        <circle cx="310" cy="170" r="14" />
+        {/* Body, floorboard and seat */}
+        <path d="M60 140 Q90 105 140 112 L200 150 L250 150 Q265 110 245 92 L150 92 Q125 92 118 110" />
+        <path d="M140 95 Q170 70 240 78 Q255 80 250 92" />
+        {/* Front fork, handlebar and headlight */}
+        <path d="M310 170 L285 70 L270 40 M255 40 L290 40" />
+        <path d="M278 60 Q305 62 312 78 L300 96 Q290 100 284 92" />
+        <path d="M250 150 Q290 150 300 120" />
+      </g>
+      {baseMarks.map((mark, index) => (
+        <g key={`base-${mark.id}`} opacity="0.45">
+          <circle cx={mark.x * 4} cy={mark.y * 2.4} r="10" fill="#6b7280" />
+          <text x={mark.x * 4} y={mark.y * 2.4 + 4} textAnchor="middle" fontSize="10" fill="white">P{index + 1}</text>
+        </g>
+      ))}
+      {marks.map((mark, index) => (
+        <g
+          key={mark.id}
+          data-mark
+          onClick={() => onSelect?.(mark.id)}
+          className={onSelect ? 'cursor-pointer' : ''}
+        >
+          <circle
+            cx={mark.x * 4}
+            cy={mark.y * 2.4}
+            r="11"
+            fill={mark.isNew ? '#dc2626' : '#f59e0b'}
+            stroke={selectedId === mark.id ? '#1d4ed8' : 'white'}
+            strokeWidth="3"
+          />
+          <text x={mark.x * 4} y={mark.y * 2.4 + 4} textAnchor="middle" fontSize="11" fontWeight="bold" fill="white">{index + 1}</text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+export default BikeDiagram;
@@ -0,0 +1,69 @@
+import React from 'react';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const BILLING_TYPES = { personal: 'Pribadi', company: 'Perusahaan' };
+
+// Who the invoice is made out to; wired to BookingModal's useFormValidation state
+const BillingFields = ({ values, errors, touched, onChange, onBlur }) => {
+  const fieldError = (name) => touched[name] && errors[name] && (
+    <p className="text-red-500 text-sm mt-1">{errors[name]}</p>
+  );
+
+  return (
+    <div>
+      <label className="block text-sm font-medium mb-2 text-gray-700">Invoice Atas Nama</label>
+      <div className="grid grid-cols-2 gap-2">
+        {Object.entries(BILLING_TYPES).map(([type, label]) => (
+          <label
+            key={type}
+            className={`px-3 py-2 rounded-lg border text-sm font-medium text-center cursor-pointer transition-colors ${
+              values.billingType === type ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <input
+              type="radio"
+              name="billingType"
+              value={type}
+              checked={values.billingType === type}
+              onChange={onChange}
+              className="sr-only"
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {values.billingType === 'company' && (
+        <div className="space-y-3 mt-3">
+          <div>
+            <label className="block text-sm font-medium mb-2 text-gray-700">Nama Perusahaan *</label>
+            <input type="text" name="companyName" value={values.companyName} onChange={onChange} onBlur={onBlur} className={inputClassName} />
+            {fieldError('companyName')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2 text-gray-700">NPWP *</label>
+            <input
+              type="text"
+              name="companyTaxId"
+              value={values.companyTaxId}
+              onChange={onChange}
+              onBlur={onBlur}
+              className={inputClassName}
+              placeholder="15 atau 16 digit"
+              inputMode="numeric"
+            />
+            {fieldError('companyTaxId')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2 text-gray-700">Alamat Perusahaan *</label>
+            <textarea name="companyAddress" value={values.companyAddress} onChange={onChange} onBlur={onBlur} rows={2} className={inputClassName} />
+            {fieldError('companyAddress')}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BillingFields;
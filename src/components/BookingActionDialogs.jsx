@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { X } from 'lucide-react';
+import AvailabilityCalendar from './AvailabilityCalendar.jsx';
+import PriceBreakdown from './PriceBreakdown.jsx';
+import TimeSlotSelect from './TimeSlotSelect.jsx';
+import PaymentPanel from './PaymentPanel.jsx';
+import RentalAgreement from './RentalAgreement.jsx';
+import useReservations from '../hooks/useReservations.js';
+import { toUnitSchedules } from '../lib/units.js';
+import { validateRentalDates, calculateRental, buildPriceSummary } from '../lib/bookingRules.js';
+import { evaluateCancellation, evaluateReschedule, BOOKING_POLICY } from '../lib/bookingPolicy.js';
+import { formatDateTime } from '../lib/dates.js';
+import { recheckBookingVoucher } from '../lib/vouchers.js';
+import { DEFAULT_RENTAL_TIME, formatRentalLength } from '../lib/rentalTime.js';
+
+const formatRupiah = (amount) => `Rp ${amount.toLocaleString('id-ID')}`;
+
+const DialogShell = ({ title, onClose, children }) => {
+  const overlayRef = useRef(null);
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleEscape);
+    document.body.style.overflow = 'hidden';
+
+    return () => {
+      document.removeEventListener('keydown', handleEscape);
+      document.body.style.overflow = 'unset';
+    };
+  }, [onClose]);
+
+  return (
+    <div
+      ref={overlayRef}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={(e) => e.target === overlayRef.current && onClose()}
+    >
+      <div className="bg-white rounded-2xl max-w-md w-full max-h-[90vh] overflow-y-auto animate-scale-in">
+        <div className="p-6">
+          <div className="flex justify-between items-center mb-6">
+            <h3 className="text-2xl font-bold text-gray-900">{title}</h3>
+            <button
+              onClick={onClose}
+              className="text-gray-500 hover:text-gray-700 transition-colors p-1"
+              aria-label="Tutup dialog"
+            >
+              <X size={24} />
+            </button>
+          </div>
+          {children}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const SubmitButton = ({ isSubmitting, disabled, onClick, className, children }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    disabled={disabled || isSubmitting}
+    className={`flex-1 text-white py-3 rounded-lg transition-colors font-semibold disabled:bg-gray-300 disabled:cursor-not-allowed ${className}`}
+  >
+    {isSubmitting ? (
+      <span className="flex items-center justify-center">
+        <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin mr-2"></div>
+        Memproses...
+      </span>
+    ) : children}
+  </button>
+);
+
+export const CancelBookingDialog = ({ booking, onClose, onConfirm }) => {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const evaluation = useMemo(() => evaluateCancellation(booking), [booking]);
+
+  const handleConfirm = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await onConfirm(booking);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <DialogShell title="Batalkan Booking" onClose={onClose}>
+      <p className="text-gray-600 mb-4">
+        Anda akan membatalkan booking <span className="font-mono font-semibold">{booking.code}</span> untuk{' '}
+        <span className="font-semibold">{booking.motor.name}</span> ({formatDateTime(booking.startDate, booking.startTime)} – {formatDateTime(booking.endDate, booking.endTime)}).
+      </p>
+
+      {evaluation.allowed && booking.status === 'pending' ? (
+        <p className="bg-gray-50 p-4 rounded-lg text-sm text-gray-600 mb-4">
+          Booking ini belum dibayar, jadi pembatalan tidak dikenakan biaya.
+        </p>
+      ) : evaluation.allowed ? (
+        <div className="bg-gray-50 p-4 rounded-lg text-sm space-y-2 mb-4">
+          <div className="flex justify-between">
+            <span className="text-gray-600">Total dibayar:</span>
+            <span className="font-medium">{formatRupiah(booking.totalPrice)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Biaya pembatalan:</span>
+            <span className="font-medium text-red-600">{formatRupiah(evaluation.fee)}</span>
+          </div>
+          <div className="flex justify-between font-bold pt-2 border-t border-gray-200">
+            <span>Dana kembali:</span>
+            <span className="text-green-600">{formatRupiah(evaluation.refund)}</span>
+          </div>
+          <p className="text-xs text-gray-500 pt-2">
+            {evaluation.free
+              ? `Gratis karena dibatalkan lebih dari ${BOOKING_POLICY.freeCancellationHours} jam sebelum pengambilan.`
+              : `Pembatalan kurang dari ${BOOKING_POLICY.freeCancellationHours} jam sebelum pengambilan dikenakan biaya ${BOOKING_POLICY.lateCancellationFeeRate * 100}%.`}
+          </p>
+        </div>
+      ) : (
+        <div className="p-3 bg-amber-50 border border-amber-200 text-amber-800 text-sm rounded-lg mb-4">
+          {evaluation.reason}
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">{error}</div>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex-1 border border-gray-300 text-gray-700 py-3 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+        >
+          Kembali
+        </button>
+        <SubmitButton
+          isSubmitting={isSubmitting}
+          disabled={!evaluation.allowed}
+          onClick={handleConfirm}
+          className="bg-red-600 hover:bg-red-700"
+        >
+          Batalkan Booking
+        </SubmitButton>
+      </div>
+    </DialogShell>
+  );
+};
+
+export const RescheduleBookingDialog = ({ booking, onClose, onConfirm }) => {
+  const [dates, setDates] = useState({
+    startDate: booking.startDate,
+    startTime: booking.startTime || DEFAULT_RENTAL_TIME,
+    endDate: booking.endDate,
+    endTime: booking.endTime || DEFAULT_RENTAL_TIME
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const { reservations, units, schedules: loadedSchedules, isLoading, refresh } = useReservations(booking.motorcycleId);
+  const evaluation = useMemo(() => evaluateReschedule(booking), [booking]);
+
+  // The booking's own reservation must not block moving it
+  const schedules = useMemo(
+    () => loadedSchedules && toUnitSchedules(
+      units,
+      reservations.filter(reservation => String(reservation.id) !== String(booking.reservationId))
+    ),
+    [loadedSchedules, units, reservations, booking.reservationId]
+  );
+
+  const errors = validateRentalDates(dates, schedules);
+  const hasErrors = Object.keys(errors).length > 0;
+  const unchanged = ['startDate', 'startTime', 'endDate', 'endTime'].every(field => dates[field] === booking[field]);
+  const rental = calculateRental(booking.motor, dates);
+  // Same check as rescheduleBookingRecord, so the preview shows what will be saved
+  const voucherCheck = recheckBookingVoucher(booking, { totalDays: rental.totalDays, subtotal: rental.totalPrice });
+  const summary = buildPriceSummary({
+    priceBreakdown: rental.priceBreakdown,
+    voucher: voucherCheck?.valid ? booking.voucher : null,
+    addons: booking.addons,
+    locationCharges: booking.locationCharges,
+    fees: [
+      ...(booking.fees || []),
+      ...(evaluation.fee > 0 ? [{ label: 'Biaya ubah jadwal', amount: evaluation.fee }] : [])
+    ]
+  });
+  const newTotal = summary.totalPrice;
+
+  const handleConfirm = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await onConfirm(booking, { ...dates, ...rental });
+      onClose();
+    } catch (err) {
+      setError(err.status === 409 ? 'Tanggal tersebut baru saja dipesan pelanggan lain. Silakan pilih tanggal lain.' : err.message);
+      setIsSubmitting(false);
+      refresh();
+    }
+  };
+
+  return (
+    <DialogShell title="Ubah Jadwal" onClose={onClose}>
+      {!evaluation.allowed ? (
+        <div className="p-3 bg-amber-50 border border-amber-200 text-amber-800 text-sm rounded-lg mb-4">
+          {evaluation.reason}
+        </div>
+      ) : (
+        <div className="space-y-4 mb-4">
+          <p className="text-sm text-gray-600">
+            Jadwal saat ini: {formatDateTime(booking.startDate, booking.startTime)} – {formatDateTime(booking.endDate, booking.endTime)}
+            {' '}({formatRentalLength(booking.totalDays, booking.priceBreakdown?.overageHours)})
+          </p>
+
+          <div className="grid grid-cols-2 gap-4">
+            {[['startDate', 'startTime', 'Mulai'], ['endDate', 'endTime', 'Selesai']].map(([dateName, timeName, label]) => (
+              <div key={dateName} className="space-y-2">
+                <label className="block text-xs text-gray-600 mb-1">{label}</label>
+                <input
+                  type="date"
+                  name={dateName}
+                  value={dates[dateName]}
+                  onChange={(e) => setDates(prev => ({ ...prev, [dateName]: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <TimeSlotSelect
+                  name={timeName}
+                  value={dates[timeName]}
+                  onChange={(e) => setDates(prev => ({ ...prev, [timeName]: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                {errors[dateName] && <p className="text-red-500 text-sm mt-1">{errors[dateName]}</p>}
+                {errors[timeName] && <p className="text-red-500 text-sm mt-1">{errors[timeName]}</p>}
+              </div>
+            ))}
+          </div>
+
+          {isLoading ? (
+            <div className="flex justify-center py-6">
+              <div className="w-8 h-8 border-4 border-blue-200 border-t-blue-600 rounded-full animate-spin"></div>
+            </div>
+          ) : (
+            <AvailabilityCalendar
+              schedules={schedules}
+              startDate={dates.startDate}
+              endDate={dates.endDate}
+              startTime={dates.startTime}
+              endTime={dates.endTime}
+              onSelect={(selection) => setDates(prev => ({ ...prev, ...selection }))}
+            />
+          )}
+
+          {rental.totalDays > 0 && !hasErrors && (
+            <div className="space-y-2">
+              <PriceBreakdown
+                breakdown={rental.priceBreakdown}
+                extraLines={summary.lines}
+                total={newTotal}
+                totalLabel="Total Baru:"
+                deposit={booking.deposit}
+              />
+              {voucherCheck && !voucherCheck.valid && (
+                <p className="text-xs text-amber-700">
+                  Voucher {booking.voucher.code} tidak berlaku untuk jadwal baru dan diskonnya dihapus: {voucherCheck.error}.
+                </p>
+              )}
+              {newTotal !== booking.totalPrice && (
+                <p className="text-xs text-gray-500">
+                  {newTotal > booking.totalPrice ? 'Kekurangan' : 'Kelebihan'} bayar {formatRupiah(Math.abs(newTotal - booking.totalPrice))} akan diselesaikan saat pengambilan motor.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">{error}</div>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex-1 border border-gray-300 text-gray-700 py-3 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+        >
+          Kembali
+        </button>
+        <SubmitButton
+          isSubmitting={isSubmitting}
+          disabled={!evaluation.allowed || hasErrors || unchanged || isLoading}
+          onClick={handleConfirm}
+          className="bg-blue-600 hover:bg-blue-700"
+        >
+          Simpan Jadwal
+        </SubmitButton>
+      </div>
+    </DialogShell>
+  );
+};
+
+export const PaymentDialog = ({ booking, onClose, onUpdate }) => (
+  <DialogShell title="Pembayaran" onClose={onClose}>
+    <p className="text-sm text-gray-600 mb-4">
+      Booking <span className="font-mono font-semibold">{booking.code}</span> untuk{' '}
+      <span className="font-semibold">{booking.motor.name}</span>.
+    </p>
+    <PaymentPanel booking={booking} onUpdate={(charge) => onUpdate(booking, charge)} />
+  </DialogShell>
+);
+
+export const AgreementDialog = ({ booking, onClose, onSign }) => (
+  <DialogShell title="Perjanjian Sewa" onClose={onClose}>
+    <RentalAgreement
+      booking={booking}
+      onSign={async (target, signing) => {
+        await onSign(target, signing);
+        onClose();
+      }}
+      onSkip={onClose}
+      skipLabel="Batal"
+    />
+  </DialogShell>
+);
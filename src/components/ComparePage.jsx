@@ -0,0 +1,152 @@
+import React, { useState, useMemo } from 'react';
+import { ArrowLeft, X, Share2, CheckCircle } from 'lucide-react';
+import { COMPARE_LIMITS, buildComparison } from '../lib/compare.js';
+
+// Page for /bandingkan?motor=2,6. Like the detail page it reads from the
+// already loaded fleet; ids that are no longer in the fleet are dropped.
+const ComparePage = ({ motorIds, motorcycles, isLoading, error, onRemove, onBooking, onBack, getDetailLinkProps }) => {
+  const [differencesOnly, setDifferencesOnly] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const selected = useMemo(
+    () => motorIds.map(id => motorcycles.find(motor => String(motor.id) === id)).filter(Boolean),
+    [motorIds, motorcycles]
+  );
+  const rows = useMemo(() => buildComparison(selected), [selected]);
+
+  // Surface fetch failures to the enclosing ErrorBoundary so it can offer a retry
+  if (error) throw error;
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-24">
+        <div className="w-12 h-12 border-4 border-blue-200 border-t-blue-600 rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+    } catch (err) {
+      console.warn('Clipboard not available:', err);
+    }
+  };
+
+  const visibleRows = differencesOnly ? rows.filter(row => row.differs) : rows;
+
+  return (
+    <section className="py-12 bg-gray-50 min-h-[70vh]">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        <button
+          onClick={onBack}
+          className="flex items-center text-blue-600 hover:text-blue-800 font-medium mb-6"
+        >
+          <ArrowLeft size={18} className="mr-2" />
+          Semua Motor
+        </button>
+
+        <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4 mb-8">
+          <div>
+            <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-2">Bandingkan Motor</h2>
+            <p className="text-gray-600">Baris yang berbeda ditandai; nilai terbaik dicetak tebal.</p>
+          </div>
+          {selected.length >= COMPARE_LIMITS.min && (
+            <div className="flex items-center gap-4">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={differencesOnly}
+                  onChange={(e) => setDifferencesOnly(e.target.checked)}
+                  className="mr-2"
+                />
+                Hanya perbedaan
+              </label>
+              <button
+                type="button"
+                onClick={copyLink}
+                className="flex items-center border border-blue-600 text-blue-600 px-4 py-2 rounded-lg hover:bg-blue-50 transition-colors text-sm font-semibold"
+              >
+                {copied ? <CheckCircle size={16} className="mr-2" /> : <Share2 size={16} className="mr-2" />}
+                {copied ? 'Tautan disalin' : 'Salin tautan'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {selected.length < COMPARE_LIMITS.min ? (
+          <div className="text-center bg-white rounded-2xl p-12 shadow-lg border border-gray-100">
+            <p className="text-gray-600 mb-6">
+              Pilih {COMPARE_LIMITS.min}–{COMPARE_LIMITS.max} motor dengan tombol Bandingkan pada daftar motor.
+            </p>
+            <button
+              onClick={onBack}
+              className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold"
+            >
+              Lihat Motor
+            </button>
+          </div>
+        ) : (
+          <div className="bg-white rounded-2xl shadow-lg border border-gray-100 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr>
+                  <th className="w-32"></th>
+                  {selected.map(motor => (
+                    <th key={motor.id} className="p-4 align-top text-left font-normal min-w-[10rem]">
+                      <div className="relative">
+                        <a {...getDetailLinkProps(motor)}>
+                          <img src={motor.image} alt={`Motor ${motor.name}`} className="w-full h-28 object-cover rounded-lg mb-2" />
+                          <span className="font-bold text-gray-900 hover:text-blue-600">{motor.name}</span>
+                        </a>
+                        <button
+                          type="button"
+                          onClick={() => onRemove(motor.id)}
+                          className="absolute top-1 right-1 p-1 bg-white/90 rounded-full shadow hover:bg-white"
+                          aria-label={`Hapus ${motor.name} dari perbandingan`}
+                        >
+                          <X size={14} />
+                        </button>
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {visibleRows.map(row => (
+                  <tr key={row.key} className={`border-t border-gray-100 ${row.differs ? 'bg-amber-50' : ''}`}>
+                    <th scope="row" className="p-4 text-left font-medium text-gray-600">{row.label}</th>
+                    {row.cells.map((cell, index) => (
+                      <td
+                        key={selected[index].id}
+                        className={`p-4 ${cell.isBest ? 'font-bold text-green-700' : 'text-gray-900'}`}
+                      >
+                        {cell.display}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+                <tr className="border-t border-gray-100">
+                  <td></td>
+                  {selected.map(motor => (
+                    <td key={motor.id} className="p-4">
+                      <button
+                        type="button"
+                        onClick={() => onBooking(motor)}
+                        className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-colors font-semibold"
+                      >
+                        Booking
+                      </button>
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default ComparePage;
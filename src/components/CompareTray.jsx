@@ -0,0 +1,49 @@
+import React from 'react';
+import { X, Columns } from 'lucide-react';
+import { COMPARE_LIMITS } from '../lib/compare.js';
+
+// Sticky bar listing the bikes picked for comparison
+const CompareTray = ({ motorcycles, onRemove, onClear, onCompare }) => {
+  if (motorcycles.length === 0) return null;
+
+  const ready = motorcycles.length >= COMPARE_LIMITS.min;
+
+  return (
+    <div className="fixed bottom-0 inset-x-0 z-40 bg-white border-t border-gray-200 shadow-2xl">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex flex-col sm:flex-row sm:items-center gap-3">
+        <div className="flex gap-2 overflow-x-auto flex-1">
+          {motorcycles.map(motor => (
+            <span key={motor.id} className="flex items-center flex-shrink-0 bg-blue-50 text-blue-800 text-sm rounded-full pl-3 pr-1 py-1">
+              {motor.name}
+              <button
+                type="button"
+                onClick={() => onRemove(motor.id)}
+                className="ml-1 p-1 rounded-full hover:bg-blue-100"
+                aria-label={`Hapus ${motor.name} dari perbandingan`}
+              >
+                <X size={14} />
+              </button>
+            </span>
+          ))}
+        </div>
+        <div className="flex items-center gap-3">
+          <span className="text-xs text-gray-500">{motorcycles.length}/{COMPARE_LIMITS.max} motor</span>
+          <button type="button" onClick={onClear} className="text-sm text-gray-600 hover:text-gray-900">
+            Batal
+          </button>
+          <button
+            type="button"
+            onClick={onCompare}
+            disabled={!ready}
+            className="bg-blue-600 text-white px-5 py-2 rounded-lg hover:bg-blue-700 transition-colors font-semibold flex items-center disabled:bg-gray-300 disabled:cursor-not-allowed"
+          >
+            <Columns size={16} className="mr-2" />
+            {ready ? 'Bandingkan' : `Pilih ${COMPARE_LIMITS.min - motorcycles.length} lagi`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CompareTray;
@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { Camera, RefreshCw } from 'lucide-react';
+import { validateImageFile, compressImage } from '../lib/images.js';
+import { uploadDocument } from '../services/documentService.js';
+
+// Photo picker that compresses and uploads right away under `bookingCode`; `value` is { id, preview }
+const DocumentUpload = ({ kind, label, bookingCode, value, error, onChange }) => {
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    const invalid = validateImageFile(file);
+    if (invalid) {
+      setUploadError(invalid);
+      return;
+    }
+
+    setIsUploading(true);
+    setUploadError(null);
+    try {
+      const image = await compressImage(file);
+      const document = await uploadDocument({ kind, fileName: file.name, image, bookingCode });
+      onChange({ ...document, preview: image.dataUrl });
+    } catch (err) {
+      setUploadError(err.message);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  return (
+    <div>
+      <label className={`flex items-center border-2 border-dashed rounded-lg p-3 cursor-pointer transition-colors ${
+        value ? 'border-green-300 bg-green-50' : 'border-gray-300 hover:bg-gray-50'
+      }`}>
+        {value ? (
+          <img src={value.preview} alt={label} className="w-16 h-12 object-cover rounded mr-3" />
+        ) : (
+          <div className="w-16 h-12 bg-gray-100 rounded mr-3 flex items-center justify-center">
+            <Camera size={20} className="text-gray-400" />
+          </div>
+        )}
+        <span className="flex-1 text-sm text-gray-700">
+          {isUploading ? 'Mengunggah...' : value ? 'Foto terunggah' : label}
+        </span>
+        {value && !isUploading && <RefreshCw size={16} className="text-gray-500" aria-label="Ganti foto" />}
+        <input
+          type="file"
+          accept="image/jpeg,image/png,image/webp"
+          capture="environment"
+          onChange={handleFile}
+          disabled={isUploading}
+          className="sr-only"
+        />
+      </label>
+      {(uploadError || error) && <p className="text-red-500 text-sm mt-1">{uploadError || error}</p>}
+    </div>
+  );
+};
+
+export default DocumentUpload;
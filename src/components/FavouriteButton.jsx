@@ -0,0 +1,16 @@
+import React from 'react';
+import { Heart } from 'lucide-react';
+
+const FavouriteButton = ({ active, onToggle, motorName, className = '' }) => (
+  <button
+    type="button"
+    onClick={onToggle}
+    aria-pressed={active}
+    aria-label={active ? `Hapus ${motorName} dari favorit` : `Simpan ${motorName} ke favorit`}
+    className={`p-2 rounded-full bg-white/90 shadow hover:bg-white transition-colors ${className}`}
+  >
+    <Heart size={20} className={active ? 'fill-red-500 text-red-500' : 'text-gray-600'} />
+  </button>
+);
+
+export default FavouriteButton;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { Search, X } from 'lucide-react';
+import { FLEET_CATEGORIES, TRANSMISSIONS, FLEET_SORTS, hasActiveFilters } from '../lib/fleet.js';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const FleetFilterBar = ({ filters, onChange, onReset, resultCount }) => {
+  const toggleCategory = (category) => {
+    onChange({
+      categories: filters.categories.includes(category)
+        ? filters.categories.filter(item => item !== category)
+        : [...filters.categories, category]
+    });
+  };
+
+  const setPrice = (field) => (e) => {
+    onChange({ [field]: e.target.value === '' ? null : Number(e.target.value) });
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-4 md:p-6 mb-10 space-y-4">
+      <div className="relative">
+        <Search size={18} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+        <input
+          type="search"
+          value={filters.q}
+          onChange={(e) => onChange({ q: e.target.value })}
+          placeholder="Cari motor, misalnya NMAX atau 250cc"
+          className={`${inputClassName} pl-10`}
+          aria-label="Cari motor"
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(FLEET_CATEGORIES).map(([category, label]) => (
+          <button
+            key={category}
+            type="button"
+            onClick={() => toggleCategory(category)}
+            aria-pressed={filters.categories.includes(category)}
+            className={`px-4 py-1.5 rounded-full text-sm font-medium transition-colors ${
+              filters.categories.includes(category) ? 'bg-blue-600 text-white shadow' : 'bg-blue-50 text-blue-800 hover:bg-blue-100'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Harga min /hari</label>
+          <input
+            type="number"
+            min="0"
+            step="10000"
+            value={filters.minPrice ?? ''}
+            onChange={setPrice('minPrice')}
+            placeholder="Rp"
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Harga maks /hari</label>
+          <input
+            type="number"
+            min="0"
+            step="10000"
+            value={filters.maxPrice ?? ''}
+            onChange={setPrice('maxPrice')}
+            placeholder="Rp"
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Transmisi</label>
+          <select
+            value={filters.transmission}
+            onChange={(e) => onChange({ transmission: e.target.value })}
+            className={inputClassName}
+          >
+            <option value="">Semua</option>
+            {Object.entries(TRANSMISSIONS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Urutkan</label>
+          <select
+            value={filters.sort}
+            onChange={(e) => onChange({ sort: e.target.value })}
+            className={inputClassName}
+          >
+            {Object.entries(FLEET_SORTS).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex justify-between items-center text-sm">
+        <span className="text-gray-600">{resultCount} motor ditemukan</span>
+        {hasActiveFilters(filters) && (
+          <button type="button" onClick={onReset} className="flex items-center text-blue-600 hover:text-blue-800 font-medium">
+            <X size={16} className="mr-1" />
+            Hapus filter
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FleetFilterBar;
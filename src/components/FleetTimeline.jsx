@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { addDays, formatDate, todayKey } from '../lib/dates.js';
+import { formatUnit } from '../lib/units.js';
+import { TIMELINE_DAYS, placeOnTimeline, getScheduleActions, shiftScheduleItem } from '../lib/schedule.js';
+
+const BAR_COLORS = {
+  pending: 'bg-amber-400 text-amber-950',
+  confirmed: 'bg-blue-500 text-white',
+  picked_up: 'bg-green-500 text-white',
+  returned: 'bg-gray-400 text-white',
+  closed: 'bg-gray-300 text-gray-700',
+  blockout: 'bg-red-200 text-red-900 bg-[repeating-linear-gradient(45deg,transparent,transparent_6px,rgba(255,255,255,0.5)_6px,rgba(255,255,255,0.5)_12px)]',
+  reservation: 'bg-slate-400 text-white'
+};
+
+const barColor = (item) => BAR_COLORS[item.kind === 'booking' ? item.booking.status : item.kind];
+
+const barLabel = (item) => {
+  if (item.kind === 'booking') return `${item.booking.name || item.booking.code}`;
+  if (item.kind === 'blockout') return `Servis${item.reservation.note ? `: ${item.reservation.note}` : ''}`;
+  return 'Dipesan';
+};
+
+// One row per unit, `days` columns from `from`. Bars can be dragged by their
+// body to move them or by their right edge to change the return date; the
+// result is reported in whole days through onChange(item, { move, extend }).
+// `getConflicts(item, range)` colours the bar red while it is being dragged.
+const FleetTimeline = ({ rows, from, days = TIMELINE_DAYS, selectedId, onSelect, onChange, getConflicts }) => {
+  const [drag, setDrag] = useState(null);
+  const today = todayKey();
+  const dates = Array.from({ length: days }, (_, index) => addDays(from, index));
+
+  const handlePointerDown = (e, item) => {
+    const mode = e.target.dataset.handle === 'end' ? 'extend' : 'move';
+    if (e.button !== 0 || !getScheduleActions(item)[mode]) return;
+    const track = e.currentTarget.closest('[data-track]');
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ item, mode, startX: e.clientX, dayWidth: track.getBoundingClientRect().width / days, delta: 0 });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    const delta = Math.round((e.clientX - drag.startX) / drag.dayWidth);
+    if (delta !== drag.delta) setDrag(prev => ({ ...prev, delta }));
+  };
+
+  const handlePointerUp = (item) => {
+    if (!drag) {
+      onSelect(item);
+      return;
+    }
+    const { mode, delta } = drag;
+    setDrag(null);
+    onSelect(item);
+    if (delta !== 0) onChange(item, { [mode]: delta });
+  };
+
+  // While dragging, the bar is drawn at its would-be position
+  const previewOf = (item) => {
+    if (drag?.item.id !== item.id || drag.delta === 0) return { range: item, hasConflict: false };
+    const range = shiftScheduleItem(item, { [drag.mode]: drag.delta });
+    if (!range) return { range: item, hasConflict: true };
+    return { range, hasConflict: getConflicts(item, range).length > 0 };
+  };
+
+  return (
+    <div className="overflow-x-auto bg-white rounded-2xl shadow border border-gray-100">
+      <div className="min-w-[56rem]">
+        <div className="flex border-b border-gray-200 text-xs text-gray-600">
+          <div className="w-44 flex-shrink-0 px-3 py-2 font-medium">Unit</div>
+          <div className="flex-1 grid" style={{ gridTemplateColumns: `repeat(${days}, minmax(0, 1fr))` }}>
+            {dates.map(date => (
+              <div key={date} className={`px-1 py-2 text-center border-l border-gray-100 ${date === today ? 'bg-blue-50 text-blue-700 font-semibold' : ''}`}>
+                <div>{formatDate(date, { weekday: 'short' })}</div>
+                <div>{formatDate(date, { day: 'numeric', month: 'short' })}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {rows.map(({ motor, unit, items }) => (
+          <div key={`${motor.id}-${unit?.id ?? 'none'}`} className="flex border-b border-gray-100 last:border-b-0">
+            <div className="w-44 flex-shrink-0 px-3 py-1.5 text-sm truncate" title={`${motor.name} — ${formatUnit(unit)}`}>
+              <p className="font-medium text-gray-900 truncate">{motor.name}</p>
+              <p className={`text-xs truncate ${unit ? 'text-gray-500' : 'text-amber-700'}`}>{formatUnit(unit)}</p>
+            </div>
+            <div data-track className="flex-1 relative h-12">
+              <div className="absolute inset-0 grid" style={{ gridTemplateColumns: `repeat(${days}, minmax(0, 1fr))` }}>
+                {dates.map(date => (
+                  <div key={date} className={`border-l border-gray-100 ${date === today ? 'bg-blue-50' : ''}`} />
+                ))}
+              </div>
+              {items.map(item => {
+                const { range, hasConflict } = previewOf(item);
+                const place = placeOnTimeline(range, from, days);
+                if (!place) return null;
+                const actions = getScheduleActions(item);
+                return (
+                  <div
+                    key={item.id}
+                    role="button"
+                    tabIndex={0}
+                    aria-pressed={selectedId === item.id}
+                    onPointerDown={e => handlePointerDown(e, item)}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={() => handlePointerUp(item)}
+                    onPointerCancel={() => setDrag(null)}
+                    onKeyDown={e => {
+                      if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        onSelect(item);
+                      }
+                    }}
+                    title={barLabel(item)}
+                    className={`absolute top-2 bottom-2 flex items-center text-xs font-medium select-none touch-none overflow-hidden
+                      ${place.clippedStart ? '' : 'rounded-l-md'} ${place.clippedEnd ? '' : 'rounded-r-md'}
+                      ${hasConflict ? 'bg-red-500 text-white' : barColor(item)}
+                      ${selectedId === item.id ? 'ring-2 ring-offset-1 ring-blue-700' : ''}
+                      ${actions.move ? 'cursor-grab active:cursor-grabbing' : 'cursor-pointer'}`}
+                    style={{ left: `${place.left}%`, width: `${place.width}%` }}
+                  >
+                    <span className="px-2 truncate">{barLabel(item)}</span>
+                    {actions.extend && !place.clippedEnd && (
+                      <span data-handle="end" className="absolute right-0 top-0 bottom-0 w-2 cursor-ew-resize bg-black/10" aria-hidden="true" />
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default FleetTimeline;
@@ -0,0 +1,140 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import BikeDiagram from './BikeDiagram.jsx';
+import useDocumentImages from '../hooks/useDocumentImages.js';
+import { DEPOSIT_STATUSES } from '../lib/deposits.js';
+import {
+  INSPECTION_STAGES,
+  FUEL_LEVELS,
+  INSPECTION_CHECKLIST,
+  DAMAGE_TYPES,
+  compareInspections
+} from '../lib/inspections.js';
+
+const formatRupiah = (amount) => `Rp ${amount.toLocaleString('id-ID')}`;
+
+const InspectionColumn = ({ stage, inspection, baseMarks, images }) => (
+  <div className="space-y-4">
+    <h4 className="font-semibold text-gray-900">{INSPECTION_STAGES[stage].label}</h4>
+    {!inspection ? (
+      <p className="text-sm text-gray-500">Belum diinspeksi.</p>
+    ) : (
+      <>
+        <dl className="grid grid-cols-2 gap-2 text-sm">
+          <dt className="text-gray-600">Bensin</dt>
+          <dd className="font-medium text-gray-900">{FUEL_LEVELS[inspection.fuel]}</dd>
+          <dt className="text-gray-600">Odometer</dt>
+          <dd className="font-medium text-gray-900">{inspection.odometer.toLocaleString('id-ID')} km</dd>
+          <dt className="text-gray-600">Petugas</dt>
+          <dd className="text-gray-900">{inspection.by || '—'}</dd>
+          <dt className="text-gray-600">Waktu</dt>
+          <dd className="text-gray-900">{new Date(inspection.at).toLocaleString('id-ID', { dateStyle: 'medium', timeStyle: 'short' })}</dd>
+        </dl>
+        <ul className="text-sm space-y-1">
+          {INSPECTION_CHECKLIST.map(item => (
+            <li key={item.id} className="flex justify-between">
+              <span className="text-gray-700">{item.label}</span>
+              <span className={inspection.checklist[item.id] === 'ok' ? 'text-green-700' : 'text-red-700 font-medium'}>
+                {inspection.checklist[item.id] === 'ok' ? 'Baik' : 'Bermasalah'}
+              </span>
+            </li>
+          ))}
+        </ul>
+        <BikeDiagram marks={inspection.marks} baseMarks={baseMarks} label={`Tanda kerusakan saat ${INSPECTION_STAGES[stage].label.toLowerCase()}`} />
+        {inspection.marks.length > 0 && (
+          <ol className="text-xs text-gray-700 list-decimal list-inside">
+            {inspection.marks.map(mark => (
+              <li key={mark.id}>
+                {DAMAGE_TYPES[mark.type]?.label || mark.type}{mark.note && ` — ${mark.note}`}
+                {mark.isNew && <span className="text-red-700"> · baru{mark.charge > 0 && `, ${formatRupiah(mark.charge)}`}</span>}
+              </li>
+            ))}
+          </ol>
+        )}
+        {inspection.notes && <p className="text-sm text-gray-700 whitespace-pre-line">{inspection.notes}</p>}
+        <div className="grid grid-cols-2 gap-2">
+          {inspection.photos.map(photo => {
+            const markIndex = inspection.marks.findIndex(mark => mark.id === photo.markId);
+            return (
+              <figure key={photo.id} className="text-xs text-gray-600">
+                {images[String(photo.id)] ? (
+                  <a href={images[String(photo.id)]} target="_blank" rel="noreferrer">
+                    <img src={images[String(photo.id)]} alt={photo.caption || 'Foto inspeksi'} className="w-full h-28 object-cover rounded" />
+                  </a>
+                ) : (
+                  <div className="w-full h-28 bg-gray-100 rounded animate-pulse" />
+                )}
+                <figcaption className="mt-1">
+                  {markIndex >= 0 && <span className="font-semibold">Tanda {markIndex + 1}. </span>}
+                  {photo.caption}
+                </figcaption>
+              </figure>
+            );
+          })}
+        </div>
+      </>
+    )}
+  </div>
+);
+
+// Pickup and return inspections of a booking side by side, with what changed
+// and how the damage charge was settled against the deposit
+const InspectionComparison = ({ booking, onClose }) => {
+  const { pickup, return: inspectionReturn } = booking.inspections || {};
+  const photoIds = [...(pickup?.photos || []), ...(inspectionReturn?.photos || [])].map(photo => String(photo.id));
+  const { images, error } = useDocumentImages(photoIds, booking.code);
+  const comparison = pickup && inspectionReturn ? compareInspections(pickup, inspectionReturn) : null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow border border-gray-100 p-6 space-y-6">
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Inspeksi {booking.code}</h3>
+          <p className="text-sm text-gray-600">
+            {booking.name} · {booking.motor?.name}
+            {booking.unit && <> · <span className="font-mono">{booking.unit.plate}</span></>}
+          </p>
+        </div>
+        <button type="button" onClick={onClose} className="p-2 text-gray-500 hover:text-gray-900 rounded-lg hover:bg-gray-100" aria-label="Tutup">
+          <X size={18} />
+        </button>
+      </div>
+
+      {error && <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">Gagal memuat foto: {error.message}</div>}
+
+      {comparison && (
+        <div className="p-4 rounded-xl bg-gray-50 border border-gray-200 text-sm space-y-1">
+          <p>Jarak tempuh: <span className="font-semibold">{comparison.distance.toLocaleString('id-ID')} km</span></p>
+          <p>
+            Bensin: {FUEL_LEVELS[pickup.fuel]} → {FUEL_LEVELS[inspectionReturn.fuel]}
+            {comparison.fuelChange < 0 && <span className="text-amber-700"> (berkurang)</span>}
+          </p>
+          {comparison.checklistChanges.map(item => (
+            <p key={item.id} className={item.to === 'issue' ? 'text-red-700' : 'text-green-700'}>
+              {item.label}: {item.to === 'issue' ? 'bermasalah saat pengembalian' : 'sudah baik saat pengembalian'}
+            </p>
+          ))}
+          <p className={comparison.newDamage.length > 0 ? 'text-red-700 font-medium' : 'text-green-700'}>
+            {comparison.newDamage.length > 0
+              ? `${comparison.newDamage.length} kerusakan baru, biaya ${formatRupiah(comparison.damageCharge)}`
+              : 'Tidak ada kerusakan baru'}
+          </p>
+          {booking.damage && (
+            <p className="text-gray-700">
+              Dipotong dari deposit {formatRupiah(booking.damage.captured)}
+              {booking.damage.outstanding > 0 && <span className="text-red-700 font-medium"> · belum tertagih {formatRupiah(booking.damage.outstanding)}</span>}
+              {booking.deposit && <> · deposit <span className={DEPOSIT_STATUSES[booking.deposit.status].className}>{DEPOSIT_STATUSES[booking.deposit.status].label.toLowerCase()}</span></>}
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        <InspectionColumn stage="pickup" inspection={pickup} images={images} />
+        <InspectionColumn stage="return" inspection={inspectionReturn} baseMarks={pickup?.marks} images={images} />
+      </div>
+    </div>
+  );
+};
+
+export default InspectionComparison;
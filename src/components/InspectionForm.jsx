@@ -0,0 +1,367 @@
+import React, { useState } from 'react';
+import { Camera, Trash2 } from 'lucide-react';
+import BikeDiagram from './BikeDiagram.jsx';
+import { validateImageFile, compressImage } from '../lib/images.js';
+import { uploadDocument } from '../services/documentService.js';
+import {
+  INSPECTION_STAGES,
+  FUEL_LEVELS,
+  INSPECTION_CHECKLIST,
+  DAMAGE_TYPES,
+  MIN_INSPECTION_PHOTOS,
+  createInspectionValues,
+  createMark,
+  validateInspection,
+  fromInspectionValues,
+  getDamageCharge
+} from '../lib/inspections.js';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const formatRupiah = (amount) => `Rp ${amount.toLocaleString('id-ID')}`;
+
+// Photos are compressed and uploaded as soon as they are taken, like rider
+// documents; the inspection keeps their ids
+const PhotoCapture = ({ photos, marks, selectedMarkId, bookingCode, error, onChange }) => {
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    setIsUploading(true);
+    setUploadError(null);
+    try {
+      const added = [];
+      for (const file of files) {
+        const invalid = validateImageFile(file);
+        if (invalid) throw new Error(invalid);
+        const image = await compressImage(file);
+        const document = await uploadDocument({ kind: 'inspection', fileName: file.name, image, bookingCode });
+        added.push({ id: document.id, caption: '', markId: selectedMarkId ?? null, preview: image.dataUrl });
+      }
+      onChange([...photos, ...added]);
+    } catch (err) {
+      setUploadError(err.message);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const updatePhoto = (id, changes) => onChange(photos.map(photo => (photo.id === id ? { ...photo, ...changes } : photo)));
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {photos.map(photo => (
+          <div key={photo.id} className="border border-gray-200 rounded-lg p-2 space-y-1">
+            <img src={photo.preview} alt={photo.caption || 'Foto inspeksi'} className="w-full h-24 object-cover rounded" />
+            <input
+              value={photo.caption}
+              onChange={e => updatePhoto(photo.id, { caption: e.target.value })}
+              placeholder="Keterangan"
+              className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
+            />
+            <div className="flex gap-1">
+              <select
+                value={photo.markId ?? ''}
+                onChange={e => updatePhoto(photo.id, { markId: e.target.value ? Number(e.target.value) : null })}
+                className="flex-1 px-1 py-1 border border-gray-300 rounded text-xs"
+                aria-label="Tanda kerusakan"
+              >
+                <option value="">Tanpa tanda</option>
+                {marks.map((mark, index) => <option key={mark.id} value={mark.id}>Tanda {index + 1}</option>)}
+              </select>
+              <button
+                type="button"
+                onClick={() => onChange(photos.filter(item => item.id !== photo.id))}
+                className="p-1 text-gray-500 hover:text-red-600"
+                aria-label="Hapus foto"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          </div>
+        ))}
+        <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-3 min-h-32 cursor-pointer hover:bg-gray-50 text-sm text-gray-600">
+          <Camera size={24} className="text-gray-400 mb-1" />
+          {isUploading ? 'Mengunggah...' : 'Ambil foto'}
+          <input
+            type="file"
+            accept="image/jpeg,image/png,image/webp"
+            capture="environment"
+            multiple
+            onChange={handleFiles}
+            disabled={isUploading}
+            className="sr-only"
+          />
+        </label>
+      </div>
+      {(uploadError || error) && <p className="text-red-500 text-sm mt-1">{uploadError || error}</p>}
+    </div>
+  );
+};
+
+const MarkList = ({ marks, stage, selectedId, onSelect, onChange }) => {
+  const updateMark = (id, changes) => onChange(marks.map(mark => (mark.id === id ? { ...mark, ...changes } : mark)));
+
+  if (marks.length === 0) {
+    return <p className="text-sm text-gray-500">Ketuk gambar motor untuk menandai kerusakan.</p>;
+  }
+
+  return (
+    <ul className="space-y-2">
+      {marks.map((mark, index) => (
+        <li
+          key={mark.id}
+          className={`flex flex-wrap items-center gap-2 p-2 rounded-lg border text-sm ${selectedId === mark.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200'}`}
+          onClick={() => onSelect(mark.id)}
+        >
+          <span className={`w-6 h-6 flex items-center justify-center rounded-full text-xs font-bold text-white ${mark.isNew ? 'bg-red-600' : 'bg-amber-500'}`}>
+            {index + 1}
+          </span>
+          <select
+            value={mark.type}
+            onChange={e => updateMark(mark.id, {
+              type: e.target.value,
+              ...(mark.isNew && { charge: DAMAGE_TYPES[e.target.value].charge })
+            })}
+            className="px-2 py-1 border border-gray-300 rounded text-xs"
+            aria-label={`Jenis kerusakan ${index + 1}`}
+          >
+            {Object.entries(DAMAGE_TYPES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <input
+            value={mark.note}
+            onChange={e => updateMark(mark.id, { note: e.target.value })}
+            placeholder="Lokasi/keterangan"
+            className="flex-1 min-w-32 px-2 py-1 border border-gray-300 rounded text-xs"
+          />
+          {stage === 'return' && (
+            <>
+              <label className="flex items-center text-xs text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={mark.isNew}
+                  onChange={e => updateMark(mark.id, { isNew: e.target.checked, charge: e.target.checked ? DAMAGE_TYPES[mark.type].charge : 0 })}
+                  className="mr-1"
+                />
+                Kerusakan baru
+              </label>
+              {mark.isNew && (
+                <input
+                  inputMode="numeric"
+                  value={String(mark.charge)}
+                  onChange={e => updateMark(mark.id, { charge: Number(e.target.value.replace(/\D/g, '')) || 0 })}
+                  className="w-28 px-2 py-1 border border-gray-300 rounded text-xs text-right"
+                  aria-label={`Biaya kerusakan ${index + 1}`}
+                />
+              )}
+            </>
+          )}
+          <button
+            type="button"
+            onClick={e => {
+              e.stopPropagation();
+              onChange(marks.filter(item => item.id !== mark.id));
+            }}
+            className="p-1 text-gray-500 hover:text-red-600"
+            aria-label={`Hapus tanda ${index + 1}`}
+          >
+            <Trash2 size={14} />
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Staff inspection at pickup or return. Saving records it on the booking and
+// moves the booking to "Sedang Disewa" or "Dikembalikan".
+const InspectionForm = ({ booking, stage, unit, staffName, onSubmit, onCancel }) => {
+  const pickup = stage === 'return' ? booking.inspections?.pickup : null;
+  const [values, setValues] = useState(() => createInspectionValues(stage, { unit, pickup }));
+  const [selectedMarkId, setSelectedMarkId] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const update = (changes) => setValues(prev => ({ ...prev, ...changes }));
+
+  const handleAddMark = (point) => {
+    const id = values.marks.reduce((max, mark) => Math.max(max, mark.id), 0) + 1;
+    update({ marks: [...values.marks, createMark(point, stage, id)] });
+    setSelectedMarkId(id);
+  };
+
+  const handleMarksChange = (marks) => update({
+    marks,
+    // Photos of a removed mark stay, without the link
+    photos: values.photos.map(photo => (marks.some(mark => mark.id === photo.markId) ? photo : { ...photo, markId: null }))
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationErrors = validateInspection(values, { pickup });
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setIsSaving(true);
+    setSaveError(null);
+    try {
+      await onSubmit(booking, fromInspectionValues(values, { by: staffName }));
+    } catch (err) {
+      setSaveError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  const damageCharge = getDamageCharge(values);
+  const deposit = booking.deposit;
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow border border-gray-100 p-6 space-y-6" noValidate>
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">Inspeksi {INSPECTION_STAGES[stage].label}</h3>
+        <p className="text-sm text-gray-600">
+          <span className="font-mono">{booking.code}</span> · {booking.name} · {booking.motor?.name}
+          {booking.unit && <> · <span className="font-mono">{booking.unit.plate}</span></>}
+        </p>
+        {stage === 'return' && !pickup && (
+          <p className="text-sm text-amber-700 mt-1">Tidak ada inspeksi pengambilan untuk pesanan ini, jadi tidak ada pembanding.</p>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <fieldset>
+          <legend className="block text-sm font-medium mb-2 text-gray-700">Bensin</legend>
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+            {FUEL_LEVELS.map((label, level) => (
+              <button
+                key={label}
+                type="button"
+                onClick={() => update({ fuel: level })}
+                aria-pressed={values.fuel === level}
+                className={`flex-1 py-2 text-xs font-medium ${values.fuel === level ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {pickup && <p className="text-xs text-gray-500 mt-1">Saat pengambilan: {FUEL_LEVELS[pickup.fuel]}</p>}
+        </fieldset>
+        <div>
+          <label htmlFor="inspection-odometer" className="block text-sm font-medium mb-2 text-gray-700">Odometer (km)</label>
+          <input
+            id="inspection-odometer"
+            inputMode="numeric"
+            value={values.odometer}
+            onChange={e => update({ odometer: e.target.value })}
+            className={`${inputClassName} ${errors.odometer ? 'border-red-500' : ''}`}
+          />
+          {errors.odometer && <p className="text-red-500 text-sm mt-1">{errors.odometer}</p>}
+        </div>
+      </div>
+
+      <fieldset>
+        <legend className="block text-sm font-medium mb-2 text-gray-700">Pemeriksaan</legend>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          {INSPECTION_CHECKLIST.map(item => (
+            <div key={item.id} className="flex items-center justify-between gap-2 text-sm p-2 rounded-lg border border-gray-200">
+              <span className="text-gray-800">{item.label}</span>
+              <div className="flex gap-1">
+                {[['ok', 'Baik'], ['issue', 'Bermasalah']].map(([state, label]) => (
+                  <button
+                    key={state}
+                    type="button"
+                    onClick={() => update({ checklist: { ...values.checklist, [item.id]: state } })}
+                    aria-pressed={values.checklist[item.id] === state}
+                    className={`px-2 py-1 rounded text-xs font-medium border ${
+                      values.checklist[item.id] !== state
+                        ? 'border-gray-300 text-gray-600 hover:bg-gray-50'
+                        : state === 'ok' ? 'border-green-600 bg-green-600 text-white' : 'border-red-600 bg-red-600 text-white'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </fieldset>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <p className="text-sm font-medium mb-2 text-gray-700">Tanda kerusakan</p>
+          <BikeDiagram
+            marks={values.marks}
+            baseMarks={pickup?.marks}
+            selectedId={selectedMarkId}
+            onAdd={handleAddMark}
+            onSelect={setSelectedMarkId}
+          />
+          {pickup?.marks.length > 0 && (
+            <p className="text-xs text-gray-500 mt-1">Tanda abu-abu (P) sudah ada saat pengambilan.</p>
+          )}
+        </div>
+        <div>
+          <MarkList marks={values.marks} stage={stage} selectedId={selectedMarkId} onSelect={setSelectedMarkId} onChange={handleMarksChange} />
+          {errors.marks && <p className="text-red-500 text-sm mt-1">{errors.marks}</p>}
+        </div>
+      </div>
+
+      <div>
+        <p className="text-sm font-medium mb-2 text-gray-700">
+          Foto <span className="font-normal text-gray-500">(minimal {MIN_INSPECTION_PHOTOS}; foto baru ditautkan ke tanda yang dipilih)</span>
+        </p>
+        <PhotoCapture
+          photos={values.photos}
+          marks={values.marks}
+          selectedMarkId={selectedMarkId}
+          bookingCode={booking.code}
+          error={errors.photos}
+          onChange={photos => update({ photos })}
+        />
+      </div>
+
+      <div>
+        <label htmlFor="inspection-notes" className="block text-sm font-medium mb-2 text-gray-700">Catatan</label>
+        <textarea
+          id="inspection-notes"
+          rows={3}
+          value={values.notes}
+          onChange={e => update({ notes: e.target.value })}
+          className={`${inputClassName} ${errors.notes ? 'border-red-500' : ''}`}
+        />
+        {errors.notes && <p className="text-red-500 text-sm mt-1">{errors.notes}</p>}
+      </div>
+
+      {stage === 'return' && damageCharge > 0 && (
+        <div className="p-3 bg-amber-50 border border-amber-200 text-amber-900 text-sm rounded-lg">
+          Biaya kerusakan baru {formatRupiah(damageCharge)}
+          {deposit?.status === 'held'
+            ? ` dipotong dari deposit ${formatRupiah(deposit.amount)}${damageCharge > deposit.amount ? `; sisa ${formatRupiah(damageCharge - deposit.amount)} ditagihkan terpisah` : ''}.`
+            : ' ditagihkan terpisah karena tidak ada deposit yang ditahan.'}
+        </div>
+      )}
+
+      {saveError && <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">{saveError}</div>}
+
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors font-semibold disabled:bg-gray-300"
+        >
+          {isSaving ? 'Menyimpan...' : `Simpan & Tandai ${stage === 'pickup' ? 'Diambil' : 'Dikembalikan'}`}
+        </button>
+        <button type="button" onClick={onCancel} className="px-6 py-2 rounded-lg border border-gray-300 hover:bg-gray-50">
+          Batal
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default InspectionForm;
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { FileText, Printer } from 'lucide-react';
+import { renderInvoicePdf, renderReceiptPdf, getInvoiceFileName } from '../lib/invoices.js';
+import { downloadPdf, printPdf } from '../lib/pdf.js';
+
+const formatRupiah = (amount) => `Rp ${amount.toLocaleString('id-ID')}`;
+
+// Invoice and receipt downloads for a paid booking. A booking paid while numbering
+// was unavailable has none yet; onIssue(booking) numbers it on the first click.
+const InvoiceActions = ({ booking, onIssue, className = '' }) => {
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const run = (action, render) => async () => {
+    setBusy(action);
+    setError(null);
+    try {
+      const issued = booking.invoice ? booking : await onIssue(booking);
+      const dataUrl = render(issued);
+      if (action === 'print') await printPdf(dataUrl);
+      else downloadPdf(dataUrl, getInvoiceFileName(action === 'receipt' ? issued.receipt.number : issued.invoice.number));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const buttonClassName = 'flex-1 border border-gray-300 text-gray-700 py-2 px-3 rounded-lg hover:bg-gray-50 transition-colors text-sm font-medium inline-flex items-center justify-center disabled:opacity-60';
+
+  return (
+    <div className={className}>
+      {booking.invoice && (
+        <p className="text-xs text-gray-500 mb-2">
+          Invoice <span className="font-mono">{booking.invoice.number}</span> · {booking.invoice.taxLabel} termasuk {formatRupiah(booking.invoice.tax)}
+        </p>
+      )}
+      <div className="flex gap-2">
+        <button type="button" onClick={run('invoice', renderInvoicePdf)} disabled={Boolean(busy)} className={buttonClassName}>
+          <FileText size={16} className="mr-1.5" />
+          {busy === 'invoice' ? 'Menyiapkan...' : 'Invoice'}
+        </button>
+        <button type="button" onClick={run('receipt', renderReceiptPdf)} disabled={Boolean(busy)} className={buttonClassName}>
+          <FileText size={16} className="mr-1.5" />
+          {busy === 'receipt' ? 'Menyiapkan...' : 'Kwitansi'}
+        </button>
+        <button type="button" onClick={run('print', renderInvoicePdf)} disabled={Boolean(busy)} className={buttonClassName} aria-label="Cetak invoice">
+          <Printer size={16} className="mr-1.5" />
+          {busy === 'print' ? 'Menyiapkan...' : 'Cetak'}
+        </button>
+      </div>
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default InvoiceActions;
@@ -0,0 +1,118 @@
+import React from 'react';
+import { MapPin, Truck } from 'lucide-react';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const LocationLegFields = ({ legId, title, deliveryLabel, choice, errors = {}, outlets, zones, onChange }) => {
+  const update = (changes) => onChange({ ...choice, ...changes });
+  const selectedOutlet = outlets.find(outlet => outlet.id === choice.locationId);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium mb-2 text-gray-700">{title}</label>
+      <div className="grid grid-cols-2 gap-2 mb-3">
+        {[
+          { type: 'outlet', label: 'Di Outlet', icon: MapPin },
+          { type: 'delivery', label: deliveryLabel, icon: Truck }
+        ].map(option => (
+          <button
+            key={option.type}
+            type="button"
+            onClick={() => update({ type: option.type })}
+            className={`flex items-center justify-center px-3 py-2 rounded-lg border text-sm font-medium transition-colors ${
+              choice.type === option.type ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <option.icon size={16} className="mr-2" />
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {choice.type === 'outlet' ? (
+        <div>
+          <select
+            id={`${legId}-outlet`}
+            value={choice.locationId}
+            onChange={(e) => update({ locationId: e.target.value })}
+            className={inputClassName}
+          >
+            {outlets.map(outlet => (
+              <option key={outlet.id} value={outlet.id}>
+                {outlet.name}{outlet.fee ? ` (+Rp ${outlet.fee.toLocaleString('id-ID')})` : ''}
+              </option>
+            ))}
+          </select>
+          {selectedOutlet && <p className="text-xs text-gray-500 mt-1">{selectedOutlet.address}</p>}
+          {errors.locationId && <p className="text-red-500 text-sm mt-1">{errors.locationId}</p>}
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <select
+            id={`${legId}-zone`}
+            value={choice.zoneId}
+            onChange={(e) => update({ zoneId: e.target.value })}
+            className={inputClassName}
+          >
+            <option value="">Pilih area</option>
+            {zones.map(zone => (
+              <option key={zone.id} value={zone.id}>
+                {zone.name} (Rp {zone.fee.toLocaleString('id-ID')})
+              </option>
+            ))}
+          </select>
+          {errors.zoneId && <p className="text-red-500 text-sm">{errors.zoneId}</p>}
+          <input
+            id={`${legId}-address`}
+            type="text"
+            value={choice.address}
+            onChange={(e) => update({ address: e.target.value })}
+            className={inputClassName}
+            placeholder="Nama hotel/villa dan alamat"
+          />
+          {errors.address && <p className="text-red-500 text-sm">{errors.address}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const LocationPicker = ({ value, errors, outlets, zones, onChange }) => (
+  <div className="space-y-5">
+    <LocationLegFields
+      legId="pickup"
+      title="Lokasi Pengambilan"
+      deliveryLabel="Antar ke Hotel"
+      choice={value.pickup}
+      errors={errors.pickup}
+      outlets={outlets}
+      zones={zones}
+      onChange={(pickup) => onChange({ ...value, pickup })}
+    />
+
+    <label className="flex items-center text-sm text-gray-700">
+      <input
+        type="checkbox"
+        checked={value.sameReturn}
+        onChange={(e) => onChange({ ...value, sameReturn: e.target.checked })}
+        className="mr-2 h-4 w-4 text-blue-600 rounded"
+      />
+      Kembalikan di lokasi yang sama
+    </label>
+
+    {!value.sameReturn && (
+      <LocationLegFields
+        legId="dropoff"
+        title="Lokasi Pengembalian"
+        deliveryLabel="Jemput di Hotel"
+        choice={value.dropoff}
+        errors={errors.dropoff}
+        outlets={outlets}
+        zones={zones}
+        onChange={(dropoff) => onChange({ ...value, dropoff })}
+      />
+    )}
+  </div>
+);
+
+export default LocationPicker;
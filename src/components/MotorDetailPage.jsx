@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Star, Heart, Shield } from 'lucide-react';
+import AvailabilityCalendar from './AvailabilityCalendar.jsx';
+import FavouriteButton from './FavouriteButton.jsx';
+import useReservations from '../hooks/useReservations.js';
+import { getRateTiers } from '../lib/pricing.js';
+import { getDepositTerms } from '../lib/deposits.js';
+import { FLEET_CATEGORIES } from '../lib/fleet.js';
+import { formatDate, addDays } from '../lib/dates.js';
+import { countFreeUnits } from '../lib/units.js';
+
+const SPEC_LABELS = {
+  engine: 'Mesin',
+  power: 'Tenaga Maksimum',
+  transmission: 'Transmisi',
+  brakes: 'Rem',
+  fuelCapacity: 'Kapasitas Tangki',
+  seatHeight: 'Tinggi Jok',
+  weight: 'Berat'
+};
+
+const RATE_LABELS = [
+  ['daily', 'Harian', '/hari'],
+  ['weekly', 'Mingguan', '/minggu'],
+  ['monthly', 'Bulanan', '/bulan']
+];
+
+const formatRupiah = (amount) => `Rp ${amount.toLocaleString('id-ID')}`;
+
+const Gallery = ({ motor }) => {
+  const images = motor.gallery?.length ? motor.gallery : [motor.image];
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  return (
+    <div>
+      <img
+        src={images[activeIndex]}
+        alt={`Foto ${activeIndex + 1} motor ${motor.name}`}
+        className="w-full aspect-[3/2] object-cover rounded-2xl shadow-lg"
+      />
+      {images.length > 1 && (
+        <div className="grid grid-cols-4 gap-3 mt-3">
+          {images.map((src, index) => (
+            <button
+              key={src}
+              type="button"
+              onClick={() => setActiveIndex(index)}
+              aria-label={`Tampilkan foto ${index + 1}`}
+              aria-pressed={activeIndex === index}
+              className={`rounded-lg overflow-hidden border-2 transition-colors ${
+                activeIndex === index ? 'border-blue-600' : 'border-transparent hover:border-blue-200'
+              }`}
+            >
+              <img src={src} alt="" className="w-full aspect-[3/2] object-cover" loading="lazy" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const RatingBreakdown = ({ motor }) => {
+  const breakdown = motor.ratingBreakdown || {};
+
+  return (
+    <div className="flex flex-col sm:flex-row gap-6 items-start">
+      <div className="text-center">
+        <p className="text-5xl font-bold text-gray-900">{motor.rating}</p>
+        <div className="flex justify-center my-1">
+          {[...Array(5)].map((_, i) => (
+            <Star
+              key={i}
+              size={16}
+              className={i < Math.round(motor.rating) ? 'fill-yellow-400 text-yellow-400' : 'text-gray-300'}
+            />
+          ))}
+        </div>
+        <p className="text-sm text-gray-500">{motor.reviews} ulasan</p>
+      </div>
+      <div className="flex-1 w-full space-y-1">
+        {[5, 4, 3, 2, 1].map(stars => {
+          const count = breakdown[stars] || 0;
+          const share = motor.reviews ? (count / motor.reviews) * 100 : 0;
+          return (
+            <div key={stars} className="flex items-center text-sm">
+              <span className="w-6 text-gray-600">{stars}</span>
+              <Star size={12} className="fill-yellow-400 text-yellow-400 mr-2" />
+              <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div className="h-full bg-yellow-400" style={{ width: `${share}%` }}></div>
+              </div>
+              <span className="w-10 text-right text-gray-500">{count}</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const Availability = ({ motor, onBooking }) => {
+  const { schedules, isLoading, error, refresh } = useReservations(motor.id);
+  const [dates, setDates] = useState({ startDate: '', endDate: '' });
+
+  if (isLoading || (!schedules && !error)) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="w-8 h-8 border-4 border-blue-200 border-t-blue-600 rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg flex items-center justify-between">
+        <span>Gagal memuat jadwal motor.</span>
+        <button type="button" onClick={refresh} className="font-semibold underline">
+          Coba Lagi
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <AvailabilityCalendar
+        schedules={schedules}
+        startDate={dates.startDate}
+        endDate={dates.endDate}
+        onSelect={(selection) => setDates(prev => ({ ...prev, ...selection }))}
+      />
+      {dates.startDate ? (
+        <p className="text-sm text-gray-600">
+          {formatDate(dates.startDate)}{dates.endDate ? ` – ${formatDate(dates.endDate)}` : ''}
+          {' '}· {countFreeUnits(schedules, { startDate: dates.startDate, endDate: dates.endDate || addDays(dates.startDate, 1) })} dari {schedules.length} unit tersedia
+        </p>
+      ) : (
+        <p className="text-sm text-gray-600">{schedules.length} unit di armada</p>
+      )}
+      <button
+        type="button"
+        onClick={() => onBooking(motor, dates.startDate ? dates : null)}
+        className="w-full bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold flex items-center justify-center shadow-lg hover:shadow-xl"
+      >
+        <Heart className="mr-2" size={16} />
+        {dates.startDate ? 'Booking Tanggal Ini' : 'Booking Sekarang'}
+      </button>
+    </div>
+  );
+};
+
+// Page for /motor/:id. The fleet is already loaded for the home page, so the
+// motor is looked up from it rather than fetched on its own.
+const MotorDetailPage = ({ motorId, motorcycles, isLoading, error, onBooking, onBack, isFavourite, onToggleFavourite }) => {
+  const motor = motorcycles.find(item => String(item.id) === String(motorId));
+
+  useEffect(() => {
+    if (!motor) return;
+    const previousTitle = document.title;
+    document.title = `${motor.name} — MotorRent`;
+    return () => {
+      document.title = previousTitle;
+    };
+  }, [motor]);
+
+  // Surface fetch failures to the enclosing ErrorBoundary so it can offer a retry
+  if (error) throw error;
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-24">
+        <div className="w-12 h-12 border-4 border-blue-200 border-t-blue-600 rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  if (!motor) {
+    return (
+      <section className="py-24 bg-gray-50 min-h-[70vh] text-center px-4">
+        <h2 className="text-3xl font-bold text-gray-900 mb-4">Motor Tidak Ditemukan</h2>
+        <p className="text-gray-600 mb-8">Motor yang Anda cari tidak tersedia atau sudah tidak disewakan.</p>
+        <button
+          onClick={onBack}
+          className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold"
+        >
+          Lihat Semua Motor
+        </button>
+      </section>
+    );
+  }
+
+  const rateTiers = getRateTiers(motor);
+  const deposit = getDepositTerms(motor);
+
+  return (
+    <section className="py-12 bg-gray-50 min-h-[70vh]">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        <button
+          onClick={onBack}
+          className="flex items-center text-blue-600 hover:text-blue-800 font-medium mb-6"
+        >
+          <ArrowLeft size={18} className="mr-2" />
+          Semua Motor
+        </button>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-10">
+          <Gallery key={motor.id} motor={motor} />
+
+          <div>
+            <span className="inline-block px-3 py-1 bg-blue-100 text-blue-800 text-sm rounded-full font-medium mb-3">
+              {FLEET_CATEGORIES[motor.category] || motor.category}
+            </span>
+            <div className="flex justify-between items-start gap-4 mb-2">
+              <h2 className="text-3xl md:text-4xl font-bold text-gray-900">{motor.name}</h2>
+              <FavouriteButton
+                active={isFavourite(motor.id)}
+                onToggle={() => onToggleFavourite(motor.id)}
+                motorName={motor.name}
+                className="border border-gray-200 flex-shrink-0"
+              />
+            </div>
+            <div className="flex items-center text-sm text-gray-600 mb-6">
+              <Star className="fill-yellow-400 text-yellow-400 mr-1" size={16} />
+              <span className="font-medium mr-2">{motor.rating}</span>
+              ({motor.reviews} ulasan)
+            </div>
+
+            <div className="grid grid-cols-3 gap-3 mb-4">
+              {RATE_LABELS.map(([tier, label, unit]) => (
+                <div key={tier} className="bg-white rounded-xl border border-gray-100 shadow p-4 text-center">
+                  <p className="text-xs text-gray-500 mb-1">{label}</p>
+                  <p className="font-bold text-blue-600">{formatRupiah(rateTiers[tier])}</p>
+                  <p className="text-xs text-gray-500">{unit}</p>
+                </div>
+              ))}
+            </div>
+            <p className="text-sm text-gray-600 flex items-start mb-8">
+              <Shield size={16} className="mr-2 mt-0.5 flex-shrink-0 text-blue-600" />
+              Deposit {formatRupiah(deposit.amount)} saat pengambilan
+              {deposit.idAccepted ? ', bisa diganti titip KTP/paspor.' : ', hanya uang tunai.'}
+            </p>
+
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">Cek Ketersediaan</h3>
+            <Availability key={motor.id} motor={motor} onBooking={onBooking} />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-10 mt-12">
+          <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Spesifikasi</h3>
+            {motor.specSheet ? (
+              <dl className="divide-y divide-gray-100">
+                {Object.entries(SPEC_LABELS).filter(([key]) => motor.specSheet[key]).map(([key, label]) => (
+                  <div key={key} className="flex justify-between py-2 text-sm">
+                    <dt className="text-gray-600">{label}</dt>
+                    <dd className="font-medium text-gray-900 text-right">{motor.specSheet[key]}</dd>
+                  </div>
+                ))}
+              </dl>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {motor.specs.map((spec, index) => (
+                  <span key={index} className="px-3 py-1 bg-blue-100 text-blue-800 text-sm rounded-full font-medium">
+                    {spec}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Penilaian Pelanggan</h3>
+            <RatingBreakdown motor={motor} />
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default MotorDetailPage;
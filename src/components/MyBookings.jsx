@@ -0,0 +1,220 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { Calendar, ArrowRight, MapPin } from 'lucide-react';
+import { CancelBookingDialog, RescheduleBookingDialog, PaymentDialog, AgreementDialog } from './BookingActionDialogs.jsx';
+import { AgreementDownloadButton } from './RentalAgreement.jsx';
+import InvoiceActions from './InvoiceActions.jsx';
+import { BOOKING_PHASES, getBookingPhase } from '../lib/bookings.js';
+import { formatDateTime, nowInWita } from '../lib/dates.js';
+import { formatRentalLength } from '../lib/rentalTime.js';
+import { getPaymentDeadline } from '../lib/payments.js';
+import { DEPOSIT_METHODS, DEPOSIT_STATUSES } from '../lib/deposits.js';
+import { describeLocation } from '../lib/locations.js';
+
+const TABS = ['pending', 'upcoming', 'active', 'past', 'cancelled'];
+
+const formatDeadline = (booking) => {
+  const { date, time } = nowInWita(getPaymentDeadline(booking));
+  return formatDateTime(date, time);
+};
+
+const BookingCard = ({ booking, phase, onCancel, onReschedule, onPay, onSign, onIssueInvoices }) => (
+  <div className="bg-white rounded-2xl shadow-lg border border-gray-100 overflow-hidden flex flex-col sm:flex-row">
+    <img
+      src={booking.motor.image}
+      alt={booking.motor.name}
+      className="w-full sm:w-48 h-40 sm:h-auto object-cover"
+      loading="lazy"
+    />
+    <div className="p-6 flex-1">
+      <div className="flex flex-wrap justify-between items-start gap-2 mb-3">
+        <div>
+          <p className="text-xs text-gray-500 uppercase tracking-wide">Kode Booking</p>
+          <p className="font-mono font-bold text-gray-900">{booking.code}</p>
+        </div>
+        <span className={`px-3 py-1 rounded-full text-sm font-semibold ${BOOKING_PHASES[phase].className}`}>
+          {BOOKING_PHASES[phase].label}
+        </span>
+      </div>
+      <h3 className="text-xl font-bold text-gray-900 mb-2">{booking.motor.name}</h3>
+      {booking.unit && (
+        <p className="text-sm text-gray-500 mb-2">Plat {booking.unit.plate} · {booking.unit.colour}</p>
+      )}
+      <div className="flex items-center text-gray-600 text-sm mb-4">
+        <Calendar size={16} className="mr-2" />
+        <span>
+          {formatDateTime(booking.startDate, booking.startTime)} – {formatDateTime(booking.endDate, booking.endTime)}
+          {' '}({formatRentalLength(booking.totalDays, booking.priceBreakdown?.overageHours)})
+        </span>
+      </div>
+      {booking.pickup && (
+        <div className="flex items-start text-gray-600 text-sm mb-4">
+          <MapPin size={16} className="mr-2 mt-0.5 flex-shrink-0" />
+          <span>
+            {describeLocation(booking.pickup)}
+            {booking.dropoff && describeLocation(booking.dropoff) !== describeLocation(booking.pickup) && (
+              <> → {describeLocation(booking.dropoff)}</>
+            )}
+          </span>
+        </div>
+      )}
+      {booking.addons?.length > 0 && (
+        <p className="text-sm text-gray-500 mb-4">
+          + {booking.addons.map(item => `${item.name}${item.quantity > 1 ? ` ×${item.quantity}` : ''}`).join(', ')}
+        </p>
+      )}
+      {booking.deposit && phase !== 'cancelled' && (
+        <p className="text-sm text-gray-500 mb-4">
+          Deposit {DEPOSIT_METHODS[booking.deposit.method].label} Rp {booking.deposit.amount.toLocaleString('id-ID')}:{' '}
+          <span className={DEPOSIT_STATUSES[booking.deposit.status].className}>{DEPOSIT_STATUSES[booking.deposit.status].label}</span>
+          {booking.deposit.capturedAmount > 0 && ` (dipotong Rp ${booking.deposit.capturedAmount.toLocaleString('id-ID')})`}
+        </p>
+      )}
+      <div className="flex justify-between items-center pt-4 border-t border-gray-100">
+        <span className="text-gray-600">Total</span>
+        <span className="text-xl font-bold text-blue-600">Rp {booking.totalPrice.toLocaleString('id-ID')}</span>
+      </div>
+      {booking.status === 'expired' && (
+        <p className="text-sm text-gray-500 mt-2">Pembayaran tidak diselesaikan tepat waktu.</p>
+      )}
+      {phase === 'cancelled' && booking.cancellation && (
+        <p className="text-sm text-gray-500 mt-2">
+          Dana kembali Rp {booking.cancellation.refund.toLocaleString('id-ID')}
+          {booking.cancellation.fee > 0 && ` (biaya pembatalan Rp ${booking.cancellation.fee.toLocaleString('id-ID')})`}
+        </p>
+      )}
+      {phase === 'pending' && (
+        <>
+          <p className="text-sm text-amber-700 mt-2">Bayar sebelum {formatDeadline(booking)} agar jadwal tidak dilepas.</p>
+          <div className="flex gap-3 mt-4">
+            <button
+              onClick={() => onPay(booking)}
+              className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-colors font-medium"
+            >
+              Bayar Sekarang
+            </button>
+            <button
+              onClick={() => onCancel(booking)}
+              className="flex-1 border border-red-300 text-red-600 py-2 rounded-lg hover:bg-red-50 transition-colors font-medium"
+            >
+              Batalkan
+            </button>
+          </div>
+        </>
+      )}
+      {booking.payment?.status === 'paid' && (
+        <InvoiceActions booking={booking} onIssue={onIssueInvoices} className="mt-4" />
+      )}
+      {booking.agreement && phase !== 'cancelled' && (
+        <AgreementDownloadButton agreement={booking.agreement} bookingCode={booking.code} className="mt-4" />
+      )}
+      {!booking.agreement && phase === 'upcoming' && (
+        <button
+          onClick={() => onSign(booking)}
+          className="w-full mt-4 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-colors font-medium"
+        >
+          Tanda Tangani Perjanjian Sewa
+        </button>
+      )}
+      {phase === 'upcoming' && (
+        <div className="flex gap-3 mt-4">
+          <button
+            onClick={() => onReschedule(booking)}
+            className="flex-1 border border-blue-600 text-blue-600 py-2 rounded-lg hover:bg-blue-50 transition-colors font-medium"
+          >
+            Ubah Jadwal
+          </button>
+          <button
+            onClick={() => onCancel(booking)}
+            className="flex-1 border border-red-300 text-red-600 py-2 rounded-lg hover:bg-red-50 transition-colors font-medium"
+          >
+            Batalkan
+          </button>
+        </div>
+      )}
+    </div>
+  </div>
+);
+
+const MyBookings = ({ bookings, onBrowse, onCancel, onReschedule, onPaymentUpdate, onSignAgreement, onIssueInvoices }) => {
+  const [dialog, setDialog] = useState(null);
+  const closeDialog = useCallback(() => setDialog(null), []);
+  // Dialogs follow the stored booking so payment updates show up while they are open
+  const dialogBooking = dialog && (bookings.find(booking => booking.id === dialog.booking.id) || dialog.booking);
+
+  const grouped = useMemo(() => {
+    const groups = { pending: [], upcoming: [], active: [], past: [], cancelled: [] };
+    bookings.forEach(booking => groups[getBookingPhase(booking)].push(booking));
+    groups.upcoming.sort((a, b) => a.startDate.localeCompare(b.startDate));
+    groups.past.sort((a, b) => b.startDate.localeCompare(a.startDate));
+    return groups;
+  }, [bookings]);
+
+  const [activeTab, setActiveTab] = useState(() => TABS.find(tab => grouped[tab].length > 0) || 'upcoming');
+  const visible = grouped[activeTab];
+
+  return (
+    <section id="bookings" className="py-12 bg-gray-50 min-h-[70vh]">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-2">Pesanan Saya</h2>
+        <p className="text-gray-600 mb-8">Riwayat dan jadwal sewa motor Anda di perangkat ini.</p>
+
+        <div className="flex gap-2 mb-6 overflow-x-auto">
+          {TABS.map(tab => (
+            <button
+              key={tab}
+              onClick={() => setActiveTab(tab)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium whitespace-nowrap transition-colors ${
+                activeTab === tab ? 'bg-blue-600 text-white shadow-lg' : 'bg-white text-gray-700 hover:bg-blue-50'
+              }`}
+            >
+              {BOOKING_PHASES[tab].label} ({grouped[tab].length})
+            </button>
+          ))}
+        </div>
+
+        {visible.length === 0 ? (
+          <div className="text-center bg-white rounded-2xl p-12 shadow-lg border border-gray-100">
+            <p className="text-gray-600 mb-6">Belum ada pesanan di kategori ini.</p>
+            <button
+              onClick={onBrowse}
+              className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold inline-flex items-center"
+            >
+              Lihat Pilihan Motor
+              <ArrowRight size={18} className="ml-2" />
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {visible.map(booking => (
+              <BookingCard
+                key={booking.id}
+                booking={booking}
+                phase={activeTab}
+                onCancel={(target) => setDialog({ type: 'cancel', booking: target })}
+                onReschedule={(target) => setDialog({ type: 'reschedule', booking: target })}
+                onPay={(target) => setDialog({ type: 'payment', booking: target })}
+                onSign={(target) => setDialog({ type: 'agreement', booking: target })}
+                onIssueInvoices={onIssueInvoices}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {dialog?.type === 'cancel' && (
+        <CancelBookingDialog booking={dialogBooking} onClose={closeDialog} onConfirm={onCancel} />
+      )}
+      {dialog?.type === 'reschedule' && (
+        <RescheduleBookingDialog booking={dialogBooking} onClose={closeDialog} onConfirm={onReschedule} />
+      )}
+      {dialog?.type === 'payment' && (
+        <PaymentDialog booking={dialogBooking} onClose={closeDialog} onUpdate={onPaymentUpdate} />
+      )}
+      {dialog?.type === 'agreement' && (
+        <AgreementDialog booking={dialogBooking} onClose={closeDialog} onSign={onSignAgreement} />
+      )}
+    </section>
+  );
+};
+
+export default MyBookings;
@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { Landmark, QrCode, Wallet, Copy, CheckCircle, Clock } from 'lucide-react';
+import usePayment from '../hooks/usePayment.js';
+import { PAYMENT_METHODS, PAYMENT_METHOD_TYPES, findPaymentMethod, getPaymentDeadline } from '../lib/payments.js';
+import { nowInWita, formatDateTime } from '../lib/dates.js';
+
+const TYPE_ICONS = {
+  va: Landmark,
+  qris: QrCode,
+  ewallet: Wallet
+};
+
+const formatRupiah = (amount) => `Rp ${amount.toLocaleString('id-ID')}`;
+
+const formatInstant = (value) => {
+  const { date, time } = nowInWita(new Date(value));
+  return formatDateTime(date, time);
+};
+
+const PaymentInstructions = ({ charge }) => {
+  const method = findPaymentMethod(charge.method);
+  const { instructions = {} } = charge;
+  const [copied, setCopied] = useState(false);
+
+  const copyNumber = async () => {
+    try {
+      await navigator.clipboard.writeText(instructions.vaNumber);
+      setCopied(true);
+    } catch (error) {
+      console.warn('Clipboard not available:', error);
+    }
+  };
+
+  if (method?.type === 'va') {
+    return (
+      <div className="text-center">
+        <p className="text-sm text-gray-600 mb-1">Nomor Virtual Account {instructions.bank}</p>
+        <div className="flex items-center justify-center gap-2">
+          <span className="font-mono text-2xl font-bold tracking-wider text-gray-900">{instructions.vaNumber}</span>
+          <button
+            type="button"
+            onClick={copyNumber}
+            className="p-1 text-blue-600 hover:text-blue-800"
+            aria-label="Salin nomor virtual account"
+          >
+            {copied ? <CheckCircle size={18} /> : <Copy size={18} />}
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">Transfer tepat sesuai nominal melalui ATM, m-banking atau internet banking.</p>
+      </div>
+    );
+  }
+
+  if (method?.type === 'qris') {
+    return (
+      <div className="text-center">
+        {instructions.qrImageUrl ? (
+          <img src={instructions.qrImageUrl} alt="Kode QRIS" className="w-48 h-48 mx-auto" />
+        ) : (
+          <div className="w-48 h-48 mx-auto border-2 border-dashed border-gray-300 rounded-lg flex items-center justify-center">
+            <QrCode size={96} className="text-gray-400" />
+          </div>
+        )}
+        <p className="text-xs text-gray-500 mt-2">Pindai dengan aplikasi bank atau e-wallet apa pun yang mendukung QRIS.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="text-center">
+      {instructions.checkoutUrl ? (
+        <a
+          href={instructions.checkoutUrl}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="inline-block bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold"
+        >
+          Buka {instructions.provider}
+        </a>
+      ) : (
+        <p className="text-sm text-gray-600">Selesaikan pembayaran melalui notifikasi di aplikasi {instructions.provider}.</p>
+      )}
+    </div>
+  );
+};
+
+// Payment step for a pending booking. `onUpdate(charge)` is called for every
+// charge status change and must return once the booking record is updated.
+const PaymentPanel = ({ booking, onUpdate }) => {
+  const [methodId, setMethodId] = useState(PAYMENT_METHODS[0].id);
+  const { charge, isLoading, error, startPayment, simulate, canSimulate, reset } = usePayment(booking, onUpdate);
+
+  if (booking.status === 'expired' || charge?.status === 'expired') {
+    return (
+      <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700">
+        Waktu pembayaran untuk booking <span className="font-mono font-semibold">{booking.code}</span> telah habis
+        dan jadwalnya sudah dilepas. Silakan buat booking baru.
+      </div>
+    );
+  }
+
+  if (booking.status === 'confirmed' || charge?.status === 'paid') {
+    return (
+      <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800 flex items-center">
+        <CheckCircle size={20} className="mr-2 flex-shrink-0" />
+        Pembayaran {formatRupiah(booking.totalPrice)} sudah kami terima.
+      </div>
+    );
+  }
+
+  const pending = charge?.status === 'pending';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center bg-blue-50 p-4 rounded-lg border border-blue-100">
+        <span className="text-gray-700">Total Pembayaran</span>
+        <span className="text-xl font-bold text-blue-600">{formatRupiah(booking.totalPrice)}</span>
+      </div>
+
+      <p className="text-xs text-gray-500 flex items-center">
+        <Clock size={14} className="mr-1 flex-shrink-0" />
+        Selesaikan pembayaran sebelum {formatInstant(pending ? charge.expiresAt : getPaymentDeadline(booking))}.
+        Booking bisa dilanjutkan dari menu Pesanan Saya.
+      </p>
+
+      {charge?.status === 'failed' && (
+        <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">
+          Pembayaran gagal{charge.failureReason ? `: ${charge.failureReason}` : ''}. Silakan coba metode lain.
+        </div>
+      )}
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">{error.message}</div>
+      )}
+
+      {pending ? (
+        <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+          <p className="text-sm font-semibold text-gray-900">{findPaymentMethod(charge.method)?.label}</p>
+          <PaymentInstructions charge={charge} />
+          <div className="flex items-center justify-center text-sm text-gray-500">
+            <div className="w-4 h-4 border-2 border-blue-200 border-t-blue-600 rounded-full animate-spin mr-2"></div>
+            Menunggu konfirmasi pembayaran...
+          </div>
+        </div>
+      ) : (
+        <>
+          {Object.entries(PAYMENT_METHOD_TYPES).map(([type, { label }]) => {
+            const Icon = TYPE_ICONS[type];
+            return (
+              <div key={type}>
+                <p className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+                  <Icon size={16} className="mr-2" />
+                  {label}
+                </p>
+                <div className="grid grid-cols-1 gap-2">
+                  {PAYMENT_METHODS.filter(method => method.type === type).map(method => (
+                    <label
+                      key={method.id}
+                      className={`flex items-center px-3 py-2 rounded-lg border text-sm cursor-pointer transition-colors ${
+                        methodId === method.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name="paymentMethod"
+                        value={method.id}
+                        checked={methodId === method.id}
+                        onChange={() => setMethodId(method.id)}
+                        className="mr-2"
+                      />
+                      {method.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+
+          <button
+            type="button"
+            onClick={() => {
+              if (charge) reset();
+              startPayment(findPaymentMethod(methodId));
+            }}
+            disabled={isLoading}
+            className="w-full bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold disabled:bg-gray-300 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Memproses...' : `Bayar ${formatRupiah(booking.totalPrice)}`}
+          </button>
+        </>
+      )}
+
+      {pending && canSimulate && (
+        <div className="border border-dashed border-amber-300 bg-amber-50 rounded-lg p-3">
+          <p className="text-xs font-semibold text-amber-800 mb-2">Mode Sandbox — simulasikan hasil pembayaran</p>
+          <div className="grid grid-cols-3 gap-2">
+            {[['success', 'Berhasil'], ['failure', 'Gagal'], ['timeout', 'Kedaluwarsa']].map(([outcome, label]) => (
+              <button
+                key={outcome}
+                type="button"
+                onClick={() => simulate(outcome)}
+                disabled={isLoading}
+                className="text-xs border border-amber-300 text-amber-900 py-2 rounded hover:bg-amber-100 disabled:opacity-50"
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaymentPanel;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { formatRentalLength } from '../lib/rentalTime.js';
+import { DEPOSIT_METHODS } from '../lib/deposits.js';
+
+// Itemized rental price from calculatePrice(); `extraLines` are appended before the total.
+// The refundable `deposit` is listed after the total since it is not part of it.
+const PriceBreakdown = ({ breakdown, extraLines = [], total, totalLabel = 'Total Harga:', deposit }) => {
+  const lines = [...breakdown.lines, ...extraLines];
+
+  return (
+    <div className="bg-blue-50 p-4 rounded-lg border border-blue-100 text-sm">
+      <div className="flex justify-between mb-2">
+        <span className="text-gray-700">Durasi Sewa:</span>
+        <span className="font-semibold">{formatRentalLength(breakdown.totalDays, breakdown.overageHours)}</span>
+      </div>
+      <div className="space-y-1">
+        {lines.map((line, index) => (
+          <div key={index} className="flex justify-between">
+            <span className="text-gray-600">{line.label}</span>
+            <span className={line.amount < 0 ? 'text-green-600' : 'text-gray-900'}>
+              {line.amount < 0 ? '- ' : ''}Rp {Math.abs(line.amount).toLocaleString('id-ID')}
+            </span>
+          </div>
+        ))}
+      </div>
+      {breakdown.savings > 0 && (
+        <p className="text-green-600 text-xs mt-2">
+          Hemat Rp {breakdown.savings.toLocaleString('id-ID')} dengan tarif mingguan/bulanan
+        </p>
+      )}
+      <div className="flex justify-between font-bold text-lg mt-2 pt-2 border-t border-blue-100">
+        <span>{totalLabel}</span>
+        <span className="text-blue-600">Rp {(total ?? breakdown.totalPrice).toLocaleString('id-ID')}</span>
+      </div>
+      {deposit && (
+        <div className="mt-2 pt-2 border-t border-dashed border-blue-200">
+          <div className="flex justify-between">
+            <span className="text-gray-700">Deposit jaminan ({DEPOSIT_METHODS[deposit.method].label}):</span>
+            <span className="font-semibold">Rp {deposit.amount.toLocaleString('id-ID')}</span>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            {deposit.method === 'id'
+              ? 'Dokumen dititipkan saat pengambilan dan dikembalikan saat motor kembali tanpa kerusakan.'
+              : 'Dibayar saat pengambilan dan dikembalikan penuh saat motor kembali tanpa kerusakan.'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PriceBreakdown;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { Clock } from 'lucide-react';
+
+// "Terakhir Dilihat": compact cards linking back to each detail page
+const RecentlyViewedStrip = ({ motorcycles, getDetailLinkProps, onClear }) => {
+  if (motorcycles.length === 0) return null;
+
+  return (
+    <div className="mb-10">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Clock size={18} className="mr-2 text-blue-600" />
+          Terakhir Dilihat
+        </h3>
+        <button type="button" onClick={onClear} className="text-sm text-blue-600 hover:text-blue-800 font-medium">
+          Hapus riwayat
+        </button>
+      </div>
+      <div className="flex gap-4 overflow-x-auto pb-2">
+        {motorcycles.map(motor => (
+          <a
+            key={motor.id}
+            {...getDetailLinkProps(motor)}
+            className="flex-shrink-0 w-48 bg-white rounded-xl shadow border border-gray-100 overflow-hidden hover:shadow-lg transition-shadow"
+          >
+            <img src={motor.image} alt={`Motor ${motor.name}`} className="w-full h-24 object-cover" loading="lazy" />
+            <div className="p-3">
+              <p className="font-semibold text-gray-900 text-sm truncate">{motor.name}</p>
+              <p className="text-sm text-blue-600 font-medium">
+                Rp {motor.price.toLocaleString('id-ID')}<span className="text-gray-500 text-xs">/hari</span>
+              </p>
+            </div>
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RecentlyViewedStrip;
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { FileDown } from 'lucide-react';
+import SignaturePad from './SignaturePad.jsx';
+import { fetchDocument } from '../services/documentService.js';
+import { AGREEMENT_TERMS, AGREEMENT_VERSION, getAgreementDetails } from '../lib/agreement.js';
+import { downloadPdf } from '../lib/pdf.js';
+
+const LANGUAGES = { id: 'Bahasa Indonesia', en: 'English' };
+
+// Fetches the signed PDF from the document store when asked, not with the booking
+export const AgreementDownloadButton = ({ agreement, bookingCode, className = '' }) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleDownload = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const document = await fetchDocument(agreement.documentId, { bookingCode });
+      downloadPdf(document.dataUrl, agreement.fileName);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className={className}>
+      <button
+        type="button"
+        onClick={handleDownload}
+        disabled={isLoading}
+        className="w-full border border-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-50 transition-colors font-medium inline-flex items-center justify-center disabled:opacity-60"
+      >
+        <FileDown size={18} className="mr-2" />
+        {isLoading ? 'Mengunduh...' : 'Unduh Perjanjian Sewa (PDF)'}
+      </button>
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+    </div>
+  );
+};
+
+// Filled-in agreement with the terms in either language and a signature pad.
+// onSign(booking, { signature, signerName }) creates the PDF and stores it with the booking.
+const RentalAgreement = ({ booking, onSign, onSkip, skipLabel = 'Tanda tangani nanti' }) => {
+  const [language, setLanguage] = useState('id');
+  const [signerName, setSignerName] = useState(booking.name || '');
+  const [signature, setSignature] = useState(null);
+  const [accepted, setAccepted] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  const handleSubmit = async () => {
+    const nextErrors = {};
+    if (!signerName.trim()) nextErrors.signerName = 'Nama penanda tangan wajib diisi';
+    if (!signature) nextErrors.signature = 'Tanda tangani perjanjian di kotak di atas';
+    if (!accepted) nextErrors.accepted = 'Anda harus menyetujui ketentuan sewa';
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+
+    setIsSubmitting(true);
+    setSubmitError(null);
+    try {
+      await onSign(booking, { signature, signerName: signerName.trim() });
+    } catch (err) {
+      setSubmitError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-gray-50 p-4 rounded-lg">
+        <dl className="text-sm space-y-2">
+          {getAgreementDetails(booking).map(detail => (
+            <div key={detail.label} className="flex justify-between gap-4">
+              <dt className="text-gray-600">{detail.label}</dt>
+              <dd className="font-medium text-right text-gray-900">{detail.value}</dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+
+      <div>
+        <div className="flex justify-between items-center mb-2">
+          <h4 className="font-semibold text-gray-900">{language === 'id' ? 'Ketentuan Sewa' : 'Terms and Conditions'}</h4>
+          <div className="flex gap-1" role="group" aria-label="Bahasa ketentuan">
+            {Object.entries(LANGUAGES).map(([code, label]) => (
+              <button
+                key={code}
+                type="button"
+                onClick={() => setLanguage(code)}
+                aria-pressed={language === code}
+                title={label}
+                className={`px-2 py-1 rounded text-xs font-semibold uppercase ${
+                  language === code ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {code}
+              </button>
+            ))}
+          </div>
+        </div>
+        <ol className="text-sm text-gray-700 list-decimal list-inside space-y-1 max-h-48 overflow-y-auto border border-gray-200 rounded-lg p-3">
+          {AGREEMENT_TERMS.map((term, index) => <li key={index}>{term[language]}</li>)}
+        </ol>
+        <p className="text-xs text-gray-500 mt-1">Versi {AGREEMENT_VERSION}. PDF berisi ketentuan dalam kedua bahasa.</p>
+      </div>
+
+      <div>
+        <label htmlFor="agreement-signer" className="block text-sm font-medium text-gray-700 mb-1">Nama Penanda Tangan</label>
+        <input
+          id="agreement-signer"
+          type="text"
+          value={signerName}
+          onChange={(e) => setSignerName(e.target.value)}
+          className={`w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+            errors.signerName ? 'border-red-300' : 'border-gray-300'
+          }`}
+        />
+        {errors.signerName && <p className="text-red-500 text-sm mt-1">{errors.signerName}</p>}
+      </div>
+
+      <div>
+        <p className="block text-sm font-medium text-gray-700 mb-1">Tanda Tangan</p>
+        <SignaturePad onChange={setSignature} error={errors.signature} />
+      </div>
+
+      <div>
+        <label className="flex items-start gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={accepted} onChange={(e) => setAccepted(e.target.checked)} className="mt-1" />
+          Saya telah membaca dan menyetujui ketentuan sewa di atas.
+        </label>
+        {errors.accepted && <p className="text-red-500 text-sm mt-1">{errors.accepted}</p>}
+      </div>
+
+      {submitError && (
+        <div className="p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">{submitError}</div>
+      )}
+
+      <div className="flex gap-3">
+        {onSkip && (
+          <button
+            type="button"
+            onClick={onSkip}
+            disabled={isSubmitting}
+            className="flex-1 border border-gray-300 text-gray-700 py-3 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+          >
+            {skipLabel}
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={handleSubmit}
+          disabled={isSubmitting}
+          className="flex-1 bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? 'Membuat PDF...' : 'Tanda Tangani'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RentalAgreement;
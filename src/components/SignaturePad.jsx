@@ -0,0 +1,87 @@
+import React, { useRef, useEffect } from 'react';
+import { Eraser } from 'lucide-react';
+
+const WIDTH = 600;
+const HEIGHT = 200;
+
+// Draw-to-sign canvas for mouse, pen and touch. After every stroke onChange
+// receives the signature as a JPEG { dataUrl, width, height }, or null once cleared.
+const SignaturePad = ({ onChange, error }) => {
+  const canvasRef = useRef(null);
+  const lastPointRef = useRef(null);
+
+  const clear = () => {
+    const context = canvasRef.current.getContext('2d');
+    // JPEG has no transparency, so the background is painted white
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+  };
+
+  useEffect(clear, []);
+
+  const toCanvasPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: ((e.clientX - rect.left) / rect.width) * WIDTH, y: ((e.clientY - rect.top) / rect.height) * HEIGHT };
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    lastPointRef.current = toCanvasPoint(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!lastPointRef.current) return;
+    const point = toCanvasPoint(e);
+    const context = canvasRef.current.getContext('2d');
+    context.strokeStyle = '#111827';
+    context.lineWidth = 3;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.beginPath();
+    context.moveTo(lastPointRef.current.x, lastPointRef.current.y);
+    context.lineTo(point.x, point.y);
+    context.stroke();
+    lastPointRef.current = point;
+  };
+
+  const handlePointerUp = () => {
+    if (!lastPointRef.current) return;
+    lastPointRef.current = null;
+    onChange({ dataUrl: canvasRef.current.toDataURL('image/jpeg', 0.9), width: WIDTH, height: HEIGHT });
+  };
+
+  const handleClear = () => {
+    clear();
+    onChange(null);
+  };
+
+  return (
+    <div>
+      <div className={`relative rounded-lg border-2 ${error ? 'border-red-300' : 'border-gray-300'}`}>
+        <canvas
+          ref={canvasRef}
+          width={WIDTH}
+          height={HEIGHT}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          className="w-full h-auto rounded-lg touch-none cursor-crosshair"
+          aria-label="Area tanda tangan"
+        />
+        <span className="absolute left-4 right-4 bottom-8 border-b border-dashed border-gray-300 pointer-events-none" />
+        <button
+          type="button"
+          onClick={handleClear}
+          className="absolute top-2 right-2 p-1.5 text-gray-500 hover:text-gray-900 bg-white rounded-lg border border-gray-200"
+          aria-label="Hapus tanda tangan"
+        >
+          <Eraser size={16} />
+        </button>
+      </div>
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default SignaturePad;
@@ -0,0 +1,15 @@
+import React from 'react';
+import { getTimeSlots } from '../lib/rentalTime.js';
+
+const TIME_SLOTS = getTimeSlots();
+
+// Pickup/return time limited to the operating-hour slots, always in WITA
+const TimeSlotSelect = ({ name, value, onChange, onBlur, className }) => (
+  <select name={name} value={value} onChange={onChange} onBlur={onBlur} className={className}>
+    {TIME_SLOTS.map(slot => (
+      <option key={slot} value={slot}>{slot} WITA</option>
+    ))}
+  </select>
+);
+
+export default TimeSlotSelect;
@@ -0,0 +1,132 @@
+import React from 'react';
+import DocumentUpload from './DocumentUpload.jsx';
+import { LICENCE_TYPES, IDENTITY_TYPES } from '../lib/verification.js';
+import { todayKey } from '../lib/dates.js';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Licence and identity inputs for BookingModal; wired to its useFormValidation state
+const VerificationFields = ({ values, errors, touched, bookingCode, onChange, onBlur, onPhotoChange }) => {
+  const fieldError = (name) => touched[name] && errors[name] && (
+    <p className="text-red-500 text-sm mt-1">{errors[name]}</p>
+  );
+
+  return (
+    <div className="space-y-5">
+      <div className="space-y-3">
+        <h4 className="font-semibold text-gray-900">Surat Izin Mengemudi</h4>
+        <div>
+          <label className="block text-sm font-medium mb-2 text-gray-700">Jenis SIM *</label>
+          <select name="licenceType" value={values.licenceType} onChange={onChange} onBlur={onBlur} className={inputClassName}>
+            {Object.entries(LICENCE_TYPES).map(([type, { label }]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+          {values.licenceType === 'idp' && (
+            <p className="text-xs text-gray-500 mt-1">Bawa juga SIM asli dari negara Anda saat pengambilan.</p>
+          )}
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium mb-2 text-gray-700">Nomor SIM *</label>
+            <input
+              type="text"
+              name="licenceNumber"
+              value={values.licenceNumber}
+              onChange={onChange}
+              onBlur={onBlur}
+              className={inputClassName}
+              placeholder={LICENCE_TYPES[values.licenceType]?.hint}
+            />
+            {fieldError('licenceNumber')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2 text-gray-700">Berlaku Hingga *</label>
+            <input
+              type="date"
+              name="licenceExpiry"
+              value={values.licenceExpiry}
+              onChange={onChange}
+              onBlur={onBlur}
+              min={todayKey()}
+              className={inputClassName}
+            />
+            {fieldError('licenceExpiry')}
+          </div>
+        </div>
+        <DocumentUpload
+          kind="licence"
+          label="Foto SIM (sisi depan)"
+          bookingCode={bookingCode}
+          value={values.licencePhoto}
+          error={touched.licencePhoto && errors.licencePhoto}
+          onChange={(photo) => onPhotoChange('licencePhoto', photo)}
+        />
+      </div>
+
+      <div className="space-y-3">
+        <h4 className="font-semibold text-gray-900">Identitas</h4>
+        <div className="grid grid-cols-2 gap-2">
+          {Object.entries(IDENTITY_TYPES).map(([type, { label }]) => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => onChange({ target: { name: 'idType', value: type } })}
+              className={`px-3 py-2 rounded-lg border text-sm font-medium transition-colors ${
+                values.idType === type ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className={values.idType === 'passport' ? 'grid grid-cols-2 gap-3' : ''}>
+          <div>
+            <label className="block text-sm font-medium mb-2 text-gray-700">
+              Nomor {IDENTITY_TYPES[values.idType]?.label} *
+            </label>
+            <input
+              type="text"
+              name="idNumber"
+              value={values.idNumber}
+              onChange={onChange}
+              onBlur={onBlur}
+              className={inputClassName}
+              placeholder={IDENTITY_TYPES[values.idType]?.hint}
+            />
+            {fieldError('idNumber')}
+          </div>
+          {values.idType === 'passport' && (
+            <div>
+              <label className="block text-sm font-medium mb-2 text-gray-700">Kewarganegaraan *</label>
+              <input
+                type="text"
+                name="nationality"
+                value={values.nationality}
+                onChange={onChange}
+                onBlur={onBlur}
+                className={inputClassName}
+                placeholder="Contoh: Australia"
+              />
+              {fieldError('nationality')}
+            </div>
+          )}
+        </div>
+        <DocumentUpload
+          kind="identity"
+          label={`Foto ${IDENTITY_TYPES[values.idType]?.label}`}
+          bookingCode={bookingCode}
+          value={values.idPhoto}
+          error={touched.idPhoto && errors.idPhoto}
+          onChange={(photo) => onPhotoChange('idPhoto', photo)}
+        />
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Dokumen hanya dipakai untuk verifikasi penyewa dan diperiksa ulang oleh tim kami saat pengambilan.
+      </p>
+    </div>
+  );
+};
+
+export default VerificationFields;
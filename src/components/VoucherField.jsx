@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { Tag, X } from 'lucide-react';
+
+const VoucherField = ({ appliedCode, discount, error, isLoading, onApply, onRemove }) => {
+  const [code, setCode] = useState('');
+
+  const apply = () => {
+    if (code.trim()) onApply(code);
+  };
+
+  if (appliedCode) {
+    return (
+      <div>
+        <label className="block text-sm font-medium mb-2 text-gray-700">Kode Voucher</label>
+        <div className={`flex items-center justify-between p-3 rounded-lg border ${
+          error ? 'bg-amber-50 border-amber-200' : 'bg-green-50 border-green-200'
+        }`}>
+          <div className="flex items-center">
+            <Tag className={error ? 'text-amber-600 mr-2' : 'text-green-600 mr-2'} size={18} />
+            <span className="font-mono font-semibold">{appliedCode}</span>
+            {!error && discount > 0 && (
+              <span className="text-green-700 text-sm ml-2">hemat Rp {discount.toLocaleString('id-ID')}</span>
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={() => {
+              setCode('');
+              onRemove();
+            }}
+            className="text-gray-500 hover:text-gray-700 p-1"
+            aria-label="Hapus voucher"
+          >
+            <X size={16} />
+          </button>
+        </div>
+        {error && <p className="text-amber-700 text-sm mt-1">{error}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <label htmlFor="voucher-code" className="block text-sm font-medium mb-2 text-gray-700">Kode Voucher (Opsional)</label>
+      <div className="flex gap-2">
+        <input
+          id="voucher-code"
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value.toUpperCase())}
+          onKeyDown={(e) => {
+            // Enter would otherwise submit the whole booking form
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              apply();
+            }
+          }}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg font-mono uppercase focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          placeholder="Contoh: BALI10"
+        />
+        <button
+          type="button"
+          onClick={apply}
+          disabled={isLoading || !code.trim()}
+          className="px-4 py-2 border border-blue-600 text-blue-600 rounded-lg hover:bg-blue-50 transition-colors font-medium disabled:border-gray-300 disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          {isLoading ? 'Memeriksa...' : 'Pakai'}
+        </button>
+      </div>
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default VoucherField;
@@ -0,0 +1,34 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchAddons } from '../services/addonService.js';
+
+const useAddons = (enabled = true) => {
+  const [addons, setAddons] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+
+    fetchAddons({ signal: controller.signal })
+      .then(data => setAddons(data))
+      .catch(err => {
+        if (!controller.signal.aborted) setError(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [enabled, attempt]);
+
+  const refresh = useCallback(() => setAttempt(prev => prev + 1), []);
+
+  return { addons, isLoading, error, refresh };
+};
+
+export default useAddons;
@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchAllBookings, saveBooking } from '../services/adminService.js';
+import { deleteReservation, updateReservation } from '../services/availabilityService.js';
+import { transitionBookingRecord, assignUnitRecord, recordInspectionRecord } from '../lib/bookings.js';
+import { rescheduleByOperator } from '../lib/schedule.js';
+
+// Every booking on the backend, for staff. Status changes are saved to the
+// server first and only then shown, so the table never runs ahead of it.
+const useAdminBookings = ({ token, staffName }) => {
+  const [bookings, setBookings] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+
+    fetchAllBookings({ token, signal: controller.signal })
+      .then(data => setBookings(data))
+      .catch(err => {
+        if (!controller.signal.aborted) setError(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [token, attempt]);
+
+  const refresh = useCallback(() => setAttempt(prev => prev + 1), []);
+
+  const store = useCallback(async (booking) => {
+    const saved = await saveBooking(booking, { token });
+    setBookings(prev => prev.map(item => (item.id === saved.id ? saved : item)));
+    return saved;
+  }, [token]);
+
+  // `unit` is the unit the booking's reservation holds, recorded on confirmation
+  const transition = useCallback(async (booking, to, { unit } = {}) => {
+    const moved = transitionBookingRecord(booking, to, { by: staffName });
+    const updated = unit ? assignUnitRecord(moved, unit, { by: staffName }) : moved;
+
+    // A cancelled booking gives its dates back to the calendar
+    if (to === 'cancelled' && booking.reservationId != null) {
+      await deleteReservation(booking.reservationId, { bookingCode: booking.code }).catch(err => {
+        if (err.status !== 404) throw err;
+      });
+    }
+
+    return store(updated);
+  }, [store, staffName]);
+
+  const assignUnit = useCallback(
+    (booking, unit) => store(assignUnitRecord(booking, unit, { by: staffName })),
+    [store, staffName]
+  );
+
+  // Pickup and return go through an inspection, which also moves the status
+  const inspect = useCallback(
+    (booking, inspection) => store(recordInspectionRecord(booking, inspection, { by: staffName })),
+    [store, staffName]
+  );
+
+  // The reservation moves first; the backend answers 409 if the new dates are
+  // taken on every unit. It may move the hold to another unit, which `units`
+  // is used to record on the booking.
+  const reschedule = useCallback(async (booking, range, { units = [] } = {}) => {
+    const updated = rescheduleByOperator(booking, range);
+    if (booking.reservationId == null) return store(updated);
+
+    const reservation = await updateReservation(
+      booking.reservationId,
+      { motorcycleId: booking.motorcycleId, ...range },
+      { bookingCode: booking.code }
+    );
+    const unit = units.find(item => String(item.id) === String(reservation?.unitId));
+    const moved = booking.unit && unit && String(unit.id) !== String(booking.unit.id);
+    return store(moved ? assignUnitRecord(updated, unit, { by: staffName }) : updated);
+  }, [store, staffName]);
+
+  return { bookings, isLoading, error, refresh, transition, assignUnit, inspect, reschedule };
+};
+
+export default useAdminBookings;
@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchAllReservations, saveBlockout, deleteBlockout, assignReservationUnit } from '../services/adminService.js';
+import { BLOCKOUT_TYPE } from '../lib/schedule.js';
+
+// All reservations across the fleet for the operator timeline, plus
+// creating, moving and removing service block-outs and moving holds between units
+const useAdminReservations = ({ token }) => {
+  const [reservations, setReservations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+
+    fetchAllReservations({ token, signal: controller.signal })
+      .then(data => setReservations(data))
+      .catch(err => {
+        if (!controller.signal.aborted) setError(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [token, attempt]);
+
+  const refresh = useCallback(() => setAttempt(prev => prev + 1), []);
+
+  const saveServiceBlock = useCallback(async (blockout) => {
+    const saved = await saveBlockout({ ...blockout, type: BLOCKOUT_TYPE }, { token });
+    setReservations(prev => (prev.some(item => item.id === saved.id)
+      ? prev.map(item => (item.id === saved.id ? saved : item))
+      : [...prev, saved]));
+    return saved;
+  }, [token]);
+
+  const replace = (saved) => setReservations(prev => prev.map(item => (item.id === saved.id ? saved : item)));
+
+  const assignUnit = useCallback(async (reservation, unitId) => {
+    const saved = await assignReservationUnit(reservation, unitId, { token });
+    replace(saved);
+    return saved;
+  }, [token]);
+
+  const removeServiceBlock = useCallback(async (id) => {
+    await deleteBlockout(id, { token });
+    setReservations(prev => prev.filter(item => item.id !== id));
+  }, [token]);
+
+  return { reservations, isLoading, error, refresh, saveServiceBlock, removeServiceBlock, assignUnit };
+};
+
+export default useAdminReservations;
@@ -0,0 +1,96 @@
+import { useEffect, useCallback } from 'react';
+import useLocalStorage from './useLocalStorage.js';
+import { authProvider } from '../services/authService.js';
+
+// The signed-in customer, kept in localStorage so the session survives a
+// reload (and is shared with other tabs). Actions resolve with the user and
+// reject with the provider's error for the form to show.
+const useAuth = () => {
+  const [session, setSession] = useLocalStorage('authSession', null);
+  const token = session?.token;
+
+  // Refresh the cached user whenever the token changes; a rejected token signs the customer out
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+
+    authProvider.getCurrentUser(token)
+      .then(user => {
+        if (!cancelled) setSession(prev => (prev?.token === token ? { token, user } : prev));
+      })
+      .catch(error => {
+        if (cancelled) return;
+        // Offline is not a reason to sign out; only an explicit rejection is
+        if (error.status === 0) return;
+        console.warn('Session check failed:', error);
+        setSession(prev => (prev?.token === token ? null : prev));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token, setSession]);
+
+  const startSession = useCallback((next) => {
+    setSession(next);
+    return next.user;
+  }, [setSession]);
+
+  const register = useCallback(
+    async (data) => startSession(await authProvider.register(data)),
+    [startSession]
+  );
+
+  const loginWithPassword = useCallback(
+    async (data) => startSession(await authProvider.loginWithPassword(data)),
+    [startSession]
+  );
+
+  const requestOtp = useCallback((data) => authProvider.requestOtp(data), []);
+
+  const verifyOtp = useCallback(
+    async (data) => startSession(await authProvider.verifyOtp(data)),
+    [startSession]
+  );
+
+  const updateProfile = useCallback(async (changes) => {
+    if (!token) throw new Error('Silakan masuk terlebih dahulu');
+    const user = await authProvider.updateProfile(token, changes);
+    setSession(prev => (prev?.token === token ? { token, user } : prev));
+    return user;
+  }, [token, setSession]);
+
+  const logout = useCallback(async () => {
+    setSession(null);
+    try {
+      if (token) await authProvider.logout(token);
+    } catch (error) {
+      // The local session is gone either way
+      console.warn('Logout request failed:', error);
+    }
+  }, [token, setSession]);
+
+  // The account's bookings live on the backend, so every device sees the same ones
+  const fetchBookings = useCallback(
+    async () => (token ? authProvider.fetchBookings(token) : []),
+    [token]
+  );
+
+  const claimBooking = useCallback((code) => authProvider.claimBooking(token, code), [token]);
+
+  return {
+    user: session?.user ?? null,
+    // For services that call the backend on the user's behalf (e.g. the admin API)
+    token: token ?? null,
+    register,
+    loginWithPassword,
+    requestOtp,
+    verifyOtp,
+    updateProfile,
+    logout,
+    fetchBookings,
+    claimBooking
+  };
+};
+
+export default useAuth;
@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react';
+import { fetchDocument } from '../services/documentService.js';
+
+// Loads the images behind uploaded document ids, e.g. inspection photos kept
+// on the booking with `bookingCode`. Returns { images: { [id]: dataUrl }, isLoading, error }.
+const useDocumentImages = (ids, bookingCode) => {
+  const [images, setImages] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const key = ids.join(',');
+
+  useEffect(() => {
+    const wanted = key ? key.split(',') : [];
+    if (wanted.length === 0) return;
+
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+
+    Promise.all(wanted.map(id => fetchDocument(id, { bookingCode, signal: controller.signal })))
+      .then(documents => setImages(Object.fromEntries(documents.map(document => [String(document.id), document.dataUrl]))))
+      .catch(err => {
+        if (!controller.signal.aborted) setError(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [key, bookingCode]);
+
+  return { images, isLoading, error };
+};
+
+export default useDocumentImages;
@@ -0,0 +1,32 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_FLEET_FILTERS, parseFleetQuery, toFleetQuery } from '../lib/fleet.js';
+
+// Fleet filters mirrored into the URL query string. replaceState keeps typing
+// in the search box from flooding the history; back/forward still restore
+// whatever query the page was opened with.
+const useFleetFilters = () => {
+  const [filters, setFiltersState] = useState(() => parseFleetQuery(window.location.search));
+
+  useEffect(() => {
+    const handlePopState = () => setFiltersState(parseFleetQuery(window.location.search));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  useEffect(() => {
+    const query = toFleetQuery(filters, window.location.search);
+    if (query !== window.location.search) {
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}${query}${window.location.hash}`);
+    }
+  }, [filters]);
+
+  const setFilters = useCallback((changes) => {
+    setFiltersState(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  const resetFilters = useCallback(() => setFiltersState(DEFAULT_FLEET_FILTERS), []);
+
+  return { filters, setFilters, resetFilters };
+};
+
+export default useFleetFilters;
@@ -0,0 +1,44 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const readStoredValue = (key, initialValue) => {
+  try {
+    const item = window.localStorage.getItem(key);
+    return item ? JSON.parse(item) : initialValue;
+  } catch (error) {
+    console.error(`Error reading localStorage key "${key}":`, error);
+    return initialValue;
+  }
+};
+
+// useState persisted to localStorage. Writes from other tabs arrive through
+// the `storage` event, so every open tab shows the same value.
+const useLocalStorage = (key, initialValue) => {
+  const [storedValue, setStoredValue] = useState(() => readStoredValue(key, initialValue));
+  const initialValueRef = useRef(initialValue);
+
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.storageArea !== window.localStorage || (e.key !== key && e.key !== null)) return;
+      // A null key means the other tab cleared all of localStorage
+      setStoredValue(readStoredValue(key, initialValueRef.current));
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [key]);
+
+  const setValue = useCallback((value) => {
+    setStoredValue(prev => {
+      const next = value instanceof Function ? value(prev) : value;
+      try {
+        window.localStorage.setItem(key, JSON.stringify(next));
+      } catch (error) {
+        console.error(`Error setting localStorage key "${key}":`, error);
+      }
+      return next;
+    });
+  }, [key]);
+
+  return [storedValue, setValue];
+};
+
+export default useLocalStorage;
@@ -0,0 +1,36 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchLocations } from '../services/locationService.js';
+
+const EMPTY_LOCATIONS = { outlets: [], zones: [] };
+
+const useLocations = (enabled = true) => {
+  const [locations, setLocations] = useState(EMPTY_LOCATIONS);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+
+    fetchLocations({ signal: controller.signal })
+      .then(data => setLocations(data))
+      .catch(err => {
+        if (!controller.signal.aborted) setError(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [enabled, attempt]);
+
+  const refresh = useCallback(() => setAttempt(prev => prev + 1), []);
+
+  return { locations, isLoading, error, refresh };
+};
+
+export default useLocations;
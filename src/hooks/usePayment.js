@@ -0,0 +1,129 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { paymentGateway } from '../services/paymentService.js';
+import { redeemVoucher, releaseVoucher } from '../services/voucherService.js';
+import { getChargeExpiry } from '../lib/payments.js';
+
+const POLL_INTERVAL = 3000;
+
+// Drives the payment of one booking: creates the charge, polls the gateway
+// until it settles and reports every change through onUpdate so the booking
+// record follows along.
+const usePayment = (booking, onUpdate) => {
+  const [charge, setCharge] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const onUpdateRef = useRef(onUpdate);
+
+  useEffect(() => {
+    onUpdateRef.current = onUpdate;
+  });
+
+  const report = useCallback(async (next) => {
+    setCharge(next);
+    try {
+      await onUpdateRef.current(next);
+    } catch (err) {
+      setError(err);
+    }
+  }, []);
+
+  // Reopening a booking from "Pesanan Saya" picks its pending charge back up
+  const storedChargeId = booking.payment?.status === 'pending' ? booking.payment.chargeId : null;
+  const loadedChargeId = charge?.id;
+
+  useEffect(() => {
+    if (!storedChargeId || storedChargeId === loadedChargeId) return;
+    let cancelled = false;
+
+    paymentGateway.getCharge(storedChargeId, { bookingCode: booking.code })
+      .then(found => {
+        if (!cancelled) setCharge(found);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [booking.code, storedChargeId, loadedChargeId]);
+
+  const pollingId = charge?.status === 'pending' ? charge.id : null;
+
+  useEffect(() => {
+    if (!pollingId) return;
+
+    const timer = setInterval(async () => {
+      try {
+        const latest = await paymentGateway.getCharge(pollingId, { bookingCode: booking.code });
+        if (latest.status !== 'pending') report(latest);
+      } catch (err) {
+        // A missed poll is retried on the next tick
+        console.warn('Payment status check failed:', err);
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [booking.code, pollingId, report]);
+
+  const startPayment = useCallback(async (method) => {
+    setIsLoading(true);
+    setError(null);
+    let redeemed = false;
+    try {
+      // The voucher use is taken now rather than at booking, and is refused once it runs out
+      if (booking.voucher) {
+        await redeemVoucher(booking.voucher.code, booking.id);
+        redeemed = true;
+      }
+      const created = await paymentGateway.createCharge({
+        bookingId: booking.id,
+        amount: booking.totalPrice,
+        method,
+        expiresAt: getChargeExpiry(booking, method),
+        customer: { name: booking.name, email: booking.email, phone: booking.phone }
+      });
+      redeemed = false;
+      await report(created);
+    } catch (err) {
+      if (redeemed) {
+        releaseVoucher(booking.voucher.code, booking.id).catch(releaseError => {
+          console.warn('Could not release voucher:', releaseError);
+        });
+      }
+      setError(err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [booking, report]);
+
+  const simulate = useCallback(async (outcome) => {
+    if (!charge || !paymentGateway.simulate) return;
+    setIsLoading(true);
+    try {
+      await report(await paymentGateway.simulate(charge.id, outcome, { bookingCode: booking.code }));
+    } catch (err) {
+      setError(err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [booking.code, charge, report]);
+
+  // After a failed charge the customer may pick another method
+  const reset = useCallback(() => {
+    setCharge(null);
+    setError(null);
+  }, []);
+
+  return {
+    charge,
+    isLoading,
+    error,
+    startPayment,
+    simulate,
+    canSimulate: Boolean(paymentGateway.simulate),
+    reset
+  };
+};
+
+export default usePayment;
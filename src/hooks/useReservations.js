@@ -0,0 +1,61 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { fetchReservations } from '../services/availabilityService.js';
+import { fetchUnits, fetchMaintenance } from '../services/fleetService.js';
+import { toUnitSchedules } from '../lib/units.js';
+import { getBookableUnits } from '../lib/maintenance.js';
+import { todayKey } from '../lib/dates.js';
+
+// Reservations and bookable units of one model. Units that are retired or
+// due for service (lib/maintenance.js) are left out of `units`, so they are
+// never offered. `schedules` holds one reservation list per bookable unit, for
+// the model-level checks in lib/units.js; it stays null until everything has
+// loaded so nothing looks booked in the meantime.
+const useReservations = (motorcycleId) => {
+  const [reservations, setReservations] = useState([]);
+  const [units, setUnits] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    setReservations([]);
+    setUnits([]);
+    setIsLoaded(false);
+    setError(null);
+    if (motorcycleId == null) return;
+
+    const controller = new AbortController();
+    setIsLoading(true);
+
+    Promise.all([
+      fetchReservations(motorcycleId, { signal: controller.signal }),
+      fetchUnits({ motorcycleId, signal: controller.signal }),
+      fetchMaintenance({ motorcycleId, signal: controller.signal })
+    ])
+      .then(([reservationData, unitData, maintenanceData]) => {
+        setReservations(reservationData);
+        setUnits(getBookableUnits(unitData, maintenanceData, todayKey()));
+        setIsLoaded(true);
+      })
+      .catch(err => {
+        if (!controller.signal.aborted) setError(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [motorcycleId, attempt]);
+
+  const refresh = useCallback(() => setAttempt(prev => prev + 1), []);
+
+  const schedules = useMemo(
+    () => (isLoaded ? toUnitSchedules(units, reservations) : null),
+    [isLoaded, units, reservations]
+  );
+
+  return { reservations, units, schedules, isLoading, error, refresh };
+};
+
+export default useReservations;
@@ -0,0 +1,45 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { matchRoute } from '../lib/routes.js';
+
+const BASE = import.meta.env.BASE_URL.replace(/\/$/, '');
+
+const readLocation = () => {
+  const { pathname, search, hash } = window.location;
+  const path = pathname.startsWith(BASE) ? pathname.slice(BASE.length) || '/' : pathname;
+  return { pathname: path, search, hash };
+};
+
+// Minimal History API router: `navigate('/motor/2')` pushes a new entry and
+// the back/forward buttons are picked up through popstate.
+const useRouter = () => {
+  const [location, setLocation] = useState(readLocation);
+
+  useEffect(() => {
+    const handlePopState = () => setLocation(readLocation());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = useCallback((to, { replace = false } = {}) => {
+    const url = `${BASE}${to}`;
+    if (replace) window.history.replaceState(null, '', url);
+    else window.history.pushState(null, '', url);
+    setLocation(readLocation());
+  }, []);
+
+  // For <a href> elements: plain clicks navigate in-app, modified clicks open a new tab as usual
+  const linkProps = useCallback((to) => ({
+    href: `${BASE}${to}`,
+    onClick: (e) => {
+      if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+      e.preventDefault();
+      navigate(to);
+    }
+  }), [navigate]);
+
+  const route = useMemo(() => matchRoute(location.pathname), [location.pathname]);
+
+  return { route, location, navigate, linkProps };
+};
+
+export default useRouter;
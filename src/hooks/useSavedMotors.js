@@ -0,0 +1,41 @@
+import { useCallback, useMemo } from 'react';
+import useLocalStorage from './useLocalStorage.js';
+import { SAVED_MOTOR_LIMITS, normalizeIds, includesId, pushRecent, toggleId, mergeIdLists } from '../lib/savedMotors.js';
+
+// Recently viewed and favourite motorcycle ids for this device. `merge` takes
+// lists from elsewhere (an account, once customers can sign in) and returns
+// the combined result so it can be saved back.
+const useSavedMotors = () => {
+  const [storedRecent, setStoredRecent] = useLocalStorage('recentlyViewed', []);
+  const [storedFavourites, setStoredFavourites] = useLocalStorage('favourites', []);
+
+  const recentIds = useMemo(() => normalizeIds(storedRecent), [storedRecent]);
+  const favouriteIds = useMemo(() => normalizeIds(storedFavourites), [storedFavourites]);
+
+  const addRecent = useCallback((id) => {
+    // Skip the write (and the cross-tab event) when the bike is already first
+    setStoredRecent(prev => (Array.isArray(prev) && prev[0] === id ? prev : pushRecent(prev, id)));
+  }, [setStoredRecent]);
+
+  const clearRecent = useCallback(() => setStoredRecent([]), [setStoredRecent]);
+
+  const toggleFavourite = useCallback((id) => {
+    setStoredFavourites(prev => toggleId(prev, id));
+  }, [setStoredFavourites]);
+
+  const isFavourite = useCallback((id) => includesId(favouriteIds, id), [favouriteIds]);
+
+  const merge = useCallback(({ recentlyViewed = [], favourites = [] }) => {
+    const merged = {
+      recentlyViewed: mergeIdLists(recentIds, recentlyViewed, SAVED_MOTOR_LIMITS.recentlyViewed),
+      favourites: mergeIdLists(favouriteIds, favourites, SAVED_MOTOR_LIMITS.favourites)
+    };
+    setStoredRecent(merged.recentlyViewed);
+    setStoredFavourites(merged.favourites);
+    return merged;
+  }, [recentIds, favouriteIds, setStoredRecent, setStoredFavourites]);
+
+  return { recentIds, favouriteIds, addRecent, clearRecent, toggleFavourite, isFavourite, merge };
+};
+
+export default useSavedMotors;
@@ -0,0 +1,32 @@
+// Add-on catalogue entries come from /api/addons:
+//   { id, name, description, price, unit: 'day' | 'once', maxQuantity, icon, categories? }
+// `categories` limits an add-on to bikes of those categories (a surf rack only
+// fits a matic); without it the add-on fits every bike.
+// A selection maps addon id -> quantity.
+
+export const ADDON_UNIT_LABELS = {
+  day: '/hari',
+  once: ' sekali bayar'
+};
+
+export const isAddonAvailableFor = (addon, motor) =>
+  !addon.categories?.length || addon.categories.includes(motor?.category);
+
+export const getAddonsFor = (catalogue, motor) => catalogue.filter(addon => isAddonAvailableFor(addon, motor));
+
+// Snapshot of the chosen add-ons as stored on a booking
+export const selectAddons = (catalogue, selection) =>
+  catalogue
+    .filter(addon => selection[addon.id] > 0)
+    .map(({ id, name, price, unit }) => ({ id, name, price, unit, quantity: selection[id] }));
+
+export const calculateAddonAmount = (item, totalDays) =>
+  item.price * item.quantity * (item.unit === 'day' ? totalDays : 1);
+
+export const calculateAddonLines = (items, totalDays) =>
+  items.map(item => ({
+    type: 'addon',
+    id: item.id,
+    label: `${item.name}${item.quantity > 1 ? ` ×${item.quantity}` : ''}${item.unit === 'day' ? ` (${totalDays} hari)` : ''}`,
+    amount: calculateAddonAmount(item, totalDays)
+  }));
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { isAddonAvailableFor, getAddonsFor, selectAddons, calculateAddonLines } from './addons.js';
+
+const helmet = { id: 'helmet', name: 'Helm Tambahan', price: 10000, unit: 'day', maxQuantity: 2 };
+const surfRack = { id: 'surf-rack', name: 'Surf Rack', price: 20000, unit: 'day', maxQuantity: 1, categories: ['matic'] };
+const delivery = { id: 'delivery', name: 'Antar Hotel', price: 50000, unit: 'once', maxQuantity: 1 };
+const catalogue = [helmet, surfRack, delivery];
+
+describe('getAddonsFor', () => {
+  it('offers a category add-on only for bikes of that category', () => {
+    expect(isAddonAvailableFor(surfRack, { category: 'matic' })).toBe(true);
+    expect(isAddonAvailableFor(surfRack, { category: 'sport' })).toBe(false);
+    expect(getAddonsFor(catalogue, { category: 'sport' }).map(addon => addon.id)).toEqual(['helmet', 'delivery']);
+  });
+
+  it('offers add-ons without categories for every bike', () => {
+    expect(getAddonsFor(catalogue, { category: 'matic' })).toEqual(catalogue);
+  });
+});
+
+describe('selectAddons', () => {
+  it('keeps only chosen add-ons that are on offer', () => {
+    const selection = { helmet: 2, 'surf-rack': 1, delivery: 0 };
+    expect(selectAddons(getAddonsFor(catalogue, { category: 'sport' }), selection))
+      .toEqual([{ id: 'helmet', name: 'Helm Tambahan', price: 10000, unit: 'day', quantity: 2 }]);
+  });
+});
+
+describe('calculateAddonLines', () => {
+  it('charges per-day add-ons for every day and one-off add-ons once', () => {
+    const items = selectAddons(catalogue, { helmet: 2, delivery: 1 });
+    expect(calculateAddonLines(items, 3)).toEqual([
+      { type: 'addon', id: 'helmet', label: 'Helm Tambahan ×2 (3 hari)', amount: 60000 },
+      { type: 'addon', id: 'delivery', label: 'Antar Hotel', amount: 50000 }
+    ]);
+  });
+});
@@ -0,0 +1,119 @@
+import { formatDateTime, TIMEZONE } from './dates.js';
+import { describeLocation } from './locations.js';
+import { DEPOSIT_METHODS } from './deposits.js';
+import { RENTAL_TIME_POLICY } from './rentalTime.js';
+import { BOOKING_POLICY } from './bookingPolicy.js';
+import { formatUnit } from './units.js';
+import { createPdfDocument } from './pdf.js';
+
+// Rental agreement the customer signs on screen once the booking is confirmed.
+// The signed PDF is uploaded as a document and the booking keeps
+//   agreement: { version, documentId, fileName, signerName, signedAt }
+// Bump the version whenever the terms change so older signatures stay traceable.
+
+export const AGREEMENT_VERSION = '2025-01';
+
+export const LESSOR = {
+  name: 'MotorRent',
+  address: 'Jl. Raya Kuta No.123, Badung, Bali 80361',
+  phone: '+62 812-3456-7890',
+  email: 'info@motorrent.com'
+};
+
+// Each term in both languages; the Indonesian text prevails (last term)
+export const AGREEMENT_TERMS = [
+  {
+    id: 'Motor hanya boleh dikendarai oleh Penyewa yang memiliki SIM C atau SIM internasional yang berlaku, di wilayah Bali, dan tidak boleh disewakan kembali, dipakai balapan, atau membawa lebih dari dua orang.',
+    en: 'The motorcycle may only be ridden by the Renter holding a valid Indonesian class C or international driving licence, within Bali, and may not be sublet, raced or carry more than two people.'
+  },
+  {
+    id: 'Pengendara dan penumpang wajib memakai helm dan mematuhi peraturan lalu lintas. Denda tilang selama masa sewa menjadi tanggung jawab Penyewa.',
+    en: 'Rider and passenger must wear helmets and obey traffic law. Traffic fines incurred during the rental are paid by the Renter.'
+  },
+  {
+    id: `Motor dikembalikan pada waktu dan lokasi yang disepakati. Keterlambatan lebih dari ${RENTAL_TIME_POLICY.graceMinutes} menit dikenakan biaya per jam sebesar ${RENTAL_TIME_POLICY.lateReturnHourRate * 100}% dari tarif harian.`,
+    en: `The motorcycle is returned at the agreed time and place. Returns more than ${RENTAL_TIME_POLICY.graceMinutes} minutes late are charged per hour at ${RENTAL_TIME_POLICY.lateReturnHourRate * 100}% of the daily rate.`
+  },
+  {
+    id: 'Motor dikembalikan dengan jumlah bensin yang sama seperti saat pengambilan; kekurangannya ditagihkan kepada Penyewa.',
+    en: 'The motorcycle is returned with the same fuel level as at pickup; any shortfall is charged to the Renter.'
+  },
+  {
+    id: 'Kondisi motor dicatat dan difoto saat pengambilan dan pengembalian. Kerusakan baru menjadi tanggung jawab Penyewa, dipotong dari deposit, dan sisanya dibayar saat pengembalian.',
+    en: 'The condition of the motorcycle is recorded and photographed at pickup and return. New damage is the Renter\'s responsibility, is deducted from the deposit, and any remainder is paid on return.'
+  },
+  {
+    id: 'Kehilangan motor, kunci atau STNK wajib segera dilaporkan kepada polisi dan kepada kami. Penyewa menanggung kerugian yang timbul karena kelalaiannya.',
+    en: 'Loss of the motorcycle, keys or registration papers must be reported to the police and to us immediately. The Renter bears any loss caused by their negligence.'
+  },
+  {
+    id: 'Jika motor mogok atau rusak, hubungi kami sebelum melakukan perbaikan. Perbaikan tanpa persetujuan kami tidak diganti.',
+    en: 'If the motorcycle breaks down, contact us before any repair. Repairs made without our approval are not reimbursed.'
+  },
+  {
+    id: `Pembatalan gratis hingga ${BOOKING_POLICY.freeCancellationHours} jam sebelum pengambilan; setelahnya dikenakan biaya ${BOOKING_POLICY.lateCancellationFeeRate * 100}% dari harga sewa.`,
+    en: `Cancellation is free up to ${BOOKING_POLICY.freeCancellationHours} hours before pickup; after that a fee of ${BOOKING_POLICY.lateCancellationFeeRate * 100}% of the rental price applies.`
+  },
+  {
+    id: 'Perjanjian ini tunduk pada hukum Republik Indonesia. Jika terdapat perbedaan, versi Bahasa Indonesia yang berlaku.',
+    en: 'This agreement is governed by the laws of the Republic of Indonesia. In case of any difference, the Indonesian version prevails.'
+  }
+];
+
+const formatRupiah = (amount) => `Rp ${amount.toLocaleString('id-ID')}`;
+
+const describeDeposit = (deposit) => deposit.method === 'id'
+  ? `${DEPOSIT_METHODS.id.label} (jaminan ${formatRupiah(deposit.amount)})`
+  : `${formatRupiah(deposit.amount)} tunai / cash`;
+
+// The filled-in part of the template, with bilingual labels, shared by the preview and the PDF
+export const getAgreementDetails = (booking) => [
+  { label: 'Kode booking / Booking code', value: booking.code },
+  { label: 'Penyewa / Renter', value: booking.name },
+  { label: 'Telepon & email / Phone & email', value: `${booking.phone} · ${booking.email}` },
+  booking.verification && {
+    label: 'Identitas / ID',
+    value: `${booking.verification.identity.type === 'passport' ? 'Paspor' : 'KTP'} ${booking.verification.identity.number} · SIM ${booking.verification.licence.number}`
+  },
+  { label: 'Motor / Motorcycle', value: booking.unit ? `${booking.motor.name} (${formatUnit(booking.unit)})` : booking.motor.name },
+  { label: 'Mulai / Start', value: formatDateTime(booking.startDate, booking.startTime) },
+  { label: 'Selesai / End', value: formatDateTime(booking.endDate, booking.endTime) },
+  booking.pickup && { label: 'Pengambilan / Pickup', value: describeLocation(booking.pickup) },
+  booking.dropoff && { label: 'Pengembalian / Return', value: describeLocation(booking.dropoff) },
+  { label: 'Total sewa / Rental total', value: `${formatRupiah(booking.totalPrice)} (${booking.totalDays} hari / days)` },
+  booking.deposit && { label: 'Deposit', value: describeDeposit(booking.deposit) }
+].filter(Boolean);
+
+export const getAgreementFileName = (booking) => `perjanjian-sewa-${booking.code}.pdf`;
+
+// `signature` is a JPEG from the signature pad: { dataUrl, width, height }
+export const renderAgreementPdf = (booking, { signature, signerName, signedAt }) => {
+  const doc = createPdfDocument({ title: `Perjanjian Sewa ${booking.code}` });
+
+  doc.text('PERJANJIAN SEWA SEPEDA MOTOR', { size: 16, bold: true });
+  doc.text('Motorcycle Rental Agreement', { size: 11, color: '#6b7280' });
+  doc.gap(4);
+  doc.text(`${LESSOR.name} · ${LESSOR.address} · ${LESSOR.phone}`, { size: 9, color: '#6b7280' });
+  doc.text(`Versi / Version ${AGREEMENT_VERSION}`, { size: 9, color: '#6b7280' });
+  doc.rule();
+
+  getAgreementDetails(booking).forEach(detail => doc.row(detail.label, detail.value, { valueWidth: 300 }));
+  doc.rule();
+
+  doc.gap(4);
+  doc.text('Ketentuan Sewa', { size: 12, bold: true });
+  AGREEMENT_TERMS.forEach((term, index) => doc.text(`${index + 1}. ${term.id}`, { size: 9.5 }));
+  doc.gap(8);
+  doc.text('Terms and Conditions', { size: 12, bold: true });
+  AGREEMENT_TERMS.forEach((term, index) => doc.text(`${index + 1}. ${term.en}`, { size: 9.5 }));
+
+  doc.gap(12);
+  doc.ensureSpace(140);
+  doc.text('Dengan menandatangani, Penyewa menyetujui seluruh ketentuan di atas. / By signing, the Renter accepts all terms above.', { size: 9.5 });
+  doc.gap(6);
+  doc.image(signature.dataUrl, { width: 180, pixelWidth: signature.width, pixelHeight: signature.height });
+  doc.text(signerName, { bold: true });
+  doc.text(`Ditandatangani secara elektronik / Signed electronically: ${new Date(signedAt).toLocaleString('id-ID', { dateStyle: 'long', timeStyle: 'short', timeZone: TIMEZONE })} WITA`, { size: 9, color: '#6b7280' });
+
+  return doc.toDataUrl();
+};
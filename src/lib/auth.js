@@ -0,0 +1,121 @@
+import { LICENCE_TYPES, IDENTITY_TYPES } from './verification.js';
+
+// Customer accounts. A user looks like
+//   { id, name, email, phone, role, rider: { licenceType, ... }, savedMotors, createdAt }
+// where `rider` holds the licence and identity details that prefill the
+// booking form. Document photos are never stored on the account.
+
+export const OTP_POLICY = {
+  length: 6,
+  ttlMinutes: 5,
+  maxAttempts: 5,
+  resendSeconds: 60
+};
+
+export const PASSWORD_MIN_LENGTH = 8;
+
+// Roles allowed into /admin. The backend enforces this on every admin request;
+// the client check only decides what to show.
+export const STAFF_ROLES = ['staff', 'admin'];
+
+export const isStaff = (user) => Boolean(user && STAFF_ROLES.includes(user.role));
+
+export const RIDER_FIELDS = ['licenceType', 'licenceNumber', 'licenceExpiry', 'idType', 'idNumber', 'nationality'];
+
+const EMAIL_PATTERN = /\S+@\S+\.\S+/;
+
+// Indonesian numbers in any common spelling (0812…, 62812…, +62 812-…) become +62812…
+export const normalizePhone = (value = '') => {
+  const digits = value.replace(/[^\d+]/g, '');
+  if (digits.startsWith('+')) return digits;
+  if (digits.startsWith('62')) return `+${digits}`;
+  if (digits.startsWith('0')) return `+62${digits.slice(1)}`;
+  return digits;
+};
+
+export const isValidPhone = (value) => /^\+62\d{8,13}$/.test(normalizePhone(value));
+
+export const normalizeEmail = (value = '') => value.trim().toLowerCase();
+
+export const validateLogin = (data) => {
+  const errors = {};
+  if (!data.email.trim()) errors.email = 'Email harus diisi';
+  else if (!EMAIL_PATTERN.test(data.email)) errors.email = 'Email tidak valid';
+  if (!data.password) errors.password = 'Kata sandi harus diisi';
+  return errors;
+};
+
+export const validateRegistration = (data) => {
+  const errors = validateLogin(data);
+  if (!data.name.trim()) errors.name = 'Nama harus diisi';
+  if (data.password && data.password.length < PASSWORD_MIN_LENGTH) {
+    errors.password = `Kata sandi minimal ${PASSWORD_MIN_LENGTH} karakter`;
+  }
+  if (data.phone && !isValidPhone(data.phone)) errors.phone = 'Nomor telepon tidak valid';
+  return errors;
+};
+
+export const validateOtpRequest = (data) => {
+  const errors = {};
+  if (!data.phone.trim()) errors.phone = 'Nomor telepon harus diisi';
+  else if (!isValidPhone(data.phone)) errors.phone = 'Nomor telepon tidak valid';
+  return errors;
+};
+
+export const validateOtpCode = (data) => {
+  const errors = {};
+  if (!new RegExp(`^\\d{${OTP_POLICY.length}}$`).test(data.code.trim())) {
+    errors.code = `Masukkan ${OTP_POLICY.length} digit kode OTP`;
+  }
+  return errors;
+};
+
+// Rider details are optional on the profile; whatever is filled in must be valid
+export const validateProfile = (data) => {
+  const errors = {};
+  if (!data.name.trim()) errors.name = 'Nama harus diisi';
+  if (data.email && !EMAIL_PATTERN.test(data.email)) errors.email = 'Email tidak valid';
+  if (data.phone && !isValidPhone(data.phone)) errors.phone = 'Nomor telepon tidak valid';
+
+  const licence = LICENCE_TYPES[data.licenceType];
+  if (data.licenceNumber && licence && !licence.pattern.test(data.licenceNumber.replace(/\s+/g, ''))) {
+    errors.licenceNumber = `Nomor SIM tidak valid (${licence.hint})`;
+  }
+  const identity = IDENTITY_TYPES[data.idType];
+  if (data.idNumber && identity && !identity.pattern.test(data.idNumber.replace(/\s+/g, ''))) {
+    errors.idNumber = `Nomor identitas tidak valid (${identity.hint})`;
+  }
+  return errors;
+};
+
+export const toProfileValues = (user) => ({
+  name: user?.name || '',
+  email: user?.email || '',
+  phone: user?.phone || '',
+  ...Object.fromEntries(RIDER_FIELDS.map(field => [field, user?.rider?.[field] || ''])),
+  licenceType: user?.rider?.licenceType || 'sim_c',
+  idType: user?.rider?.idType || 'ktp'
+});
+
+export const fromProfileValues = (values) => ({
+  name: values.name.trim(),
+  email: normalizeEmail(values.email),
+  phone: values.phone ? normalizePhone(values.phone) : '',
+  rider: Object.fromEntries(RIDER_FIELDS.map(field => [field, values[field]?.trim?.() ?? values[field]]))
+});
+
+// Booking form defaults for a signed-in customer; empty fields are left out
+// so they keep the form's own defaults
+export const toRiderDefaults = (user) => {
+  if (!user) return null;
+  const values = { name: user.name, email: user.email, phone: user.phone, ...user.rider };
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value));
+};
+
+// The backend links a booking made before signing in only to an account with
+// the same contact details
+export const isBookingOfUser = (booking, user) => {
+  if (booking.userId) return booking.userId === user.id;
+  if (user.email && normalizeEmail(booking.email) === user.email) return true;
+  return Boolean(user.phone && booking.phone && normalizePhone(booking.phone) === user.phone);
+};
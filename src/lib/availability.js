@@ -0,0 +1,76 @@
+import { OPERATING_HOURS } from './rentalTime.js';
+
+// A reservation occupies [start, end), each end being a date plus an optional
+// "HH:MM" WITA time. Reservations without times run midnight to midnight, so
+// the bike is back on the morning of endDate and can go out again that day.
+
+const MS_PER_MINUTE = 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toSlot = (date, time) => `${date}T${time || '00:00'}`;
+const rangeStart = (range) => toSlot(range.startDate, range.startTime);
+const rangeEnd = (range) => toSlot(range.endDate, range.endTime);
+
+// Slot arithmetic in UTC keeps it independent of the device timezone
+const slotToMinutes = (slot) => {
+  const [year, month, day, hours, minutes] = slot.split(/[-T:]/).map(Number);
+  return Date.UTC(year, month - 1, day, hours, minutes) / MS_PER_MINUTE;
+};
+
+const minutesToSlot = (total) => {
+  const date = new Date(total * MS_PER_MINUTE);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`
+    + `T${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+};
+
+const splitSlot = (slot) => {
+  const [date, time] = slot.split('T');
+  return { date, time };
+};
+
+export const rangesOverlap = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+export const findConflicts = (reservations, range) =>
+  reservations.filter(reservation =>
+    rangesOverlap(rangeStart(range), rangeEnd(range), rangeStart(reservation), rangeEnd(reservation))
+  );
+
+export const isRangeAvailable = (reservations, range) =>
+  findConflicts(reservations, range).length === 0;
+
+// A day is reserved when the bike is out for the whole of that day's operating hours
+export const isDateReserved = (reservations, date, hours = OPERATING_HOURS) =>
+  reservations.some(reservation =>
+    rangeStart(reservation) <= toSlot(date, hours.open) && toSlot(date, hours.close) <= rangeEnd(reservation)
+  );
+
+// Moves a pickup that falls outside operating hours to the next opening time
+const clampToOperatingHours = (slot, hours) => {
+  const { date, time } = splitSlot(slot);
+  if (time < hours.open) return toSlot(date, hours.open);
+  if (time > hours.close) return minutesToSlot(slotToMinutes(toSlot(date, hours.open)) + 24 * 60);
+  return slot;
+};
+
+// Earliest window of the same length starting at or after the requested pickup
+export const findNextFreeWindow = (reservations, range, hours = OPERATING_HOURS) => {
+  const length = Math.max(24 * 60, slotToMinutes(rangeEnd(range)) - slotToMinutes(rangeStart(range)));
+  let candidate = rangeStart(range);
+
+  for (;;) {
+    const end = minutesToSlot(slotToMinutes(candidate) + length);
+    const blocking = reservations.filter(reservation =>
+      rangesOverlap(candidate, end, rangeStart(reservation), rangeEnd(reservation))
+    );
+    if (blocking.length === 0) break;
+    // Keep the customer's preferred pickup time when the bike is back before it
+    const latestEnd = blocking.map(rangeEnd).sort().pop();
+    const preferred = toSlot(splitSlot(latestEnd).date, range.startTime);
+    candidate = clampToOperatingHours(preferred > latestEnd ? preferred : latestEnd, hours);
+  }
+
+  const start = splitSlot(candidate);
+  const end = splitSlot(minutesToSlot(slotToMinutes(candidate) + length));
+  return { startDate: start.date, startTime: start.time, endDate: end.date, endTime: end.time };
+};
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { rangesOverlap, findConflicts, isRangeAvailable, isDateReserved, findNextFreeWindow } from './availability.js';
+
+const reservation = { startDate: '2030-03-04', startTime: '09:00', endDate: '2030-03-06', endTime: '09:00' };
+
+describe('rangesOverlap', () => {
+  it('treats ranges as half-open', () => {
+    expect(rangesOverlap('a', 'c', 'b', 'd')).toBe(true);
+    expect(rangesOverlap('a', 'b', 'b', 'c')).toBe(false);
+  });
+});
+
+describe('findConflicts', () => {
+  it('finds reservations overlapping the requested range', () => {
+    const range = { startDate: '2030-03-05', startTime: '10:00', endDate: '2030-03-07', endTime: '10:00' };
+    expect(findConflicts([reservation], range)).toEqual([reservation]);
+    expect(isRangeAvailable([reservation], range)).toBe(false);
+  });
+
+  it('lets the next rental start when the bike comes back', () => {
+    const range = { startDate: '2030-03-06', startTime: '09:00', endDate: '2030-03-07', endTime: '09:00' };
+    expect(isRangeAvailable([reservation], range)).toBe(true);
+  });
+
+  it('runs reservations without times from midnight to midnight', () => {
+    const allDay = { startDate: '2030-03-04', endDate: '2030-03-06' };
+    expect(isRangeAvailable([allDay], { startDate: '2030-03-06', startTime: '08:00', endDate: '2030-03-07', endTime: '08:00' })).toBe(true);
+    expect(isRangeAvailable([allDay], { startDate: '2030-03-05', startTime: '21:00', endDate: '2030-03-06', endTime: '08:00' })).toBe(false);
+  });
+});
+
+describe('isDateReserved', () => {
+  it('marks only days the bike is out for all operating hours', () => {
+    expect(isDateReserved([reservation], '2030-03-04')).toBe(false);
+    expect(isDateReserved([reservation], '2030-03-05')).toBe(true);
+    expect(isDateReserved([reservation], '2030-03-06')).toBe(false);
+  });
+});
+
+describe('findNextFreeWindow', () => {
+  it('keeps a free range as it is', () => {
+    const range = { startDate: '2030-03-10', startTime: '09:00', endDate: '2030-03-11', endTime: '09:00' };
+    expect(findNextFreeWindow([reservation], range)).toEqual(range);
+  });
+
+  it('moves past a blocking reservation keeping the preferred pickup time', () => {
+    const range = { startDate: '2030-03-05', startTime: '10:00', endDate: '2030-03-07', endTime: '10:00' };
+    expect(findNextFreeWindow([reservation], range))
+      .toEqual({ startDate: '2030-03-06', startTime: '10:00', endDate: '2030-03-08', endTime: '10:00' });
+  });
+
+  it('moves a pickup after closing time to the next opening', () => {
+    const late = { startDate: '2030-03-04', startTime: '09:00', endDate: '2030-03-05', endTime: '22:30' };
+    const range = { startDate: '2030-03-05', startTime: '08:00', endDate: '2030-03-06', endTime: '08:00' };
+    expect(findNextFreeWindow([late], range))
+      .toEqual({ startDate: '2030-03-06', startTime: '06:00', endDate: '2030-03-07', endTime: '06:00' });
+  });
+});
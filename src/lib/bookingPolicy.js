@@ -0,0 +1,63 @@
+import { toWitaDate } from './dates.js';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Once staff hand the bike over, the clock no longer decides
+const STARTED_STATUSES = ['picked_up', 'returned', 'closed'];
+
+// Default rules for changing a confirmed booking. Every evaluate* function
+// takes a policy override so promotions or partners can use different terms.
+export const BOOKING_POLICY = {
+  // Pickup time (WITA) assumed for bookings made before pickup times were recorded
+  defaultPickupTime: '08:00',
+  freeCancellationHours: 24,
+  lateCancellationFeeRate: 0.5,
+  rescheduleCutoffHours: 24,
+  lateRescheduleFee: 50000
+};
+
+export const getPickupTime = (booking, policy = BOOKING_POLICY) =>
+  toWitaDate(booking.startDate, booking.startTime || policy.defaultPickupTime);
+
+export const hoursUntilPickup = (booking, now = new Date(), policy = BOOKING_POLICY) =>
+  (getPickupTime(booking, policy) - now) / MS_PER_HOUR;
+
+export const evaluateCancellation = (booking, { now = new Date(), policy = BOOKING_POLICY } = {}) => {
+  if (booking.status === 'cancelled' || booking.status === 'expired') {
+    return { allowed: false, reason: 'Booking ini sudah dibatalkan' };
+  }
+  if (STARTED_STATUSES.includes(booking.status)) {
+    return { allowed: false, reason: 'Booking yang sudah dimulai tidak dapat dibatalkan' };
+  }
+  // Nothing has been paid yet, so releasing the dates costs nothing
+  if (booking.status === 'pending') {
+    return { allowed: true, free: true, fee: 0, refund: 0 };
+  }
+  const hours = hoursUntilPickup(booking, now, policy);
+  if (hours <= 0) {
+    return { allowed: false, reason: 'Booking yang sudah dimulai tidak dapat dibatalkan' };
+  }
+
+  const free = hours > policy.freeCancellationHours;
+  const fee = free ? 0 : Math.round(booking.totalPrice * policy.lateCancellationFeeRate);
+  return { allowed: true, free, fee, refund: booking.totalPrice - fee };
+};
+
+export const evaluateReschedule = (booking, { now = new Date(), policy = BOOKING_POLICY } = {}) => {
+  if (booking.status === 'cancelled' || booking.status === 'expired') {
+    return { allowed: false, reason: 'Booking yang dibatalkan tidak dapat diubah' };
+  }
+  if (STARTED_STATUSES.includes(booking.status)) {
+    return { allowed: false, reason: 'Booking yang sudah dimulai tidak dapat diubah jadwalnya' };
+  }
+  if (booking.status === 'pending') {
+    return { allowed: false, reason: 'Selesaikan pembayaran sebelum mengubah jadwal' };
+  }
+  const hours = hoursUntilPickup(booking, now, policy);
+  if (hours <= 0) {
+    return { allowed: false, reason: 'Booking yang sudah dimulai tidak dapat diubah jadwalnya' };
+  }
+
+  const free = hours > policy.rescheduleCutoffHours;
+  return { allowed: true, free, fee: free ? 0 : policy.lateRescheduleFee };
+};
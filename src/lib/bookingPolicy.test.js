@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { BOOKING_POLICY, hoursUntilPickup, evaluateCancellation, evaluateReschedule } from './bookingPolicy.js';
+
+const booking = { status: 'confirmed', startDate: '2030-03-10', startTime: '09:00', totalPrice: 300000 };
+// Hours before the 09:00 WITA pickup
+const hoursBefore = (hours) => new Date(Date.parse('2030-03-10T09:00:00+08:00') - hours * 60 * 60 * 1000);
+
+describe('hoursUntilPickup', () => {
+  it('counts from the WITA pickup time', () => {
+    expect(hoursUntilPickup(booking, hoursBefore(30))).toBe(30);
+  });
+
+  it('assumes the default pickup time for older bookings', () => {
+    expect(hoursUntilPickup({ ...booking, startTime: undefined }, hoursBefore(30))).toBe(29);
+  });
+});
+
+describe('evaluateCancellation', () => {
+  it('is free more than a day before pickup', () => {
+    expect(evaluateCancellation(booking, { now: hoursBefore(25) })).toEqual({ allowed: true, free: true, fee: 0, refund: 300000 });
+  });
+
+  it('charges the late fee within a day of pickup', () => {
+    expect(evaluateCancellation(booking, { now: hoursBefore(24) })).toEqual({ allowed: true, free: false, fee: 150000, refund: 150000 });
+  });
+
+  it('refuses once pickup time has passed', () => {
+    expect(evaluateCancellation(booking, { now: hoursBefore(0) }).allowed).toBe(false);
+  });
+
+  it('lets unpaid bookings go without a fee', () => {
+    expect(evaluateCancellation({ ...booking, status: 'pending' }, { now: hoursBefore(1) }))
+      .toEqual({ allowed: true, free: true, fee: 0, refund: 0 });
+  });
+
+  it('refuses cancelled and started bookings', () => {
+    expect(evaluateCancellation({ ...booking, status: 'expired' }).reason).toBe('Booking ini sudah dibatalkan');
+    expect(evaluateCancellation({ ...booking, status: 'picked_up' }, { now: hoursBefore(48) }).allowed).toBe(false);
+  });
+
+  it('takes a policy override', () => {
+    const policy = { ...BOOKING_POLICY, freeCancellationHours: 48, lateCancellationFeeRate: 0.2 };
+    expect(evaluateCancellation(booking, { now: hoursBefore(30), policy })).toMatchObject({ free: false, fee: 60000 });
+  });
+});
+
+describe('evaluateReschedule', () => {
+  it('is free before the cutoff and charged after it', () => {
+    expect(evaluateReschedule(booking, { now: hoursBefore(25) })).toEqual({ allowed: true, free: true, fee: 0 });
+    expect(evaluateReschedule(booking, { now: hoursBefore(2) })).toEqual({ allowed: true, free: false, fee: BOOKING_POLICY.lateRescheduleFee });
+  });
+
+  it('needs the booking to be paid and not yet started', () => {
+    expect(evaluateReschedule({ ...booking, status: 'pending' }, { now: hoursBefore(48) }).reason)
+      .toBe('Selesaikan pembayaran sebelum mengubah jadwal');
+    expect(evaluateReschedule({ ...booking, status: 'cancelled' }).allowed).toBe(false);
+    expect(evaluateReschedule(booking, { now: hoursBefore(-1) }).allowed).toBe(false);
+  });
+});
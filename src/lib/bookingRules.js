@@ -0,0 +1,64 @@
+import { nowInWita, toWitaDate } from './dates.js';
+import { calculatePrice } from './pricing.js';
+import { OPERATING_HOURS, RENTAL_TIME_POLICY, isWithinOperatingHours, calculateRentalDuration } from './rentalTime.js';
+import { calculateVoucherDiscount } from './vouchers.js';
+import { calculateAddonLines } from './addons.js';
+import { findModelConflicts, isModelDateReserved } from './units.js';
+
+// Shared by BookingModal and the reschedule flow so both accept exactly the same dates and price.
+// Dates and "HH:MM" times are WITA wall-clock values. `schedules` are the
+// model's per-unit reservations (lib/units.js); null skips the availability checks.
+
+export const validateRentalDates = (range, schedules = null, now = new Date()) => {
+  const { startDate, startTime, endDate, endTime } = range;
+  const hoursLabel = `${OPERATING_HOURS.open}–${OPERATING_HOURS.close} WITA`;
+  const errors = {};
+
+  if (!startDate) errors.startDate = 'Tanggal mulai harus diisi';
+  else if (startDate < nowInWita(now).date) errors.startDate = 'Tanggal mulai tidak boleh sebelum hari ini';
+  else if (schedules && isModelDateReserved(schedules, startDate)) errors.startDate = 'Motor sudah dipesan pada tanggal ini';
+  if (!startTime) errors.startTime = 'Jam pengambilan harus diisi';
+  else if (!isWithinOperatingHours(startTime)) errors.startTime = `Pengambilan hanya pukul ${hoursLabel}`;
+  else if (startDate && !errors.startDate
+    && toWitaDate(startDate, startTime) - now < RENTAL_TIME_POLICY.minLeadMinutes * 60 * 1000) {
+    errors.startTime = `Jam pengambilan minimal ${RENTAL_TIME_POLICY.minLeadMinutes / 60} jam dari sekarang`;
+  }
+
+  if (!endDate) errors.endDate = 'Tanggal selesai harus diisi';
+  else if (endDate < startDate) errors.endDate = 'Tanggal selesai harus setelah tanggal mulai';
+  if (!endTime) errors.endTime = 'Jam pengembalian harus diisi';
+  else if (!isWithinOperatingHours(endTime)) errors.endTime = `Pengembalian hanya pukul ${hoursLabel}`;
+
+  if (startDate && endDate && startTime && endTime && !errors.endDate) {
+    if (toWitaDate(endDate, endTime) <= toWitaDate(startDate, startTime)) {
+      errors.endTime = 'Waktu pengembalian harus setelah waktu pengambilan';
+    } else if (schedules && findModelConflicts(schedules, range).length > 0) {
+      errors.endDate = 'Motor sudah dipesan pada waktu tersebut';
+    }
+  }
+  return errors;
+};
+
+export const calculateRental = (motor, range) => {
+  const { billableDays, overageHours } = calculateRentalDuration(range);
+  const priceBreakdown = calculatePrice(motor, { startDate: range.startDate, totalDays: billableDays, overageHours });
+  return { totalDays: billableDays, overageHours, totalPrice: priceBreakdown.totalPrice, priceBreakdown };
+};
+
+// Everything charged on top of (or taken off) the rental price. `voucher` must already be
+// validated; it only discounts the rental itself, not add-ons or fees.
+export const buildPriceSummary = ({ priceBreakdown, voucher = null, addons = [], locationCharges = [], fees = [] }) => {
+  const discount = voucher ? calculateVoucherDiscount(voucher, priceBreakdown.totalPrice) : 0;
+  const lines = [
+    ...calculateAddonLines(addons, priceBreakdown.totalDays),
+    ...locationCharges,
+    ...fees.map(fee => ({ type: 'fee', label: fee.label, amount: fee.amount })),
+    ...(discount > 0 ? [{ type: 'voucher', label: `Voucher ${voucher.code}`, amount: -discount }] : [])
+  ];
+
+  return {
+    lines,
+    discount,
+    totalPrice: priceBreakdown.totalPrice + lines.reduce((sum, line) => sum + line.amount, 0)
+  };
+};
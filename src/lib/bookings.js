@@ -0,0 +1,219 @@
+import { toDateKey, toWitaDate } from './dates.js';
+import { buildPriceSummary } from './bookingRules.js';
+import { toBookingPayment } from './payments.js';
+import { holdDeposit, releaseDeposit, captureDeposit } from './deposits.js';
+import { toBookingUnit } from './units.js';
+import { INSPECTION_STAGES, getDamageCharge, describeDamage } from './inspections.js';
+import { buildInvoice, buildReceipt } from './invoices.js';
+import { recheckBookingVoucher } from './vouchers.js';
+
+// No 0/O or 1/I so codes survive being read out over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const generateBookingCode = (date = new Date()) => {
+  const stamp = toDateKey(date).slice(2).replace(/-/g, '');
+  const suffix = Array.from(crypto.getRandomValues(new Uint8Array(4)))
+    .map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+    .join('');
+  return `MR-${stamp}-${suffix}`;
+};
+
+// Keep a snapshot of the bike as it was booked; the fleet entry may change later.
+// New bookings wait for payment and are confirmed once the charge is paid.
+// `code` is passed when it was picked earlier, for the reservation made first.
+export const createBookingRecord = ({ motor, code = generateBookingCode(), ...details }) => {
+  return {
+    ...details,
+    id: code,
+    code,
+    status: 'pending',
+    payment: null,
+    createdAt: new Date().toISOString(),
+    fees: [],
+    history: [],
+    motorcycleId: motor.id,
+    motor: { id: motor.id, name: motor.name, image: motor.image, price: motor.price, rates: motor.rates, category: motor.category }
+  };
+};
+
+export const BOOKING_PHASES = {
+  pending: { label: 'Menunggu Pembayaran', className: 'bg-amber-100 text-amber-800' },
+  upcoming: { label: 'Akan Datang', className: 'bg-blue-100 text-blue-800' },
+  active: { label: 'Sedang Berjalan', className: 'bg-green-100 text-green-800' },
+  past: { label: 'Selesai', className: 'bg-gray-100 text-gray-700' },
+  cancelled: { label: 'Dibatalkan', className: 'bg-red-100 text-red-700' }
+};
+
+export const getBookingPhase = (booking, now = new Date()) => {
+  if (booking.status === 'cancelled' || booking.status === 'expired') return 'cancelled';
+  if (booking.status === 'pending') return 'pending';
+  if (booking.status === 'picked_up') return 'active';
+  if (booking.status === 'returned' || booking.status === 'closed') return 'past';
+  if (now < toWitaDate(booking.startDate, booking.startTime)) return 'upcoming';
+  if (now < toWitaDate(booking.endDate, booking.endTime)) return 'active';
+  return 'past';
+};
+
+const withHistory = (booking, entry) => ({
+  ...booking,
+  history: [...(booking.history || []), { ...entry, at: new Date().toISOString() }]
+});
+
+export const expireBookingRecord = (booking) => withHistory({
+  ...booking,
+  status: 'expired',
+  payment: booking.payment && { ...booking.payment, status: 'expired' }
+}, { type: 'expired' });
+
+// Keeps a booking in step with its latest charge. A failed charge leaves the
+// booking pending so the customer can try another method before the hold runs out.
+export const applyPaymentUpdate = (booking, charge) => {
+  const payment = toBookingPayment(charge);
+  if (charge.status === 'paid') {
+    return withHistory({ ...booking, status: 'confirmed', payment }, { type: 'paid', method: charge.method, amount: charge.amount });
+  }
+  if (charge.status === 'expired') {
+    return expireBookingRecord({ ...booking, payment });
+  }
+  return { ...booking, payment };
+};
+
+export const cancelBookingRecord = (booking, { fee, refund }) => withHistory({
+  ...booking,
+  status: 'cancelled',
+  cancellation: { cancelledAt: new Date().toISOString(), fee, refund }
+}, { type: 'cancelled', fee, refund });
+
+// The rental is repriced for the new dates; a late-change fee is kept as a separate
+// line. The voucher is re-applied to the new rental price while the new dates
+// still meet its terms, and dropped otherwise, which the history notes.
+export const rescheduleBookingRecord = (booking, { startDate, startTime, endDate, endTime, totalDays, priceBreakdown, fee = 0 }) => {
+  const fees = fee > 0
+    ? [...(booking.fees || []), { type: 'reschedule', label: 'Biaya ubah jadwal', amount: fee }]
+    : (booking.fees || []);
+  const voucherCheck = recheckBookingVoucher(booking, { totalDays, subtotal: priceBreakdown.totalPrice });
+  const voucher = voucherCheck?.valid ? booking.voucher : null;
+  const summary = buildPriceSummary({ priceBreakdown, voucher, addons: booking.addons, locationCharges: booking.locationCharges, fees });
+
+  return withHistory({
+    ...booking,
+    startDate,
+    startTime,
+    endDate,
+    endTime,
+    totalDays,
+    totalPrice: summary.totalPrice,
+    priceBreakdown,
+    fees,
+    ...(booking.voucher && { voucher: voucher && { ...voucher, discount: summary.discount } })
+  }, {
+    type: 'rescheduled',
+    from: { startDate: booking.startDate, startTime: booking.startTime, endDate: booking.endDate, endTime: booking.endTime },
+    to: { startDate, startTime, endDate, endTime },
+    fee,
+    ...(booking.voucher && !voucher && { voucherRemoved: { code: booking.voucher.code, reason: voucherCheck.error } })
+  });
+};
+
+// Operational status as staff see it. The customer-facing phase above is
+// derived from this plus the clock.
+export const BOOKING_STATUSES = {
+  pending: { label: 'Menunggu Pembayaran', className: 'bg-amber-100 text-amber-800' },
+  confirmed: { label: 'Terkonfirmasi', className: 'bg-blue-100 text-blue-800' },
+  picked_up: { label: 'Sedang Disewa', className: 'bg-green-100 text-green-800' },
+  returned: { label: 'Dikembalikan', className: 'bg-indigo-100 text-indigo-800' },
+  closed: { label: 'Selesai', className: 'bg-gray-100 text-gray-700' },
+  cancelled: { label: 'Dibatalkan', className: 'bg-red-100 text-red-700' },
+  expired: { label: 'Kedaluwarsa', className: 'bg-red-100 text-red-700' }
+};
+
+// Allowed staff actions from each status, in the order they are offered.
+// Confirming a pending booking covers payments taken outside the gateway.
+export const STATUS_TRANSITIONS = {
+  pending: [{ to: 'confirmed', label: 'Konfirmasi' }, { to: 'cancelled', label: 'Batalkan' }],
+  confirmed: [{ to: 'picked_up', label: 'Tandai Diambil' }, { to: 'cancelled', label: 'Batalkan' }],
+  picked_up: [{ to: 'returned', label: 'Tandai Dikembalikan' }],
+  returned: [{ to: 'closed', label: 'Tutup' }],
+  closed: [],
+  cancelled: [],
+  expired: []
+};
+
+export const getAllowedTransitions = (booking) => STATUS_TRANSITIONS[booking.status] || [];
+
+// Moves a booking along the rental lifecycle. The deposit is taken at pickup
+// and whatever is still held is released when the booking is closed.
+export const transitionBookingRecord = (booking, to, { by } = {}) => {
+  if (!getAllowedTransitions(booking).some(transition => transition.to === to)) {
+    throw new Error(`Status ${BOOKING_STATUSES[booking.status]?.label || booking.status} tidak dapat diubah ke ${BOOKING_STATUSES[to]?.label || to}`);
+  }
+
+  const now = new Date().toISOString();
+  const changes = { status: to };
+  if (to === 'picked_up') {
+    changes.pickedUpAt = now;
+    if (booking.deposit?.status === 'scheduled') changes.deposit = holdDeposit(booking.deposit);
+  }
+  if (to === 'returned') changes.returnedAt = now;
+  if (to === 'closed') {
+    changes.closedAt = now;
+    if (booking.deposit?.status === 'held') changes.deposit = releaseDeposit(booking.deposit);
+  }
+  if (to === 'cancelled') changes.cancellation = { cancelledAt: now, fee: 0, refund: booking.status === 'pending' ? 0 : booking.totalPrice };
+
+  return withHistory({ ...booking, ...changes }, { type: 'status', from: booking.status, to, by });
+};
+
+// The physical bike handed over for this booking. It is fixed when the booking
+// is confirmed and can be changed by staff until pickup.
+export const assignUnitRecord = (booking, unit, { by } = {}) => withHistory(
+  { ...booking, unit: toBookingUnit(unit) },
+  { type: 'unit', unitId: unit.id, plate: unit.plate, by }
+);
+
+export const canChangeUnit = (booking) => booking.status === 'pending' || booking.status === 'confirmed';
+
+// Records the pickup or return inspection together with the status move it
+// stands for. New damage found at return is charged to the held deposit;
+// whatever the deposit does not cover is kept as `outstanding` for staff to collect.
+export const recordInspectionRecord = (booking, inspection, { by } = {}) => {
+  const { transition } = INSPECTION_STAGES[inspection.stage];
+  const moved = transitionBookingRecord(booking, transition, { by });
+  const changes = { inspections: { ...booking.inspections, [inspection.stage]: inspection } };
+
+  const charge = inspection.stage === 'return' ? getDamageCharge(inspection) : 0;
+  if (charge > 0 && moved.deposit?.status === 'held') {
+    const reason = `Kerusakan: ${describeDamage(inspection.marks.filter(mark => mark.isNew))}`;
+    changes.deposit = captureDeposit(moved.deposit, charge, reason);
+    changes.damage = { charge, captured: changes.deposit.capturedAmount, outstanding: charge - changes.deposit.capturedAmount };
+  } else if (charge > 0) {
+    changes.damage = { charge, captured: 0, outstanding: charge };
+  }
+
+  return withHistory({ ...moved, ...changes }, { type: 'inspection', stage: inspection.stage, damageCharge: charge, by });
+};
+
+// The customer's signed rental agreement; the PDF itself lives in the document store
+export const signAgreementRecord = (booking, agreement) => withHistory(
+  { ...booking, agreement },
+  { type: 'agreement', version: agreement.version, documentId: agreement.documentId }
+);
+
+// Invoice and receipt for a paid booking, frozen as issued
+export const issueInvoiceRecord = (booking, { invoiceNumber, receiptNumber, issuedAt }) => {
+  const invoice = buildInvoice(booking, { number: invoiceNumber, issuedAt });
+  return withHistory(
+    { ...booking, invoice, receipt: buildReceipt(booking, invoice, { number: receiptNumber, issuedAt }) },
+    { type: 'invoice', invoiceNumber, receiptNumber }
+  );
+};
+
+// Staff booking list filters. A date range keeps bookings whose rental overlaps it.
+export const DEFAULT_BOOKING_FILTERS = { from: '', to: '', motorcycleId: '', status: '' };
+
+export const filterBookings = (bookings, filters) => bookings
+  .filter(booking => !filters.motorcycleId || String(booking.motorcycleId) === String(filters.motorcycleId))
+  .filter(booking => !filters.status || booking.status === filters.status)
+  .filter(booking => !filters.from || booking.endDate >= filters.from)
+  .filter(booking => !filters.to || booking.startDate <= filters.to)
+  .sort((a, b) => a.startDate.localeCompare(b.startDate) || (a.startTime || '').localeCompare(b.startTime || ''));
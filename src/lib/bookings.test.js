@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { rescheduleBookingRecord } from './bookings.js';
+import { calculateRental } from './bookingRules.js';
+import { toBookingVoucher } from './vouchers.js';
+
+const motor = { id: 2, price: 100000, category: 'matic' };
+const voucher = toBookingVoucher({ code: 'BALI10', type: 'percent', value: 10, maxDiscount: 100000, minDays: 3 }, 30000);
+const booking = {
+  id: 'MR-300304-ABCD',
+  motor,
+  voucher,
+  startDate: '2030-03-04',
+  startTime: '09:00',
+  endDate: '2030-03-07',
+  endTime: '09:00',
+  totalDays: 3,
+  totalPrice: 270000,
+  addons: [],
+  locationCharges: [],
+  fees: [],
+  history: []
+};
+
+const reschedule = (range, fee = 0) => rescheduleBookingRecord(booking, { ...range, ...calculateRental(motor, range), fee });
+
+describe('rescheduleBookingRecord', () => {
+  it('re-prices the voucher for dates that still meet its terms', () => {
+    const updated = reschedule({ startDate: '2030-03-11', startTime: '09:00', endDate: '2030-03-15', endTime: '09:00' });
+    expect(updated.voucher).toEqual({ ...voucher, discount: 40000 });
+    expect(updated.totalPrice).toBe(360000);
+  });
+
+  it('drops the voucher when the new dates break its terms', () => {
+    const updated = reschedule({ startDate: '2030-03-11', startTime: '09:00', endDate: '2030-03-13', endTime: '09:00' });
+    expect(updated.voucher).toBeNull();
+    expect(updated.totalPrice).toBe(200000);
+    expect(updated.history.at(-1).voucherRemoved).toEqual({ code: 'BALI10', reason: 'Voucher berlaku untuk sewa minimal 3 hari' });
+  });
+
+  it('keeps the late-change fee as its own line', () => {
+    const updated = reschedule({ startDate: '2030-03-11', startTime: '09:00', endDate: '2030-03-14', endTime: '09:00' }, 50000);
+    expect(updated.fees).toEqual([{ type: 'reschedule', label: 'Biaya ubah jadwal', amount: 50000 }]);
+    expect(updated.totalPrice).toBe(270000 + 50000);
+  });
+});
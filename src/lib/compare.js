@@ -0,0 +1,70 @@
+import { TRANSMISSIONS, getTransmission } from './fleet.js';
+
+// Side-by-side comparison of 2–4 motorcycles. The selection round-trips
+// through the URL so a comparison can be shared: /bandingkan?motor=2,6
+
+export const COMPARE_LIMITS = { min: 2, max: 4 };
+
+const BRAKE_SYSTEMS = {
+  abs: 'ABS',
+  cbs: 'CBS'
+};
+
+const parseNumber = (text) => Number(text.replace(',', '.'));
+
+// Structured fields from free-text specs such as ["155cc", "Automatic", "ABS", "131kg"]
+export const parseSpecs = (specs = []) => {
+  const parsed = { engineCc: null, transmission: getTransmission({ specs }), brakes: null, weightKg: null };
+
+  specs.forEach(spec => {
+    const text = spec.trim().toLowerCase();
+    const engine = text.match(/^(\d+(?:[.,]\d+)?)\s*cc$/);
+    const weight = text.match(/^(\d+(?:[.,]\d+)?)\s*kg$/);
+    if (engine) parsed.engineCc = parseNumber(engine[1]);
+    else if (weight) parsed.weightKg = parseNumber(weight[1]);
+    else if (text in BRAKE_SYSTEMS) parsed.brakes = BRAKE_SYSTEMS[text];
+  });
+
+  return parsed;
+};
+
+const formatRupiah = (amount) => `Rp ${amount.toLocaleString('id-ID')}`;
+
+// `best` marks which end of a numeric row is the better deal for the customer
+export const COMPARE_ROWS = [
+  { key: 'price', label: 'Harga /hari', value: motor => motor.price, format: formatRupiah, best: 'min' },
+  { key: 'engineCc', label: 'Mesin', value: motor => parseSpecs(motor.specs).engineCc, format: value => `${value} cc`, best: 'max' },
+  { key: 'transmission', label: 'Transmisi', value: motor => parseSpecs(motor.specs).transmission, format: value => TRANSMISSIONS[value] },
+  { key: 'brakes', label: 'Sistem Rem', value: motor => parseSpecs(motor.specs).brakes, format: value => value },
+  { key: 'weightKg', label: 'Berat', value: motor => parseSpecs(motor.specs).weightKg, format: value => `${value} kg`, best: 'min' },
+  { key: 'rating', label: 'Rating', value: motor => motor.rating, format: value => `${value} / 5`, best: 'max' },
+  { key: 'reviews', label: 'Ulasan', value: motor => motor.reviews, format: value => `${value}`, best: 'max' }
+];
+
+// One entry per row with a cell per motorcycle. `differs` flags rows where the
+// bikes are not all the same; `isBest` marks the winning cell(s) of those rows.
+export const buildComparison = (motorcycles, rows = COMPARE_ROWS) => rows.map(row => {
+  const values = motorcycles.map(motor => row.value(motor) ?? null);
+  const present = values.filter(value => value !== null);
+  const differs = new Set(values).size > 1;
+  const target = differs && row.best && present.length > 1
+    ? (row.best === 'min' ? Math.min(...present) : Math.max(...present))
+    : null;
+
+  return {
+    key: row.key,
+    label: row.label,
+    differs,
+    cells: values.map(value => ({
+      display: value === null ? '—' : row.format(value),
+      isBest: target !== null && value === target
+    }))
+  };
+});
+
+export const parseCompareQuery = (search) => {
+  const ids = (new URLSearchParams(search).get('motor') || '').split(',').filter(Boolean);
+  return [...new Set(ids)].slice(0, COMPARE_LIMITS.max);
+};
+
+export const toCompareQuery = (ids) => `?motor=${ids.map(id => encodeURIComponent(id)).join(',')}`;
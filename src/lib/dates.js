@@ -0,0 +1,53 @@
+// Booking dates are plain "YYYY-MM-DD" keys so they compare as strings and
+// never shift across timezones when serialized.
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const parseDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Bali runs on WITA (UTC+8, no daylight saving). "Now" is always read in WITA
+// so the booking calendar does not depend on the visitor's device timezone.
+export const TIMEZONE = 'Asia/Makassar';
+export const WITA_OFFSET = '+08:00';
+
+const witaFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+export const nowInWita = (now = new Date()) => {
+  const parts = Object.fromEntries(witaFormatter.formatToParts(now).map(part => [part.type, part.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+export const todayKey = () => nowInWita().date;
+
+// Absolute instant for a WITA wall-clock date and "HH:MM" time
+export const toWitaDate = (key, time = '00:00') => new Date(`${key}T${time}:00${WITA_OFFSET}`);
+
+export const addDays = (key, days) => {
+  const date = parseDateKey(key);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+export const diffDays = (startKey, endKey) =>
+  Math.round((parseDateKey(endKey) - parseDateKey(startKey)) / MS_PER_DAY);
+
+export const formatDate = (key, options = { day: 'numeric', month: 'short', year: 'numeric' }) =>
+  parseDateKey(key).toLocaleDateString('id-ID', options);
+
+export const formatDateTime = (key, time) =>
+  time ? `${formatDate(key)}, ${time} WITA` : formatDate(key);
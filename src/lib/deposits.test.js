@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { getDepositTerms, createDeposit, holdDeposit, releaseDeposit, captureDeposit } from './deposits.js';
+
+describe('getDepositTerms', () => {
+  it('follows the bike category', () => {
+    expect(getDepositTerms({ category: 'vintage' })).toEqual({ amount: 750000, idAccepted: true });
+    expect(getDepositTerms({ category: 'sport' })).toEqual({ amount: 1000000, idAccepted: false });
+  });
+
+  it('lets a bike set its own amount and falls back to the default', () => {
+    expect(getDepositTerms({ category: 'sport', depositAmount: 1500000 }).amount).toBe(1500000);
+    expect(getDepositTerms({ category: 'trail' })).toEqual({ amount: 500000, idAccepted: true });
+  });
+});
+
+describe('deposit lifecycle', () => {
+  const held = holdDeposit(createDeposit({ category: 'matic' }, 'cash'));
+
+  it('is scheduled at booking and held at pickup', () => {
+    expect(createDeposit({ category: 'matic' }, 'id')).toMatchObject({ amount: 500000, method: 'id', status: 'scheduled' });
+    expect(held).toMatchObject({ status: 'held', events: [{ type: 'held', amount: 500000 }] });
+  });
+
+  it('refuses an ID deposit where only cash is accepted', () => {
+    expect(() => createDeposit({ category: 'sport' }, 'id')).toThrow('Motor ini hanya menerima deposit uang tunai');
+  });
+
+  it('is released in full on return', () => {
+    expect(releaseDeposit(held)).toMatchObject({ status: 'released', releasedAmount: 500000, capturedAmount: 0 });
+  });
+
+  it('keeps part of it and releases the rest', () => {
+    const captured = captureDeposit(held, 200000, 'Spion patah');
+    expect(captured).toMatchObject({ status: 'partially_captured', capturedAmount: 200000, releasedAmount: 300000 });
+    expect(captured.events.at(-1)).toMatchObject({ type: 'captured', amount: 200000, reason: 'Spion patah' });
+  });
+
+  it('captures no more than the deposit', () => {
+    expect(captureDeposit(held, 800000, 'Rusak')).toMatchObject({ status: 'captured', capturedAmount: 500000, releasedAmount: 0 });
+  });
+
+  it('only moves on from the expected status', () => {
+    expect(() => holdDeposit(held)).toThrow('Deposit sudah diproses');
+    expect(() => releaseDeposit(releaseDeposit(held))).toThrow();
+    expect(() => captureDeposit(held, 0, 'Rusak')).toThrow('Jumlah potongan harus lebih dari nol');
+  });
+});
@@ -0,0 +1,99 @@
+// Filtering and sorting for the fleet list. Filters round-trip through the
+// URL query string so a filtered list can be shared:
+//   ?q=ninja&category=sport,matic&minPrice=100000&maxPrice=150000&transmission=manual&sort=price_asc
+
+export const FLEET_CATEGORIES = {
+  sport: 'Sport',
+  matic: 'Matic',
+  vintage: 'Vintage',
+  adventure: 'Adventure'
+};
+
+export const TRANSMISSIONS = {
+  manual: 'Manual',
+  automatic: 'Otomatis'
+};
+
+export const FLEET_SORTS = {
+  recommended: { label: 'Rekomendasi', compare: (a, b) => Number(Boolean(b.featured)) - Number(Boolean(a.featured)) || b.rating - a.rating },
+  price_asc: { label: 'Harga terendah', compare: (a, b) => a.price - b.price },
+  price_desc: { label: 'Harga tertinggi', compare: (a, b) => b.price - a.price },
+  rating: { label: 'Rating tertinggi', compare: (a, b) => b.rating - a.rating },
+  reviews: { label: 'Ulasan terbanyak', compare: (a, b) => b.reviews - a.reviews }
+};
+
+export const DEFAULT_FLEET_FILTERS = {
+  q: '',
+  categories: [],
+  minPrice: null,
+  maxPrice: null,
+  transmission: '',
+  sort: 'recommended'
+};
+
+const AUTOMATIC_SPECS = ['automatic', 'matic', 'cvt'];
+
+// Transmission is not a field of its own; it is one of the free-text specs
+export const getTransmission = (motor) => {
+  const specs = (motor.specs || []).map(spec => spec.toLowerCase());
+  if (specs.some(spec => AUTOMATIC_SPECS.includes(spec))) return 'automatic';
+  if (specs.includes('manual')) return 'manual';
+  return null;
+};
+
+const matchesText = (motor, q) => {
+  const haystack = [motor.name, motor.category, ...(motor.specs || [])].join(' ').toLowerCase();
+  return q.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+};
+
+export const filterMotorcycles = (motorcycles, filters) => {
+  const sort = FLEET_SORTS[filters.sort] || FLEET_SORTS.recommended;
+  return motorcycles
+    .filter(motor => !filters.q || matchesText(motor, filters.q))
+    .filter(motor => filters.categories.length === 0 || filters.categories.includes(motor.category))
+    .filter(motor => filters.minPrice == null || motor.price >= filters.minPrice)
+    .filter(motor => filters.maxPrice == null || motor.price <= filters.maxPrice)
+    .filter(motor => !filters.transmission || getTransmission(motor) === filters.transmission)
+    .sort(sort.compare);
+};
+
+export const hasActiveFilters = (filters) =>
+  Boolean(filters.q) || filters.categories.length > 0 || filters.minPrice != null
+    || filters.maxPrice != null || Boolean(filters.transmission);
+
+const parsePrice = (value) => {
+  const price = Number(value);
+  return value && Number.isFinite(price) && price >= 0 ? price : null;
+};
+
+// Unknown or malformed values fall back to the defaults instead of failing
+export const parseFleetQuery = (search) => {
+  const params = new URLSearchParams(search);
+  return {
+    q: params.get('q') || '',
+    categories: (params.get('category') || '').split(',').filter(category => category in FLEET_CATEGORIES),
+    minPrice: parsePrice(params.get('minPrice')),
+    maxPrice: parsePrice(params.get('maxPrice')),
+    transmission: params.get('transmission') in TRANSMISSIONS ? params.get('transmission') : '',
+    sort: params.get('sort') in FLEET_SORTS ? params.get('sort') : DEFAULT_FLEET_FILTERS.sort
+  };
+};
+
+// Writes the filters into `search`, leaving unrelated parameters alone
+export const toFleetQuery = (filters, search = '') => {
+  const params = new URLSearchParams(search);
+  const entries = {
+    q: filters.q.trim(),
+    category: filters.categories.join(','),
+    minPrice: filters.minPrice ?? '',
+    maxPrice: filters.maxPrice ?? '',
+    transmission: filters.transmission,
+    sort: filters.sort === DEFAULT_FLEET_FILTERS.sort ? '' : filters.sort
+  };
+  Object.entries(entries).forEach(([key, value]) => {
+    if (value === '') params.delete(key);
+    else params.set(key, value);
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
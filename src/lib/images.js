@@ -0,0 +1,63 @@
+// Client-side photo handling for document uploads. Phone cameras produce
+// multi-megabyte images; they are scaled down and re-encoded as JPEG before
+// upload so they stay readable but small.
+
+export const IMAGE_UPLOAD_RULES = {
+  acceptedTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  maxInputBytes: 15 * 1024 * 1024,
+  maxOutputBytes: 800 * 1024,
+  maxDimension: 1600,
+  // Readability of licence text matters more than file size below this
+  minDimension: 600,
+  quality: 0.85
+};
+
+export const validateImageFile = (file, rules = IMAGE_UPLOAD_RULES) => {
+  if (!file) return 'Pilih file foto';
+  if (!rules.acceptedTypes.includes(file.type)) return 'Format foto harus JPG, PNG atau WebP';
+  if (file.size > rules.maxInputBytes) return 'Ukuran foto maksimal 15 MB';
+  return null;
+};
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Foto tidak dapat dibaca'));
+  };
+  image.src = url;
+});
+
+// Size in bytes of the payload of a base64 data URL
+const dataUrlBytes = (dataUrl) => Math.ceil((dataUrl.length - dataUrl.indexOf(',') - 1) * 3 / 4);
+
+export const compressImage = async (file, rules = IMAGE_UPLOAD_RULES) => {
+  const image = await loadImage(file);
+  if (Math.min(image.naturalWidth, image.naturalHeight) < rules.minDimension) {
+    throw new Error('Resolusi foto terlalu kecil, pastikan tulisan terbaca jelas');
+  }
+
+  const scale = Math.min(1, rules.maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.naturalWidth * scale);
+  canvas.height = Math.round(image.naturalHeight * scale);
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  // Step the quality down until the result fits
+  let quality = rules.quality;
+  let dataUrl = canvas.toDataURL('image/jpeg', quality);
+  while (dataUrlBytes(dataUrl) > rules.maxOutputBytes && quality > 0.4) {
+    quality -= 0.15;
+    dataUrl = canvas.toDataURL('image/jpeg', quality);
+  }
+  if (dataUrlBytes(dataUrl) > rules.maxOutputBytes) {
+    throw new Error('Foto terlalu besar setelah dikompres');
+  }
+
+  return { dataUrl, width: canvas.width, height: canvas.height, size: dataUrlBytes(dataUrl) };
+};
@@ -0,0 +1,105 @@
+// Staff inspection of the bike at pickup and at return, kept on the booking
+// as `inspections.pickup` and `inspections.return`:
+//   { stage, fuel, odometer, checklist: { [id]: 'ok' | 'issue' }, marks, photos, notes, by, at }
+// Marks are damage spots on the bike diagram, positioned in percent of its
+// width and height: { id, x, y, type, note, isNew, charge }. Marks made at
+// pickup record damage that was already there; at return, new damage carries
+// the charge that is taken from the deposit. Photos are uploaded as
+// documents and referenced by id: { id, caption, markId }.
+
+export const INSPECTION_STAGES = {
+  pickup: { label: 'Pengambilan', transition: 'picked_up' },
+  return: { label: 'Pengembalian', transition: 'returned' }
+};
+
+// The status move each stage records, so the table can offer the inspection instead
+export const getInspectionStage = (to) =>
+  Object.keys(INSPECTION_STAGES).find(stage => INSPECTION_STAGES[stage].transition === to) || null;
+
+export const FUEL_LEVELS = ['Kosong', '1/4', '1/2', '3/4', 'Penuh'];
+
+export const INSPECTION_CHECKLIST = [
+  { id: 'lights', label: 'Lampu depan, belakang & sein' },
+  { id: 'horn', label: 'Klakson' },
+  { id: 'brakes', label: 'Rem depan & belakang' },
+  { id: 'tyres', label: 'Ban & tekanan angin' },
+  { id: 'mirrors', label: 'Spion' },
+  { id: 'helmets', label: 'Helm' },
+  { id: 'papers', label: 'STNK' },
+  { id: 'keys', label: 'Kunci' }
+];
+
+// Suggested charges for new damage; staff can change the amount per mark
+export const DAMAGE_TYPES = {
+  scratch: { label: 'Baret', charge: 150000 },
+  dent: { label: 'Penyok', charge: 350000 },
+  crack: { label: 'Retak/Pecah', charge: 500000 },
+  missing: { label: 'Hilang', charge: 250000 }
+};
+
+export const MIN_INSPECTION_PHOTOS = 4;
+
+// A return starts from the pickup readings, so staff only change what changed
+export const createInspectionValues = (stage, { unit, pickup } = {}) => ({
+  stage,
+  fuel: pickup?.fuel ?? FUEL_LEVELS.length - 1,
+  odometer: String(pickup?.odometer ?? unit?.odometer ?? ''),
+  checklist: Object.fromEntries(INSPECTION_CHECKLIST.map(item => [item.id, 'ok'])),
+  marks: [],
+  photos: [],
+  notes: ''
+});
+
+export const createMark = ({ x, y }, stage, id) => ({
+  id,
+  x: Math.round(x * 10) / 10,
+  y: Math.round(y * 10) / 10,
+  type: 'scratch',
+  note: '',
+  isNew: stage === 'return',
+  charge: stage === 'return' ? DAMAGE_TYPES.scratch.charge : 0
+});
+
+export const validateInspection = (values, { pickup } = {}) => {
+  const errors = {};
+  const odometer = String(values.odometer).trim();
+  if (!/^\d+$/.test(odometer)) errors.odometer = 'Odometer harus berupa angka (km)';
+  else if (pickup && Number(odometer) < pickup.odometer) {
+    errors.odometer = `Odometer tidak boleh kurang dari saat pengambilan (${pickup.odometer.toLocaleString('id-ID')} km)`;
+  }
+  if (values.photos.length < MIN_INSPECTION_PHOTOS) errors.photos = `Ambil minimal ${MIN_INSPECTION_PHOTOS} foto motor dari setiap sisi`;
+  const issues = INSPECTION_CHECKLIST.filter(item => values.checklist[item.id] === 'issue');
+  if (issues.length > 0 && !values.notes.trim()) errors.notes = 'Jelaskan item yang bermasalah';
+  if (values.marks.some(mark => mark.isNew && !(mark.charge >= 0))) errors.marks = 'Biaya kerusakan tidak valid';
+  return errors;
+};
+
+export const getDamageCharge = (inspection) =>
+  inspection.marks.filter(mark => mark.isNew).reduce((sum, mark) => sum + (mark.charge || 0), 0);
+
+export const fromInspectionValues = (values, { by } = {}) => ({
+  ...values,
+  odometer: Number(String(values.odometer).trim()),
+  notes: values.notes.trim(),
+  photos: values.photos.map(({ id, caption, markId }) => ({ id, caption, markId })),
+  by,
+  at: new Date().toISOString()
+});
+
+// Pickup vs return, as shown side by side and used for the deposit settlement
+export const compareInspections = (pickup, inspectionReturn) => {
+  const newDamage = inspectionReturn.marks.filter(mark => mark.isNew);
+  return {
+    distance: inspectionReturn.odometer - pickup.odometer,
+    fuelChange: inspectionReturn.fuel - pickup.fuel,
+    checklistChanges: INSPECTION_CHECKLIST
+      .filter(item => pickup.checklist[item.id] !== inspectionReturn.checklist[item.id])
+      .map(item => ({ ...item, from: pickup.checklist[item.id], to: inspectionReturn.checklist[item.id] })),
+    newDamage,
+    damageCharge: getDamageCharge(inspectionReturn)
+  };
+};
+
+export const describeDamage = (marks) => marks
+  .map(mark => `${DAMAGE_TYPES[mark.type]?.label || mark.type}${mark.note ? ` (${mark.note})` : ''}`)
+  .join(', ');
@@ -0,0 +1,160 @@
+import { nowInWita, formatDateTime, TIMEZONE } from './dates.js';
+import { buildPriceSummary } from './bookingRules.js';
+import { formatRentalLength } from './rentalTime.js';
+import { findPaymentMethod } from './payments.js';
+import { LESSOR } from './agreement.js';
+import { createPdfDocument } from './pdf.js';
+
+// Invoice and receipt (kwitansi) for a paid booking. The backend hands out the
+// numbers, counting per type and month (INV/2025/01/0007). What each document
+// showed is kept on the booking as `invoice` and `receipt`, so a later
+// reschedule or price change does not rewrite a document already issued.
+
+// Rental prices are quoted including PPN, so the tax is the share of the total, not added on top
+export const INVOICE_POLICY = { taxRate: 0.11, taxLabel: 'PPN 11%' };
+
+export const INVOICE_TYPES = {
+  invoice: { label: 'Invoice', prefix: 'INV' },
+  receipt: { label: 'Kwitansi', prefix: 'KW' }
+};
+
+export const formatInvoiceNumber = (type, sequence, date = new Date()) => {
+  const [year, month] = nowInWita(date).date.split('-');
+  return `${INVOICE_TYPES[type].prefix}/${year}/${month}/${String(sequence).padStart(4, '0')}`;
+};
+
+export const getInvoiceFileName = (number) => `${number.replace(/\//g, '-')}.pdf`;
+
+const formatRupiah = (amount) => `${amount < 0 ? '- ' : ''}Rp ${Math.abs(amount).toLocaleString('id-ID')}`;
+
+// Billing details from BookingModal; a company invoice needs the company's name, NPWP and address
+export const INITIAL_BILLING_VALUES = {
+  billingType: 'personal',
+  companyName: '',
+  companyTaxId: '',
+  companyAddress: ''
+};
+
+const normalizeTaxId = (value) => value.replace(/[\s.-]/g, '');
+
+export const validateBilling = (data) => {
+  const errors = {};
+  if (data.billingType !== 'company') return errors;
+  if (!data.companyName.trim()) errors.companyName = 'Nama perusahaan harus diisi';
+  if (!data.companyTaxId.trim()) errors.companyTaxId = 'NPWP harus diisi';
+  else if (!/^\d{15,16}$/.test(normalizeTaxId(data.companyTaxId))) errors.companyTaxId = 'NPWP tidak valid (15 atau 16 digit)';
+  if (!data.companyAddress.trim()) errors.companyAddress = 'Alamat perusahaan harus diisi';
+  return errors;
+};
+
+export const toBookingBilling = (data) => (data.billingType === 'company'
+  ? { companyName: data.companyName.trim(), taxId: normalizeTaxId(data.companyTaxId), address: data.companyAddress.trim() }
+  : null);
+
+// Rental lines per rate tier and surcharge, then add-ons, delivery, fees and the voucher
+export const buildInvoiceLines = (booking) => {
+  const summary = buildPriceSummary({
+    priceBreakdown: booking.priceBreakdown,
+    voucher: booking.voucher,
+    addons: booking.addons,
+    locationCharges: booking.locationCharges,
+    fees: booking.fees
+  });
+  const rentalLines = booking.priceBreakdown.lines.map(line => ({ label: `Sewa ${booking.motor.name}: ${line.label}`, amount: line.amount }));
+  return { lines: [...rentalLines, ...summary.lines.map(({ label, amount }) => ({ label, amount }))], total: summary.totalPrice };
+};
+
+export const splitTax = (total, policy = INVOICE_POLICY) => {
+  const taxBase = Math.round(total / (1 + policy.taxRate));
+  return { taxBase, tax: total - taxBase };
+};
+
+export const buildInvoice = (booking, { number, issuedAt }) => {
+  const { lines, total } = buildInvoiceLines(booking);
+  return {
+    number,
+    issuedAt,
+    billTo: booking.billing
+      ? { name: booking.billing.companyName, taxId: booking.billing.taxId, address: booking.billing.address, attention: booking.name }
+      : { name: booking.name },
+    contact: [booking.email, booking.phone].filter(Boolean).join(' · '),
+    period: `${formatDateTime(booking.startDate, booking.startTime)} – ${formatDateTime(booking.endDate, booking.endTime)} (${formatRentalLength(booking.totalDays, booking.priceBreakdown.overageHours)})`,
+    lines,
+    ...splitTax(total),
+    taxLabel: INVOICE_POLICY.taxLabel,
+    total
+  };
+};
+
+export const buildReceipt = (booking, invoice, { number, issuedAt }) => ({
+  number,
+  issuedAt,
+  invoiceNumber: invoice.number,
+  receivedFrom: invoice.billTo.name,
+  amount: booking.payment?.amount ?? invoice.total,
+  method: booking.payment?.method,
+  paidAt: booking.payment?.paidAt || issuedAt
+});
+
+const formatIssuedAt = (iso) => new Date(iso).toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric', timeZone: TIMEZONE });
+
+const renderHeader = (doc, title, number, issuedAt) => {
+  doc.text(LESSOR.name, { size: 18, bold: true, color: '#2563eb' });
+  doc.text(`${LESSOR.address} · ${LESSOR.phone}`, { size: 9, color: '#6b7280' });
+  doc.gap(12);
+  doc.row(title, number, { size: 14, bold: true, valueWidth: 220 });
+  doc.row('Tanggal', formatIssuedAt(issuedAt), { size: 9, color: '#6b7280', valueWidth: 220 });
+  doc.rule();
+};
+
+const renderBillTo = (doc, invoice) => {
+  doc.text('Ditagihkan kepada', { size: 9, color: '#6b7280' });
+  doc.text(invoice.billTo.name, { bold: true });
+  if (invoice.billTo.taxId) doc.text(`NPWP ${invoice.billTo.taxId}`, { size: 9 });
+  if (invoice.billTo.address) doc.text(invoice.billTo.address, { size: 9 });
+  if (invoice.billTo.attention) doc.text(`u.p. ${invoice.billTo.attention}`, { size: 9 });
+  if (invoice.contact) doc.text(invoice.contact, { size: 9, color: '#6b7280' });
+};
+
+const renderLines = (doc, booking, invoice) => {
+  doc.text(`Booking ${booking.code} · ${invoice.period}`, { size: 9, color: '#6b7280' });
+  doc.gap(6);
+  doc.box(18);
+  doc.gap(4);
+  doc.row('Keterangan', 'Jumlah', { size: 9, bold: true, indent: 6 });
+  doc.gap(2);
+  invoice.lines.forEach(line => doc.row(line.label, formatRupiah(line.amount), { size: 9.5, indent: 6 }));
+  doc.rule();
+  doc.row('Dasar pengenaan pajak', formatRupiah(invoice.taxBase), { size: 9.5 });
+  doc.row(`${invoice.taxLabel} (termasuk dalam harga)`, formatRupiah(invoice.tax), { size: 9.5 });
+  doc.row('Total', formatRupiah(invoice.total), { size: 12, bold: true });
+};
+
+export const renderInvoicePdf = (booking) => {
+  const { invoice } = booking;
+  const doc = createPdfDocument({ title: `Invoice ${invoice.number}` });
+  renderHeader(doc, 'INVOICE', invoice.number, invoice.issuedAt);
+  renderBillTo(doc, invoice);
+  doc.gap(12);
+  renderLines(doc, booking, invoice);
+  doc.gap(16);
+  doc.text(booking.receipt ? `LUNAS – dibayar dengan kwitansi ${booking.receipt.number}` : 'Belum dibayar', {
+    bold: true,
+    color: booking.receipt ? '#15803d' : '#b45309'
+  });
+  return doc.toDataUrl();
+};
+
+export const renderReceiptPdf = (booking) => {
+  const { invoice, receipt } = booking;
+  const doc = createPdfDocument({ title: `Kwitansi ${receipt.number}` });
+  renderHeader(doc, 'KWITANSI', receipt.number, receipt.issuedAt);
+  doc.row('Telah diterima dari', receipt.receivedFrom, { valueWidth: 300 });
+  doc.row('Sejumlah', formatRupiah(receipt.amount), { bold: true, valueWidth: 300 });
+  doc.row('Untuk pembayaran', `Invoice ${receipt.invoiceNumber} · sewa ${booking.motor.name}`, { valueWidth: 300 });
+  doc.row('Metode pembayaran', findPaymentMethod(receipt.method)?.label || '—', { valueWidth: 300 });
+  doc.row('Tanggal pembayaran', formatIssuedAt(receipt.paidAt), { valueWidth: 300 });
+  doc.gap(12);
+  renderLines(doc, booking, invoice);
+  return doc.toDataUrl();
+};
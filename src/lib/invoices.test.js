@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatInvoiceNumber,
+  getInvoiceFileName,
+  validateBilling,
+  toBookingBilling,
+  INITIAL_BILLING_VALUES,
+  buildInvoiceLines,
+  splitTax,
+  buildInvoice,
+  buildReceipt
+} from './invoices.js';
+
+const booking = {
+  code: 'MR-001',
+  name: 'Budi',
+  email: 'budi@example.com',
+  phone: '08123456789',
+  motor: { name: 'Honda Vario 160' },
+  startDate: '2030-03-04',
+  startTime: '09:00',
+  endDate: '2030-03-06',
+  endTime: '09:00',
+  totalDays: 2,
+  priceBreakdown: { totalDays: 2, overageHours: 0, totalPrice: 200000, lines: [{ type: 'base', label: '2 hari × Rp 100.000', amount: 200000 }] },
+  addons: [{ id: 1, name: 'Helm', price: 10000, unit: 'day', quantity: 2 }],
+  locationCharges: [{ type: 'delivery', label: 'Antar ke Kuta', amount: 25000 }],
+  voucher: { code: 'BALI10', type: 'percent', value: 10, maxDiscount: 50000, discount: 20000 },
+  billing: null,
+  payment: { amount: 245000, method: 'qris', paidAt: '2030-03-01T02:00:00.000Z' }
+};
+
+describe('formatInvoiceNumber', () => {
+  it('numbers per type and WITA month', () => {
+    expect(formatInvoiceNumber('invoice', 7, new Date('2025-01-15T00:00:00Z'))).toBe('INV/2025/01/0007');
+    // 20:00 UTC on 31 January is already 1 February in Bali
+    expect(formatInvoiceNumber('receipt', 12, new Date('2025-01-31T20:00:00Z'))).toBe('KW/2025/02/0012');
+  });
+
+  it('gives a file name without slashes', () => {
+    expect(getInvoiceFileName('INV/2025/01/0007')).toBe('INV-2025-01-0007.pdf');
+  });
+});
+
+describe('company billing', () => {
+  const company = { billingType: 'company', companyName: ' PT Maju ', companyTaxId: '01.234.567.8-901.000', companyAddress: ' Jl. Sunset 1 ' };
+
+  it('needs nothing for a personal invoice', () => {
+    expect(validateBilling(INITIAL_BILLING_VALUES)).toEqual({});
+    expect(toBookingBilling(INITIAL_BILLING_VALUES)).toBeNull();
+  });
+
+  it('checks the company name, NPWP and address', () => {
+    expect(validateBilling(company)).toEqual({});
+    expect(validateBilling({ ...company, companyTaxId: '1234' }).companyTaxId).toBe('NPWP tidak valid (15 atau 16 digit)');
+    expect(Object.keys(validateBilling({ ...company, companyName: '', companyTaxId: '', companyAddress: '' })))
+      .toEqual(['companyName', 'companyTaxId', 'companyAddress']);
+  });
+
+  it('stores the NPWP as digits only', () => {
+    expect(toBookingBilling(company)).toEqual({ companyName: 'PT Maju', taxId: '012345678901000', address: 'Jl. Sunset 1' });
+  });
+});
+
+describe('invoice contents', () => {
+  it('lists the rental, add-ons, delivery and voucher', () => {
+    expect(buildInvoiceLines(booking)).toEqual({
+      lines: [
+        { label: 'Sewa Honda Vario 160: 2 hari × Rp 100.000', amount: 200000 },
+        { label: 'Helm ×2 (2 hari)', amount: 40000 },
+        { label: 'Antar ke Kuta', amount: 25000 },
+        { label: 'Voucher BALI10', amount: -20000 }
+      ],
+      total: 245000
+    });
+  });
+
+  it('takes PPN out of the total rather than adding it', () => {
+    expect(splitTax(111000)).toEqual({ taxBase: 100000, tax: 11000 });
+    const invoice = buildInvoice(booking, { number: 'INV/2030/03/0001', issuedAt: '2030-03-01T02:00:00.000Z' });
+    expect(invoice.taxBase + invoice.tax).toBe(invoice.total);
+    expect(invoice.billTo).toEqual({ name: 'Budi' });
+    expect(invoice.contact).toBe('budi@example.com · 08123456789');
+  });
+
+  it('rounds PPN to whole rupiah without losing any', () => {
+    expect(splitTax(245000)).toEqual({ taxBase: 220721, tax: 24279 });
+    expect(splitTax(100000, { taxRate: 0 })).toEqual({ taxBase: 100000, tax: 0 });
+  });
+
+  it('drops a missing contact and add-on lines that are not there', () => {
+    const bare = { ...booking, email: '', addons: [], locationCharges: [], voucher: null };
+    const invoice = buildInvoice(bare, { number: 'INV/2030/03/0001', issuedAt: '2030-03-01T02:00:00.000Z' });
+    expect(invoice.contact).toBe('08123456789');
+    expect(invoice.lines).toEqual([{ label: 'Sewa Honda Vario 160: 2 hari × Rp 100.000', amount: 200000 }]);
+    expect(invoice.total).toBe(200000);
+  });
+
+  it('bills a company to the attention of the customer', () => {
+    const billing = { companyName: 'PT Maju', taxId: '012345678901000', address: 'Jl. Sunset 1' };
+    const invoice = buildInvoice({ ...booking, billing }, { number: 'INV/2030/03/0001', issuedAt: '2030-03-01T02:00:00.000Z' });
+    expect(invoice.billTo).toEqual({ name: 'PT Maju', taxId: '012345678901000', address: 'Jl. Sunset 1', attention: 'Budi' });
+  });
+
+  it('receipts the amount paid against its invoice', () => {
+    const invoice = buildInvoice(booking, { number: 'INV/2030/03/0001', issuedAt: '2030-03-01T02:00:00.000Z' });
+    expect(buildReceipt(booking, invoice, { number: 'KW/2030/03/0001', issuedAt: '2030-03-01T03:00:00.000Z' })).toEqual({
+      number: 'KW/2030/03/0001',
+      issuedAt: '2030-03-01T03:00:00.000Z',
+      invoiceNumber: 'INV/2030/03/0001',
+      receivedFrom: 'Budi',
+      amount: 245000,
+      method: 'qris',
+      paidAt: '2030-03-01T02:00:00.000Z'
+    });
+  });
+
+  it('falls back to the invoice total while no payment is recorded', () => {
+    const invoice = buildInvoice(booking, { number: 'INV/2030/03/0001', issuedAt: '2030-03-01T02:00:00.000Z' });
+    expect(buildReceipt({ ...booking, payment: null }, invoice, { number: 'KW/2030/03/0001', issuedAt: '2030-03-01T03:00:00.000Z' }))
+      .toMatchObject({ amount: 245000, method: undefined, paidAt: '2030-03-01T03:00:00.000Z' });
+  });
+});
@@ -0,0 +1,56 @@
+// Pickup and return choices:
+//   { type: 'outlet', locationId }                  collect at / return to an outlet
+//   { type: 'delivery', zoneId, address }           delivered to / collected from a hotel
+// Outlets come from /api/locations, delivery zones from /api/deliveryZones.
+
+export const LOCATION_POLICY = {
+  // Returning to a different outlet than the pickup one
+  oneWayFee: 50000
+};
+
+export const validateLocationChoice = (choice) => {
+  const errors = {};
+  if (choice.type === 'delivery') {
+    if (!choice.zoneId) errors.zoneId = 'Pilih area pengantaran';
+    if (!choice.address?.trim()) errors.address = 'Alamat hotel/villa harus diisi';
+  } else if (!choice.locationId) {
+    errors.locationId = 'Pilih outlet';
+  }
+  return errors;
+};
+
+// Snapshot stored on the booking so later changes to outlets or zones don't rewrite history
+export const toBookingLocation = (choice, { outlets, zones }) => {
+  if (choice.type === 'delivery') {
+    const zone = zones.find(item => item.id === choice.zoneId);
+    return { type: 'delivery', zoneId: choice.zoneId, zoneName: zone?.name, address: choice.address.trim() };
+  }
+  const outlet = outlets.find(item => item.id === choice.locationId);
+  return { type: 'outlet', locationId: choice.locationId, name: outlet?.name, address: outlet?.address };
+};
+
+export const describeLocation = (location) =>
+  location.type === 'delivery' ? `${location.address} (${location.zoneName})` : location.name;
+
+export const calculateLocationCharges = ({ pickup, dropoff }, { outlets, zones }, policy = LOCATION_POLICY) => {
+  const lines = [];
+
+  const addLeg = (choice, deliveryLabel) => {
+    if (choice.type === 'delivery') {
+      const zone = zones.find(item => item.id === choice.zoneId);
+      if (zone) lines.push({ type: 'delivery', label: `${deliveryLabel} (${zone.name})`, amount: zone.fee });
+    } else {
+      const outlet = outlets.find(item => item.id === choice.locationId);
+      if (outlet?.fee) lines.push({ type: 'outlet', label: `Biaya layanan ${outlet.name}`, amount: outlet.fee });
+    }
+  };
+
+  addLeg(pickup, 'Antar motor');
+  addLeg(dropoff, 'Jemput motor');
+
+  if (pickup.type === 'outlet' && dropoff.type === 'outlet' && pickup.locationId !== dropoff.locationId) {
+    lines.push({ type: 'one-way', label: 'Pengembalian di outlet berbeda', amount: policy.oneWayFee });
+  }
+
+  return lines;
+};
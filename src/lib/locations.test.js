@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { validateLocationChoice, toBookingLocation, describeLocation, calculateLocationCharges } from './locations.js';
+
+const places = {
+  outlets: [
+    { id: 'kuta', name: 'MotorRent Kuta (Pusat)', address: 'Jl. Raya Kuta No.123' },
+    { id: 'airport', name: 'Bandara Ngurah Rai', address: 'Area Kedatangan Internasional', fee: 30000 }
+  ],
+  zones: [{ id: 'canggu', name: 'Canggu', fee: 75000 }]
+};
+
+const kuta = { type: 'outlet', locationId: 'kuta' };
+const airport = { type: 'outlet', locationId: 'airport' };
+const villa = { type: 'delivery', zoneId: 'canggu', address: '  Villa Melati, Jl. Batu Bolong  ' };
+
+describe('validateLocationChoice', () => {
+  it('needs an outlet, or a zone and an address for delivery', () => {
+    expect(validateLocationChoice(kuta)).toEqual({});
+    expect(validateLocationChoice({ type: 'outlet', locationId: '' })).toEqual({ locationId: 'Pilih outlet' });
+    expect(validateLocationChoice({ type: 'delivery', zoneId: '', address: ' ' })).toEqual({
+      zoneId: 'Pilih area pengantaran',
+      address: 'Alamat hotel/villa harus diisi'
+    });
+  });
+});
+
+describe('calculateLocationCharges', () => {
+  it('charges nothing for pickup and return at the same free outlet', () => {
+    expect(calculateLocationCharges({ pickup: kuta, dropoff: kuta }, places)).toEqual([]);
+  });
+
+  it('charges the outlet fee for each leg at a paid outlet', () => {
+    expect(calculateLocationCharges({ pickup: airport, dropoff: airport }, places)).toEqual([
+      { type: 'outlet', label: 'Biaya layanan Bandara Ngurah Rai', amount: 30000 },
+      { type: 'outlet', label: 'Biaya layanan Bandara Ngurah Rai', amount: 30000 }
+    ]);
+  });
+
+  it('adds the one-way fee for a return at another outlet', () => {
+    expect(calculateLocationCharges({ pickup: kuta, dropoff: airport }, places, { oneWayFee: 40000 }).at(-1))
+      .toEqual({ type: 'one-way', label: 'Pengembalian di outlet berbeda', amount: 40000 });
+  });
+
+  it('charges the zone fee for delivery and collection', () => {
+    expect(calculateLocationCharges({ pickup: villa, dropoff: villa }, places)).toEqual([
+      { type: 'delivery', label: 'Antar motor (Canggu)', amount: 75000 },
+      { type: 'delivery', label: 'Jemput motor (Canggu)', amount: 75000 }
+    ]);
+  });
+});
+
+describe('toBookingLocation', () => {
+  it('keeps a snapshot of the outlet or the delivery address', () => {
+    expect(toBookingLocation(airport, places))
+      .toEqual({ type: 'outlet', locationId: 'airport', name: 'Bandara Ngurah Rai', address: 'Area Kedatangan Internasional' });
+    const delivered = toBookingLocation(villa, places);
+    expect(delivered).toEqual({ type: 'delivery', zoneId: 'canggu', zoneName: 'Canggu', address: 'Villa Melati, Jl. Batu Bolong' });
+    expect(describeLocation(delivered)).toBe('Villa Melati, Jl. Batu Bolong (Canggu)');
+  });
+});
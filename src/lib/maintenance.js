@@ -0,0 +1,101 @@
+import { addDays, diffDays } from './dates.js';
+import { isUnitInService } from './units.js';
+
+// Service history per unit. A record covers one workshop visit:
+//   { id, unitId, motorcycleId, date, odometer, types: ['oil', ...], note, by }
+// Each service type falls due after `everyKm` on the odometer or `everyDays`
+// on the calendar since it was last done, whichever comes first. A unit with
+// any type due is kept out of availability until the service is recorded;
+// a type that was never recorded counts as due.
+
+export const SERVICE_TYPES = {
+  oil: { label: 'Ganti Oli', everyKm: 2500, everyDays: 60 },
+  brakes: { label: 'Rem', everyKm: 6000, everyDays: 180 },
+  tyres: { label: 'Ban', everyKm: 12000, everyDays: 365 }
+};
+
+// Listed as "segera" this close to either limit
+const SOON_KM = 300;
+const SOON_DAYS = 7;
+
+export const SERVICE_STATES = {
+  due: { label: 'Wajib Servis', className: 'bg-red-100 text-red-800' },
+  soon: { label: 'Segera', className: 'bg-amber-100 text-amber-800' },
+  ok: { label: 'Baik', className: 'bg-green-100 text-green-800' }
+};
+
+const STATE_ORDER = ['due', 'soon', 'ok'];
+
+const isLater = (a, b) => a.date > b.date || (a.date === b.date && a.odometer > b.odometer);
+
+export const getLastService = (records, unitId, type) => records
+  .filter(record => String(record.unitId) === String(unitId) && record.types.includes(type))
+  .reduce((latest, record) => (!latest || isLater(record, latest) ? record : latest), null);
+
+// One entry per service type with what is left until it falls due
+export const getServiceStatus = (unit, records, today) => Object.entries(SERVICE_TYPES).map(([type, { everyKm, everyDays }]) => {
+  const last = getLastService(records, unit.id, type);
+  if (!last) return { type, last: null, dueOdometer: null, dueDate: null, kmLeft: null, daysLeft: null, state: 'due' };
+
+  const dueOdometer = last.odometer + everyKm;
+  const dueDate = addDays(last.date, everyDays);
+  const kmLeft = dueOdometer - (unit.odometer ?? 0);
+  const daysLeft = diffDays(today, dueDate);
+  const state = kmLeft <= 0 || daysLeft <= 0 ? 'due' : kmLeft <= SOON_KM || daysLeft <= SOON_DAYS ? 'soon' : 'ok';
+  return { type, last, dueOdometer, dueDate, kmLeft, daysLeft, state };
+});
+
+const worstState = (items) => STATE_ORDER.find(state => items.some(item => item.state === state)) || 'ok';
+
+export const getServiceState = (unit, records, today) => worstState(getServiceStatus(unit, records, today));
+
+export const isUnitDue = (unit, records, today) => getServiceState(unit, records, today) === 'due';
+
+// Units that may be offered to customers: in service and not due
+export const getBookableUnits = (units, records, today) =>
+  units.filter(unit => isUnitInService(unit) && !isUnitDue(unit, records, today));
+
+// Units in service that are due or nearly due, the most urgent first
+export const buildDueList = (units, records, today) => units
+  .filter(isUnitInService)
+  .map(unit => {
+    const items = getServiceStatus(unit, records, today);
+    return { unit, items, state: worstState(items) };
+  })
+  .filter(entry => entry.state !== 'ok')
+  .sort((a, b) => STATE_ORDER.indexOf(a.state) - STATE_ORDER.indexOf(b.state)
+    || Math.min(...a.items.map(item => item.daysLeft ?? -Infinity)) - Math.min(...b.items.map(item => item.daysLeft ?? -Infinity)));
+
+// What is left until the item falls due, e.g. "320 km / 12 hari lagi"
+export const formatServiceDue = (item) => {
+  if (!item.last) return 'Belum pernah dicatat';
+  if (item.state === 'due') {
+    const overKm = Math.max(0, -item.kmLeft);
+    const overDays = Math.max(0, -item.daysLeft);
+    const over = [overKm > 0 && `${overKm.toLocaleString('id-ID')} km`, overDays > 0 && `${overDays} hari`].filter(Boolean);
+    return over.length > 0 ? `Lewat ${over.join(' / ')}` : 'Jatuh tempo hari ini';
+  }
+  return `${item.kmLeft.toLocaleString('id-ID')} km / ${item.daysLeft} hari lagi`;
+};
+
+export const EMPTY_SERVICE_FORM = { unitId: '', date: '', odometer: '', types: [], note: '' };
+
+export const validateServiceForm = (values, unit, today) => {
+  const errors = {};
+  if (!unit) errors.unitId = 'Pilih unit';
+  if (!values.date) errors.date = 'Tanggal servis harus diisi';
+  else if (values.date > today) errors.date = 'Tanggal servis tidak boleh di masa depan';
+  if (!/^\d+$/.test(values.odometer.trim())) errors.odometer = 'Odometer harus berupa angka (km)';
+  if (values.types.length === 0) errors.types = 'Pilih minimal satu jenis servis';
+  return errors;
+};
+
+export const fromServiceForm = (values, unit, { by } = {}) => ({
+  unitId: unit.id,
+  motorcycleId: unit.motorcycleId,
+  date: values.date,
+  odometer: Number(values.odometer),
+  types: values.types,
+  note: values.note.trim(),
+  by
+});
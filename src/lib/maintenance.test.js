@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getLastService, getServiceStatus, getServiceState, isUnitDue, getBookableUnits, buildDueList,
+  formatServiceDue, validateServiceForm, fromServiceForm, EMPTY_SERVICE_FORM
+} from './maintenance.js';
+
+const TODAY = '2030-03-10';
+
+const unit = { id: 'U1', motorcycleId: 1, plate: 'DK 1001 AB', odometer: 10000, status: 'active' };
+
+const serviced = (unitId, fields) => ({ unitId, motorcycleId: 1, date: '2030-03-01', odometer: 9500, types: ['oil', 'brakes', 'tyres'], ...fields });
+
+const states = (items) => Object.fromEntries(items.map(item => [item.type, item.state]));
+
+describe('getLastService', () => {
+  it('takes the latest record of the type, then the higher odometer', () => {
+    const records = [
+      serviced('U1', { id: 1, date: '2030-02-01', types: ['oil'] }),
+      serviced('U1', { id: 2, date: '2030-03-01', odometer: 9400, types: ['oil'] }),
+      serviced('U1', { id: 3, date: '2030-03-01', odometer: 9600, types: ['oil'] }),
+      serviced('U1', { id: 4, date: '2030-03-05', types: ['brakes'] }),
+      serviced('U2', { id: 5, date: '2030-03-08', types: ['oil'] })
+    ];
+    expect(getLastService(records, 'U1', 'oil').id).toBe(3);
+    expect(getLastService(records, 'U1', 'tyres')).toBeNull();
+  });
+});
+
+describe('getServiceStatus', () => {
+  it('counts what is left in km and days for every type', () => {
+    const [oil] = getServiceStatus(unit, [serviced('U1')], TODAY);
+    expect(oil).toMatchObject({ type: 'oil', dueOdometer: 12000, dueDate: '2030-04-30', kmLeft: 2000, daysLeft: 51, state: 'ok' });
+  });
+
+  it('treats a type that was never recorded as due', () => {
+    const status = getServiceStatus(unit, [serviced('U1', { types: ['oil'] })], TODAY);
+    expect(states(status)).toEqual({ oil: 'ok', brakes: 'due', tyres: 'due' });
+    expect(status[1]).toMatchObject({ last: null, kmLeft: null, daysLeft: null });
+  });
+
+  it('falls due on whichever limit comes first', () => {
+    expect(states(getServiceStatus({ ...unit, odometer: 12000 }, [serviced('U1')], TODAY)).oil).toBe('due');
+    expect(states(getServiceStatus(unit, [serviced('U1', { date: '2030-01-09' })], TODAY)).oil).toBe('due');
+  });
+
+  it('warns shortly before either limit', () => {
+    expect(states(getServiceStatus({ ...unit, odometer: 11700 }, [serviced('U1')], TODAY)).oil).toBe('soon');
+    expect(states(getServiceStatus(unit, [serviced('U1', { date: '2030-01-16' })], TODAY)).oil).toBe('soon');
+  });
+
+  it('sums up to the worst state', () => {
+    expect(getServiceState(unit, [serviced('U1')], TODAY)).toBe('ok');
+    expect(getServiceState({ ...unit, odometer: 11800 }, [serviced('U1')], TODAY)).toBe('soon');
+    expect(isUnitDue(unit, [serviced('U1', { types: ['oil', 'brakes'] })], TODAY)).toBe(true);
+  });
+});
+
+describe('getBookableUnits', () => {
+  const units = [
+    unit,
+    { ...unit, id: 'U2', odometer: 12500 },
+    { ...unit, id: 'U3', status: 'retired' },
+    { ...unit, id: 'U4' }
+  ];
+  const records = ['U1', 'U2', 'U3'].map(id => serviced(id));
+
+  it('offers only units in service that are not due', () => {
+    expect(getBookableUnits(units, records, TODAY).map(item => item.id)).toEqual(['U1']);
+  });
+
+  it('offers a unit again once its service is recorded', () => {
+    const done = [...records, serviced('U2', { date: TODAY, odometer: 12500 })];
+    expect(getBookableUnits(units, done, TODAY).map(item => item.id)).toEqual(['U1', 'U2']);
+  });
+});
+
+describe('buildDueList', () => {
+  it('lists due units before nearly due ones and leaves out the rest', () => {
+    const units = [
+      unit,
+      { ...unit, id: 'U2', odometer: 11800 },
+      { ...unit, id: 'U3', odometer: 13000 },
+      { ...unit, id: 'U4', odometer: 13000, status: 'retired' }
+    ];
+    const records = ['U1', 'U2', 'U3', 'U4'].map(id => serviced(id));
+    expect(buildDueList(units, records, TODAY).map(entry => [entry.unit.id, entry.state])).toEqual([
+      ['U3', 'due'],
+      ['U2', 'soon']
+    ]);
+  });
+});
+
+describe('formatServiceDue', () => {
+  const oil = (fields, records = [serviced('U1')]) => getServiceStatus({ ...unit, ...fields }, records, TODAY)[0];
+
+  it('shows what is left or how far past it is', () => {
+    expect(formatServiceDue(oil({}))).toBe('2.000 km / 51 hari lagi');
+    expect(formatServiceDue(oil({ odometer: 13200 }))).toBe('Lewat 1.200 km');
+    expect(formatServiceDue(oil({ odometer: 12000 }))).toBe('Jatuh tempo hari ini');
+    expect(formatServiceDue(oil({}, []))).toBe('Belum pernah dicatat');
+  });
+});
+
+describe('validateServiceForm', () => {
+  const values = { ...EMPTY_SERVICE_FORM, unitId: 'U1', date: TODAY, odometer: '10000', types: ['oil'] };
+
+  it('accepts a complete record', () => {
+    expect(validateServiceForm(values, unit, TODAY)).toEqual({});
+  });
+
+  it('rejects a missing unit, a future date, a bad odometer and no types', () => {
+    expect(Object.keys(validateServiceForm({ ...values, date: '2030-03-11', odometer: '10.000', types: [] }, null, TODAY)))
+      .toEqual(['unitId', 'date', 'odometer', 'types']);
+  });
+
+  it('stores the odometer as a number and the unit it belongs to', () => {
+    expect(fromServiceForm({ ...values, note: ' ganti kampas ' }, unit, { by: 'Staf' })).toEqual({
+      unitId: 'U1', motorcycleId: 1, date: TODAY, odometer: 10000, types: ['oil'], note: 'ganti kampas', by: 'Staf'
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { FLEET_CATEGORIES } from './fleet.js';
+
+// Staff fleet editor. The form works on strings; fromMotorcycleForm turns the
+// values back into a fleet record, keeping the fields the form does not edit
+// (rating, reviews, spec sheet) from the existing bike. Blank weekly/monthly
+// rates and deposit fall back to the defaults in pricing.js and deposits.js.
+
+export const EMPTY_MOTORCYCLE_FORM = {
+  name: '',
+  category: 'matic',
+  price: '',
+  weeklyRate: '',
+  monthlyRate: '',
+  depositAmount: '',
+  image: '',
+  gallery: '',
+  specs: '',
+  featured: false
+};
+
+const splitList = (value, separator) => value.split(separator).map(item => item.trim()).filter(Boolean);
+
+// Only the filled-in amounts, so blank fields drop out of the record
+const amounts = (entries) => Object.fromEntries(
+  Object.entries(entries).filter(([, value]) => value !== '').map(([key, value]) => [key, Number(value)])
+);
+
+export const toMotorcycleForm = (motor) => (motor ? {
+  name: motor.name || '',
+  category: motor.category || 'matic',
+  price: String(motor.price ?? ''),
+  weeklyRate: String(motor.rates?.weekly ?? ''),
+  monthlyRate: String(motor.rates?.monthly ?? ''),
+  depositAmount: String(motor.depositAmount ?? ''),
+  image: motor.image || '',
+  gallery: (motor.gallery || []).join('\n'),
+  specs: (motor.specs || []).join(', '),
+  featured: Boolean(motor.featured)
+} : EMPTY_MOTORCYCLE_FORM);
+
+const isAmount = (value) => /^\d+$/.test(String(value).trim()) && Number(value) > 0;
+
+const isUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+export const validateMotorcycleForm = (values) => {
+  const errors = {};
+  if (!values.name.trim()) errors.name = 'Nama motor harus diisi';
+  if (!FLEET_CATEGORIES[values.category]) errors.category = 'Kategori tidak dikenal';
+  if (!isAmount(values.price)) errors.price = 'Harga harian harus berupa angka lebih dari 0';
+  if (values.weeklyRate && !isAmount(values.weeklyRate)) errors.weeklyRate = 'Tarif mingguan tidak valid';
+  if (values.monthlyRate && !isAmount(values.monthlyRate)) errors.monthlyRate = 'Tarif bulanan tidak valid';
+  if (values.depositAmount && !isAmount(values.depositAmount)) errors.depositAmount = 'Deposit tidak valid';
+  if (!values.image.trim()) errors.image = 'URL foto harus diisi';
+  else if (!isUrl(values.image.trim())) errors.image = 'URL foto tidak valid';
+  if (splitList(values.gallery, '\n').some(url => !isUrl(url))) errors.gallery = 'Setiap baris harus berupa URL foto';
+  if (splitList(values.specs, ',').length === 0) errors.specs = 'Isi minimal satu spesifikasi';
+  return errors;
+};
+
+export const fromMotorcycleForm = (values, existing = null) => {
+  const price = Number(values.price);
+  const image = values.image.trim();
+  const gallery = splitList(values.gallery, '\n');
+  const { depositAmount: _depositAmount, ...kept } = existing || { rating: 0, reviews: 0 };
+  return {
+    ...kept,
+    name: values.name.trim(),
+    category: values.category,
+    price,
+    rates: { daily: price, ...amounts({ weekly: values.weeklyRate.trim(), monthly: values.monthlyRate.trim() }) },
+    image,
+    gallery: gallery.length > 0 ? gallery : [image],
+    specs: splitList(values.specs, ','),
+    featured: values.featured,
+    ...amounts({ depositAmount: values.depositAmount.trim() })
+  };
+};
@@ -0,0 +1,139 @@
+import { toWitaDate, formatDateTime } from './dates.js';
+import { describeLocation } from './locations.js';
+import { findPaymentMethod } from './payments.js';
+import { LESSOR } from './agreement.js';
+
+// Messages we send to customers (and staff) by email and WhatsApp. Each
+// template renders an email { subject, text } and a shorter WhatsApp text;
+// the WhatsApp Business backend maps `type` to its approved template.
+// Rendering and sending happen on the backend (see mock/notifications.js),
+// which notes what it sent on the booking as
+//   notifications: [{ type, channel, id, status, sendAt, cancelled }]
+// so scheduled reminders can be withdrawn when the booking changes. `status`
+// is `sent` once a channel has accepted the message; `queued` messages (the
+// mock's outbox) have not gone anywhere.
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+export const REMINDER_POLICY = {
+  pickupHoursBefore: 24,
+  returnHoursBefore: 3
+};
+
+const formatRupiah = (amount) => `Rp ${amount.toLocaleString('id-ID')}`;
+
+const signOff = `Salam,\nTim ${LESSOR.name}\n${LESSOR.phone}`;
+
+const describeSchedule = (booking) => [
+  `Motor: ${booking.motor.name}${booking.unit ? ` (${booking.unit.plate})` : ''}`,
+  `Ambil: ${formatDateTime(booking.startDate, booking.startTime)}${booking.pickup ? ` – ${describeLocation(booking.pickup)}` : ''}`,
+  `Kembali: ${formatDateTime(booking.endDate, booking.endTime)}${booking.dropoff ? ` – ${describeLocation(booking.dropoff)}` : ''}`
+].join('\n');
+
+export const NOTIFICATION_TEMPLATES = {
+  booking_confirmed: {
+    label: 'Konfirmasi booking',
+    email: (booking) => ({
+      subject: `Booking ${booking.code} terkonfirmasi`,
+      text: [
+        `Halo ${booking.name},`,
+        `Booking Anda sudah terkonfirmasi.\n\nKode booking: ${booking.code}\n${describeSchedule(booking)}`,
+        booking.deposit && `Siapkan deposit ${formatRupiah(booking.deposit.amount)} saat pengambilan.`,
+        'Bawa SIM dan KTP/paspor asli yang Anda unggah saat booking.',
+        signOff
+      ].filter(Boolean).join('\n\n')
+    }),
+    whatsapp: (booking) => `Halo ${booking.name}, booking ${booking.code} (${booking.motor.name}) terkonfirmasi. Ambil ${formatDateTime(booking.startDate, booking.startTime)}. Bawa SIM & KTP/paspor asli. – ${LESSOR.name}`
+  },
+  payment_received: {
+    label: 'Pembayaran diterima',
+    email: (booking) => ({
+      subject: `Pembayaran ${booking.code} diterima`,
+      text: [
+        `Halo ${booking.name},`,
+        `Pembayaran ${formatRupiah(booking.payment.amount)} melalui ${findPaymentMethod(booking.payment.method)?.label || booking.payment.method} sudah kami terima.`,
+        booking.receipt && `Nomor kwitansi: ${booking.receipt.number}\nInvoice dan kwitansi dapat diunduh di halaman Pesanan Saya.`,
+        signOff
+      ].filter(Boolean).join('\n\n')
+    }),
+    whatsapp: (booking) => `Pembayaran ${formatRupiah(booking.payment.amount)} untuk booking ${booking.code} sudah kami terima. Terima kasih! – ${LESSOR.name}`
+  },
+  pickup_reminder: {
+    label: 'Pengingat pengambilan',
+    email: (booking) => ({
+      subject: `Besok: pengambilan motor ${booking.code}`,
+      text: [
+        `Halo ${booking.name},`,
+        `Pengingat untuk booking ${booking.code}:\n${describeSchedule(booking)}`,
+        'Jangan lupa SIM, KTP/paspor asli dan deposit.',
+        signOff
+      ].join('\n\n')
+    }),
+    whatsapp: (booking) => `Pengingat: ${booking.motor.name} siap diambil ${formatDateTime(booking.startDate, booking.startTime)}${booking.pickup ? ` di ${describeLocation(booking.pickup)}` : ''}. Kode ${booking.code}. – ${LESSOR.name}`
+  },
+  return_reminder: {
+    label: 'Pengingat pengembalian',
+    email: (booking) => ({
+      subject: `Pengembalian motor ${booking.code} hari ini`,
+      text: [
+        `Halo ${booking.name},`,
+        `${booking.motor.name} dijadwalkan kembali ${formatDateTime(booking.endDate, booking.endTime)}${booking.dropoff ? ` di ${describeLocation(booking.dropoff)}` : ''}.`,
+        'Kembalikan dengan bensin seperti saat pengambilan. Hubungi kami bila ingin memperpanjang sewa.',
+        signOff
+      ].join('\n\n')
+    }),
+    whatsapp: (booking) => `Pengingat: ${booking.motor.name} (${booking.code}) dikembalikan ${formatDateTime(booking.endDate, booking.endTime)}. Ingin perpanjang? Balas pesan ini. – ${LESSOR.name}`
+  },
+  contact_message: {
+    label: 'Pesan dari formulir kontak',
+    email: (message) => ({
+      subject: `Pesan dari ${message.name}`,
+      text: `Dari: ${message.name} <${message.email}>\n\n${message.message}`,
+      replyTo: message.email
+    })
+  },
+  contact_received: {
+    label: 'Balasan otomatis kontak',
+    email: (message) => ({
+      subject: 'Pesan Anda sudah kami terima',
+      // No copy of the message: the address is whatever the form was given
+      text: [`Halo ${message.name},`, 'Terima kasih telah menghubungi kami. Tim kami akan membalas dalam 1x24 jam.', signOff].join('\n\n')
+    })
+  }
+};
+
+// null when the template has no version for this channel
+export const renderNotification = (type, channel, data) => {
+  const render = NOTIFICATION_TEMPLATES[type]?.[channel];
+  if (!render) return null;
+  return channel === 'whatsapp' ? { text: render(data) } : render(data);
+};
+
+// WhatsApp wants international format without "+": 0812… becomes 62812…
+export const toWhatsAppNumber = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (!digits) return null;
+  return digits.startsWith('0') ? `62${digits.slice(1)}` : digits;
+};
+
+// Reminders still ahead of `now`; one whose time has passed is not sent late
+export const getReminderSchedule = (booking, now = new Date(), policy = REMINDER_POLICY) => [
+  { type: 'pickup_reminder', sendAt: new Date(toWitaDate(booking.startDate, booking.startTime) - policy.pickupHoursBefore * MS_PER_HOUR) },
+  { type: 'return_reminder', sendAt: new Date(toWitaDate(booking.endDate, booking.endTime) - policy.returnHoursBefore * MS_PER_HOUR) }
+].filter(reminder => reminder.sendAt > now);
+
+export const getPendingReminders = (booking) =>
+  (booking.notifications || []).filter(item => item.sendAt && item.id && !item.cancelled);
+
+export const wasNotified = (booking, type, channel) =>
+  (booking.notifications || []).some(item => item.type === type && item.channel === channel && item.status === 'sent');
+
+export const withNotifications = (booking, results) => ({
+  ...booking,
+  notifications: [...(booking.notifications || []), ...results]
+});
+
+export const withRemindersCancelled = (booking, ids) => ({
+  ...booking,
+  notifications: (booking.notifications || []).map(item => ids.includes(item.id) ? { ...item, cancelled: true } : item)
+});
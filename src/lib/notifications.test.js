@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+  renderNotification,
+  toWhatsAppNumber,
+  getReminderSchedule,
+  getPendingReminders,
+  wasNotified,
+  withNotifications,
+  withRemindersCancelled
+} from './notifications.js';
+
+const booking = {
+  code: 'MR-300304-ABCD',
+  name: 'Ketut',
+  motor: { name: 'Honda Vario 160' },
+  startDate: '2030-03-04',
+  startTime: '09:00',
+  endDate: '2030-03-06',
+  endTime: '09:00',
+  payment: { amount: 240000, method: 'gopay' }
+};
+
+describe('renderNotification', () => {
+  it('renders an email and a shorter WhatsApp text', () => {
+    expect(renderNotification('booking_confirmed', 'email', booking).subject).toBe('Booking MR-300304-ABCD terkonfirmasi');
+    expect(renderNotification('payment_received', 'whatsapp', booking).text).toContain('Rp 240.000');
+  });
+
+  it('has no WhatsApp version of the contact form messages', () => {
+    expect(renderNotification('contact_message', 'whatsapp', { name: 'Ketut' })).toBeNull();
+    expect(renderNotification('unknown', 'email', booking)).toBeNull();
+  });
+
+  it('does not echo the message back to the address the form was given', () => {
+    const reply = renderNotification('contact_received', 'email', { name: 'Ketut', email: 'ketut@example.com', message: 'Klik tautan ini' });
+    expect(reply.text).not.toContain('Klik tautan ini');
+  });
+});
+
+describe('toWhatsAppNumber', () => {
+  it('turns a local number into international format without +', () => {
+    expect(toWhatsAppNumber('0812-3456-7890')).toBe('6281234567890');
+    expect(toWhatsAppNumber('+62 812 3456 7890')).toBe('6281234567890');
+    expect(toWhatsAppNumber('')).toBeNull();
+  });
+});
+
+describe('getReminderSchedule', () => {
+  it('reminds 24 hours before pickup and 3 hours before return, in WITA', () => {
+    expect(getReminderSchedule(booking, new Date('2030-03-01T00:00:00Z'))).toEqual([
+      { type: 'pickup_reminder', sendAt: new Date('2030-03-03T01:00:00Z') },
+      { type: 'return_reminder', sendAt: new Date('2030-03-05T22:00:00Z') }
+    ]);
+  });
+
+  it('leaves out a reminder whose time has passed', () => {
+    expect(getReminderSchedule(booking, new Date('2030-03-04T00:00:00Z')).map(item => item.type)).toEqual(['return_reminder']);
+    expect(getReminderSchedule(booking, new Date('2030-03-06T00:00:00Z'))).toEqual([]);
+  });
+});
+
+describe('sent notifications', () => {
+  const sent = withNotifications(booking, [
+    { type: 'booking_confirmed', channel: 'email', id: 'NTF-1', status: 'queued' },
+    { type: 'booking_confirmed', channel: 'whatsapp', id: 'NTF-2', status: 'sent' },
+    { type: 'pickup_reminder', channel: 'email', id: 'NTF-3', status: 'scheduled', sendAt: '2030-03-03T01:00:00.000Z' },
+    { type: 'return_reminder', channel: 'email', id: 'NTF-4', status: 'scheduled', sendAt: '2030-03-05T22:00:00.000Z' }
+  ]);
+
+  it('counts a message as sent only once a channel accepted it', () => {
+    expect(wasNotified(sent, 'booking_confirmed', 'whatsapp')).toBe(true);
+    expect(wasNotified(sent, 'booking_confirmed', 'email')).toBe(false);
+    expect(wasNotified(booking, 'booking_confirmed', 'email')).toBe(false);
+  });
+
+  it('lists the scheduled reminders that can still be withdrawn', () => {
+    expect(getPendingReminders(sent).map(item => item.id)).toEqual(['NTF-3', 'NTF-4']);
+  });
+
+  it('marks withdrawn reminders cancelled and keeps the rest', () => {
+    const withdrawn = withRemindersCancelled(sent, ['NTF-3']);
+    expect(withdrawn.notifications.filter(item => item.cancelled).map(item => item.id)).toEqual(['NTF-3']);
+    expect(getPendingReminders(withdrawn).map(item => item.id)).toEqual(['NTF-4']);
+    expect(withRemindersCancelled(booking, ['NTF-3']).notifications).toEqual([]);
+  });
+});
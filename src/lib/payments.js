@@ -0,0 +1,57 @@
+// Payment methods and charge states shared by every gateway adapter. A charge
+// is what the gateway returns for one payment attempt:
+//   { id, bookingId, method, amount, status, createdAt, expiresAt, instructions }
+// where `instructions` depends on the method type (VA number, QRIS payload or
+// e-wallet checkout URL).
+
+export const PAYMENT_POLICY = {
+  // Dates stay reserved this long while the customer pays; after that the booking expires
+  holdMinutes: 60
+};
+
+export const PAYMENT_METHOD_TYPES = {
+  va: { label: 'Transfer Virtual Account' },
+  qris: { label: 'QRIS' },
+  ewallet: { label: 'E-Wallet' }
+};
+
+export const PAYMENT_METHODS = [
+  { id: 'bca_va', type: 'va', label: 'BCA Virtual Account', bank: 'BCA', expiryMinutes: 60 },
+  { id: 'bni_va', type: 'va', label: 'BNI Virtual Account', bank: 'BNI', expiryMinutes: 60 },
+  { id: 'mandiri_va', type: 'va', label: 'Mandiri Virtual Account', bank: 'Mandiri', expiryMinutes: 60 },
+  { id: 'qris', type: 'qris', label: 'QRIS (semua bank & e-wallet)', expiryMinutes: 15 },
+  { id: 'gopay', type: 'ewallet', label: 'GoPay', expiryMinutes: 15 },
+  { id: 'ovo', type: 'ewallet', label: 'OVO', expiryMinutes: 15 },
+  { id: 'dana', type: 'ewallet', label: 'DANA', expiryMinutes: 15 }
+];
+
+export const PAYMENT_STATUSES = {
+  pending: { label: 'Menunggu Pembayaran', className: 'bg-amber-100 text-amber-800' },
+  paid: { label: 'Lunas', className: 'bg-green-100 text-green-800' },
+  failed: { label: 'Gagal', className: 'bg-red-100 text-red-700' },
+  expired: { label: 'Kedaluwarsa', className: 'bg-gray-100 text-gray-700' }
+};
+
+export const findPaymentMethod = (id) => PAYMENT_METHODS.find(method => method.id === id) || null;
+
+export const isPaymentFinal = (status) => status === 'paid' || status === 'expired';
+
+export const getPaymentDeadline = (booking, policy = PAYMENT_POLICY) =>
+  new Date(new Date(booking.createdAt).getTime() + policy.holdMinutes * 60 * 1000);
+
+// A charge never outlives the booking's reservation hold
+export const getChargeExpiry = (booking, method, now = new Date()) => {
+  const methodExpiry = new Date(now.getTime() + method.expiryMinutes * 60 * 1000);
+  const deadline = getPaymentDeadline(booking);
+  return methodExpiry < deadline ? methodExpiry : deadline;
+};
+
+// What the booking keeps about its payment; gateway instructions are not stored
+export const toBookingPayment = (charge) => ({
+  chargeId: charge.id,
+  method: charge.method,
+  amount: charge.amount,
+  status: charge.status,
+  expiresAt: charge.expiresAt,
+  ...(charge.paidAt && { paidAt: charge.paidAt })
+});
@@ -0,0 +1,246 @@
+// Small PDF writer for the documents we hand to customers (rental agreement,
+// invoices). It covers what those need and nothing more: text in the
+// built-in Helvetica fonts, lines, filled boxes and JPEG images, on A4 pages
+// that flow onto the next one. Coordinates are points from the top-left.
+//
+// Text uses WinAnsiEncoding, so Latin-1 plus a few typographic characters
+// (– — • “ ” ‘ ’) print as-is; anything else becomes "?".
+
+const A4 = { width: 595.28, height: 841.89 };
+
+// Glyph widths for ASCII 32–126 in 1/1000 em, from the standard Helvetica AFM files
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding still has
+const WIN_ANSI_EXTRAS = { '–': 0x96, '—': 0x97, '•': 0x95, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '…': 0x85, '€': 0x80 };
+
+const toWinAnsi = (text) => Array.from(String(text), char => {
+  if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+  const code = char.charCodeAt(0);
+  return code < 256 && char.length === 1 ? char : '?';
+}).join('');
+
+const escapeText = (text) => toWinAnsi(text).replace(/[\\()]/g, match => `\\${match}`).replace(/[\r\n]/g, ' ');
+
+export const measureText = (text, size, { bold = false } = {}) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  return Array.from(toWinAnsi(text)).reduce((sum, char) => {
+    const code = char.charCodeAt(0);
+    return sum + (code >= 32 && code <= 126 ? widths[code - 32] : 556);
+  }, 0) * size / 1000;
+};
+
+// Greedy word wrap; a single word longer than the line is left to overflow
+export const wrapText = (text, maxWidth, size, options) => String(text).split('\n').flatMap(paragraph => {
+  const lines = [];
+  let line = '';
+  paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && measureText(candidate, size, options) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  return [...lines, line];
+});
+
+const number = (value) => Number(value.toFixed(2)).toString();
+
+const rgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => number(channel / 255)).join(' ');
+};
+
+// `dataUrl` must be a JPEG, e.g. canvas.toDataURL('image/jpeg')
+const decodeJpeg = (dataUrl) => {
+  if (!dataUrl.startsWith('data:image/jpeg;base64,')) throw new Error('Hanya gambar JPEG yang dapat dimasukkan ke PDF');
+  return atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+};
+
+// Flowing document: content is added top to bottom from the cursor `y`, and a
+// new page starts whenever the next block would not fit above the margin.
+export const createPdfDocument = ({ margin = 48, title = '' } = {}) => {
+  const pages = [];
+  const images = [];
+  let commands;
+  let y;
+
+  const contentWidth = A4.width - margin * 2;
+  const flipY = (top) => A4.height - top;
+
+  const addPage = () => {
+    commands = [];
+    pages.push(commands);
+    y = margin;
+  };
+
+  const ensureSpace = (height) => {
+    if (y + height > A4.height - margin) addPage();
+  };
+
+  const drawText = (text, x, top, { size = 10, bold = false, color = '#111827', align = 'left', width = contentWidth } = {}) => {
+    const textWidth = measureText(text, size, { bold });
+    const left = align === 'right' ? x + width - textWidth : align === 'center' ? x + (width - textWidth) / 2 : x;
+    commands.push(`BT /${bold ? 'F2' : 'F1'} ${number(size)} Tf ${rgb(color)} rg ${number(left)} ${number(flipY(top + size))} Td (${escapeText(text)}) Tj ET`);
+  };
+
+  const doc = {
+    margin,
+    contentWidth,
+    get y() {
+      return y;
+    },
+
+    addPage,
+    ensureSpace,
+
+    gap(height) {
+      y += height;
+    },
+
+    // Wrapped paragraph at the cursor; `indent` shifts it right
+    text(text, { size = 10, bold = false, color, align, indent = 0, lineHeight = 1.4 } = {}) {
+      const width = contentWidth - indent;
+      wrapText(text, width, size, { bold }).forEach(line => {
+        ensureSpace(size * lineHeight);
+        drawText(line, margin + indent, y, { size, bold, color, align, width });
+        y += size * lineHeight;
+      });
+    },
+
+    // Label on the left and a right-aligned value, each wrapped in its own column
+    row(label, value = '', { size = 10, bold = false, color, indent = 0, valueWidth = 140 } = {}) {
+      const labelLines = wrapText(label, contentWidth - indent - valueWidth - 8, size, { bold });
+      const valueLines = wrapText(value, valueWidth, size, { bold });
+      const lineCount = Math.max(labelLines.length, valueLines.length);
+      ensureSpace(size * 1.4 * lineCount);
+      labelLines.forEach((line, index) => drawText(line, margin + indent, y + index * size * 1.4, { size, bold, color }));
+      valueLines.forEach((line, index) => drawText(line, margin, y + index * size * 1.4, { size, bold, color, align: 'right' }));
+      y += size * 1.4 * lineCount;
+    },
+
+    rule({ color = '#d1d5db', width = 0.75 } = {}) {
+      ensureSpace(8);
+      y += 4;
+      commands.push(`${rgb(color)} RG ${number(width)} w ${number(margin)} ${number(flipY(y))} m ${number(A4.width - margin)} ${number(flipY(y))} l S`);
+      y += 4;
+    },
+
+    box(height, { color = '#f3f4f6' } = {}) {
+      ensureSpace(height);
+      commands.push(`${rgb(color)} rg ${number(margin)} ${number(flipY(y + height))} ${number(contentWidth)} ${number(height)} re f`);
+    },
+
+    // JPEG at the cursor, scaled to `width` points wide
+    image(dataUrl, { width, pixelWidth, pixelHeight, indent = 0 }) {
+      const height = width * pixelHeight / pixelWidth;
+      ensureSpace(height);
+      const name = `Im${images.length + 1}`;
+      images.push({ name, data: decodeJpeg(dataUrl), pixelWidth, pixelHeight });
+      commands.push(`q ${number(width)} 0 0 ${number(height)} ${number(margin + indent)} ${number(flipY(y + height))} cm /${name} Do Q`);
+      y += height;
+    },
+
+    // Serialises the document; the result is a binary string (one char per byte)
+    toBinary() {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+      const stream = (dict, data) => `<< ${dict} /Length ${data.length} >>\nstream\n${data}\nendstream`;
+
+      const catalogId = add(null);
+      const pagesId = add(null);
+      const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      const imageIds = images.map(image => ({
+        name: image.name,
+        id: add(stream(`/Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`, image.data))
+      }));
+      const xObjects = imageIds.map(image => `/${image.name} ${image.id} 0 R`).join(' ');
+
+      const pageIds = pages.map((pageCommands, index) => {
+        // Page numbers go in the footer once the page count is known
+        const footer = `BT /F1 8 Tf ${rgb('#6b7280')} rg ${number(margin)} ${number(margin / 2)} Td (${escapeText(`${title}${title ? ' – ' : ''}${index + 1}/${pages.length}`)}) Tj ET`;
+        const contentId = add(stream('', [...pageCommands, footer].join('\n')));
+        return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] /Contents ${contentId} 0 R /Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> /XObject << ${xObjects} >> >> >>`);
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+      const offsets = objects.map((body, index) => {
+        const offset = output.length;
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xref = output.length;
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return output;
+    },
+
+    toBlob() {
+      const binary = doc.toBinary();
+      const bytes = new Uint8Array(binary.length);
+      for (let index = 0; index < binary.length; index += 1) bytes[index] = binary.charCodeAt(index);
+      return new Blob([bytes], { type: 'application/pdf' });
+    },
+
+    toDataUrl() {
+      return `data:application/pdf;base64,${btoa(doc.toBinary())}`;
+    }
+  };
+
+  addPage();
+  return doc;
+};
+
+// Saves a generated PDF under `fileName`
+export const downloadPdf = (dataUrl, fileName) => {
+  const link = document.createElement('a');
+  link.href = dataUrl;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+// Opens the print dialog for a generated PDF without leaving the page
+export const printPdf = async (dataUrl) => {
+  const url = URL.createObjectURL(await (await fetch(dataUrl)).blob());
+  const frame = document.createElement('iframe');
+  frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0';
+  frame.src = url;
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  };
+  document.body.appendChild(frame);
+  // The print dialog blocks until closed in most browsers; clean up well after that
+  setTimeout(() => {
+    frame.remove();
+    URL.revokeObjectURL(url);
+  }, 60000);
+};
@@ -0,0 +1,146 @@
+import { addDays, parseDateKey } from './dates.js';
+
+// Pure price calculation shared by the booking flow. It has no React or
+// browser dependencies so the same rules can run on the server.
+
+export const PRICING_RULES = {
+  // Used when a bike has no explicit weekly/monthly rate
+  defaultWeeklyDiscount: 0.15,
+  defaultMonthlyDiscount: 0.3,
+  // Hourly overage past the last full day, as a share of the daily rate
+  overageHourRate: 0.15,
+  weekendDays: [0, 6],
+  weekendSurchargeRate: 0.1,
+  holidaySurchargeRate: 0.25,
+  // "MM-DD" repeats every year, "YYYY-MM-DD" is a one-off date
+  holidays: [
+    { date: '01-01', name: 'Tahun Baru' },
+    { date: '08-17', name: 'HUT RI' },
+    { date: '12-25', name: 'Natal' }
+  ],
+  // Ranges are inclusive "MM-DD" and may wrap over the new year
+  highSeasons: [
+    { name: 'Libur Pertengahan Tahun', start: '07-01', end: '08-31', rate: 0.2 },
+    { name: 'Libur Akhir Tahun', start: '12-20', end: '01-05', rate: 0.3 }
+  ]
+};
+
+const TIERS = [
+  { key: 'monthly', days: 30, label: 'bulan' },
+  { key: 'weekly', days: 7, label: 'minggu' },
+  { key: 'daily', days: 1, label: 'hari' }
+];
+
+const roundRupiah = (amount) => Math.round(amount / 1000) * 1000;
+
+export const getRateTiers = (motor, rules = PRICING_RULES) => ({
+  daily: motor.rates?.daily ?? motor.price,
+  weekly: motor.rates?.weekly ?? roundRupiah(motor.price * 7 * (1 - rules.defaultWeeklyDiscount)),
+  monthly: motor.rates?.monthly ?? roundRupiah(motor.price * 30 * (1 - rules.defaultMonthlyDiscount))
+});
+
+// Cheapest mix of monthly, weekly and daily blocks covering `days`. A longer
+// block may cover fewer days when that is still cheaper (6 days at a weekly rate).
+const cheapestTierMix = (days, rates) => {
+  const best = [{ cost: 0, counts: { monthly: 0, weekly: 0, daily: 0 } }];
+
+  for (let day = 1; day <= days; day++) {
+    let choice = null;
+    for (const tier of TIERS) {
+      const previous = best[Math.max(0, day - tier.days)];
+      const cost = previous.cost + rates[tier.key];
+      if (!choice || cost < choice.cost) {
+        choice = { cost, counts: { ...previous.counts, [tier.key]: previous.counts[tier.key] + 1 } };
+      }
+    }
+    best.push(choice);
+  }
+
+  return best[days];
+};
+
+// Hours billed at a share of the daily rate, never more than a full day per 24 hours
+export const calculateHourlyCharge = (motor, hours, hourRate, rules = PRICING_RULES) => {
+  const daily = getRateTiers(motor, rules).daily;
+  const hourly = roundRupiah(daily * hourRate);
+  return Math.floor(hours / 24) * daily + Math.min(daily, (hours % 24) * hourly);
+};
+
+const findHoliday = (date, rules) =>
+  rules.holidays.find(holiday => holiday.date === date || holiday.date === date.slice(5));
+
+const findHighSeason = (date, rules) => {
+  const monthDay = date.slice(5);
+  return rules.highSeasons.find(season => (
+    season.start <= season.end
+      ? monthDay >= season.start && monthDay <= season.end
+      : monthDay >= season.start || monthDay <= season.end
+  ));
+};
+
+const addSurcharge = (groups, key, label, amount) => {
+  const group = groups.get(key) || { label, days: 0, amount: 0 };
+  group.days += 1;
+  group.amount += amount;
+  groups.set(key, group);
+};
+
+export const calculatePrice = (motor, { startDate, totalDays, overageHours = 0 }, rules = PRICING_RULES) => {
+  if (!motor || !startDate || totalDays <= 0) {
+    return { totalDays: 0, overageHours: 0, lines: [], baseTotal: 0, surchargeTotal: 0, savings: 0, totalPrice: 0 };
+  }
+
+  const rates = getRateTiers(motor, rules);
+  const mix = cheapestTierMix(totalDays, rates);
+  const lines = TIERS
+    .filter(tier => mix.counts[tier.key] > 0)
+    .map(tier => ({
+      type: 'base',
+      label: `${mix.counts[tier.key]} ${tier.label} × Rp ${rates[tier.key].toLocaleString('id-ID')}`,
+      amount: mix.counts[tier.key] * rates[tier.key]
+    }));
+
+  // Surcharges are a share of the effective day rate after tier discounts
+  const effectiveDayRate = mix.cost / totalDays;
+  const surcharges = new Map();
+
+  for (let i = 0; i < totalDays; i++) {
+    const date = addDays(startDate, i);
+    const holiday = findHoliday(date, rules);
+    const season = findHighSeason(date, rules);
+
+    if (holiday) {
+      addSurcharge(surcharges, `holiday:${holiday.name}`, `Hari libur ${holiday.name}`, effectiveDayRate * rules.holidaySurchargeRate);
+    } else if (rules.weekendDays.includes(parseDateKey(date).getDay())) {
+      addSurcharge(surcharges, 'weekend', 'Akhir pekan', effectiveDayRate * rules.weekendSurchargeRate);
+    }
+    if (season) {
+      addSurcharge(surcharges, `season:${season.name}`, `Musim ramai: ${season.name}`, effectiveDayRate * season.rate);
+    }
+  }
+
+  surcharges.forEach(({ label, days, amount }, key) => {
+    lines.push({ type: key.split(':')[0], label: `${label} (${days} hari)`, amount: roundRupiah(amount) });
+  });
+
+  if (overageHours > 0) {
+    lines.push({
+      type: 'overage',
+      label: `Kelebihan ${overageHours} jam × Rp ${roundRupiah(rates.daily * rules.overageHourRate).toLocaleString('id-ID')}`,
+      amount: calculateHourlyCharge(motor, overageHours, rules.overageHourRate, rules)
+    });
+  }
+
+  const baseTotal = mix.cost;
+  const surchargeTotal = lines.filter(line => line.type !== 'base').reduce((sum, line) => sum + line.amount, 0);
+
+  return {
+    totalDays,
+    overageHours,
+    lines,
+    baseTotal,
+    surchargeTotal,
+    savings: Math.max(0, totalDays * rates.daily - baseTotal),
+    totalPrice: baseTotal + surchargeTotal
+  };
+};
@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import { PRICING_RULES, getRateTiers, calculatePrice } from './pricing.js';
+import { calculateRental } from './bookingRules.js';
+
+const motor = { id: 1, price: 100000 };
+const flatRules = { ...PRICING_RULES, weekendDays: [], holidays: [], highSeasons: [] };
+// A Monday outside every holiday and season
+const MONDAY = '2030-03-04';
+
+const baseLines = (result) => result.lines.filter(line => line.type === 'base').map(line => line.label);
+
+describe('getRateTiers', () => {
+  it('derives weekly and monthly rates from the daily price', () => {
+    expect(getRateTiers(motor)).toEqual({ daily: 100000, weekly: 595000, monthly: 2100000 });
+  });
+
+  it('prefers rates set on the bike', () => {
+    expect(getRateTiers({ price: 100000, rates: { weekly: 560000 } }).weekly).toBe(560000);
+  });
+});
+
+describe('calculatePrice tier mix', () => {
+  it('bills short rentals per day', () => {
+    const result = calculatePrice(motor, { startDate: MONDAY, totalDays: 3 }, flatRules);
+    expect(result.baseTotal).toBe(300000);
+    expect(baseLines(result)).toEqual(['3 hari × Rp 100.000']);
+    expect(result.savings).toBe(0);
+  });
+
+  it('uses a weekly block for six days when that is cheaper', () => {
+    const result = calculatePrice(motor, { startDate: MONDAY, totalDays: 6 }, flatRules);
+    expect(result.baseTotal).toBe(595000);
+    expect(baseLines(result)).toEqual(['1 minggu × Rp 595.000']);
+    expect(result.savings).toBe(5000);
+  });
+
+  it('mixes weekly and daily blocks', () => {
+    const result = calculatePrice(motor, { startDate: MONDAY, totalDays: 9 }, flatRules);
+    expect(result.baseTotal).toBe(795000);
+    expect(baseLines(result)).toEqual(['1 minggu × Rp 595.000', '2 hari × Rp 100.000']);
+  });
+
+  it('uses a monthly block once it beats weeks and days', () => {
+    const result = calculatePrice(motor, { startDate: MONDAY, totalDays: 32 }, flatRules);
+    expect(result.baseTotal).toBe(2300000);
+    expect(baseLines(result)).toEqual(['1 bulan × Rp 2.100.000', '2 hari × Rp 100.000']);
+  });
+
+  it('picks the cheapest mix for explicit rates', () => {
+    const custom = { price: 100000, rates: { daily: 100000, weekly: 650000, monthly: 1900000 } };
+    expect(calculatePrice(custom, { startDate: MONDAY, totalDays: 10 }, flatRules).baseTotal).toBe(950000);
+    expect(calculatePrice(custom, { startDate: MONDAY, totalDays: 26 }, flatRules).baseTotal).toBe(1900000);
+  });
+});
+
+describe('calculatePrice surcharges', () => {
+  const weekendRules = { ...flatRules, weekendDays: PRICING_RULES.weekendDays };
+
+  const surcharge = (result, type) => result.lines.filter(line => line.type === type);
+
+  it('charges only the weekend days inside the range', () => {
+    // Friday to Sunday
+    const result = calculatePrice(motor, { startDate: '2030-03-08', totalDays: 3 }, weekendRules);
+    expect(surcharge(result, 'weekend')).toEqual([{ type: 'weekend', label: 'Akhir pekan (2 hari)', amount: 20000 }]);
+    expect(result.totalPrice).toBe(320000);
+  });
+
+  it('ignores a weekend right after the last rental day', () => {
+    // Monday to Friday; Saturday is the return day, not a rental day
+    const result = calculatePrice(motor, { startDate: MONDAY, totalDays: 5 }, weekendRules);
+    expect(surcharge(result, 'weekend')).toEqual([]);
+    expect(result.surchargeTotal).toBe(0);
+  });
+
+  it('takes the surcharge from the discounted day rate', () => {
+    // Monday to Sunday at the weekly rate of 85.000 a day
+    const result = calculatePrice(motor, { startDate: MONDAY, totalDays: 7 }, weekendRules);
+    expect(surcharge(result, 'weekend')[0].amount).toBe(17000);
+  });
+
+  it('charges a holiday instead of the weekend on the same day', () => {
+    const rules = { ...weekendRules, holidays: PRICING_RULES.holidays };
+    // 2033-01-01 is a Saturday
+    const result = calculatePrice(motor, { startDate: '2033-01-01', totalDays: 2 }, rules);
+    expect(surcharge(result, 'holiday')).toEqual([{ type: 'holiday', label: 'Hari libur Tahun Baru (1 hari)', amount: 25000 }]);
+    expect(surcharge(result, 'weekend')).toEqual([{ type: 'weekend', label: 'Akhir pekan (1 hari)', amount: 10000 }]);
+  });
+
+  it('matches one-off holiday dates only in their year', () => {
+    const rules = { ...flatRules, holidays: [{ date: '2030-03-05', name: 'Nyepi' }] };
+    expect(surcharge(calculatePrice(motor, { startDate: MONDAY, totalDays: 2 }, rules), 'holiday')).toHaveLength(1);
+    expect(surcharge(calculatePrice(motor, { startDate: '2031-03-04', totalDays: 2 }, rules), 'holiday')).toHaveLength(0);
+  });
+
+  it('counts high season days from the first day of the season', () => {
+    const rules = { ...flatRules, highSeasons: PRICING_RULES.highSeasons };
+    // 19 to 21 December: the year-end season starts on the 20th
+    const result = calculatePrice(motor, { startDate: '2030-12-19', totalDays: 3 }, rules);
+    expect(surcharge(result, 'season')).toEqual([
+      { type: 'season', label: 'Musim ramai: Libur Akhir Tahun (2 hari)', amount: 60000 }
+    ]);
+  });
+
+  it('follows a season that wraps over the new year to its last day', () => {
+    const rules = { ...flatRules, highSeasons: PRICING_RULES.highSeasons };
+    // 31 December to 6 January: the 6th is past the season
+    const result = calculatePrice(motor, { startDate: '2030-12-31', totalDays: 7 }, rules);
+    expect(surcharge(result, 'season')[0].label).toBe('Musim ramai: Libur Akhir Tahun (6 hari)');
+  });
+
+  it('adds the high season on top of a holiday', () => {
+    // 17 August 2030 is a Saturday in the mid-year season
+    const result = calculatePrice(motor, { startDate: '2030-08-17', totalDays: 1 });
+    expect(result.lines.map(line => line.type)).toEqual(['base', 'holiday', 'season']);
+    expect(result.totalPrice).toBe(100000 + 25000 + 20000);
+  });
+});
+
+describe('invalid and empty ranges', () => {
+  const empty = { totalDays: 0, overageHours: 0, lines: [], baseTotal: 0, surchargeTotal: 0, savings: 0, totalPrice: 0 };
+
+  it('prices nothing without a bike, a start date or days', () => {
+    expect(calculatePrice(null, { startDate: MONDAY, totalDays: 2 })).toEqual(empty);
+    expect(calculatePrice(motor, { startDate: '', totalDays: 2 })).toEqual(empty);
+    expect(calculatePrice(motor, { startDate: MONDAY, totalDays: 0 })).toEqual(empty);
+    expect(calculatePrice(motor, { startDate: MONDAY, totalDays: -3 })).toEqual(empty);
+  });
+
+  it('prices an incomplete booking form at zero', () => {
+    expect(calculateRental(motor, { startDate: MONDAY, startTime: '09:00', endDate: '', endTime: '' }))
+      .toMatchObject({ totalDays: 0, totalPrice: 0 });
+  });
+});
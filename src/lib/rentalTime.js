@@ -0,0 +1,82 @@
+import { toWitaDate } from './dates.js';
+import { calculateHourlyCharge, PRICING_RULES } from './pricing.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+// Pickup, return and hotel delivery all happen within these hours (WITA)
+export const OPERATING_HOURS = { open: '06:00', close: '22:00', slotMinutes: 30 };
+
+export const DEFAULT_RENTAL_TIME = '09:00';
+
+export const RENTAL_TIME_POLICY = {
+  // A rental day is 24 hours from pickup; returning up to this late is free
+  graceMinutes: 60,
+  // Hours past the last full day are billed hourly up to this many, beyond that as another day
+  maxOverageHours: 4,
+  // Earliest pickup counted from now, so the team can prepare the bike
+  minLeadMinutes: 60,
+  // Unannounced late returns are billed hourly at this share of the daily rate
+  lateReturnHourRate: 0.25
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export const getTimeSlots = (hours = OPERATING_HOURS) => {
+  const slots = [];
+  for (let minutes = toMinutes(hours.open); minutes <= toMinutes(hours.close); minutes += hours.slotMinutes) {
+    slots.push(`${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`);
+  }
+  return slots;
+};
+
+export const isWithinOperatingHours = (time, hours = OPERATING_HOURS) =>
+  Boolean(time) && time >= hours.open && time <= hours.close;
+
+export const rentalMinutes = ({ startDate, startTime, endDate, endTime }) =>
+  Math.round((toWitaDate(endDate, endTime) - toWitaDate(startDate, startTime)) / MS_PER_MINUTE);
+
+// Splits the rental length into whole billable days plus hourly overage. Short
+// rentals are always at least one day; a long tail past the grace period
+// becomes an extra day once hourly billing would exceed maxOverageHours.
+export const calculateRentalDuration = (range, policy = RENTAL_TIME_POLICY) => {
+  const totalMinutes = range.startDate && range.endDate ? rentalMinutes(range) : 0;
+  if (!(totalMinutes > 0)) {
+    return { totalMinutes: 0, billableDays: 0, overageHours: 0 };
+  }
+
+  const fullDays = Math.floor(totalMinutes / MINUTES_PER_DAY);
+  const extraMinutes = totalMinutes % MINUTES_PER_DAY;
+  const extraHours = Math.ceil(extraMinutes / 60);
+  let billableDays = fullDays;
+  let overageHours = 0;
+
+  if (extraMinutes > policy.graceMinutes) {
+    if (fullDays > 0 && extraHours <= policy.maxOverageHours) overageHours = extraHours;
+    else billableDays += 1;
+  }
+
+  return { totalMinutes, billableDays: Math.max(1, billableDays), overageHours };
+};
+
+export const formatRentalLength = (totalDays, overageHours = 0) =>
+  overageHours > 0 ? `${totalDays} hari ${overageHours} jam` : `${totalDays} hari`;
+
+// Charge for bringing the bike back after the booked return time. Within the
+// grace period it is free; after that every started hour is billed.
+export const calculateLateReturn = (booking, returnedAt = new Date(), policy = RENTAL_TIME_POLICY) => {
+  const due = toWitaDate(booking.endDate, booking.endTime || DEFAULT_RENTAL_TIME);
+  const lateMinutes = Math.max(0, Math.round((returnedAt - due) / MS_PER_MINUTE));
+  if (lateMinutes <= policy.graceMinutes) {
+    return { lateMinutes, hours: 0, amount: 0 };
+  }
+
+  const hours = Math.ceil(lateMinutes / 60);
+  const amount = calculateHourlyCharge(booking.motor, hours, policy.lateReturnHourRate, PRICING_RULES);
+  return { lateMinutes, hours, amount };
+};
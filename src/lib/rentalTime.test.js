@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  OPERATING_HOURS,
+  getTimeSlots,
+  isWithinOperatingHours,
+  calculateRentalDuration,
+  formatRentalLength,
+  calculateLateReturn
+} from './rentalTime.js';
+import { PRICING_RULES, calculateHourlyCharge, calculatePrice } from './pricing.js';
+
+const motor = { id: 1, price: 100000 };
+const flatRules = { ...PRICING_RULES, weekendDays: [], holidays: [], highSeasons: [] };
+// A Monday outside every holiday and season
+const MONDAY = '2030-03-04';
+
+describe('time slots', () => {
+  it('offers half-hour slots through opening hours', () => {
+    const slots = getTimeSlots();
+    expect(slots[0]).toBe(OPERATING_HOURS.open);
+    expect(slots.at(-1)).toBe(OPERATING_HOURS.close);
+    expect(slots.slice(0, 3)).toEqual(['06:00', '06:30', '07:00']);
+  });
+
+  it('accepts only times within opening hours', () => {
+    expect(isWithinOperatingHours('06:00')).toBe(true);
+    expect(isWithinOperatingHours('22:00')).toBe(true);
+    expect(isWithinOperatingHours('22:30')).toBe(false);
+    expect(isWithinOperatingHours('')).toBe(false);
+  });
+});
+
+describe('calculateRentalDuration', () => {
+  const range = { startDate: MONDAY, startTime: '09:00', endDate: '2030-03-06' };
+
+  it('splits a rental into whole days and overage hours', () => {
+    // Within the grace period
+    expect(calculateRentalDuration({ ...range, endTime: '09:45' })).toMatchObject({ billableDays: 2, overageHours: 0 });
+    expect(calculateRentalDuration({ ...range, endTime: '12:30' })).toMatchObject({ billableDays: 2, overageHours: 4 });
+    // Past maxOverageHours the tail becomes another day
+    expect(calculateRentalDuration({ ...range, endTime: '14:00' })).toMatchObject({ billableDays: 3, overageHours: 0 });
+  });
+
+  it('bills a rental shorter than a day as one day', () => {
+    expect(calculateRentalDuration({ startDate: MONDAY, startTime: '09:00', endDate: MONDAY, endTime: '15:00' }))
+      .toMatchObject({ billableDays: 1, overageHours: 0 });
+  });
+
+  it('gives no billable time for a missing or reversed range', () => {
+    const none = { totalMinutes: 0, billableDays: 0, overageHours: 0 };
+    expect(calculateRentalDuration({})).toEqual(none);
+    expect(calculateRentalDuration({ startDate: MONDAY, startTime: '09:00', endDate: MONDAY, endTime: '09:00' })).toEqual(none);
+    expect(calculateRentalDuration({ startDate: '2030-03-06', startTime: '09:00', endDate: MONDAY, endTime: '09:00' })).toEqual(none);
+  });
+
+  it('describes the length with its overage', () => {
+    expect(formatRentalLength(2)).toBe('2 hari');
+    expect(formatRentalLength(2, 3)).toBe('2 hari 3 jam');
+  });
+});
+
+describe('hourly overage', () => {
+  it('bills overage hours at a share of the daily rate', () => {
+    const result = calculatePrice(motor, { startDate: MONDAY, totalDays: 2, overageHours: 3 }, flatRules);
+    expect(result.lines.at(-1)).toEqual({ type: 'overage', label: 'Kelebihan 3 jam × Rp 15.000', amount: 45000 });
+    expect(result.totalPrice).toBe(245000);
+  });
+
+  it('never charges more than a day per 24 hours', () => {
+    expect(calculateHourlyCharge(motor, 10, 0.15)).toBe(100000);
+    expect(calculateHourlyCharge(motor, 26, 0.15)).toBe(130000);
+  });
+});
+
+describe('calculateLateReturn', () => {
+  const booking = { motor, endDate: MONDAY, endTime: '17:00' };
+  const at = (time) => new Date(`${MONDAY}T${time}:00+08:00`);
+
+  it('is free within the grace period', () => {
+    expect(calculateLateReturn(booking, at('16:30'))).toEqual({ lateMinutes: 0, hours: 0, amount: 0 });
+    expect(calculateLateReturn(booking, at('18:00'))).toEqual({ lateMinutes: 60, hours: 0, amount: 0 });
+  });
+
+  it('bills every started hour once past the grace period', () => {
+    expect(calculateLateReturn(booking, at('19:10'))).toEqual({ lateMinutes: 130, hours: 3, amount: 75000 });
+  });
+
+  it('counts from the default return time for older bookings', () => {
+    expect(calculateLateReturn({ motor, endDate: MONDAY }, at('11:00')).hours).toBe(2);
+  });
+});
@@ -0,0 +1,36 @@
+// Client-side routes. Paths are matched without the deploy base
+// (import.meta.env.BASE_URL) so the app also works from a subdirectory.
+export const ROUTES = {
+  home: '/',
+  bookings: '/pesanan',
+  favourites: '/favorit',
+  compare: '/bandingkan',
+  account: '/akun',
+  admin: '/admin',
+  motor: '/motor/:id'
+};
+
+const compile = (pattern) => {
+  const keys = [];
+  const source = pattern.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  return { regex: new RegExp(`^${source}/?$`), keys };
+};
+
+const COMPILED = Object.entries(ROUTES).map(([name, pattern]) => ({ name, ...compile(pattern) }));
+
+export const matchRoute = (pathname) => {
+  for (const { name, regex, keys } of COMPILED) {
+    const match = pathname.match(regex);
+    if (match) {
+      const params = Object.fromEntries(keys.map((key, index) => [key, decodeURIComponent(match[index + 1])]));
+      return { name, params };
+    }
+  }
+  return { name: 'notFound', params: {} };
+};
+
+export const buildPath = (name, params = {}) =>
+  ROUTES[name].replace(/:(\w+)/g, (_, key) => encodeURIComponent(params[key]));
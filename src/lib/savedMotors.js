@@ -0,0 +1,42 @@
+// Recently viewed and favourite motorcycles. Both lists hold only motorcycle
+// ids, newest first, and are resolved against the current fleet when shown,
+// so prices and photos never go stale.
+
+export const SAVED_MOTOR_LIMITS = {
+  recentlyViewed: 6,
+  favourites: 50
+};
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Older builds stored whole motor objects; keep just their ids
+export const normalizeIds = (value) => {
+  if (!Array.isArray(value)) return [];
+  const ids = value
+    .map(item => (item !== null && typeof item === 'object' ? item.id : item))
+    .filter(id => id !== null && id !== undefined);
+  return ids.filter((id, index) => ids.findIndex(other => sameId(other, id)) === index);
+};
+
+export const includesId = (ids, id) => ids.some(item => sameId(item, id));
+
+export const pushRecent = (ids, id, limit = SAVED_MOTOR_LIMITS.recentlyViewed) =>
+  [id, ...normalizeIds(ids).filter(item => !sameId(item, id))].slice(0, limit);
+
+export const toggleId = (ids, id, limit = SAVED_MOTOR_LIMITS.favourites) => {
+  const current = normalizeIds(ids);
+  return includesId(current, id)
+    ? current.filter(item => !sameId(item, id))
+    : [id, ...current].slice(0, limit);
+};
+
+// Ids whose motorcycle left the fleet are skipped rather than shown broken
+export const resolveMotors = (ids, motorcycles) =>
+  normalizeIds(ids)
+    .map(id => motorcycles.find(motor => sameId(motor.id, id)))
+    .filter(Boolean);
+
+// Union of two lists, e.g. this device's and a signed-in account's. `primary`
+// keeps its order and wins the limited slots.
+export const mergeIdLists = (primary, secondary, limit) =>
+  normalizeIds([...normalizeIds(primary), ...normalizeIds(secondary)]).slice(0, limit);
@@ -0,0 +1,132 @@
+import { addDays, diffDays } from './dates.js';
+import { findConflicts } from './availability.js';
+import { calculateRental } from './bookingRules.js';
+import { rescheduleBookingRecord } from './bookings.js';
+import { isUnitInService } from './units.js';
+
+// Operator timeline: one row per unit, with bookings, service block-outs and
+// any other reservation drawn as bars across the days. Items share the
+// reservation shape ({ startDate, startTime, endDate, endTime }) so the same
+// conflict check as the booking form applies.
+//
+// Block-outs are reservations with `type: 'service'`, which means the
+// customer calendar treats them as booked without knowing why.
+
+export const TIMELINE_DAYS = 14;
+
+export const BLOCKOUT_TYPE = 'service';
+
+export const isBlockout = (reservation) => reservation.type === BLOCKOUT_TYPE;
+
+// Cancelled and expired bookings have already given their dates back
+const HIDDEN_STATUSES = ['cancelled', 'expired'];
+
+// A booking sits on the unit its reservation holds, or failing that the unit
+// recorded on the booking itself
+export const toScheduleItems = ({ bookings, reservations }) => {
+  const bookedReservationIds = new Set(bookings.map(booking => String(booking.reservationId)));
+  const reservationsById = new Map(reservations.map(reservation => [String(reservation.id), reservation]));
+  return [
+    ...bookings
+      .filter(booking => !HIDDEN_STATUSES.includes(booking.status))
+      .map(booking => ({
+        id: `booking-${booking.id}`,
+        kind: 'booking',
+        motorcycleId: booking.motorcycleId,
+        unitId: reservationsById.get(String(booking.reservationId))?.unitId ?? booking.unit?.id ?? null,
+        startDate: booking.startDate,
+        startTime: booking.startTime,
+        endDate: booking.endDate,
+        endTime: booking.endTime,
+        booking
+      })),
+    // Reservations without a booking here come from devices that keep bookings locally
+    ...reservations
+      .filter(reservation => isBlockout(reservation) || !bookedReservationIds.has(String(reservation.id)))
+      .map(reservation => ({
+        id: `reservation-${reservation.id}`,
+        kind: isBlockout(reservation) ? 'blockout' : 'reservation',
+        motorcycleId: reservation.motorcycleId,
+        unitId: reservation.unitId ?? null,
+        startDate: reservation.startDate,
+        startTime: reservation.startTime,
+        endDate: reservation.endDate,
+        endTime: reservation.endTime,
+        reservation
+      }))
+  ];
+};
+
+const timeToDays = (time) => {
+  if (!time) return 0;
+  const [hours, minutes] = time.split(':').map(Number);
+  return (hours * 60 + minutes) / (24 * 60);
+};
+
+// Position of an item within the visible window, as percentages of its width;
+// null when it falls outside the window entirely
+export const placeOnTimeline = (item, from, days = TIMELINE_DAYS) => {
+  const start = diffDays(from, item.startDate) + timeToDays(item.startTime);
+  const end = diffDays(from, item.endDate) + timeToDays(item.endTime);
+  if (end <= 0 || start >= days) return null;
+  const visibleStart = Math.max(0, start);
+  const visibleEnd = Math.min(days, end);
+  return {
+    left: (visibleStart / days) * 100,
+    width: ((visibleEnd - visibleStart) / days) * 100,
+    clippedStart: start < 0,
+    clippedEnd: end > days
+  };
+};
+
+const sameRow = (a, b) =>
+  String(a.motorcycleId) === String(b.motorcycleId) && String(a.unitId ?? null) === String(b.unitId ?? null);
+
+// Units in service, plus retired ones that still have bars. Items without a
+// unit get a row of their own under their model.
+export const buildTimelineRows = (motorcycles, units, items) => motorcycles.flatMap(motor => {
+  const rows = units
+    .filter(unit => String(unit.motorcycleId) === String(motor.id))
+    .map(unit => ({ motor, unit, items: items.filter(item => sameRow(item, { motorcycleId: motor.id, unitId: unit.id })) }))
+    .filter(row => isUnitInService(row.unit) || row.items.length > 0);
+  const unassigned = items.filter(item => sameRow(item, { motorcycleId: motor.id, unitId: null }));
+  return unassigned.length > 0 ? [...rows, { motor, unit: null, items: unassigned }] : rows;
+});
+
+// What an operator may drag. A bike already out can still have its return moved.
+export const getScheduleActions = (item) => {
+  if (item.kind === 'blockout') return { move: true, extend: true };
+  if (item.kind !== 'booking') return { move: false, extend: false };
+  const { status } = item.booking;
+  return {
+    move: status === 'pending' || status === 'confirmed',
+    extend: status === 'pending' || status === 'confirmed' || status === 'picked_up'
+  };
+};
+
+// Whole-day shifts keep the pickup and return times. Returns null when the
+// change would leave nothing of the rental.
+export const shiftScheduleItem = (item, { move = 0, extend = 0 }) => {
+  const range = {
+    startDate: addDays(item.startDate, move),
+    startTime: item.startTime,
+    endDate: addDays(item.endDate, move + extend),
+    endTime: item.endTime
+  };
+  const isEmpty = range.endDate < range.startDate
+    || (range.endDate === range.startDate && (range.endTime || '00:00') <= (range.startTime || '00:00'));
+  return isEmpty ? null : range;
+};
+
+// Other bars on the same unit that `range` would run into
+export const findScheduleConflicts = (items, item, range) => findConflicts(
+  items.filter(other => other.id !== item.id && sameRow(other, item)),
+  range
+);
+
+// A staff reschedule is priced exactly like a booking made for the new dates,
+// without the customer's late-change fee
+export const rescheduleByOperator = (booking, range) => {
+  const { totalDays, priceBreakdown } = calculateRental(booking.motor, range);
+  return rescheduleBookingRecord(booking, { ...range, totalDays, priceBreakdown, fee: 0 });
+};
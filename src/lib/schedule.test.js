@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { toScheduleItems, getScheduleActions, shiftScheduleItem, findScheduleConflicts, placeOnTimeline } from './schedule.js';
+
+const item = { id: 'booking-1', kind: 'booking', motorcycleId: 1, unitId: 'U1', startDate: '2030-03-04', startTime: '09:00', endDate: '2030-03-06', endTime: '09:00' };
+
+const bar = (id, fields) => ({ ...item, id, ...fields });
+
+describe('toScheduleItems', () => {
+  it('puts a booking on the unit its reservation holds', () => {
+    const bookings = [{ ...item, id: 1, reservationId: 10, status: 'confirmed', unit: { id: 'U9' } }];
+    const reservations = [{ id: 10, motorcycleId: 1, unitId: 'U1', startDate: '2030-03-04', endDate: '2030-03-06' }];
+    const items = toScheduleItems({ bookings, reservations });
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ id: 'booking-1', kind: 'booking', unitId: 'U1' });
+  });
+
+  it('hides cancelled bookings and keeps block-outs and foreign reservations', () => {
+    const bookings = [{ ...item, id: 1, reservationId: 10, status: 'cancelled' }];
+    const reservations = [
+      { id: 10, motorcycleId: 1, unitId: 'U1', startDate: '2030-03-04', endDate: '2030-03-06' },
+      { id: 11, motorcycleId: 1, unitId: 'U1', type: 'service', startDate: '2030-03-08', endDate: '2030-03-09' }
+    ];
+    expect(toScheduleItems({ bookings, reservations }).map(entry => [entry.id, entry.kind])).toEqual([
+      ['reservation-11', 'blockout']
+    ]);
+    expect(toScheduleItems({ bookings: [], reservations }).map(entry => entry.kind)).toEqual(['reservation', 'blockout']);
+  });
+});
+
+describe('placeOnTimeline', () => {
+  it('clips bars to the visible window', () => {
+    expect(placeOnTimeline(item, '2030-03-05', 2)).toEqual({ left: 0, width: 68.75, clippedStart: true, clippedEnd: false });
+    expect(placeOnTimeline(item, '2030-03-10', 2)).toBeNull();
+  });
+});
+
+describe('getScheduleActions', () => {
+  it('lets a bike already out only have its return moved', () => {
+    expect(getScheduleActions({ kind: 'booking', booking: { status: 'confirmed' } })).toEqual({ move: true, extend: true });
+    expect(getScheduleActions({ kind: 'booking', booking: { status: 'picked_up' } })).toEqual({ move: false, extend: true });
+    expect(getScheduleActions({ kind: 'booking', booking: { status: 'returned' } })).toEqual({ move: false, extend: false });
+  });
+
+  it('moves block-outs but not reservations from other devices', () => {
+    expect(getScheduleActions({ kind: 'blockout' })).toEqual({ move: true, extend: true });
+    expect(getScheduleActions({ kind: 'reservation' })).toEqual({ move: false, extend: false });
+  });
+});
+
+describe('shiftScheduleItem', () => {
+  it('moves both ends by whole days and keeps the times', () => {
+    expect(shiftScheduleItem(item, { move: 2 })).toEqual({
+      startDate: '2030-03-06', startTime: '09:00', endDate: '2030-03-08', endTime: '09:00'
+    });
+  });
+
+  it('extends or shortens only the return', () => {
+    expect(shiftScheduleItem(item, { extend: 3 })).toMatchObject({ startDate: '2030-03-04', endDate: '2030-03-09' });
+    expect(shiftScheduleItem(item, { move: -1, extend: -1 })).toMatchObject({ startDate: '2030-03-03', endDate: '2030-03-04' });
+  });
+
+  it('crosses month ends', () => {
+    expect(shiftScheduleItem(item, { move: 27 })).toMatchObject({ startDate: '2030-03-31', endDate: '2030-04-02' });
+  });
+
+  it('refuses a change that leaves nothing of the rental', () => {
+    expect(shiftScheduleItem(item, { extend: -2 })).toBeNull();
+    expect(shiftScheduleItem(item, { extend: -5 })).toBeNull();
+    const allDay = { startDate: '2030-03-04', endDate: '2030-03-05' };
+    expect(shiftScheduleItem(allDay, { extend: -1 })).toBeNull();
+  });
+});
+
+describe('findScheduleConflicts', () => {
+  const next = bar('booking-2', { startDate: '2030-03-07', endDate: '2030-03-08' });
+
+  it('finds bars on the same unit that the new range runs into', () => {
+    const range = shiftScheduleItem(item, { extend: 2 });
+    expect(findScheduleConflicts([item, next], item, range)).toEqual([next]);
+  });
+
+  it('ignores the dragged bar itself', () => {
+    const range = shiftScheduleItem(item, { move: 1 });
+    expect(findScheduleConflicts([item], item, range)).toEqual([]);
+  });
+
+  it('ignores other units and other models', () => {
+    const range = shiftScheduleItem(item, { extend: 2 });
+    const items = [item, { ...next, unitId: 'U2' }, { ...next, id: 'booking-3', motorcycleId: 2 }];
+    expect(findScheduleConflicts(items, item, range)).toEqual([]);
+  });
+
+  it('keeps items without a unit in a row of their own', () => {
+    const loose = bar('reservation-5', { unitId: null, startDate: '2030-03-07', endDate: '2030-03-08' });
+    const range = shiftScheduleItem(item, { extend: 2 });
+    expect(findScheduleConflicts([item, loose], item, range)).toEqual([]);
+    expect(findScheduleConflicts([item, loose], { ...item, unitId: undefined }, range)).toEqual([loose]);
+  });
+
+  it('lets a block-out start when the bike comes back', () => {
+    const blockout = bar('reservation-6', { kind: 'blockout', startDate: '2030-03-06', startTime: '09:00', endDate: '2030-03-07', endTime: '09:00' });
+    expect(findScheduleConflicts([item, blockout], blockout, shiftScheduleItem(blockout, {}))).toEqual([]);
+    expect(findScheduleConflicts([item, blockout], blockout, shiftScheduleItem(blockout, { move: -1 }))).toEqual([item]);
+  });
+});
@@ -0,0 +1,41 @@
+import { UNIT_STATUSES } from './units.js';
+
+// Staff unit editor, on the same terms as motorcycleForm.js: string values in
+// the form, a unit record out. Plates are stored upper-case with single spaces
+// ("DK 1234 AB"); the backend rejects a plate that is already registered.
+
+export const EMPTY_UNIT_FORM = { motorcycleId: '', plate: '', colour: '', odometer: '', status: 'active' };
+
+export const normalizePlate = (plate) => plate.trim().replace(/\s+/g, ' ').toUpperCase();
+
+const PLATE_PATTERN = /^[A-Z]{1,2} \d{1,4}( [A-Z]{1,3})?$/;
+
+export const toUnitForm = (unit, motorcycleId = '') => (unit ? {
+  motorcycleId: String(unit.motorcycleId),
+  plate: unit.plate || '',
+  colour: unit.colour || '',
+  odometer: String(unit.odometer ?? ''),
+  status: unit.status || 'active'
+} : { ...EMPTY_UNIT_FORM, motorcycleId: String(motorcycleId) });
+
+export const validateUnitForm = (values, units = [], existing = null) => {
+  const errors = {};
+  const plate = normalizePlate(values.plate);
+  if (!values.motorcycleId) errors.motorcycleId = 'Pilih model motor';
+  if (!plate) errors.plate = 'Nomor plat harus diisi';
+  else if (!PLATE_PATTERN.test(plate)) errors.plate = 'Format plat tidak valid, mis. DK 1234 AB';
+  else if (units.some(unit => unit.id !== existing?.id && normalizePlate(unit.plate) === plate)) errors.plate = 'Nomor plat sudah terdaftar';
+  if (!values.colour.trim()) errors.colour = 'Warna harus diisi';
+  if (!/^\d+$/.test(values.odometer.trim())) errors.odometer = 'Odometer harus berupa angka (km)';
+  if (!UNIT_STATUSES[values.status]) errors.status = 'Status tidak dikenal';
+  return errors;
+};
+
+export const fromUnitForm = (values, existing = null) => ({
+  ...existing,
+  motorcycleId: Number(values.motorcycleId),
+  plate: normalizePlate(values.plate),
+  colour: values.colour.trim(),
+  odometer: Number(values.odometer),
+  status: values.status
+});
@@ -0,0 +1,73 @@
+import { findConflicts, isRangeAvailable, isDateReserved, findNextFreeWindow } from './availability.js';
+
+// A motorcycle in the fleet list is a model; the bikes we actually hand out
+// are its units:
+//   { id, motorcycleId, plate, colour, odometer, status }
+// Every reservation belongs to one unit (`unitId`), so a model is free for a
+// range as long as one of its units is. The functions below are the
+// model-level counterparts of those in availability.js and take the
+// per-unit reservation lists from toUnitSchedules.
+
+export const UNIT_STATUSES = {
+  active: { label: 'Aktif', className: 'bg-green-100 text-green-800' },
+  retired: { label: 'Tidak Dipakai', className: 'bg-gray-100 text-gray-600' }
+};
+
+export const isUnitInService = (unit) => unit.status === 'active';
+
+export const getModelUnits = (units, motorcycleId) =>
+  units.filter(unit => String(unit.motorcycleId) === String(motorcycleId));
+
+export const formatUnit = (unit) => (unit ? `${unit.plate} · ${unit.colour}` : 'Belum ada unit');
+
+// Snapshot kept on the booking, like the motor snapshot
+export const toBookingUnit = (unit) => ({ id: unit.id, plate: unit.plate, colour: unit.colour });
+
+const sameUnit = (reservation, unit) => String(reservation.unitId) === String(unit.id);
+
+// Reservations without a unit (made before units existed) take the first unit
+// that is free for them, the same way the backend assigns new holds
+export const toUnitSchedules = (units, reservations) => {
+  const inService = units.filter(isUnitInService);
+  const schedules = inService.map(unit => reservations.filter(reservation => sameUnit(reservation, unit)));
+  reservations
+    .filter(reservation => reservation.unitId == null)
+    .forEach(reservation => {
+      schedules.find(schedule => isRangeAvailable(schedule, reservation))?.push(reservation);
+    });
+  return schedules;
+};
+
+export const countFreeUnits = (schedules, range) =>
+  schedules.filter(schedule => isRangeAvailable(schedule, range)).length;
+
+export const isModelRangeAvailable = (schedules, range) => countFreeUnits(schedules, range) > 0;
+
+// Nothing is in the way while one unit is free; otherwise these are the
+// reservations blocking the least busy unit. Without units the whole range is taken.
+export const findModelConflicts = (schedules, range) => {
+  if (schedules.length === 0) return [range];
+  return schedules
+    .map(schedule => findConflicts(schedule, range))
+    .reduce((fewest, conflicts) => (conflicts.length < fewest.length ? conflicts : fewest));
+};
+
+export const isModelDateReserved = (schedules, date) =>
+  schedules.every(schedule => isDateReserved(schedule, date));
+
+export const findModelNextFreeWindow = (schedules, range) => {
+  const windows = schedules.map(schedule => findNextFreeWindow(schedule, range));
+  const slot = (window) => `${window.startDate}T${window.startTime || '00:00'}`;
+  return windows.reduce((earliest, window) => (!earliest || slot(window) < slot(earliest) ? window : earliest), null);
+};
+
+// The unit to hold for a new reservation, preferring `preferredId` (the unit
+// a rescheduled reservation already had)
+export const findFreeUnit = (units, reservations, range, preferredId = null) => {
+  const candidates = units
+    .filter(isUnitInService)
+    .sort((a, b) => Number(String(b.id) === String(preferredId)) - Number(String(a.id) === String(preferredId)));
+  return candidates.find(unit =>
+    isRangeAvailable(reservations.filter(reservation => sameUnit(reservation, unit)), range)
+  ) || null;
+};
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getModelUnits, formatUnit, toUnitSchedules, countFreeUnits, isModelRangeAvailable,
+  findModelConflicts, isModelDateReserved, findModelNextFreeWindow, findFreeUnit
+} from './units.js';
+
+const units = [
+  { id: 'U1', motorcycleId: 1, plate: 'DK 1001 AB', colour: 'Merah', status: 'active' },
+  { id: 'U2', motorcycleId: 1, plate: 'DK 1002 AB', colour: 'Hitam', status: 'active' },
+  { id: 'U3', motorcycleId: 1, plate: 'DK 1003 AB', colour: 'Putih', status: 'retired' },
+  { id: 'U4', motorcycleId: 2, plate: 'DK 2001 AB', colour: 'Biru', status: 'active' }
+];
+const modelUnits = getModelUnits(units, '1');
+
+const range = { startDate: '2030-03-04', startTime: '09:00', endDate: '2030-03-06', endTime: '09:00' };
+const onUnit = (unitId, fields = {}) => ({ ...range, unitId, ...fields });
+
+describe('getModelUnits', () => {
+  it('matches models by id whatever its type', () => {
+    expect(modelUnits.map(unit => unit.id)).toEqual(['U1', 'U2', 'U3']);
+  });
+
+  it('formats a unit or its absence', () => {
+    expect(formatUnit(units[0])).toBe('DK 1001 AB · Merah');
+    expect(formatUnit(null)).toBe('Belum ada unit');
+  });
+});
+
+describe('toUnitSchedules', () => {
+  it('gives every unit in service its own reservations', () => {
+    const schedules = toUnitSchedules(modelUnits, [onUnit('U1'), onUnit('U3')]);
+    expect(schedules).toEqual([[onUnit('U1')], []]);
+  });
+
+  it('puts reservations without a unit on the first unit free for them', () => {
+    const legacy = { ...range };
+    expect(toUnitSchedules(modelUnits, [onUnit('U1'), legacy])).toEqual([[onUnit('U1')], [legacy]]);
+  });
+});
+
+describe('model availability', () => {
+  it('stays available while one unit is free', () => {
+    const schedules = toUnitSchedules(modelUnits, [onUnit('U1')]);
+    expect(countFreeUnits(schedules, range)).toBe(1);
+    expect(isModelRangeAvailable(schedules, range)).toBe(true);
+    expect(findModelConflicts(schedules, range)).toEqual([]);
+  });
+
+  it('reports the least busy unit once every unit is taken', () => {
+    const early = onUnit('U2', { endDate: '2030-03-05' });
+    const late = onUnit('U2', { startDate: '2030-03-05', startTime: '12:00' });
+    const schedules = toUnitSchedules(modelUnits, [onUnit('U1'), early, late]);
+    expect(isModelRangeAvailable(schedules, range)).toBe(false);
+    expect(findModelConflicts(schedules, range)).toEqual([onUnit('U1')]);
+  });
+
+  it('treats a model without units as taken', () => {
+    expect(isModelRangeAvailable([], range)).toBe(false);
+    expect(findModelConflicts([], range)).toEqual([range]);
+  });
+
+  it('marks a day reserved only when every unit is out', () => {
+    const schedules = toUnitSchedules(modelUnits, [onUnit('U1')]);
+    expect(isModelDateReserved(schedules, '2030-03-05')).toBe(false);
+    const full = toUnitSchedules(modelUnits, [onUnit('U1'), onUnit('U2')]);
+    expect(isModelDateReserved(full, '2030-03-05')).toBe(true);
+  });
+
+  it('suggests the earliest window over all units', () => {
+    const schedules = toUnitSchedules(modelUnits, [onUnit('U1'), onUnit('U2', { endDate: '2030-03-05' })]);
+    expect(findModelNextFreeWindow(schedules, range)).toMatchObject({ startDate: '2030-03-05', startTime: '09:00' });
+  });
+});
+
+describe('findFreeUnit', () => {
+  it('holds the first free unit in service', () => {
+    expect(findFreeUnit(modelUnits, [], range).id).toBe('U1');
+    expect(findFreeUnit(modelUnits, [onUnit('U1')], range).id).toBe('U2');
+  });
+
+  it('keeps the unit a rescheduled reservation already had', () => {
+    expect(findFreeUnit(modelUnits, [], range, 'U2').id).toBe('U2');
+    expect(findFreeUnit(modelUnits, [onUnit('U2')], range, 'U2').id).toBe('U1');
+  });
+
+  it('never hands out a retired unit', () => {
+    expect(findFreeUnit(modelUnits, [onUnit('U1'), onUnit('U2')], range, 'U3')).toBeNull();
+  });
+});
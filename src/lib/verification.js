@@ -0,0 +1,74 @@
+import { nowInWita } from './dates.js';
+
+// Rider documents checked before a booking is accepted, so nobody is turned
+// away at the counter. Photos are uploaded separately; the booking keeps only
+// their document ids.
+
+export const LICENCE_TYPES = {
+  sim_c: { label: 'SIM C (Indonesia)', pattern: /^\d{12,16}$/, hint: '12–16 digit angka' },
+  idp: { label: 'International Driving Permit', pattern: /^[A-Z0-9-]{5,20}$/i, hint: '5–20 huruf/angka' }
+};
+
+export const IDENTITY_TYPES = {
+  ktp: { label: 'KTP', pattern: /^\d{16}$/, hint: 'NIK 16 digit' },
+  passport: { label: 'Paspor', pattern: /^[A-Z0-9]{6,9}$/i, hint: '6–9 huruf/angka' }
+};
+
+export const INITIAL_VERIFICATION_VALUES = {
+  licenceType: 'sim_c',
+  licenceNumber: '',
+  licenceExpiry: '',
+  licencePhoto: null,
+  idType: 'ktp',
+  idNumber: '',
+  nationality: '',
+  idPhoto: null
+};
+
+const normalizeNumber = (value) => value.replace(/\s+/g, '').toUpperCase();
+
+// `endDate` comes from the same form: the licence has to stay valid for the whole rental
+export const validateVerification = (data, today = nowInWita().date) => {
+  const errors = {};
+  const licence = LICENCE_TYPES[data.licenceType];
+  const identity = IDENTITY_TYPES[data.idType];
+
+  if (!licence) errors.licenceType = 'Pilih jenis SIM';
+  if (!data.licenceNumber.trim()) errors.licenceNumber = 'Nomor SIM harus diisi';
+  else if (licence && !licence.pattern.test(normalizeNumber(data.licenceNumber))) {
+    errors.licenceNumber = `Nomor SIM tidak valid (${licence.hint})`;
+  }
+  if (!data.licenceExpiry) errors.licenceExpiry = 'Masa berlaku SIM harus diisi';
+  else if (data.licenceExpiry < today) errors.licenceExpiry = 'SIM sudah tidak berlaku';
+  else if (data.endDate && data.licenceExpiry < data.endDate) {
+    errors.licenceExpiry = 'SIM habis berlaku sebelum tanggal pengembalian';
+  }
+  if (!data.licencePhoto) errors.licencePhoto = 'Unggah foto SIM';
+
+  if (!identity) errors.idType = 'Pilih jenis identitas';
+  if (!data.idNumber.trim()) errors.idNumber = 'Nomor identitas harus diisi';
+  else if (identity && !identity.pattern.test(normalizeNumber(data.idNumber))) {
+    errors.idNumber = `Nomor identitas tidak valid (${identity.hint})`;
+  }
+  if (data.idType === 'passport' && !data.nationality.trim()) errors.nationality = 'Kewarganegaraan harus diisi';
+  if (!data.idPhoto) errors.idPhoto = 'Unggah foto KTP/paspor';
+
+  return errors;
+};
+
+// Only document ids are kept; previews stay in memory
+export const toBookingVerification = (data) => ({
+  status: 'submitted',
+  licence: {
+    type: data.licenceType,
+    number: normalizeNumber(data.licenceNumber),
+    expiry: data.licenceExpiry,
+    photoId: data.licencePhoto.id
+  },
+  identity: {
+    type: data.idType,
+    number: normalizeNumber(data.idNumber),
+    ...(data.idType === 'passport' && { nationality: data.nationality.trim() }),
+    photoId: data.idPhoto.id
+  }
+});
@@ -0,0 +1,57 @@
+import { todayKey } from './dates.js';
+
+// Voucher shape (as served by /api/vouchers):
+//   { code, type: 'percent' | 'fixed', value, maxDiscount?, minDays?,
+//     motorcycleIds?, categories?, expiresAt?, usageLimit?, usedCount, active }
+
+export const normalizeVoucherCode = (code) => code.trim().toUpperCase();
+
+export const calculateVoucherDiscount = (voucher, subtotal) => {
+  const raw = voucher.type === 'percent'
+    ? Math.round(subtotal * voucher.value / 100)
+    : voucher.value;
+  return Math.min(raw, voucher.maxDiscount ?? Infinity, subtotal);
+};
+
+export const evaluateVoucher = (voucher, { motor, totalDays, subtotal, today = todayKey() }) => {
+  if (!voucher || voucher.active === false) {
+    return { valid: false, error: 'Kode voucher tidak ditemukan' };
+  }
+  if (voucher.expiresAt && today > voucher.expiresAt) {
+    return { valid: false, error: 'Voucher sudah kedaluwarsa' };
+  }
+  if (voucher.usageLimit != null && (voucher.usedCount || 0) >= voucher.usageLimit) {
+    return { valid: false, error: 'Kuota voucher sudah habis' };
+  }
+  if (voucher.minDays && totalDays < voucher.minDays) {
+    return { valid: false, error: `Voucher berlaku untuk sewa minimal ${voucher.minDays} hari` };
+  }
+  if (voucher.motorcycleIds?.length && !voucher.motorcycleIds.includes(motor?.id)) {
+    return { valid: false, error: 'Voucher tidak berlaku untuk motor ini' };
+  }
+  if (voucher.categories?.length && !voucher.categories.includes(motor?.category)) {
+    return { valid: false, error: `Voucher hanya berlaku untuk kategori ${voucher.categories.join(', ')}` };
+  }
+
+  return { valid: true, discount: calculateVoucherDiscount(voucher, subtotal) };
+};
+
+// What a booking keeps: the terms it was sold under, not the live usage counters
+export const toBookingVoucher = (voucher, discount) => ({
+  code: voucher.code,
+  type: voucher.type,
+  value: voucher.value,
+  maxDiscount: voucher.maxDiscount ?? null,
+  minDays: voucher.minDays ?? null,
+  motorcycleIds: voucher.motorcycleIds ?? null,
+  categories: voucher.categories ?? null,
+  expiresAt: voucher.expiresAt ?? null,
+  discount
+});
+
+// Checks a booking's voucher against new dates before a reschedule. The
+// booking already holds its use, so only the terms it was sold under count;
+// null when the booking has no voucher.
+export const recheckBookingVoucher = (booking, { totalDays, subtotal, today }) => (
+  booking.voucher ? evaluateVoucher(booking.voucher, { motor: booking.motor, totalDays, subtotal, today }) : null
+);
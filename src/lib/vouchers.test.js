@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeVoucherCode, calculateVoucherDiscount, evaluateVoucher, toBookingVoucher, recheckBookingVoucher } from './vouchers.js';
+
+const motor = { id: 2, category: 'matic' };
+const percent = { code: 'BALI10', type: 'percent', value: 10, maxDiscount: 50000, usedCount: 0, active: true };
+const context = { motor, totalDays: 3, subtotal: 300000, today: '2030-03-04' };
+
+describe('calculateVoucherDiscount', () => {
+  it('takes a percentage up to the maximum discount', () => {
+    expect(calculateVoucherDiscount(percent, 300000)).toBe(30000);
+    expect(calculateVoucherDiscount(percent, 900000)).toBe(50000);
+  });
+
+  it('never discounts more than the subtotal', () => {
+    expect(calculateVoucherDiscount({ type: 'fixed', value: 50000 }, 40000)).toBe(40000);
+  });
+});
+
+describe('evaluateVoucher', () => {
+  it('accepts a voucher within its terms', () => {
+    expect(evaluateVoucher(percent, context)).toEqual({ valid: true, discount: 30000 });
+    expect(normalizeVoucherCode('  bali10 ')).toBe('BALI10');
+  });
+
+  it('rejects missing and inactive vouchers', () => {
+    expect(evaluateVoucher(null, context).error).toBe('Kode voucher tidak ditemukan');
+    expect(evaluateVoucher({ ...percent, active: false }, context).valid).toBe(false);
+  });
+
+  it('stays valid through its expiry date', () => {
+    expect(evaluateVoucher({ ...percent, expiresAt: '2030-03-04' }, context).valid).toBe(true);
+    expect(evaluateVoucher({ ...percent, expiresAt: '2030-03-03' }, context).error).toBe('Voucher sudah kedaluwarsa');
+  });
+
+  it('rejects a voucher whose uses have run out', () => {
+    expect(evaluateVoucher({ ...percent, usageLimit: 10, usedCount: 9 }, context).valid).toBe(true);
+    expect(evaluateVoucher({ ...percent, usageLimit: 10, usedCount: 10 }, context).error).toBe('Kuota voucher sudah habis');
+  });
+
+  it('checks the rental length, bike and category', () => {
+    expect(evaluateVoucher({ ...percent, minDays: 7 }, context).error).toBe('Voucher berlaku untuk sewa minimal 7 hari');
+    expect(evaluateVoucher({ ...percent, motorcycleIds: [5] }, context).error).toBe('Voucher tidak berlaku untuk motor ini');
+    expect(evaluateVoucher({ ...percent, categories: ['sport'] }, context).error).toBe('Voucher hanya berlaku untuk kategori sport');
+  });
+});
+
+describe('toBookingVoucher', () => {
+  it('keeps the terms and leaves out usage counters', () => {
+    expect(toBookingVoucher({ ...percent, minDays: 2, categories: ['matic'], usageLimit: 10, usedCount: 3 }, 30000)).toEqual({
+      code: 'BALI10',
+      type: 'percent',
+      value: 10,
+      maxDiscount: 50000,
+      minDays: 2,
+      motorcycleIds: null,
+      categories: ['matic'],
+      expiresAt: null,
+      discount: 30000
+    });
+  });
+});
+
+describe('recheckBookingVoucher', () => {
+  const booking = { motor, voucher: toBookingVoucher({ ...percent, minDays: 3, expiresAt: '2030-03-31', usageLimit: 1, usedCount: 1 }, 30000) };
+
+  it('re-prices a voucher whose terms the new dates still meet', () => {
+    // The use the booking already holds does not count against the cap
+    expect(recheckBookingVoucher(booking, { totalDays: 4, subtotal: 400000, today: '2030-03-04' }))
+      .toEqual({ valid: true, discount: 40000 });
+  });
+
+  it('fails once the new dates break the terms it was sold under', () => {
+    expect(recheckBookingVoucher(booking, { totalDays: 2, subtotal: 200000, today: '2030-03-04' }).error)
+      .toBe('Voucher berlaku untuk sewa minimal 3 hari');
+    expect(recheckBookingVoucher(booking, { totalDays: 4, subtotal: 400000, today: '2030-04-01' }).error)
+      .toBe('Voucher sudah kedaluwarsa');
+  });
+
+  it('has nothing to check without a voucher', () => {
+    expect(recheckBookingVoucher({ motor, voucher: null }, { totalDays: 2, subtotal: 200000 })).toBeNull();
+  });
+});
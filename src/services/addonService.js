@@ -0,0 +1,4 @@
+import { apiRequest } from './api.js';
+
+export const fetchAddons = ({ signal } = {}) =>
+  apiRequest('/addons', { signal, retries: 2 });
@@ -0,0 +1,47 @@
+import { apiRequest } from './api.js';
+
+// Staff-only endpoints. They go through the same API (or mock) as the public
+// site; the signed-in staff token is sent along for the backend to check.
+
+const authHeaders = (token) => (token ? { Authorization: `Bearer ${token}` } : undefined);
+
+export const fetchAllBookings = ({ token, signal } = {}) =>
+  apiRequest('/bookings', { signal, headers: authHeaders(token), retries: 2 });
+
+export const saveBooking = (booking, { token } = {}) =>
+  apiRequest(`/bookings/${encodeURIComponent(booking.id)}`, { method: 'PUT', body: booking, headers: authHeaders(token) });
+
+export const createMotorcycle = (motorcycle, { token } = {}) =>
+  apiRequest('/motorcycles', { method: 'POST', body: motorcycle, headers: authHeaders(token) });
+
+export const updateMotorcycle = (motorcycle, { token } = {}) =>
+  apiRequest(`/motorcycles/${encodeURIComponent(motorcycle.id)}`, { method: 'PUT', body: motorcycle, headers: authHeaders(token) });
+
+export const deleteMotorcycle = (id, { token } = {}) =>
+  apiRequest(`/motorcycles/${encodeURIComponent(id)}`, { method: 'DELETE', headers: authHeaders(token) });
+
+export const fetchAllReservations = ({ token, signal } = {}) =>
+  apiRequest('/reservations', { signal, headers: authHeaders(token), retries: 2 });
+
+// Service block-outs live with the reservations so the customer calendar sees them as taken
+export const saveBlockout = (blockout, { token } = {}) => (blockout.id == null
+  ? apiRequest('/reservations', { method: 'POST', body: blockout, headers: authHeaders(token) })
+  : apiRequest(`/reservations/${encodeURIComponent(blockout.id)}`, { method: 'PUT', body: blockout, headers: authHeaders(token) }));
+
+export const deleteBlockout = (id, { token } = {}) =>
+  apiRequest(`/reservations/${encodeURIComponent(id)}`, { method: 'DELETE', headers: authHeaders(token) });
+
+export const saveUnit = (unit, { token } = {}) => (unit.id == null
+  ? apiRequest('/units', { method: 'POST', body: unit, headers: authHeaders(token) })
+  : apiRequest(`/units/${encodeURIComponent(unit.id)}`, { method: 'PUT', body: unit, headers: authHeaders(token) }));
+
+export const createServiceRecord = (record, { token } = {}) =>
+  apiRequest('/maintenance', { method: 'POST', body: record, headers: authHeaders(token) });
+
+// Moves a reservation to another unit of the same model; 409 if that unit is taken
+export const assignReservationUnit = (reservation, unitId, { token } = {}) =>
+  apiRequest(`/reservations/${encodeURIComponent(reservation.id)}`, {
+    method: 'PUT',
+    body: { ...reservation, unitId },
+    headers: authHeaders(token)
+  });
@@ -0,0 +1,63 @@
+// Thin fetch wrapper shared by every service. The base URL comes from
+// VITE_API_URL; without it requests go to /api, served by the mock API in dev.
+export const API_BASE_URL = (import.meta.env.VITE_API_URL || '/api').replace(/\/$/, '');
+
+export class ApiError extends Error {
+  constructor(message, { status = 0, data = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+// Network failures and 5xx responses are worth retrying; 4xx are not.
+const isRetryable = (error) => error.status === 0 || error.status >= 500;
+
+const request = async (path, { method = 'GET', body, signal, headers } = {}) => {
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}${path}`, {
+      method,
+      signal,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new ApiError('Tidak dapat terhubung ke server. Periksa koneksi internet Anda.');
+  }
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = text;
+  }
+
+  if (!response.ok) {
+    throw new ApiError(data?.message || `Permintaan gagal (${response.status})`, { status: response.status, data });
+  }
+
+  return data;
+};
+
+export const apiRequest = async (path, { retries = 0, retryDelay = 500, ...options } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request(path, options);
+    } catch (error) {
+      if (attempt >= retries || !(error instanceof ApiError) || !isRetryable(error)) throw error;
+      await wait(retryDelay * 2 ** attempt, options.signal);
+    }
+  }
+};
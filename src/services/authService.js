@@ -0,0 +1,206 @@
+import { apiRequest } from './api.js';
+import { OTP_POLICY, normalizeEmail, normalizePhone } from '../lib/auth.js';
+
+// Auth provider adapters. Each one implements
+//   register({ name, email, phone, password }) -> session
+//   loginWithPassword({ email, password }) -> session
+//   requestOtp({ phone }) -> { phone, expiresAt }
+//   verifyOtp({ phone, code }) -> session
+//   getCurrentUser(token) -> user
+//   updateProfile(token, changes) -> user
+//   logout(token)
+//   fetchBookings(token) -> the account's bookings, newest first
+//   claimBooking(token, code) -> booking, linked to the account
+// where a session is { token, user }. `rest` talks to our backend (or the
+// mock API in dev, which has a demo staff login for /admin), which sends the
+// OTP by SMS/WhatsApp. `local` is an in-browser mock for working on the
+// account pages alone: accounts live in localStorage and the OTP is handed
+// back as `devCode` instead of being sent. Its accounts are unknown to the
+// backend, so they have no bookings of their own. Pick one with
+// VITE_AUTH_PROVIDER.
+//
+// `local` exists only in dev builds: roles kept in localStorage can be edited
+// by anyone, so production bundles leave it out. Its tokens mean nothing to
+// the API either, so staff requests made with them are refused.
+
+const LOCAL_ACCOUNTS_KEY = 'localAuthAccounts';
+const LOCAL_SESSIONS_KEY = 'localAuthSessions';
+const LOCAL_DELAY = 300;
+
+const readStore = (key) => {
+  try {
+    return JSON.parse(window.localStorage.getItem(key)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeStore = (key, value) => window.localStorage.setItem(key, JSON.stringify(value));
+
+const randomToken = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(24)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+const randomCode = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(OTP_POLICY.length)), byte => byte % 10).join('');
+
+// Good enough for a mock; real password hashing happens on the server
+const hashPassword = async (password, salt) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${password}`));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const localDelay = () => new Promise(resolve => setTimeout(resolve, LOCAL_DELAY));
+
+const toUser = ({ passwordHash: _passwordHash, salt: _salt, ...user }) => user;
+
+const saveAccount = (account) => {
+  const accounts = readStore(LOCAL_ACCOUNTS_KEY);
+  accounts[account.id] = account;
+  writeStore(LOCAL_ACCOUNTS_KEY, accounts);
+  return account;
+};
+
+const findAccount = (predicate) => Object.values(readStore(LOCAL_ACCOUNTS_KEY)).find(predicate);
+
+const openSession = (account) => {
+  const token = randomToken();
+  writeStore(LOCAL_SESSIONS_KEY, { ...readStore(LOCAL_SESSIONS_KEY), [token]: account.id });
+  return { token, user: toUser(account) };
+};
+
+const accountForToken = (token) => {
+  const accountId = readStore(LOCAL_SESSIONS_KEY)[token];
+  const account = accountId && readStore(LOCAL_ACCOUNTS_KEY)[accountId];
+  if (!account) throw new Error('Sesi berakhir, silakan masuk kembali');
+  return account;
+};
+
+const newAccount = (fields) => ({
+  id: `USR-${Date.now().toString(36).toUpperCase()}`,
+  name: '',
+  email: '',
+  phone: '',
+  role: 'customer',
+  rider: {},
+  savedMotors: { recentlyViewed: [], favourites: [] },
+  createdAt: new Date().toISOString(),
+  ...fields
+});
+
+// Pending one-time codes by phone number; a page reload simply means asking again
+const pendingOtps = new Map();
+
+const localAdapter = {
+  name: 'local',
+  register: async ({ name, email, phone, password }) => {
+    await localDelay();
+    const normalizedEmail = normalizeEmail(email);
+    const normalizedPhone = phone ? normalizePhone(phone) : '';
+    if (findAccount(account => account.email === normalizedEmail)) {
+      throw new Error('Email sudah terdaftar, silakan masuk');
+    }
+    if (normalizedPhone && findAccount(account => account.phone === normalizedPhone)) {
+      throw new Error('Nomor telepon sudah terdaftar, silakan masuk dengan OTP');
+    }
+    const salt = randomToken();
+    const account = saveAccount(newAccount({
+      name: name.trim(),
+      email: normalizedEmail,
+      phone: normalizedPhone,
+      salt,
+      passwordHash: await hashPassword(password, salt)
+    }));
+    return openSession(account);
+  },
+  loginWithPassword: async ({ email, password }) => {
+    await localDelay();
+    const account = findAccount(item => item.email === normalizeEmail(email));
+    if (!account?.passwordHash || account.passwordHash !== await hashPassword(password, account.salt)) {
+      throw new Error('Email atau kata sandi salah');
+    }
+    return openSession(account);
+  },
+  requestOtp: async ({ phone }) => {
+    await localDelay();
+    const normalizedPhone = normalizePhone(phone);
+    const previous = pendingOtps.get(normalizedPhone);
+    if (previous && Date.now() - previous.sentAt < OTP_POLICY.resendSeconds * 1000) {
+      throw new Error(`Tunggu ${OTP_POLICY.resendSeconds} detik sebelum meminta kode baru`);
+    }
+    const code = randomCode();
+    const expiresAt = new Date(Date.now() + OTP_POLICY.ttlMinutes * 60 * 1000).toISOString();
+    pendingOtps.set(normalizedPhone, { code, expiresAt, sentAt: Date.now(), attempts: 0 });
+    return { phone: normalizedPhone, expiresAt, devCode: code };
+  },
+  // Signing in with an unknown number creates the account
+  verifyOtp: async ({ phone, code }) => {
+    await localDelay();
+    const normalizedPhone = normalizePhone(phone);
+    const pending = pendingOtps.get(normalizedPhone);
+    if (!pending || new Date(pending.expiresAt) <= new Date()) {
+      pendingOtps.delete(normalizedPhone);
+      throw new Error('Kode OTP kedaluwarsa, silakan minta kode baru');
+    }
+    if (pending.code !== code.trim()) {
+      pending.attempts += 1;
+      if (pending.attempts >= OTP_POLICY.maxAttempts) pendingOtps.delete(normalizedPhone);
+      throw new Error('Kode OTP salah');
+    }
+    pendingOtps.delete(normalizedPhone);
+    const account = findAccount(item => item.phone === normalizedPhone)
+      || saveAccount(newAccount({ phone: normalizedPhone }));
+    return openSession(account);
+  },
+  getCurrentUser: async (token) => toUser(accountForToken(token)),
+  updateProfile: async (token, changes) => {
+    await localDelay();
+    const account = accountForToken(token);
+    if (changes.email && changes.email !== account.email
+      && findAccount(item => item.email === changes.email && item.id !== account.id)) {
+      throw new Error('Email sudah dipakai akun lain');
+    }
+    // The role is managed by staff, never by the customer's own profile form
+    const { role: _role, ...allowed } = changes;
+    return toUser(saveAccount({ ...account, ...allowed, rider: { ...account.rider, ...allowed.rider } }));
+  },
+  logout: async (token) => {
+    const sessions = readStore(LOCAL_SESSIONS_KEY);
+    delete sessions[token];
+    writeStore(LOCAL_SESSIONS_KEY, sessions);
+  },
+  fetchBookings: async () => [],
+  claimBooking: async () => {
+    throw new Error('Akun lokal tidak bisa ditautkan ke booking');
+  }
+};
+
+const authHeaders = (token) => ({ Authorization: `Bearer ${token}` });
+
+const restAdapter = {
+  name: 'rest',
+  register: (data) => apiRequest('/auth/register', { method: 'POST', body: data }),
+  loginWithPassword: (data) => apiRequest('/auth/login', { method: 'POST', body: data }),
+  requestOtp: ({ phone }) => apiRequest('/auth/otp', { method: 'POST', body: { phone: normalizePhone(phone) } }),
+  verifyOtp: ({ phone, code }) => apiRequest('/auth/otp/verify', {
+    method: 'POST',
+    body: { phone: normalizePhone(phone), code: code.trim() }
+  }),
+  getCurrentUser: (token) => apiRequest('/auth/me', { headers: authHeaders(token), retries: 1 }),
+  updateProfile: (token, changes) => apiRequest('/auth/me', { method: 'PATCH', body: changes, headers: authHeaders(token) }),
+  logout: (token) => apiRequest('/auth/logout', { method: 'POST', headers: authHeaders(token) }),
+  fetchBookings: (token) => apiRequest('/auth/me/bookings', { headers: authHeaders(token), retries: 1 }),
+  // The backend links the booking only if its contact details are the account's
+  claimBooking: (token, code) => apiRequest('/auth/me/bookings', { method: 'POST', body: { code }, headers: authHeaders(token) })
+};
+
+const adapters = import.meta.env.DEV
+  ? { local: localAdapter, rest: restAdapter }
+  : { rest: restAdapter };
+
+export const createAuthProvider = (name = 'rest') => {
+  const adapter = adapters[name];
+  if (!adapter) throw new Error(`Unknown auth provider "${name}"`);
+  return adapter;
+};
+
+export const authProvider = createAuthProvider(import.meta.env.VITE_AUTH_PROVIDER || 'rest');
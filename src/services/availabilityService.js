@@ -0,0 +1,26 @@
+import { apiRequest } from './api.js';
+
+export const fetchReservations = (motorcycleId, { signal } = {}) =>
+  apiRequest(`/reservations?motorcycleId=${encodeURIComponent(motorcycleId)}`, { signal, retries: 2 });
+
+export const fetchReservation = (id, { signal } = {}) =>
+  apiRequest(`/reservations/${encodeURIComponent(id)}`, { signal, retries: 1 });
+
+// A hold is tied to the code of the booking it is made for; changing or
+// releasing it later takes the same code (or a staff login).
+const bookingHeaders = (bookingCode) => (bookingCode ? { 'X-Booking-Code': bookingCode } : undefined);
+
+// The backend re-checks overlaps and answers 409 if someone else got there first.
+// It holds a free unit of the model (see src/lib/units.js) and returns its `unitId`.
+export const createReservation = ({ motorcycleId, startDate, startTime, endDate, endTime, bookingCode }) =>
+  apiRequest('/reservations', { method: 'POST', body: { motorcycleId, startDate, startTime, endDate, endTime, bookingCode } });
+
+export const updateReservation = (id, { motorcycleId, startDate, startTime, endDate, endTime }, { bookingCode } = {}) =>
+  apiRequest(`/reservations/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    body: { motorcycleId, startDate, startTime, endDate, endTime },
+    headers: bookingHeaders(bookingCode)
+  });
+
+export const deleteReservation = (id, { bookingCode } = {}) =>
+  apiRequest(`/reservations/${encodeURIComponent(id)}`, { method: 'DELETE', headers: bookingHeaders(bookingCode) });
@@ -0,0 +1,27 @@
+import { apiRequest } from './api.js';
+
+// Bookings are cached in localStorage by useBookings and kept on the backend,
+// which confirms them once their payment goes through. Pick an adapter with
+// VITE_BOOKING_BACKEND.
+
+const authHeaders = (token) => (token ? { Authorization: `Bearer ${token}` } : undefined);
+
+// A booking saved with the customer's session token belongs to their account
+const restAdapter = {
+  name: 'rest',
+  save: (booking, { token } = {}) => apiRequest('/bookings', { method: 'POST', body: booking, headers: authHeaders(token) }),
+  update: (booking) => apiRequest(`/bookings/${encodeURIComponent(booking.id)}`, { method: 'PUT', body: booking }),
+  fetch: (id) => apiRequest(`/bookings/${encodeURIComponent(id)}`)
+};
+
+const adapters = {
+  rest: restAdapter
+};
+
+export const createBookingBackend = (name = 'rest') => {
+  const adapter = adapters[name];
+  if (!adapter) throw new Error(`Unknown booking backend "${name}"`);
+  return adapter;
+};
+
+export const bookingBackend = createBookingBackend(import.meta.env.VITE_BOOKING_BACKEND || 'rest');
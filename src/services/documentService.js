@@ -0,0 +1,37 @@
+import { apiRequest } from './api.js';
+
+// Documents belong to a booking: they are stored under its code and read
+// back by id with that code in the X-Booking-Code header.
+const bookingHeaders = (bookingCode) => (bookingCode ? { 'X-Booking-Code': bookingCode } : undefined);
+
+// Document photos go straight to the backend; callers keep only the returned id
+export const uploadDocument = async ({ kind, fileName, image, bookingCode }) => {
+  const saved = await apiRequest('/documents', {
+    method: 'POST',
+    body: {
+      kind,
+      bookingCode,
+      fileName,
+      mimeType: 'image/jpeg',
+      width: image.width,
+      height: image.height,
+      dataUrl: image.dataUrl,
+      uploadedAt: new Date().toISOString()
+    },
+    retries: 1
+  });
+  return { id: saved.id, kind };
+};
+
+export const fetchDocument = (id, { bookingCode, signal } = {}) =>
+  apiRequest(`/documents/${encodeURIComponent(id)}`, { headers: bookingHeaders(bookingCode), signal, retries: 1 });
+
+// Generated files, such as the signed rental agreement PDF
+export const uploadFile = async ({ kind, fileName, mimeType, dataUrl, bookingCode }) => {
+  const saved = await apiRequest('/documents', {
+    method: 'POST',
+    body: { kind, bookingCode, fileName, mimeType, dataUrl, uploadedAt: new Date().toISOString() },
+    retries: 1
+  });
+  return { id: saved.id, kind };
+};
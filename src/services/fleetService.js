@@ -0,0 +1,15 @@
+import { apiRequest } from './api.js';
+
+export const fetchMotorcycles = ({ signal } = {}) =>
+  apiRequest('/motorcycles', { signal, retries: 2 });
+
+// All units, or those of one model when `motorcycleId` is given
+export const fetchUnits = ({ motorcycleId, signal } = {}) =>
+  apiRequest(motorcycleId == null ? '/units' : `/units?motorcycleId=${encodeURIComponent(motorcycleId)}`, { signal, retries: 2 });
+
+// Service records decide which units may be offered (see src/lib/maintenance.js)
+export const fetchMaintenance = ({ motorcycleId, signal } = {}) =>
+  apiRequest(motorcycleId == null ? '/maintenance' : `/maintenance?motorcycleId=${encodeURIComponent(motorcycleId)}`, { signal, retries: 2 });
+
+export const fetchUnit = (id, { signal } = {}) =>
+  apiRequest(`/units/${encodeURIComponent(id)}`, { signal, retries: 1 });
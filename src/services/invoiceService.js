@@ -0,0 +1,10 @@
+import { apiRequest } from './api.js';
+
+// Invoice and receipt numbers come from the backend so they stay in sequence across devices
+export const issueInvoiceNumber = async ({ type, bookingCode, issuedAt }) => {
+  const saved = await apiRequest('/invoices', {
+    method: 'POST',
+    body: { type, bookingCode, issuedAt }
+  });
+  return saved.number;
+};
@@ -0,0 +1,9 @@
+import { apiRequest } from './api.js';
+
+export const fetchLocations = async ({ signal } = {}) => {
+  const [outlets, zones] = await Promise.all([
+    apiRequest('/locations', { signal, retries: 2 }),
+    apiRequest('/deliveryZones', { signal, retries: 2 })
+  ]);
+  return { outlets, zones };
+};
@@ -0,0 +1,17 @@
+import { apiRequest } from './api.js';
+
+// Email and WhatsApp go out from the backend, which holds the SMTP and
+// WhatsApp Business credentials and renders every message itself (templates
+// in src/lib/notifications.js). Booking messages are sent there when the
+// booking changes, so they do not depend on this tab staying open. The browser
+// only asks for the contact form message, by template name and form fields.
+// Each delivery comes back as { channel, id, status }.
+
+export const sendContactMessage = async ({ name, email, message }) => {
+  const response = await apiRequest('/notifications', {
+    method: 'POST',
+    body: { template: 'contact_message', data: { name, email, message } },
+    retries: 1
+  });
+  return response?.deliveries || [];
+};
@@ -0,0 +1,54 @@
+import { apiRequest } from './api.js';
+
+// Payment gateway adapters. Each one implements
+//   createCharge({ bookingId, amount, method, expiresAt, customer }) -> charge
+//   getCharge(id, { bookingCode }) -> charge with its current status
+//   cancelCharge(id, { bookingCode }) -> charge
+// `rest` goes through our backend, which holds the Midtrans/Xendit server key
+// and receives their webhooks; gateway secrets never reach the browser. Only
+// the booking's owner may read or cancel its charge, proven by the booking code.
+// `sandbox` is for development and demos: it makes charges on the mock API
+// like `rest` and can also settle them with simulate(). It is only in dev
+// builds, so production never ships the simulation buttons. Pick one with
+// VITE_PAYMENT_GATEWAY.
+
+const bookingHeaders = (bookingCode) => (bookingCode ? { 'X-Booking-Code': bookingCode } : undefined);
+
+const restAdapter = {
+  name: 'rest',
+  createCharge: ({ bookingId, amount, method, expiresAt, customer }) => apiRequest('/payments', {
+    method: 'POST',
+    body: { bookingId, amount, method: method.id, expiresAt: expiresAt.toISOString(), customer },
+    retries: 0
+  }),
+  getCharge: (id, { bookingCode }) => apiRequest(`/payments/${encodeURIComponent(id)}`, { headers: bookingHeaders(bookingCode) }),
+  cancelCharge: (id, { bookingCode }) => apiRequest(`/payments/${encodeURIComponent(id)}/cancel`, {
+    method: 'POST',
+    headers: bookingHeaders(bookingCode),
+    retries: 0
+  })
+};
+
+// Dev only: the mock API decides how a pending charge ends ('success' | 'failure' | 'timeout')
+const sandboxAdapter = {
+  ...restAdapter,
+  name: 'sandbox',
+  simulate: (id, outcome, { bookingCode }) => apiRequest(`/payments/${encodeURIComponent(id)}/simulate`, {
+    method: 'POST',
+    body: { outcome },
+    headers: bookingHeaders(bookingCode),
+    retries: 0
+  })
+};
+
+const adapters = import.meta.env.DEV
+  ? { sandbox: sandboxAdapter, rest: restAdapter }
+  : { rest: restAdapter };
+
+export const createPaymentGateway = (name = 'rest') => {
+  const adapter = adapters[name];
+  if (!adapter) throw new Error(`Unknown payment gateway "${name}"`);
+  return adapter;
+};
+
+export const paymentGateway = createPaymentGateway(import.meta.env.VITE_PAYMENT_GATEWAY || 'rest');
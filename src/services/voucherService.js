@@ -0,0 +1,25 @@
+import { apiRequest } from './api.js';
+import { normalizeVoucherCode } from '../lib/vouchers.js';
+
+export const fetchVoucher = async (code) => {
+  const [voucher] = await apiRequest(`/vouchers?code=${encodeURIComponent(normalizeVoucherCode(code))}`);
+  return voucher || null;
+};
+
+// A use is counted when the booking is paid for, not when it is made. The
+// backend checks the cap and increments in one step, answering 409 once the
+// voucher is used up, and counts each booking once, so retrying is safe.
+const voucherAction = async (code, bookingId, action) => {
+  const voucher = await fetchVoucher(code);
+  if (!voucher) throw new Error('Kode voucher tidak ditemukan');
+  return apiRequest(`/vouchers/${encodeURIComponent(voucher.id)}/${action}`, {
+    method: 'POST',
+    body: { bookingId }
+  });
+};
+
+export const redeemVoucher = (code, bookingId) => voucherAction(code, bookingId, 'redeem');
+
+// Gives the use back when the charge fails. Cancelled and expired bookings
+// release theirs on the backend.
+export const releaseVoucher = (code, bookingId) => voucherAction(code, bookingId, 'release');
@@ -1,49 +1,92 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 import { VitePWA } from 'vite-plugin-pwa'
+import { mockApi } from './mock/server.js'
 
-export default defineConfig({
-  plugins: [
-    react(),
-    tailwindcss(),
-    VitePWA({
-      registerType: 'autoUpdate',
-      workbox: {
-        globPatterns: ['**/*.{js,css,html,ico,png,svg}']
-      },
-      manifest: {
-        name: 'MotorRent - Sewa Motor Terbaik',
-        short_name: 'MotorRent',
-        description: 'Sewa motor modern dengan harga terjangkau',
-        theme_color: '#2563eb',
-        icons: [
-          {
-            src: '/icon-192.png',
-            sizes: '192x192',
-            type: 'image/png'
-          },
-          {
-            src: '/icon-512.png',
-            sizes: '512x512',
-            type: 'image/png'
+// GitHub Pages has no rewrite rules: it serves 404.html for unknown paths, so
+// ship the app shell under that name too and deep links boot the router
+const spaFallback = () => ({
+  name: 'spa-fallback',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_, bundle) {
+    const index = bundle['index.html']
+    if (index) this.emitFile({ type: 'asset', fileName: '404.html', source: index.source })
+  }
+})
+
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), '')
+
+  return {
+    plugins: [
+      react(),
+      tailwindcss(),
+      // Serve /api from the local mock unless a real backend is configured
+      !env.VITE_API_URL && mockApi(),
+      spaFallback(),
+      VitePWA({
+        registerType: 'autoUpdate',
+        workbox: {
+          globPatterns: ['**/*.{js,css,html,ico,png,svg}'],
+          // Deep links such as /motor/2 are client-side routes: serve the app shell for them
+          navigateFallback: 'index.html',
+          navigateFallbackDenylist: [/^\/api\//],
+          runtimeCaching: [
+            {
+              // The fleet list backs the detail pages, so keep the last copy for offline reloads
+              urlPattern: ({ url }) => url.pathname.endsWith('/motorcycles'),
+              handler: 'NetworkFirst',
+              options: {
+                cacheName: 'fleet-api',
+                networkTimeoutSeconds: 5
+              }
+            },
+            {
+              urlPattern: ({ url }) => url.origin === 'https://images.unsplash.com',
+              handler: 'CacheFirst',
+              options: {
+                cacheName: 'motor-images',
+                expiration: { maxEntries: 60, maxAgeSeconds: 30 * 24 * 60 * 60 },
+                cacheableResponse: { statuses: [0, 200] }
+              }
+            }
+          ]
+        },
+        manifest: {
+          name: 'MotorRent - Sewa Motor Terbaik',
+          short_name: 'MotorRent',
+          description: 'Sewa motor modern dengan harga terjangkau',
+          theme_color: '#2563eb',
+          icons: [
+            {
+              src: '/icon-192.png',
+              sizes: '192x192',
+              type: 'image/png'
+            },
+            {
+              src: '/icon-512.png',
+              sizes: '512x512',
+              type: 'image/png'
+            }
+          ]
+        }
+      })
+    ],
+    build: {
+      rollupOptions: {
+        output: {
+          manualChunks: {
+            vendor: ['react', 'react-dom'],
+            icons: ['lucide-react']
           }
-        ]
-      }
-    })
-  ],
-  build: {
-    rollupOptions: {
-      output: {
-        manualChunks: {
-          vendor: ['react', 'react-dom'],
-          icons: ['lucide-react']
         }
       }
+    },
+    server: {
+      host: true,
+      port: 3000
     }
-  },
-  server: {
-    host: true,
-    port: 3000
   }
-})
\ No newline at end of file
+})